@@ -8,6 +8,9 @@ import { validator } from './utils/validator.js';
 import { dom } from './utils/dom.js';
 import { STORAGE_KEYS, DEFAULT_CONFIG, API_CONFIG } from './modules/config.js';
 import { exerciseManager } from './modules/exercises.js';
+import { exerciseCatalog } from './modules/exercise-catalog.js';
+import { programManager } from './modules/programs.js';
+import { recommendationEngine } from './modules/recommendations.js';
 import { yandexAPI } from './modules/yandex-api.js';
 import { aiService } from './modules/ai-service.js';
 import { uiManager } from './components/ui-manager.js';
@@ -15,6 +18,12 @@ import { historyManager } from './modules/history-manager.js';
 import { settingsManager } from './modules/settings-manager.js';
 import { bodyAnalysisManager } from './modules/body-analysis-manager.js';
 import { progressManager } from './modules/progress-manager.js';
+import { syncEngine } from './modules/sync-engine.js';
+import { outbox } from './modules/outbox.js';
+import { backgroundSync } from './modules/background-sync.js';
+import { conflictDialog } from './components/conflict-dialog.js';
+import { backupDialog } from './components/backup-dialog.js';
+import { programPanel } from './components/program-panel.js';
 
 class MyFitnessApp {
   constructor() {
@@ -30,11 +39,16 @@ class MyFitnessApp {
     try {
       logger.info('Initializing MyFitness app...');
       
+      // Открываем хранилище (при первом запуске переносит данные из localStorage)
+      await storage.ready();
+
       // Загружаем конфигурацию
-      this.config = storage.loadConfig();
+      this.config = await storage.loadConfig();
+      exerciseManager.setMaxExercises(this.config.maxExercisesPerWorkout);
+      recommendationEngine.setIncrements(this.config.equipmentIncrements);
       
       // Инициализируем сервисы
-      this.initServices();
+      await this.initServices();
       
       // Инициализируем UI
       uiManager.init();
@@ -54,7 +68,7 @@ class MyFitnessApp {
   /**
    * Инициализация сервисов
    */
-  initServices() {
+  async initServices() {
     // Инициализируем Yandex API
     if (this.config.yandexToken) {
       yandexAPI.init(this.config.yandexToken);
@@ -65,11 +79,53 @@ class MyFitnessApp {
       aiService.init(this.config.huggingFaceApiKey);
     }
 
+    // Очередь изменений восстанавливается до того, как менеджеры начнут менять данные
+    await outbox.init();
+    // Каталог упражнений (с пользовательскими и переименованными) нужен формам и истории
+    await exerciseCatalog.load();
+    // Шаблоны программ и активный цикл нужны панели программы на странице тренировки
+    await programManager.load();
+
     // Инициализируем менеджеры
-    historyManager.init();
-    settingsManager.init();
-    bodyAnalysisManager.init();
-    progressManager.init();
+    await historyManager.init();
+    await settingsManager.init();
+    // Возврат с oauth.yandex.ru: проверка state и сохранение токена до первой синхронизации
+    await settingsManager.completeYandexLogin();
+    await bodyAnalysisManager.init();
+    await progressManager.init();
+
+    // Синхронизация (в том числе фоновая в service worker): после нее обновляем историю и прогресс,
+    // затем запускаем автосинхронизацию
+    syncEngine.onSync(result => {
+      if (result.exercises?.added || result.exercises?.updated || result.exercises?.deleted) {
+        exerciseCatalog.load();
+      }
+      if (result.programs?.added || result.programs?.updated || result.programs?.deleted) {
+        programManager.load().then(() => programPanel.render());
+      }
+      if (result.added || result.updated || result.deleted) {
+        historyManager.loadHistoryData();
+        progressManager.populateExerciseSelect().then(() => progressManager.updateProgressDisplay());
+        programPanel.render();
+      }
+      if (result.conflicts) {
+        conflictDialog.open();
+      }
+    });
+    // Выбранная в диалоге версия записывается локально и уходит на диск со следующей синхронизацией
+    conflictDialog.onResolve(() => historyManager.loadHistoryData());
+    conflictDialog.open();
+    // Восстановленные из резервной копии записи тоже уходят на диск со следующей синхронизацией
+    backupDialog.onRestore(() => {
+      historyManager.loadHistoryData();
+      progressManager.populateExerciseSelect().then(() => progressManager.updateProgressDisplay());
+    });
+    backgroundSync.init();
+    syncEngine.startAutoSync(this.config);
+    backgroundSync.schedulePeriodicSync(this.config);
+    if (syncEngine.isConfigured(this.config)) {
+      outbox.flush().catch(error => logger.warn('Initial sync failed, continuing with local data:', error.message));
+    }
 
     logger.info('Services initialized');
   }
@@ -104,7 +160,7 @@ class MyFitnessApp {
   /**
    * Обновить конфигурацию
    */
-  updateConfig(newConfig) {
+  async updateConfig(newConfig) {
     try {
       const validation = validator.validateConfig(newConfig);
       if (!validation.isValid) {
@@ -113,7 +169,9 @@ class MyFitnessApp {
       }
 
       this.config = { ...this.config, ...newConfig };
-      storage.saveConfig(this.config);
+      await storage.saveConfig(this.config);
+      syncEngine.startAutoSync(this.config);
+      backgroundSync.schedulePeriodicSync(this.config);
       logger.success('Config updated successfully');
       return true;
     } catch (error) {
@@ -126,6 +184,18 @@ class MyFitnessApp {
 // Создаем глобальный экземпляр приложения
 window.myFitnessApp = new MyFitnessApp();
 
+// Хранилище, синхронизация и настройки доступны встроенным скриптам index.html и settings.html
+window.storage = storage;
+window.syncEngine = syncEngine;
+window.outbox = outbox;
+window.settingsManager = settingsManager;
+window.exerciseCatalog = exerciseCatalog;
+window.exerciseManager = exerciseManager;
+// Сетка упражнений вызывает uiManager.toggleExercise из onclick
+window.uiManager = uiManager;
+// Страница истории (встроенный скрипт) рисует список тренировок через historyManager
+window.historyManager = historyManager;
+
 // Инициализируем приложение когда DOM загружен
 document.addEventListener('DOMContentLoaded', () => {
   window.myFitnessApp.init();
@@ -0,0 +1,251 @@
+/**
+ * Диалог восстановления из резервной копии
+ *
+ * Показывает копии в облаке с числом тренировок и диапазоном дат. Для выбранной копии
+ * показывает, чем она отличается от данных на устройстве, и восстанавливает все
+ * или отмеченные записи.
+ */
+
+import { logger } from '../utils/logger.js';
+import { dom } from '../utils/dom.js';
+import { storage } from '../modules/storage.js';
+import { syncEngine } from '../modules/sync-engine.js';
+import { backupManager } from '../modules/backups.js';
+
+const STATUS_LABELS = {
+  missing: 'Нет на устройстве',
+  changed: 'Изменена'
+};
+
+class BackupDialog {
+  constructor() {
+    this.element = null;
+    this.backups = [];
+    // Выбранная копия: { file, backup, diff }
+    this.selected = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Подписаться на восстановление записей
+   * @returns {Function} Отписка
+   */
+  onRestore(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Открыть диалог со списком копий
+   * @returns {Promise<boolean>} Диалог открыт
+   */
+  async open() {
+    try {
+      this.ensureElement();
+      this.renderMessage('Загрузка резервных копий...');
+      this.backups = await syncEngine.listBackups();
+      this.selected = null;
+      this.renderList();
+      return true;
+    } catch (error) {
+      logger.error('Failed to open backup dialog:', error);
+      this.renderMessage(`Не удалось загрузить резервные копии: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Закрыть диалог
+   */
+  close() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+    this.selected = null;
+  }
+
+  /**
+   * Создать контейнер диалога
+   */
+  ensureElement() {
+    if (this.element) return;
+
+    this.element = dom.createElement('div', { className: 'backup-overlay', role: 'dialog', 'aria-modal': 'true' });
+    this.element.addEventListener('click', event => this.handleClick(event));
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * Сообщение вместо содержимого (загрузка, ошибка)
+   */
+  renderMessage(message) {
+    dom.setContent(this.element, `<div class="backup-dialog">
+        <div class="backup-title">Резервные копии</div>
+        <div class="backup-counter">${message}</div>
+        <div class="backup-actions">
+          <button type="button" class="btn-secondary" data-backup-action="close">Закрыть</button>
+        </div>
+      </div>`, 'html');
+  }
+
+  /**
+   * Отрисовать список копий
+   */
+  renderList() {
+    const rows = this.backups.map(backup => `<tr>
+        <td>${this.formatDate(backup.date)}</td>
+        <td>${backup.summary ? this.formatSummary(backup.summary) : `<span class="backup-error">Не удалось прочитать: ${backup.error}</span>`}</td>
+        <td>${backup.summary ? `<button type="button" class="btn-secondary" data-backup-action="select" data-backup-path="${backup.path}">Открыть</button>` : ''}</td>
+      </tr>`).join('');
+
+    const html = `<div class="backup-dialog">
+        <div class="backup-title">Резервные копии</div>
+        <div class="backup-counter">${this.backups.length > 0 ? `Копий в облаке: ${this.backups.length}` : 'Резервных копий пока нет'}</div>
+        ${rows ? `<table class="backup-table"><tbody>${rows}</tbody></table>` : ''}
+        <div class="backup-actions">
+          <button type="button" class="btn-secondary" data-backup-action="close">Закрыть</button>
+        </div>
+      </div>`;
+
+    dom.setContent(this.element, html, 'html');
+  }
+
+  /**
+   * Отрисовать отличия выбранной копии от данных на устройстве
+   */
+  renderDiff() {
+    const { file, diff } = this.selected;
+    const rows = diff.items.map(item => `<tr>
+        <td><input type="checkbox" data-backup-key="${item.key}" checked></td>
+        <td>${this.describeRecord(item)}</td>
+        <td class="backup-status-${item.status}">${STATUS_LABELS[item.status]}</td>
+      </tr>`).join('');
+
+    const notes = [`Совпадает: ${diff.unchanged}`];
+    if (diff.localOnly > 0) {
+      notes.push(`Только на устройстве: ${diff.localOnly} (не изменятся)`);
+    }
+
+    const html = `<div class="backup-dialog">
+        <div class="backup-title">Копия от ${this.formatDate(file.date)}</div>
+        <div class="backup-counter">${diff.items.length > 0 ? `Отличается записей: ${diff.items.length}` : 'Копия совпадает с данными на устройстве'} · ${notes.join(' · ')}</div>
+        ${rows ? `<table class="backup-table"><tbody>${rows}</tbody></table>` : ''}
+        <div class="backup-actions">
+          ${rows ? `<button type="button" class="btn-secondary" data-backup-action="restore-selected">Восстановить выбранное</button>
+          <button type="button" class="btn-primary" data-backup-action="restore-all">Восстановить все</button>` : ''}
+          <button type="button" class="btn-secondary" data-backup-action="back">Назад</button>
+          <button type="button" class="btn-secondary" data-backup-action="close">Закрыть</button>
+        </div>
+      </div>`;
+
+    dom.setContent(this.element, html, 'html');
+  }
+
+  /**
+   * Описание записи в списке отличий
+   */
+  describeRecord(item) {
+    const record = item.backup;
+    if (item.collection === 'bodyAnalyses') {
+      return `Анализ тела ${new Date(record.timestamp).toLocaleDateString('ru-RU')}`;
+    }
+
+    const exercises = (record.exercises || []).map(exercise => exercise.exercise).join(', ');
+    return `Тренировка ${new Date(record.date).toLocaleDateString('ru-RU')}${exercises ? `<br><small>${exercises}</small>` : ''}`;
+  }
+
+  /**
+   * Сводка копии: число записей и диапазон дат
+   */
+  formatSummary(summary) {
+    const range = summary.from
+      ? ` · ${new Date(summary.from).toLocaleDateString('ru-RU')} — ${new Date(summary.to).toLocaleDateString('ru-RU')}`
+      : '';
+    return `Тренировок: ${summary.workouts}, анализов тела: ${summary.bodyAnalyses}${range}`;
+  }
+
+  /**
+   * Дата копии ('YYYY-MM-DD') для показа
+   */
+  formatDate(date) {
+    return new Date(`${date}T00:00:00`).toLocaleDateString('ru-RU');
+  }
+
+  /**
+   * Открыть копию: прочитать и сравнить с данными на устройстве
+   */
+  async select(backupPath) {
+    const file = this.backups.find(backup => backup.path === backupPath);
+    try {
+      this.renderMessage('Сравнение с данными на устройстве...');
+      const backup = await syncEngine.readBackup(backupPath);
+      if (!backup) {
+        throw new Error('Backup file not found');
+      }
+
+      const local = { workouts: await storage.loadWorkouts(), bodyAnalyses: await storage.loadBodyAnalyses() };
+      this.selected = { file, backup, diff: backupManager.diff(backup, local) };
+      this.renderDiff();
+    } catch (error) {
+      logger.error('Failed to read backup:', error);
+      this.renderMessage(`Не удалось прочитать копию: ${error.message}`);
+    }
+  }
+
+  /**
+   * Восстановить записи выбранной копии
+   * @param {string[]|null} keys - Отмеченные записи; null — все отличающиеся
+   */
+  async restore(keys) {
+    try {
+      const result = await backupManager.restore(this.selected.backup, keys);
+      this.listeners.forEach(listener => {
+        try {
+          listener(result);
+        } catch (error) {
+          logger.error('Backup restore listener failed:', error);
+        }
+      });
+      await this.select(this.selected.file.path);
+    } catch (error) {
+      logger.error('Failed to restore backup:', error);
+      this.renderMessage(`Ошибка восстановления: ${error.message}`);
+    }
+  }
+
+  /**
+   * Обработка кнопок диалога
+   */
+  async handleClick(event) {
+    const button = event.target.closest('[data-backup-action]');
+    if (!button) return;
+
+    switch (button.getAttribute('data-backup-action')) {
+      case 'select':
+        await this.select(button.getAttribute('data-backup-path'));
+        break;
+      case 'restore-all':
+        await this.restore(null);
+        break;
+      case 'restore-selected': {
+        const keys = [...this.element.querySelectorAll('[data-backup-key]:checked')]
+          .map(input => input.getAttribute('data-backup-key'));
+        if (keys.length > 0) {
+          await this.restore(keys);
+        }
+        break;
+      }
+      case 'back':
+        this.selected = null;
+        this.renderList();
+        break;
+      case 'close':
+        this.close();
+        break;
+    }
+  }
+}
+
+// Создаем единственный экземпляр
+export const backupDialog = new BackupDialog();
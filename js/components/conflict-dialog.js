@@ -0,0 +1,172 @@
+/**
+ * Диалог разрешения конфликтов синхронизации
+ *
+ * Показывает обе версии тренировки рядом, подход за подходом, и предлагает
+ * оставить мою версию, их версию или объединить подходы.
+ */
+
+import { logger } from '../utils/logger.js';
+import { dom } from '../utils/dom.js';
+import { conflictManager, RESOLUTIONS } from '../modules/conflicts.js';
+import { exerciseManager } from '../modules/exercises.js';
+
+class ConflictDialog {
+  constructor() {
+    this.element = null;
+    this.pending = [];
+    this.listeners = new Set();
+  }
+
+  /**
+   * Подписаться на разрешение конфликта
+   * @returns {Function} Отписка
+   */
+  onResolve(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Открыть диалог, если есть нерешенные конфликты
+   * @returns {Promise<boolean>} Диалог открыт
+   */
+  async open() {
+    try {
+      this.pending = await conflictManager.getPending();
+      if (this.pending.length === 0) {
+        this.close();
+        return false;
+      }
+
+      this.ensureElement();
+      this.render();
+      return true;
+    } catch (error) {
+      logger.error('Failed to open conflict dialog:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Закрыть диалог (нерешенные конфликты остаются в списке)
+   */
+  close() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+
+  /**
+   * Создать контейнер диалога
+   */
+  ensureElement() {
+    if (this.element) return;
+
+    this.element = dom.createElement('div', { className: 'conflict-overlay', role: 'dialog', 'aria-modal': 'true' });
+    this.element.addEventListener('click', event => this.handleClick(event));
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * Отрисовать первый нерешенный конфликт
+   */
+  render() {
+    const conflict = this.pending[0];
+    const date = new Date(conflict.local.date || conflict.remote.date).toLocaleDateString('ru-RU');
+    const formatTime = value => new Date(value).toLocaleString('ru-RU');
+
+    const html = `<div class="conflict-dialog">
+        <div class="conflict-title">Тренировка ${date} изменена на двух устройствах</div>
+        <div class="conflict-counter">Конфликт 1 из ${this.pending.length}</div>
+        <table class="conflict-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Моя версия<br><small>${formatTime(conflict.local.updatedAt)}</small></th>
+              <th>Другое устройство<br><small>${formatTime(conflict.remote.updatedAt)}</small></th>
+            </tr>
+          </thead>
+          <tbody>${this.renderExercises(conflict)}</tbody>
+        </table>
+        <div class="conflict-actions">
+          <button type="button" class="btn-secondary" data-conflict-action="${RESOLUTIONS.MINE}">Оставить мою</button>
+          <button type="button" class="btn-secondary" data-conflict-action="${RESOLUTIONS.THEIRS}">Оставить их</button>
+          <button type="button" class="btn-primary" data-conflict-action="${RESOLUTIONS.MERGE}">Объединить подходы</button>
+          <button type="button" class="btn-secondary" data-conflict-action="later">Позже</button>
+        </div>
+      </div>`;
+
+    dom.setContent(this.element, html, 'html');
+  }
+
+  /**
+   * Строки таблицы: упражнения обеих версий, подходы по порядку
+   */
+  renderExercises(conflict) {
+    const mine = conflict.local.exercises || [];
+    const theirs = conflict.remote.exercises || [];
+    const names = [...new Set([...mine, ...theirs].map(exercise => exercise.exercise))];
+
+    return names.map(name => {
+      const mineExercise = mine.find(exercise => exercise.exercise === name);
+      const theirExercise = theirs.find(exercise => exercise.exercise === name);
+      const mineSets = mineExercise?.sets || [];
+      const theirSets = theirExercise?.sets || [];
+      const modality = exerciseManager.getModality(mineExercise || theirExercise);
+      const count = Math.max(mineSets.length, theirSets.length);
+
+      let rows = `<tr class="conflict-exercise"><td colspan="3">${name}</td></tr>`;
+      for (let i = 0; i < count; i++) {
+        const same = mineSets[i] && theirSets[i] && conflictManager.isSameSet(mineSets[i], theirSets[i]);
+        const cellClass = same ? '' : ' class="conflict-diff"';
+        rows += `<tr>
+            <td>Подход ${i + 1}</td>
+            <td${cellClass}>${this.formatSet(mineSets[i], modality)}</td>
+            <td${cellClass}>${this.formatSet(theirSets[i], modality)}</td>
+          </tr>`;
+      }
+      return rows;
+    }).join('');
+  }
+
+  /**
+   * Подход в виде текста
+   */
+  formatSet(set, modality) {
+    return set ? exerciseManager.formatSet(set, modality) : '—';
+  }
+
+  /**
+   * Обработка кнопок диалога
+   */
+  async handleClick(event) {
+    const button = event.target.closest('[data-conflict-action]');
+    if (!button) return;
+
+    const action = button.getAttribute('data-conflict-action');
+    if (action === 'later') {
+      this.close();
+      return;
+    }
+
+    const conflict = this.pending[0];
+    const resolved = await conflictManager.resolve(conflict.id, action);
+    if (!resolved) {
+      logger.warn('Conflict was not resolved:', conflict.id);
+      return;
+    }
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(conflict, action);
+      } catch (error) {
+        logger.error('Conflict listener failed:', error);
+      }
+    });
+    await this.open();
+  }
+}
+
+// Создаем единственный экземпляр
+export const conflictDialog = new ConflictDialog();
@@ -0,0 +1,381 @@
+/**
+ * Диалог программ тренировок
+ *
+ * Список шаблонов (запуск нового цикла, завершение, удаление) и редактор шаблона: число недель
+ * и тренировок в неделе, план каждой тренировки — упражнение, подходы, диапазон повторений
+ * и целевой вес. План тренировки можно скопировать на остальные недели с прибавкой веса.
+ * Программы библиотеки (5/3/1, линейная прогрессия, DUP) добавляются и меняются через
+ * тренировочные максимумы: план по ним рассчитывается автоматически.
+ */
+
+import { logger } from '../utils/logger.js';
+import { dom } from '../utils/dom.js';
+import { storage } from '../modules/storage.js';
+import { exerciseManager } from '../modules/exercises.js';
+import { programManager } from '../modules/programs.js';
+import { programLibrary } from '../modules/program-library.js';
+import { PROGRAM_LIMITS } from '../modules/config.js';
+
+class ProgramDialog {
+  constructor() {
+    this.element = null;
+    // Редактируемый шаблон и открытая в редакторе тренировка плана
+    this.draft = null;
+    this.week = 1;
+    this.session = 1;
+    // Программа библиотеки в форме максимумов: { libraryId, template } (template — изменяемый шаблон или null)
+    this.libraryDraft = null;
+  }
+
+  /**
+   * Открыть диалог со списком программ
+   * @returns {boolean} Диалог открыт
+   */
+  open() {
+    try {
+      this.ensureElement();
+      this.draft = null;
+      this.libraryDraft = null;
+      this.renderList();
+      return true;
+    } catch (error) {
+      logger.error('Failed to open program dialog:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Закрыть диалог
+   */
+  close() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+    this.draft = null;
+    this.libraryDraft = null;
+  }
+
+  /**
+   * Создать контейнер диалога
+   */
+  ensureElement() {
+    if (this.element) return;
+
+    this.element = dom.createElement('div', { className: 'program-overlay', role: 'dialog', 'aria-modal': 'true' });
+    this.element.addEventListener('click', event => this.handleClick(event));
+    this.element.addEventListener('change', event => this.handleChange(event));
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * Отрисовать список шаблонов
+   * @param {string} [message] - Сообщение над списком (например, ошибка)
+   */
+  renderList(message = '') {
+    const active = programManager.getActive();
+    const rows = programManager.getTemplates().map(template => {
+      const isActive = active?.templateId === template.id;
+      return `<tr>
+        <td>${dom.escapeHTML(template.name)}<br><small>${template.weeks} нед. × ${template.sessionsPerWeek} трен.${template.library ? ` · ${this.formatTrainingMaxes(template)}` : ''}</small></td>
+        <td>${isActive ? `Активна · цикл ${active.cycle}` : ''}</td>
+        <td class="program-row-actions">
+          <button type="button" class="btn-secondary" data-program-action="start" data-program-id="${template.id}">${isActive ? 'Новый цикл' : 'Начать цикл'}</button>
+          ${isActive ? '<button type="button" class="btn-secondary" data-program-action="stop">Завершить</button>' : ''}
+          <button type="button" class="btn-secondary" data-program-action="edit" data-program-id="${template.id}">Изменить</button>
+          <button type="button" class="btn-secondary" data-program-action="delete" data-program-id="${template.id}">Удалить</button>
+        </td>
+      </tr>`;
+    }).join('');
+
+    const library = programLibrary.getAll().map(program => `<tr>
+        <td>${program.name}<br><small>${program.description}</small></td>
+        <td class="program-row-actions">
+          <button type="button" class="btn-secondary" data-program-action="add-library" data-library-id="${program.id}">Добавить</button>
+        </td>
+      </tr>`).join('');
+
+    const html = `<div class="program-dialog">
+        <div class="program-title">Программы тренировок</div>
+        <div class="program-counter">${rows ? `Программ: ${programManager.getTemplates().length}` : 'Программ пока нет'}</div>
+        ${message ? `<div class="program-error">${dom.escapeHTML(message)}</div>` : ''}
+        ${rows ? `<table class="program-table"><tbody>${rows}</tbody></table>` : ''}
+        <div class="program-counter">Готовые программы (вес рассчитывается от тренировочного максимума)</div>
+        <table class="program-table"><tbody>${library}</tbody></table>
+        <div class="program-actions">
+          <button type="button" class="btn-primary" data-program-action="new">Новая программа</button>
+          <button type="button" class="btn-secondary" data-program-action="close">Закрыть</button>
+        </div>
+      </div>`;
+
+    dom.setContent(this.element, html, 'html');
+  }
+
+  /**
+   * Отрисовать редактор шаблона: параметры цикла и план открытой тренировки
+   * @param {string} [message] - Сообщение (ошибка сохранения или результат копирования)
+   */
+  renderEditor(message = '') {
+    const planned = programManager.getSession(this.draft, this.week, this.session);
+    const options = (count, current) => Array.from({ length: count }, (_, index) =>
+      `<option value="${index + 1}" ${index + 1 === current ? 'selected' : ''}>${index + 1}</option>`
+    ).join('');
+    const exerciseOptions = selected => Object.entries(exerciseManager.getAllExercises()).map(([group, names]) =>
+      `<optgroup label="${group}">${names.map(name =>
+        `<option value="${dom.escapeHTML(name)}" ${name === selected ? 'selected' : ''}>${dom.escapeHTML(name)}</option>`
+      ).join('')}</optgroup>`
+    ).join('');
+
+    const rows = planned.exercises.map((item, index) => `<tr data-program-row>
+        <td><select class="program-exercise">${exerciseOptions(item.exercise)}</select></td>
+        <td><input type="number" class="program-sets" min="1" max="${PROGRAM_LIMITS.SETS_MAX}" value="${item.sets}" title="Подходы"></td>
+        <td>
+          <input type="number" class="program-reps-min" min="1" max="${PROGRAM_LIMITS.REPS_MAX}" value="${item.repsMin ?? ''}" placeholder="от" title="Повторения от">
+          <input type="number" class="program-reps-max" min="1" max="${PROGRAM_LIMITS.REPS_MAX}" value="${item.repsMax ?? ''}" placeholder="до" title="Повторения до">
+        </td>
+        <td><input type="number" class="program-load" min="0" step="0.5" value="${item.load ?? ''}" placeholder="кг" title="Целевой вес"></td>
+        <td><button type="button" class="remove-set" data-program-action="remove-exercise" data-program-index="${index}">×</button></td>
+      </tr>`).join('');
+
+    const html = `<div class="program-dialog">
+        <div class="program-title">${this.draft.name ? dom.escapeHTML(this.draft.name) : 'Новая программа'}</div>
+        <div class="program-fields">
+          <label>Название <input type="text" class="program-name" value="${dom.escapeHTML(this.draft.name)}"></label>
+          <label>Недель <input type="number" class="program-weeks" min="1" max="${PROGRAM_LIMITS.WEEKS_MAX}" value="${this.draft.weeks}"></label>
+          <label>Тренировок в неделе <input type="number" class="program-sessions" min="1" max="${PROGRAM_LIMITS.SESSIONS_MAX}" value="${this.draft.sessionsPerWeek}"></label>
+        </div>
+        <div class="program-fields">
+          <label>Неделя <select class="program-week">${options(this.draft.weeks, this.week)}</select></label>
+          <label>Тренировка <select class="program-session">${options(this.draft.sessionsPerWeek, this.session)}</select></label>
+        </div>
+        ${message ? `<div class="program-error">${dom.escapeHTML(message)}</div>` : ''}
+        ${rows
+          ? `<table class="program-table">
+              <thead><tr><th>Упражнение</th><th>Подходы</th><th>Повторения</th><th>Вес</th><th></th></tr></thead>
+              <tbody>${rows}</tbody>
+            </table>`
+          : '<div class="program-counter">В этой тренировке пока нет упражнений</div>'}
+        <div class="program-actions">
+          <button type="button" class="btn-secondary" data-program-action="add-exercise">Добавить упражнение</button>
+          ${rows ? `<button type="button" class="btn-secondary" data-program-action="copy">Скопировать на все недели</button>
+          <label>+ кг в неделю <input type="number" class="program-load-step" step="0.5" value="0"></label>` : ''}
+        </div>
+        <div class="program-actions">
+          <button type="button" class="btn-primary" data-program-action="save">Сохранить</button>
+          <button type="button" class="btn-secondary" data-program-action="back">Назад</button>
+        </div>
+      </div>`;
+
+    dom.setContent(this.element, html, 'html');
+  }
+
+  /**
+   * Отрисовать форму тренировочных максимумов программы библиотеки
+   * @param {string} [message] - Ошибка сохранения
+   */
+  renderTrainingMaxes(message = '') {
+    const { libraryId, template } = this.libraryDraft;
+    const program = programLibrary.get(libraryId);
+    const rows = program.lifts.map(lift => `<tr>
+        <td>${dom.escapeHTML(programLibrary.getLiftName(lift))}</td>
+        <td><input type="number" class="program-training-max" data-lift="${lift}" min="0" step="2.5" value="${template?.trainingMaxes[lift] ?? ''}" placeholder="кг"></td>
+      </tr>`).join('');
+
+    const html = `<div class="program-dialog">
+        <div class="program-title">${program.name}</div>
+        <div class="program-counter">${program.description}</div>
+        <div class="program-fields">
+          <label>Название <input type="text" class="program-name" value="${dom.escapeHTML(template?.name || program.name)}"></label>
+        </div>
+        <div class="program-counter">Тренировочный максимум — около 90% от максимума на один повтор</div>
+        ${message ? `<div class="program-error">${dom.escapeHTML(message)}</div>` : ''}
+        <table class="program-table"><tbody>${rows}</tbody></table>
+        <div class="program-actions">
+          <button type="button" class="btn-primary" data-program-action="save-library">Сохранить</button>
+          <button type="button" class="btn-secondary" data-program-action="back">Назад</button>
+        </div>
+      </div>`;
+
+    dom.setContent(this.element, html, 'html');
+  }
+
+  /**
+   * Сохранить программу библиотеки с введенными максимумами
+   * План активной программы пересобирается для текущего цикла
+   */
+  async saveLibraryTemplate() {
+    const { libraryId, template } = this.libraryDraft;
+    const trainingMaxes = {};
+    this.element.querySelectorAll('.program-training-max').forEach(input => {
+      trainingMaxes[input.getAttribute('data-lift')] = Number(input.value) || 0;
+    });
+
+    const active = programManager.getActive();
+    const cycle = active && active.templateId === template?.id ? active.cycle : 1;
+    const base = template || programManager.createTemplate();
+    const name = this.element.querySelector('.program-name')?.value?.trim();
+    await programManager.saveTemplate(programLibrary.createTemplate(libraryId, trainingMaxes, {
+      id: base.id,
+      name: name || programLibrary.get(libraryId).name,
+      progression: base.progression
+    }, cycle));
+  }
+
+  /**
+   * Максимумы программы библиотеки для списка: 'Жим лежа 80 · Приседания со штангой 100'
+   */
+  formatTrainingMaxes(template) {
+    return Object.entries(template.trainingMaxes || {})
+      .map(([lift, max]) => `${dom.escapeHTML(programLibrary.getLiftName(lift))} ${max}`)
+      .join(' · ');
+  }
+
+  /**
+   * Открыть шаблон в редакторе (копию: изменения применяются только при сохранении)
+   */
+  edit(template) {
+    if (template.library) {
+      this.libraryDraft = { libraryId: template.library, template };
+      this.renderTrainingMaxes();
+      return;
+    }
+
+    this.draft = { ...template, sessions: template.sessions.map(item => ({ ...item, exercises: [...item.exercises] })) };
+    this.week = 1;
+    this.session = 1;
+    this.renderEditor();
+  }
+
+  /**
+   * Перенести введенные значения редактора в черновик шаблона
+   */
+  syncDraft() {
+    const value = (element, selector) => element.querySelector(selector)?.value?.trim() ?? '';
+    const number = text => (text === '' ? null : Number(text));
+
+    const exercises = Array.from(this.element.querySelectorAll('[data-program-row]')).map(row => ({
+      exercise: value(row, '.program-exercise'),
+      sets: Number(value(row, '.program-sets')) || 1,
+      repsMin: number(value(row, '.program-reps-min')),
+      repsMax: number(value(row, '.program-reps-max')),
+      load: number(value(row, '.program-load'))
+    }));
+
+    this.draft = programManager.setSession({
+      ...this.draft,
+      name: value(this.element, '.program-name'),
+      weeks: Number(value(this.element, '.program-weeks')) || 1,
+      sessionsPerWeek: Number(value(this.element, '.program-sessions')) || 1
+    }, this.week, this.session, exercises);
+  }
+
+  /**
+   * Смена недели, тренировки или размеров цикла в редакторе
+   */
+  handleChange(event) {
+    if (!this.draft || !event.target.matches('.program-week, .program-session, .program-weeks, .program-sessions')) return;
+
+    this.syncDraft();
+    const week = Number(this.element.querySelector('.program-week')?.value) || 1;
+    const session = Number(this.element.querySelector('.program-session')?.value) || 1;
+    this.week = Math.min(week, Math.max(1, this.draft.weeks));
+    this.session = Math.min(session, Math.max(1, this.draft.sessionsPerWeek));
+    this.renderEditor();
+  }
+
+  /**
+   * Обработка кнопок диалога
+   */
+  async handleClick(event) {
+    const button = event.target.closest('[data-program-action]');
+    if (!button) return;
+
+    const template = programManager.getTemplate(button.getAttribute('data-program-id'));
+    try {
+      switch (button.getAttribute('data-program-action')) {
+        case 'new':
+          this.edit(programManager.createTemplate());
+          break;
+        case 'edit':
+          this.edit(template);
+          break;
+        case 'start': {
+          const config = await storage.loadConfig();
+          await programManager.start(template.id, await storage.loadWorkouts(), { firstCycle: config.defaultCycle });
+          this.renderList();
+          break;
+        }
+        case 'add-library':
+          this.libraryDraft = { libraryId: button.getAttribute('data-library-id'), template: null };
+          this.renderTrainingMaxes();
+          break;
+        case 'save-library':
+          await this.saveLibraryTemplate();
+          this.libraryDraft = null;
+          this.renderList();
+          break;
+        case 'stop':
+          await programManager.stop();
+          this.renderList();
+          break;
+        case 'delete':
+          if (confirm(`Удалить программу «${template.name}»?`)) {
+            await programManager.deleteTemplate(template.id);
+            this.renderList();
+          }
+          break;
+        case 'add-exercise': {
+          this.syncDraft();
+          const planned = programManager.getSession(this.draft, this.week, this.session);
+          const [firstGroup] = Object.values(exerciseManager.getAllExercises());
+          const exercise = planned.exercises[planned.exercises.length - 1]?.exercise || firstGroup?.[0] || '';
+          this.draft = programManager.setSession(this.draft, this.week, this.session,
+            [...planned.exercises, { exercise, sets: 3, repsMin: 8, repsMax: 12, load: null }]);
+          this.renderEditor();
+          break;
+        }
+        case 'remove-exercise': {
+          this.syncDraft();
+          const exercises = [...programManager.getSession(this.draft, this.week, this.session).exercises];
+          exercises.splice(Number(button.getAttribute('data-program-index')), 1);
+          this.draft = programManager.setSession(this.draft, this.week, this.session, exercises);
+          this.renderEditor();
+          break;
+        }
+        case 'copy': {
+          const loadStep = Number(this.element.querySelector('.program-load-step')?.value) || 0;
+          this.syncDraft();
+          this.draft = programManager.copySession(this.draft, this.week, this.session, loadStep);
+          this.renderEditor(`План тренировки ${this.session} скопирован на все недели`);
+          break;
+        }
+        case 'save':
+          this.syncDraft();
+          await programManager.saveTemplate(this.draft);
+          this.draft = null;
+          this.renderList();
+          break;
+        case 'back':
+          this.draft = null;
+          this.libraryDraft = null;
+          this.renderList();
+          break;
+        case 'close':
+          this.close();
+          break;
+      }
+    } catch (error) {
+      logger.error('Program action failed:', error);
+      if (this.draft) {
+        this.renderEditor(`Не удалось сохранить программу: ${error.message}`);
+      } else if (this.libraryDraft) {
+        this.renderTrainingMaxes(`Не удалось сохранить программу: ${error.message}`);
+      } else {
+        this.renderList(`Ошибка: ${error.message}`);
+      }
+    }
+  }
+}
+
+// Создаем единственный экземпляр
+export const programDialog = new ProgramDialog();
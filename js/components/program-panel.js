@@ -0,0 +1,139 @@
+/**
+ * Панель программы на странице тренировки
+ *
+ * Показывает активную программу, номер цикла и выполнение плана, заполняет форму
+ * выбранной тренировкой плана (по умолчанию — первой еще не записанной). Когда все тренировки
+ * цикла записаны, начинается следующий цикл (у программ библиотеки — с новыми максимумами).
+ */
+
+import { logger } from '../utils/logger.js';
+import { dom } from '../utils/dom.js';
+import { storage } from '../modules/storage.js';
+import { RECORD_TYPES } from '../modules/schema.js';
+import { programManager } from '../modules/programs.js';
+import { programLibrary } from '../modules/program-library.js';
+import { workoutForm } from './workout-form.js';
+import { programDialog } from './program-dialog.js';
+
+// Отметки тренировок плана в списке
+const STATUS_MARKS = {
+  pending: '',
+  partial: ' ◐',
+  done: ' ✓'
+};
+
+class ProgramPanel {
+  constructor() {
+    this.isInitialized = false;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Подписаться на заполнение формы по плану
+   * @returns {Function} Отписка
+   */
+  onFill(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Инициализация: панель обновляется при изменении программ и тренировок
+   */
+  init() {
+    if (this.isInitialized) return;
+
+    const container = dom.getElement('programPanel');
+    if (!container) return;
+
+    container.addEventListener('click', event => this.handleClick(event));
+    programManager.onChange(() => this.render());
+    storage.onChange(change => {
+      if (change.type === RECORD_TYPES.WORKOUT) this.render();
+    });
+    this.isInitialized = true;
+  }
+
+  /**
+   * Отрисовать панель
+   */
+  async render() {
+    const container = dom.getElement('programPanel');
+    if (!container) return;
+
+    try {
+      const active = programManager.getActive();
+      if (!active) {
+        dom.setContent(container, `<div class="program-summary">Программа не выбрана</div>
+          <div class="program-controls">
+            <button type="button" class="btn-secondary" data-program-action="manage">Программы</button>
+          </div>`, 'html');
+        return;
+      }
+
+      const workouts = await storage.loadWorkouts();
+      // Новый цикл оповещает подписчиков, и панель отрисуется заново
+      if (await programManager.advanceIfComplete(workouts)) return;
+
+      const completion = programManager.getCompletion(workouts, active);
+      const trainingMaxes = Object.entries(active.template.trainingMaxes || {})
+        .map(([lift, max]) => `${dom.escapeHTML(programLibrary.getLiftName(lift))} ${max} кг`)
+        .join(' · ');
+      const options = completion.sessions.map(item =>
+        `<option value="${item.week}:${item.session}" ${item === completion.next ? 'selected' : ''}>Неделя ${item.week} · тренировка ${item.session}${STATUS_MARKS[item.status]}</option>`
+      ).join('');
+
+      dom.setContent(container, `<div class="program-summary">
+          <strong>${dom.escapeHTML(active.template.name)}</strong> · цикл ${active.cycle} ·
+          выполнено ${Math.round(completion.ratio * 100)}% (подходов ${completion.completedSets} из ${completion.plannedSets})
+          ${trainingMaxes ? `<br><small>Тренировочные максимумы: ${trainingMaxes}</small>` : ''}
+        </div>
+        <div class="program-controls">
+          <select class="program-session-select form-control">${options}</select>
+          <button type="button" class="btn-primary" data-program-action="fill">Заполнить по плану</button>
+          <button type="button" class="btn-secondary" data-program-action="manage">Программы</button>
+        </div>`, 'html');
+    } catch (error) {
+      logger.error('Failed to render program panel:', error);
+    }
+  }
+
+  /**
+   * Обработка кнопок панели
+   */
+  handleClick(event) {
+    const button = event.target.closest('[data-program-action]');
+    if (!button) return;
+
+    switch (button.getAttribute('data-program-action')) {
+      case 'manage':
+        programDialog.open();
+        break;
+      case 'fill':
+        this.fill();
+        break;
+    }
+  }
+
+  /**
+   * Заполнить форму выбранной тренировкой плана
+   */
+  fill() {
+    const active = programManager.getActive();
+    const value = dom.getElement('programPanel')?.querySelector('.program-session-select')?.value;
+    if (!active || !value) return;
+
+    const [week, session] = value.split(':').map(Number);
+    workoutForm.loadPlan(active, programManager.getSession(active.template, week, session));
+    this.listeners.forEach(listener => {
+      try {
+        listener({ week, session });
+      } catch (error) {
+        logger.error('Program fill listener failed:', error);
+      }
+    });
+  }
+}
+
+// Создаем единственный экземпляр
+export const programPanel = new ProgramPanel();
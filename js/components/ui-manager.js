@@ -5,11 +5,16 @@
 import { logger } from '../utils/logger.js';
 import { dom } from '../utils/dom.js';
 import { exerciseManager } from '../modules/exercises.js';
+import { EQUIPMENT_TYPES, MOVEMENT_PATTERNS } from '../modules/config.js';
+import { workoutForm } from './workout-form.js';
+import { programPanel } from './program-panel.js';
 
 class UIManager {
   constructor() {
     this.currentPage = 'welcome';
     this.isInitialized = false;
+    // Фильтры каталога, действующие вместе с поиском: группа, оборудование, паттерн движения
+    this.exerciseFilters = { group: null, equipment: null, pattern: null };
   }
 
   /**
@@ -21,6 +26,11 @@ class UIManager {
       
       this.setupNavigation();
       this.setupEventListeners();
+      // Форма, заполненная по плану программы: отмечаем выбранные упражнения
+      programPanel.onFill(() => {
+        this.renderExerciseGrid();
+        this.updateSelectedCounter();
+      });
       this.updateActiveNavigation('welcome');
       
       this.isInitialized = true;
@@ -97,13 +107,30 @@ class UIManager {
     }
 
     // Форма тренировки
-    const workoutForm = dom.getElement('workoutForm');
-    if (workoutForm) {
-      workoutForm.addEventListener('submit', (e) => {
+    const workoutFormElement = dom.getElement('workoutForm');
+    if (workoutFormElement) {
+      workoutFormElement.addEventListener('submit', (e) => {
         e.preventDefault();
         this.saveWorkout();
       });
     }
+
+    // Кнопки формы тренировки вне <form>: сохранение и подход во все упражнения
+    const saveWorkoutBtn = dom.getElement('saveWorkoutBtn');
+    if (saveWorkoutBtn) {
+      saveWorkoutBtn.addEventListener('click', () => this.saveWorkout());
+    }
+
+    const addSetsToAllBtn = dom.getElement('addSetsToAll');
+    if (addSetsToAllBtn) {
+      addSetsToAllBtn.addEventListener('click', () => workoutForm.addSetToAll());
+    }
+
+    // Повтор прошлой тренировки на следующей неделе
+    const repeatWorkoutBtn = dom.getElement('repeatWorkoutBtn');
+    if (repeatWorkoutBtn) {
+      repeatWorkoutBtn.addEventListener('click', () => this.repeatWorkout());
+    }
   }
 
   /**
@@ -133,6 +160,26 @@ class UIManager {
         this.filterByType(e.target.getAttribute('data-filter'));
       });
     });
+
+    // Фильтры по метаданным: оборудование и паттерн движения
+    this.setupMetadataFilter('equipmentFilter', 'equipment', EQUIPMENT_TYPES);
+    this.setupMetadataFilter('patternFilter', 'pattern', MOVEMENT_PATTERNS);
+  }
+
+  /**
+   * Заполнить и подключить фильтр по метаданным упражнения
+   */
+  setupMetadataFilter(elementId, field, options) {
+    const select = dom.getElement(elementId);
+    if (!select) return;
+
+    options.forEach(option => {
+      select.appendChild(dom.createElement('option', { value: option.id }, option.name));
+    });
+    select.addEventListener('change', (e) => {
+      this.exerciseFilters[field] = e.target.value || null;
+      this.filterExercises(dom.getElement('exerciseSearch')?.value || '');
+    });
   }
 
   /**
@@ -212,6 +259,9 @@ class UIManager {
     logger.debug('Initializing main page');
     this.renderExerciseGrid();
     this.updateSelectedCounter();
+    workoutForm.render();
+    programPanel.init();
+    programPanel.render();
   }
 
   /**
@@ -259,13 +309,14 @@ class UIManager {
     } else {
       const success = exerciseManager.selectExercise(exerciseName);
       if (!success) {
-        this.showMessage('Максимальное количество упражнений: 8', 'warning');
+        this.showMessage(`Максимальное количество упражнений: ${exerciseManager.getMaxExercises()}`, 'warning');
         return;
       }
     }
     
     this.renderExerciseGrid();
     this.updateSelectedCounter();
+    workoutForm.render();
   }
 
   /**
@@ -283,17 +334,19 @@ class UIManager {
    * Фильтрация упражнений
    */
   filterExercises(query) {
-    const results = exerciseManager.searchExercises(query);
+    const results = exerciseManager.searchExercises(query, this.exerciseFilters);
     this.renderFilteredExercises(results);
   }
 
   /**
-   * Фильтрация по группе
+   * Фильтрация по группе (повторный выбор группы снимает фильтр)
    */
   filterByGroup(group) {
-    const exercises = exerciseManager.getExercisesByGroup(group);
-    const results = exercises.map(exercise => ({ name: exercise, group }));
-    this.renderFilteredExercises(results);
+    this.exerciseFilters.group = this.exerciseFilters.group === group ? null : group;
+    dom.getElements('.group-btn').forEach(btn => {
+      dom.toggleClass(btn, 'active', btn.getAttribute('data-group') === this.exerciseFilters.group);
+    });
+    this.filterExercises(dom.getElement('exerciseSearch')?.value || '');
   }
 
   /**
@@ -334,12 +387,13 @@ class UIManager {
     const selectedExercises = exerciseManager.getSelectedExercises();
     
     let html = '';
-    exercises.forEach(({ name, group }) => {
+    exercises.forEach(({ name, group, equipment }) => {
       const isSelected = selectedExercises.includes(name);
+      const equipmentName = EQUIPMENT_TYPES.find(type => type.id === equipment)?.name;
       html += `<div class="exercise-item ${isSelected ? 'selected' : ''}" 
         data-exercise="${name}" data-group="${group}">
         <span class="exercise-name">${name}</span>
-        <span class="exercise-group">${group}</span>
+        <span class="exercise-group">${group}${equipmentName ? ` · ${equipmentName}` : ''}</span>
         <button class="select-btn" onclick="uiManager.toggleExercise('${name}')">
           ${isSelected ? '✓' : '+'}
         </button>
@@ -470,17 +524,46 @@ class UIManager {
   /**
    * Сохранение тренировки
    */
-  saveWorkout() {
+  async saveWorkout() {
     try {
       logger.info('Saving workout...');
-      // Здесь будет сохранение тренировки
-      this.showMessage('Тренировка сохранена', 'success');
+      const wasEditing = workoutForm.isEditing();
+      const result = await workoutForm.save();
+
+      if (!result.success) {
+        this.showMessage(result.errors.join('\n'), 'error');
+        return;
+      }
+
+      this.renderExerciseGrid();
+      this.updateSelectedCounter();
+      this.showMessage(wasEditing ? 'Изменения сохранены' : 'Тренировка сохранена', 'success');
     } catch (error) {
       logger.error('Failed to save workout:', error);
       this.showMessage('Ошибка сохранения тренировки', 'error');
     }
   }
 
+  /**
+   * Повторить последнюю тренировку с тем же циклом и номером тренировки на следующей неделе
+   */
+  async repeatWorkout() {
+    try {
+      const copy = await workoutForm.repeatLast();
+      if (!copy) {
+        this.showMessage('Нет прошлой тренировки с этим циклом и номером тренировки', 'warning');
+        return;
+      }
+
+      this.renderExerciseGrid();
+      this.updateSelectedCounter();
+      this.showMessage(`Тренировка повторена: неделя ${copy.week}`, 'success');
+    } catch (error) {
+      logger.error('Failed to repeat workout:', error);
+      this.showMessage('Ошибка повтора тренировки', 'error');
+    }
+  }
+
   /**
    * Показать сообщение
    */
@@ -0,0 +1,762 @@
+/**
+ * Компонент формы ввода тренировки
+ * Хранит подходы выбранных упражнений, открывает существующую тренировку для редактирования.
+ * Поля подхода зависят от способа учета упражнения: вес и повторы, время или дистанция.
+ * Упражнения можно переставлять (перетаскиванием или кнопками) и объединять в блоки: суперсет,
+ * гигантский сет или круговую с числом кругов. Тренировку можно заполнить по плану программы:
+ * тогда она получает programId, а у упражнений показывается план. У добавленного упражнения
+ * показывается рекомендация веса и повторений по прошлым тренировкам (recommendations.js), а подходы
+ * прошлого раза — подсказками в пустых полях. «Повторить прошлую» копирует последнюю тренировку
+ * с тем же циклом и номером тренировки на следующую неделю
+ */
+
+import { logger } from '../utils/logger.js';
+import { dom } from '../utils/dom.js';
+import { validator } from '../utils/validator.js';
+import { storage } from '../modules/storage.js';
+import { exerciseManager } from '../modules/exercises.js';
+import { programManager } from '../modules/programs.js';
+import { recommendationEngine } from '../modules/recommendations.js';
+import { BLOCK_MAX_ROUNDS, BLOCK_TYPES, SET_TYPES, SET_LIMITS } from '../modules/config.js';
+
+class WorkoutForm {
+  constructor() {
+    this.editingId = null;
+    this.setsByExercise = new Map();
+    // Способ учета упражнений открытой тренировки (может отличаться от текущего в каталоге)
+    this.modalities = new Map();
+    // Блоки упражнений: блок по id и id блока по названию упражнения
+    this.blocks = new Map();
+    this.blockIds = new Map();
+    // Перетаскиваемое упражнение
+    this.draggedExercise = null;
+    // Программа тренировки и план упражнений по названию
+    this.programId = null;
+    this.plan = new Map();
+    // По названию упражнения: рекомендация и упражнение из прошлой тренировки { date, exercise }
+    // (null — нет истории); упражнения, для которых история загружается
+    this.recommendations = new Map();
+    this.previous = new Map();
+    this.pendingHistory = new Set();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Инициализация (делегирование кликов по кнопкам подходов)
+   */
+  init() {
+    if (this.isInitialized) return;
+
+    const container = dom.getElement('selectedExercises');
+    if (container) {
+      container.addEventListener('click', (e) => this.handleClick(e));
+      container.addEventListener('change', (e) => this.handleBlockChange(e));
+      container.addEventListener('dragstart', (e) => this.handleDragStart(e));
+      container.addEventListener('dragover', (e) => this.handleDragOver(e));
+      container.addEventListener('drop', (e) => this.handleDrop(e));
+      container.addEventListener('dragend', () => this.handleDragEnd());
+      this.isInitialized = true;
+      this.prefillBodyWeight();
+    }
+  }
+
+  /**
+   * Подставить последний записанный вес тела, если поле пустое
+   */
+  async prefillBodyWeight() {
+    try {
+      const field = dom.getElement('bodyWeight');
+      if (!field || field.value) return;
+
+      const bodyWeight = exerciseManager.getBodyWeight(await storage.loadWorkouts());
+      if (bodyWeight && !field.value) {
+        field.value = bodyWeight;
+      }
+    } catch (error) {
+      logger.warn('Failed to prefill body weight:', error);
+    }
+  }
+
+  /**
+   * Способ учета упражнения формы
+   */
+  getModality(exerciseName) {
+    return exerciseManager.getModality({ exercise: exerciseName, modality: this.modalities.get(exerciseName) });
+  }
+
+  /**
+   * Обработка кликов внутри формы
+   */
+  handleClick(event) {
+    const button = event.target.closest('[data-form-action]');
+    if (!button) return;
+
+    const exerciseName = button.closest('[data-exercise]')?.getAttribute('data-exercise');
+    if (!exerciseName) return;
+
+    this.syncFromDOM();
+
+    switch (button.getAttribute('data-form-action')) {
+      case 'add-set': {
+        const sets = this.getSets(exerciseName);
+        sets.push(exerciseManager.createSet(sets[sets.length - 1]));
+        break;
+      }
+      case 'remove-set':
+        this.getSets(exerciseName).splice(Number(button.getAttribute('data-set-index')), 1);
+        break;
+      case 'move-up':
+        this.moveBy(exerciseName, -1);
+        break;
+      case 'move-down':
+        this.moveBy(exerciseName, 1);
+        break;
+      case 'link-next':
+        this.linkNext(exerciseName);
+        break;
+      case 'unlink':
+        this.blockIds.delete(exerciseName);
+        break;
+      case 'apply-recommendation':
+        this.applyRecommendation(exerciseName);
+        break;
+      case 'copy-previous':
+        this.copyPrevious(exerciseName);
+        break;
+    }
+
+    this.render();
+  }
+
+  /**
+   * Заполнить рабочие подходы упражнения рекомендованным весом и повторениями
+   * Разминочные подходы остаются, рабочих становится столько же, сколько в прошлый раз
+   */
+  applyRecommendation(exerciseName) {
+    const recommendation = this.recommendations.get(exerciseName);
+    if (!recommendation) return;
+
+    const sets = this.getSets(exerciseName);
+    const warmups = sets.filter(set => exerciseManager.isWarmupSet(set));
+    const type = sets.find(set => !exerciseManager.isWarmupSet(set))?.type;
+    const working = Array.from({ length: recommendation.sets }, () => ({
+      ...exerciseManager.createSet(),
+      ...(type ? { type } : {}),
+      weight: recommendation.weight,
+      reps: recommendation.reps
+    }));
+    this.setsByExercise.set(exerciseName, [...warmups, ...working]);
+  }
+
+  /**
+   * Заполнить подходы упражнения значениями прошлого раза
+   */
+  copyPrevious(exerciseName) {
+    const previous = this.previous.get(exerciseName);
+    if (!previous) return;
+
+    this.setsByExercise.set(exerciseName, previous.exercise.sets.map(set => {
+      const copy = { ...exerciseManager.createSet(), type: exerciseManager.getSetType(set).id };
+      ['weight', 'reps', 'duration', 'distance'].filter(field => set[field] !== undefined).forEach(field => {
+        copy[field] = set[field];
+      });
+      return copy;
+    }));
+  }
+
+  /**
+   * Загрузить историю выбранных упражнений, для которых ее еще нет: рекомендацию и прошлый раз.
+   * Нетронутое упражнение (один пустой подход, не по плану) получает столько подходов тех же типов,
+   * сколько было в прошлый раз
+   * @param {string[]} exercises - Названия упражнений
+   */
+  async loadHistory(exercises) {
+    const missing = exercises.filter(name => !this.previous.has(name) && !this.pendingHistory.has(name));
+    if (missing.length === 0) return;
+
+    missing.forEach(name => this.pendingHistory.add(name));
+    try {
+      const workouts = await storage.loadWorkouts();
+      let found = false;
+      this.syncFromDOM();
+      missing.forEach(name => {
+        const planned = this.plan.get(name);
+        const previous = exerciseManager.getPreviousExercise(workouts, name, { excludeId: this.editingId });
+        this.recommendations.set(name, recommendationEngine.recommend(workouts, name, {
+          repsMin: planned?.repsMin,
+          repsMax: planned?.repsMax,
+          excludeId: this.editingId
+        }));
+        this.previous.set(name, previous);
+        if (!previous) return;
+
+        found = true;
+        const sets = this.getSets(name);
+        if (!planned && sets.length === 1 && !exerciseManager.isCompletedSet(sets[0]) && !sets[0].weight) {
+          this.setsByExercise.set(name, previous.exercise.sets.map(set => ({ ...exerciseManager.createSet(), type: exerciseManager.getSetType(set).id })));
+        }
+      });
+      if (found) {
+        this.render();
+      }
+    } catch (error) {
+      logger.warn('Failed to load exercise history:', error);
+    } finally {
+      missing.forEach(name => this.pendingHistory.delete(name));
+    }
+  }
+
+  /**
+   * Повторить последнюю тренировку с циклом и номером тренировки формы на следующей неделе
+   * Копия сохраняется и открывается в форме
+   * @returns {Promise<Object|null>} Новая тренировка или null, если повторять нечего
+   */
+  async repeatLast() {
+    const session = this.getNumberField('session');
+    if (!session) return null;
+
+    const copy = await storage.repeatWorkout({ cycle: this.getNumberField('cycle'), session });
+    if (copy) {
+      this.load(copy);
+      logger.info(`Workout repeated: week ${copy.week}, session ${copy.session}`);
+    }
+    return copy;
+  }
+
+  /**
+   * Переместить упражнение на одну позицию
+   * Упражнение остается в блоке, если рядом с новым местом есть упражнение того же блока
+   */
+  moveBy(exerciseName, offset) {
+    const order = exerciseManager.getSelectedExercises();
+    exerciseManager.moveExercise(exerciseName, order.indexOf(exerciseName) + offset);
+
+    const blockId = this.blockIds.get(exerciseName);
+    const moved = exerciseManager.getSelectedExercises();
+    const index = moved.indexOf(exerciseName);
+    if (blockId && ![moved[index - 1], moved[index + 1]].some(name => name && this.blockIds.get(name) === blockId)) {
+      this.blockIds.delete(exerciseName);
+    }
+  }
+
+  /**
+   * Объединить упражнение со следующим: следующее входит в блок упражнения (или упражнение —
+   * в блок следующего), иначе создается суперсет. Блок из трех и больше упражнений — гигантский сет
+   */
+  linkNext(exerciseName) {
+    const order = exerciseManager.getSelectedExercises();
+    const next = order[order.indexOf(exerciseName) + 1];
+    if (!next) return;
+
+    let blockId = this.blockIds.get(exerciseName) || this.blockIds.get(next);
+    if (!blockId) {
+      const rounds = Math.max(this.getSets(exerciseName).length, this.getSets(next).length);
+      const block = exerciseManager.createBlock('superset', Math.min(rounds, BLOCK_MAX_ROUNDS));
+      this.blocks.set(block.id, block);
+      blockId = block.id;
+    }
+    this.blockIds.set(exerciseName, blockId);
+    this.blockIds.set(next, blockId);
+
+    const block = this.blocks.get(blockId);
+    const members = order.filter(name => this.blockIds.get(name) === blockId).length;
+    if (block.type === 'superset' && members > 2) {
+      this.blocks.set(blockId, { ...block, type: 'giant' });
+    }
+  }
+
+  /**
+   * Смена типа или числа кругов блока
+   * Упражнения блока получают подходы до числа кругов
+   */
+  handleBlockChange(event) {
+    const blockId = event.target.closest('[data-block]')?.getAttribute('data-block');
+    const block = this.blocks.get(blockId);
+    if (!block) return;
+
+    this.syncFromDOM();
+    if (event.target.classList.contains('block-type-input')) {
+      this.blocks.set(blockId, { ...block, type: event.target.value });
+    } else if (event.target.classList.contains('block-rounds-input')) {
+      const rounds = Math.min(Math.max(Math.round(Number(event.target.value)) || 1, 1), BLOCK_MAX_ROUNDS);
+      this.blocks.set(blockId, { ...block, rounds });
+      exerciseManager.getSelectedExercises()
+        .filter(name => this.blockIds.get(name) === blockId)
+        .forEach(name => {
+          const sets = this.getSets(name);
+          while (sets.length < rounds) {
+            sets.push(exerciseManager.createSet(sets[sets.length - 1]));
+          }
+        });
+    } else {
+      return;
+    }
+    this.render();
+  }
+
+  /**
+   * Начало перетаскивания упражнения
+   */
+  handleDragStart(event) {
+    const item = event.target.closest?.('[data-exercise]');
+    if (!item) return;
+
+    this.syncFromDOM();
+    this.draggedExercise = item.getAttribute('data-exercise');
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', this.draggedExercise);
+    item.classList.add('dragging');
+  }
+
+  /**
+   * Разрешить сброс на другое упражнение
+   */
+  handleDragOver(event) {
+    if (this.draggedExercise && event.target.closest('[data-exercise]')) {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+    }
+  }
+
+  /**
+   * Сброс: упражнение встает на место целевого и переходит в его блок (или выходит из блока)
+   */
+  handleDrop(event) {
+    const target = event.target.closest('[data-exercise]')?.getAttribute('data-exercise');
+    const exerciseName = this.draggedExercise;
+    this.draggedExercise = null;
+    if (!exerciseName || !target || target === exerciseName) return;
+
+    event.preventDefault();
+    exerciseManager.moveExercise(exerciseName, exerciseManager.getSelectedExercises().indexOf(target));
+    const blockId = this.blockIds.get(target);
+    if (blockId) {
+      this.blockIds.set(exerciseName, blockId);
+    } else {
+      this.blockIds.delete(exerciseName);
+    }
+    this.render();
+  }
+
+  /**
+   * Конец перетаскивания (в том числе отмененного)
+   */
+  handleDragEnd() {
+    this.draggedExercise = null;
+    dom.getElements('#selectedExercises .dragging').forEach(item => item.classList.remove('dragging'));
+  }
+
+  /**
+   * Согласовать блоки с выбранными упражнениями (exerciseManager.normalizeBlocks)
+   * и восстановить порядок: упражнения блока идут подряд
+   */
+  normalizeBlocks() {
+    const items = exerciseManager.getSelectedExercises().map(name => ({ exercise: name, blockId: this.blockIds.get(name) }));
+    const { exercises, blocks } = exerciseManager.normalizeBlocks(items, Array.from(this.blocks.values()));
+
+    exercises.forEach((item, index) => exerciseManager.moveExercise(item.exercise, index));
+    this.blockIds = new Map(exercises.filter(item => item.blockId).map(item => [item.exercise, item.blockId]));
+    this.blocks = new Map(blocks.map(block => [block.id, block]));
+    return { exercises, blocks };
+  }
+
+  /**
+   * Получить подходы упражнения (создаются при первом обращении)
+   */
+  getSets(exerciseName) {
+    if (!this.setsByExercise.has(exerciseName)) {
+      this.setsByExercise.set(exerciseName, [exerciseManager.createSet()]);
+    }
+    return this.setsByExercise.get(exerciseName);
+  }
+
+  /**
+   * Добавить по подходу во все выбранные упражнения (вес переносится из последнего подхода)
+   */
+  addSetToAll() {
+    this.syncFromDOM();
+    exerciseManager.getSelectedExercises().forEach(name => {
+      const sets = this.getSets(name);
+      sets.push(exerciseManager.createSet(sets[sets.length - 1]));
+    });
+    this.render();
+  }
+
+  /**
+   * Режим редактирования существующей тренировки
+   */
+  isEditing() {
+    return this.editingId !== null;
+  }
+
+  /**
+   * Открыть тренировку в форме
+   * @param {Object} workout - Сохраненная тренировка
+   */
+  load(workout) {
+    try {
+      this.init();
+      this.editingId = workout.id;
+      this.setsByExercise.clear();
+      this.modalities.clear();
+      this.blocks = new Map((workout.blocks || []).map(block => [block.id, { ...block }]));
+      this.blockIds.clear();
+      this.recommendations.clear();
+      this.previous.clear();
+      exerciseManager.clearSelected();
+
+      (workout.exercises || []).forEach(exercise => {
+        exerciseManager.selectExercise(exercise.exercise, { ignoreLimit: true });
+        if (exercise.modality) {
+          this.modalities.set(exercise.exercise, exercise.modality);
+        }
+        if (exercise.blockId) {
+          this.blockIds.set(exercise.exercise, exercise.blockId);
+        }
+        this.setsByExercise.set(
+          exercise.exercise,
+          (exercise.sets || []).map(set => ({ ...set }))
+        );
+      });
+
+      this.setFieldValue('workoutDate', this.toLocalInputValue(workout.date));
+      this.setFieldValue('cycle', workout.cycle ?? '');
+      this.setFieldValue('week', workout.week ?? '');
+      this.setFieldValue('session', workout.session ?? '');
+      this.setFieldValue('bodyWeight', workout.bodyWeight ?? '');
+
+      this.programId = workout.programId || null;
+      const planned = programManager.getSession(programManager.getTemplate(this.programId), workout.week, workout.session);
+      this.plan = new Map(planned.exercises.map(item => [item.exercise, item]));
+
+      this.render();
+      logger.info('Workout loaded into form:', workout.id);
+    } catch (error) {
+      logger.error('Failed to load workout into form:', error);
+    }
+  }
+
+  /**
+   * Сбросить форму к новой тренировке
+   */
+  reset() {
+    this.editingId = null;
+    this.setsByExercise.clear();
+    this.modalities.clear();
+    this.blocks.clear();
+    this.blockIds.clear();
+    this.programId = null;
+    this.plan.clear();
+    this.recommendations.clear();
+    this.previous.clear();
+    exerciseManager.clearSelected();
+
+    this.setFieldValue('workoutDate', this.toLocalInputValue(new Date().toISOString()));
+    this.setFieldValue('cycle', '');
+
+    this.render();
+  }
+
+  /**
+   * Заполнить форму новой тренировкой по плану программы
+   * @param {{templateId: string, cycle: number}} active - Программа и цикл
+   * @param {{week: number, session: number, exercises: Array}} planned - План тренировки
+   */
+  loadPlan(active, planned) {
+    try {
+      this.reset();
+      this.programId = active.templateId;
+      this.plan = new Map(planned.exercises.map(item => [item.exercise, item]));
+      programManager.createPlannedExercises(planned).forEach(exercise => {
+        exerciseManager.selectExercise(exercise.exercise, { ignoreLimit: true });
+        this.setsByExercise.set(exercise.exercise, exercise.sets);
+      });
+
+      this.setFieldValue('cycle', active.cycle);
+      this.setFieldValue('week', planned.week);
+      this.setFieldValue('session', planned.session);
+
+      this.render();
+      logger.info(`Planned session loaded: week ${planned.week}, session ${planned.session}`);
+    } catch (error) {
+      logger.error('Failed to load planned session:', error);
+    }
+  }
+
+  /**
+   * Рендеринг выбранных упражнений с подходами
+   */
+  render() {
+    const container = dom.getElement('selectedExercises');
+    if (!container) return;
+
+    this.init();
+    const selected = exerciseManager.getSelectedExercises();
+
+    // Подходы и блоки отмененных упражнений больше не нужны
+    Array.from(this.setsByExercise.keys())
+      .filter(name => !selected.includes(name))
+      .forEach(name => {
+        this.setsByExercise.delete(name);
+        this.blockIds.delete(name);
+      });
+
+    if (selected.length === 0) {
+      dom.setContent(container, '<p class="no-exercises">Выберите упражнения для тренировки</p>', 'html');
+    } else {
+      const { exercises, blocks } = this.normalizeBlocks();
+      const order = exercises.map(item => item.exercise);
+      const html = exerciseManager.groupExercises(exercises, blocks).map(segment => {
+        const items = segment.exercises.map(item => this.renderExercise(item.exercise, order)).join('');
+        return segment.block ? this.renderBlock(segment.block, items) : items;
+      }).join('');
+      dom.setContent(container, html, 'html');
+      this.loadHistory(selected);
+    }
+
+    const saveBtn = dom.getElement('saveWorkoutBtn');
+    if (saveBtn) {
+      dom.setContent(saveBtn, this.isEditing() ? 'Сохранить изменения' : 'Сохранить тренировку');
+    }
+  }
+
+  /**
+   * Упражнение с подходами и кнопками порядка и объединения в блок
+   * @param {string} name
+   * @param {string[]} order - Упражнения в порядке выполнения
+   */
+  renderExercise(name, order) {
+    const index = order.indexOf(name);
+    const blockId = this.blockIds.get(name);
+    const next = order[index + 1];
+    const canLink = next && (!blockId || this.blockIds.get(next) !== blockId);
+    const planned = this.plan.get(name);
+    const recommendation = this.recommendations.get(name);
+    const previous = this.previous.get(name);
+    const previousSets = exerciseManager.getWorkingSets(previous?.exercise.sets);
+    const safeName = dom.escapeHTML(name);
+
+    return `
+        <div class="selected-exercise-item" data-exercise="${safeName}" draggable="true">
+          <div class="selected-exercise-header">
+            <span class="drag-handle" title="Перетащите, чтобы изменить порядок">⋮⋮</span>
+            <div class="selected-exercise-name">${safeName}</div>
+            <div class="selected-exercise-actions">
+              ${index > 0 ? '<button type="button" data-form-action="move-up" title="Выше">↑</button>' : ''}
+              ${next ? '<button type="button" data-form-action="move-down" title="Ниже">↓</button>' : ''}
+              ${canLink ? '<button type="button" data-form-action="link-next" title="Объединить со следующим в блок">🔗</button>' : ''}
+              ${blockId ? '<button type="button" data-form-action="unlink" title="Убрать из блока">✂</button>' : ''}
+            </div>
+          </div>
+          ${planned ? `<div class="planned-target">План: ${programManager.formatPlanned(planned)}</div>` : ''}
+          ${recommendation ? `<div class="exercise-recommendation recommendation-${recommendation.action}" title="${dom.escapeHTML(recommendation.reason)}">
+              ${recommendationEngine.format(recommendation)}
+              <small>(в прошлый раз ${recommendation.last.weight} кг × ${recommendation.last.reps})</small>
+              <button type="button" class="btn-secondary" data-form-action="apply-recommendation">Применить</button>
+            </div>` : ''}
+          ${previous ? `<div class="previous-sets">
+              Прошлый раз (${new Date(previous.date).toLocaleDateString('ru-RU')}): ${previousSets.map(set => exerciseManager.formatSet(set, this.getModality(name))).join(', ')}
+              <button type="button" class="btn-secondary" data-form-action="copy-previous">Как в прошлый раз</button>
+            </div>` : ''}
+          <div class="selected-exercise-sets">
+            ${this.getSets(name).map((set, setIndex) => this.renderSet(set, setIndex, this.getModality(name), previous?.exercise.sets[setIndex])).join('')}
+          </div>
+          <button type="button" class="btn-secondary add-set-btn" data-form-action="add-set">Добавить подход</button>
+        </div>
+      `;
+  }
+
+  /**
+   * Блок упражнений: тип и число кругов, внутри — упражнения блока
+   */
+  renderBlock(block, content) {
+    const typeOptions = BLOCK_TYPES.map(type =>
+      `<option value="${type.id}" ${type.id === block.type ? 'selected' : ''}>${type.name}</option>`
+    ).join('');
+
+    return `
+      <div class="exercise-block-group" data-block="${block.id}">
+        <div class="exercise-block-header">
+          <select class="block-type-input" title="Тип блока">${typeOptions}</select>
+          <label>Кругов: <input type="number" class="block-rounds-input" min="1" max="${BLOCK_MAX_ROUNDS}" value="${block.rounds}"></label>
+        </div>
+        ${content}
+      </div>
+    `;
+  }
+
+  /**
+   * Строка подхода: основные поля способа учета, тип и необязательные RPE/RIR, темп и заметка
+   * @param {Object} [ghost] - Подход с тем же номером в прошлый раз: его значения — подсказки пустых полей
+   */
+  renderSet(set, index, modality = this.getModality(null), ghost = null) {
+    const type = exerciseManager.getSetType(set).id;
+    const typeOptions = SET_TYPES.map(option =>
+      `<option value="${option.id}" ${option.id === type ? 'selected' : ''}>${option.name}</option>`
+    ).join('');
+
+    return `
+      <div class="set-row ${type === 'warmup' ? 'set-warmup' : ''}" data-set-index="${index}">
+        <span class="em-label">Подход ${index + 1}:</span>
+        <div class="pair">${this.renderSetFields(set, modality, ghost)}</div>
+        <button type="button" class="remove-set" data-form-action="remove-set" data-set-index="${index}">×</button>
+        <div class="set-details">
+          <select class="set-type-input" title="Тип подхода">${typeOptions}</select>
+          <input type="number" placeholder="RPE" min="${SET_LIMITS.RPE_MIN}" max="${SET_LIMITS.RPE_MAX}" step="0.5" class="rpe-input" value="${set.rpe ?? ''}">
+          <input type="number" placeholder="RIR" min="0" max="${SET_LIMITS.RIR_MAX}" class="rir-input" value="${set.rir ?? ''}">
+          <input type="text" placeholder="Темп" class="tempo-input" value="${dom.escapeHTML(set.tempo)}">
+          <input type="text" placeholder="Заметка" maxlength="${SET_LIMITS.NOTE_MAX_LENGTH}" class="note-input" value="${dom.escapeHTML(set.note)}">
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Основные поля подхода по способу учета
+   * Подсказка поля — значение подхода прошлого раза, если оно было
+   */
+  renderSetFields(set, modality, ghost = null) {
+    const hint = (field, label) => (ghost?.[field] ? `${label}: ${field === 'duration' ? exerciseManager.formatDuration(ghost.duration) : ghost[field]}` : label);
+    const reps = `<input type="number" placeholder="${hint('reps', 'Повторы')}" min="1" max="100" class="reps-input" value="${set.reps || ''}">`;
+    const weight = placeholder => `<input type="number" placeholder="${hint('weight', placeholder)}" min="0" max="500" class="weight-input" value="${set.weight || ''}">`;
+    const duration = placeholder => `<input type="text" placeholder="${hint('duration', placeholder)}" class="duration-input" value="${set.duration ? exerciseManager.formatDuration(set.duration) : ''}">`;
+
+    switch (modality.id) {
+      case 'bodyweight':
+        return reps + weight('Отягощение (кг)');
+      case 'assisted':
+        return reps + weight('Помощь (кг)');
+      case 'duration':
+        return duration('Время (м:сс)') + weight('Отягощение (кг)');
+      case 'distance':
+        return `<input type="number" placeholder="${hint('distance', 'Дистанция (км)')}" min="0" step="0.01" class="distance-input" value="${set.distance || ''}">${duration('Время (ч:мм:сс)')}`;
+      default:
+        return reps + weight('Вес (кг)');
+    }
+  }
+
+  /**
+   * Перенести введенные значения из полей в состояние формы
+   */
+  syncFromDOM() {
+    dom.getElements('#selectedExercises [data-exercise]').forEach(item => {
+      const name = item.getAttribute('data-exercise');
+      const modality = this.getModality(name);
+      const sets = Array.from(item.querySelectorAll('.set-row')).map(row => this.readSet(row, modality));
+      this.setsByExercise.set(name, sets);
+    });
+  }
+
+  /**
+   * Подход из строки формы: поля способа учета (modality.fields), пустые необязательные поля не сохраняются
+   */
+  readSet(row, modality = this.getModality(null)) {
+    const value = selector => row.querySelector(selector)?.value?.trim() || '';
+    const readers = {
+      weight: () => Number(value('.weight-input')) || 0,
+      reps: () => Number(value('.reps-input')) || 0,
+      duration: () => exerciseManager.parseDuration(value('.duration-input')),
+      distance: () => Number(value('.distance-input')) || 0
+    };
+    const set = {};
+    modality.fields.forEach(field => {
+      set[field] = readers[field]();
+    });
+    set.type = value('.set-type-input') || exerciseManager.getSetType(null).id;
+
+    if (value('.rpe-input')) set.rpe = Number(value('.rpe-input'));
+    if (value('.rir-input')) set.rir = Number(value('.rir-input'));
+    if (value('.tempo-input')) set.tempo = value('.tempo-input').toUpperCase();
+    if (value('.note-input')) set.note = value('.note-input');
+    return set;
+  }
+
+  /**
+   * Собрать тренировку из формы
+   */
+  collect() {
+    this.syncFromDOM();
+
+    const dateValue = dom.getElement('workoutDate')?.value;
+    const { exercises, blocks } = this.normalizeBlocks();
+
+    return {
+      date: dateValue ? new Date(dateValue).toISOString() : new Date().toISOString(),
+      cycle: this.getNumberField('cycle'),
+      week: this.getNumberField('week'),
+      session: this.getNumberField('session'),
+      bodyWeight: this.getNumberField('bodyWeight'),
+      ...(this.programId ? { programId: this.programId } : {}),
+      blocks,
+      exercises: exercises.map(({ exercise: name, blockId }) => ({
+        exerciseId: exerciseManager.getExerciseId(name),
+        exercise: name,
+        group: exerciseManager.getExerciseGroup(name),
+        modality: this.getModality(name).id,
+        ...(blockId ? { blockId } : {}),
+        sets: this.getSets(name).filter(set => exerciseManager.isCompletedSet(set))
+      }))
+    };
+  }
+
+  /**
+   * Сохранить тренировку: новую или отредактированную
+   * @returns {Promise<{success: boolean, errors: string[]}>}
+   */
+  async save() {
+    const workout = this.collect();
+    const validation = validator.validateWorkout(workout, { maxExercises: exerciseManager.getMaxExercises() });
+    if (!validation.isValid) {
+      logger.warn('Workout validation failed:', validation.errors);
+      return { success: false, errors: validation.errors };
+    }
+
+    const saved = this.isEditing()
+      ? await storage.updateWorkout(this.editingId, workout)
+      : await storage.addWorkout(workout);
+
+    if (!saved) {
+      return { success: false, errors: ['Не удалось сохранить тренировку'] };
+    }
+
+    logger.success(this.isEditing() ? 'Workout updated' : 'Workout saved');
+    this.reset();
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * Числовое значение поля или null
+   */
+  getNumberField(id) {
+    const value = dom.getElement(id)?.value;
+    return value ? Number(value) : null;
+  }
+
+  /**
+   * Установить значение поля формы
+   * В списке (неделя, тренировка) недостающее значение добавляется: в программе их может быть больше
+   */
+  setFieldValue(id, value) {
+    const element = dom.getElement(id);
+    if (!element) return;
+
+    if (element.tagName === 'SELECT' && value !== '' &&
+      !Array.from(element.options).some(option => option.value === String(value))) {
+      element.appendChild(dom.createElement('option', { value: String(value), textContent: String(value) }));
+    }
+    element.value = value;
+  }
+
+  /**
+   * ISO-дата -> значение для input[type=datetime-local]
+   */
+  toLocalInputValue(isoDate) {
+    const date = new Date(isoDate);
+    if (isNaN(date)) return '';
+    const offset = date.getTimezoneOffset() * 60000;
+    return new Date(date - offset).toISOString().slice(0, 16);
+  }
+}
+
+// Создаем единственный экземпляр
+export const workoutForm = new WorkoutForm();
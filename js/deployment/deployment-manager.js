@@ -412,8 +412,8 @@ class DeploymentManager {
     
     // Тестируем базовые операции
     const testData = { test: 'data' };
-    window.storage.saveConfig(testData);
-    const loadedData = window.storage.loadConfig();
+    await window.storage.saveConfig(testData);
+    const loadedData = await window.storage.loadConfig();
     
     if (!loadedData.test) {
       throw new Error('Модуль хранилища не работает корректно');
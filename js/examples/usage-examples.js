@@ -10,6 +10,7 @@
 import { storage } from '../modules/storage.js';
 import { exerciseManager } from '../modules/exercises.js';
 import { yandexAPI } from '../modules/yandex-api.js';
+import { syncEngine } from '../modules/sync-engine.js';
 import { aiService } from '../modules/ai-service.js';
 import { historyManager } from '../modules/history-manager.js';
 import { settingsManager } from '../modules/settings-manager.js';
@@ -22,12 +23,12 @@ import { dom } from '../utils/dom.js';
 /**
  * Пример 1: Работа с хранилищем данных
  */
-function storageExample() {
+async function storageExample() {
   console.log('=== Пример работы с хранилищем ===');
   
   // Загрузка данных
-  const workouts = storage.loadWorkouts();
-  const config = storage.loadConfig();
+  const workouts = await storage.loadWorkouts();
+  const config = await storage.loadConfig();
   
   console.log('Загружено тренировок:', workouts.length);
   console.log('Текущая конфигурация:', config);
@@ -47,7 +48,7 @@ function storageExample() {
     ]
   };
   
-  storage.addWorkout(newWorkout);
+  await storage.addWorkout(newWorkout);
   console.log('Тренировка сохранена');
 }
 
@@ -92,9 +93,9 @@ async function yandexAPIExample() {
     const userInfo = await yandexAPI.getUserInfo();
     console.log('Информация о пользователе:', userInfo);
     
-    // Синхронизация данных
-    await yandexAPI.syncData();
-    console.log('Данные синхронизированы');
+    // Синхронизация данных: скачивание -> слияние -> загрузка
+    const result = await syncEngine.sync({ token });
+    console.log('Данные синхронизированы:', result);
     
   } catch (error) {
     console.error('Ошибка работы с Yandex.Disk:', error);
@@ -129,14 +130,14 @@ async function aiServiceExample() {
 /**
  * Пример 5: Работа с историей тренировок
  */
-function historyExample() {
+async function historyExample() {
   console.log('=== Пример работы с историей ===');
   
   // Инициализация
-  historyManager.init();
+  await historyManager.init();
   
   // Загрузка данных истории
-  const historyData = historyManager.loadHistoryData();
+  const historyData = await historyManager.loadHistoryData();
   console.log('Данные истории загружены');
   
   // Рендеринг тренировок
@@ -147,11 +148,11 @@ function historyExample() {
 /**
  * Пример 6: Работа с настройками
  */
-function settingsExample() {
+async function settingsExample() {
   console.log('=== Пример работы с настройками ===');
   
   // Инициализация
-  settingsManager.init();
+  await settingsManager.init();
   
   // Сохранение настроек
   const newSettings = {
@@ -160,18 +161,18 @@ function settingsExample() {
     theme: 'light'
   };
   
-  settingsManager.saveSettings(newSettings);
+  await settingsManager.saveSettings(newSettings);
   console.log('Настройки сохранены');
 }
 
 /**
  * Пример 7: Работа с анализом тела
  */
-function bodyAnalysisExample() {
+async function bodyAnalysisExample() {
   console.log('=== Пример работы с анализом тела ===');
   
   // Инициализация
-  bodyAnalysisManager.init();
+  await bodyAnalysisManager.init();
   
   // Симуляция загрузки фото
   const mockFile = new File([''], 'photo.jpg', { type: 'image/jpeg' });
@@ -183,18 +184,18 @@ function bodyAnalysisExample() {
 /**
  * Пример 8: Работа с прогрессом
  */
-function progressExample() {
+async function progressExample() {
   console.log('=== Пример работы с прогрессом ===');
   
   // Инициализация
-  progressManager.init();
+  await progressManager.init();
   
   // Заполнение списка упражнений
-  progressManager.populateExerciseSelect();
+  await progressManager.populateExerciseSelect();
   
   // Установка упражнения для отслеживания
   progressManager.currentExercise = 'Жим лежа';
-  progressManager.updateProgressDisplay();
+  await progressManager.updateProgressDisplay();
   
   console.log('Прогресс инициализирован');
 }
@@ -264,20 +265,20 @@ async function complexWorkoutExample() {
     }
     
     // 4. Сохранение
-    storage.addWorkout(workout);
+    await storage.addWorkout(workout);
     logger.success('Тренировка создана и сохранена');
     
     // 5. Синхронизация с Yandex.Disk (если доступно)
     if (yandexAPI.isAuthenticated) {
-      await yandexAPI.syncData();
+      await syncEngine.sync();
       logger.success('Тренировка синхронизирована с Yandex.Disk');
     }
     
     // 6. Обновление истории
-    historyManager.loadHistoryData();
+    await historyManager.loadHistoryData();
     
     // 7. Обновление прогресса
-    progressManager.updateProgressDisplay();
+    await progressManager.updateProgressDisplay();
     
     console.log('Тренировка успешно создана!');
     
@@ -289,17 +290,17 @@ async function complexWorkoutExample() {
 /**
  * Запуск всех примеров
  */
-function runAllExamples() {
+async function runAllExamples() {
   console.log('🚀 Запуск примеров использования модулей MyFitness App');
   console.log('==================================================');
   
   // Базовые примеры
-  storageExample();
+  await storageExample();
   exercisesExample();
-  historyExample();
-  settingsExample();
-  bodyAnalysisExample();
-  progressExample();
+  await historyExample();
+  await settingsExample();
+  await bodyAnalysisExample();
+  await progressExample();
   utilsExample();
   
   // Асинхронные примеры (требуют настройки)
@@ -307,7 +308,7 @@ function runAllExamples() {
   // aiServiceExample();
   
   // Комплексный пример
-  complexWorkoutExample();
+  await complexWorkoutExample();
   
   console.log('==================================================');
   console.log('✅ Все примеры выполнены');
@@ -3,7 +3,10 @@
  */
 
 import { logger } from '../utils/logger.js';
-import { API_CONFIG, BODY_ANALYSIS_PROMPTS } from './config.js';
+import { API_CONFIG, HTTP_CONFIG, BODY_ANALYSIS_PROMPTS } from './config.js';
+import { httpClient } from './http-client.js';
+
+const SERVICE_ID = 'huggingface';
 
 class AIService {
   constructor() {
@@ -21,6 +24,18 @@ class AIService {
     logger.info('AIService initialized with API key');
   }
 
+  /**
+   * Запрос к Hugging Face с API ключом через общий HTTP-клиент
+   * @throws {HttpError} Типизированная ошибка (AuthError — неверный ключ, QuotaError — лимит запросов)
+   */
+  request(url, options = {}) {
+    return httpClient.request(url, {
+      ...options,
+      service: SERVICE_ID,
+      headers: { ...options.headers, 'Authorization': `Bearer ${this.apiKey}` }
+    });
+  }
+
   /**
    * Проверить подключение к Hugging Face
    */
@@ -32,26 +47,13 @@ class AIService {
     try {
       logger.api('GET', 'Hugging Face connection test');
       
-      const response = await fetch('https://huggingface.co/api/whoami', {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`
-        }
-      });
-
-      if (response.ok) {
-        const userInfo = await response.json();
-        logger.success('Hugging Face connection successful:', userInfo);
-        return { 
-          success: true, 
-          message: `Подключение успешно! Пользователь: ${userInfo.name || 'Unknown'}` 
-        };
-      } else {
-        logger.warn('Hugging Face connection failed:', response.status);
-        return { 
-          success: false, 
-          message: `Ошибка подключения: HTTP ${response.status}` 
-        };
-      }
+      const response = await this.request('https://huggingface.co/api/whoami');
+      const userInfo = await response.json();
+      logger.success('Hugging Face connection successful:', userInfo);
+      return { 
+        success: true, 
+        message: `Подключение успешно! Пользователь: ${userInfo.name || 'Unknown'}` 
+      };
     } catch (error) {
       logger.error('Hugging Face connection test failed:', error);
       return { 
@@ -150,18 +152,12 @@ class AIService {
       formData.append('file', imageBlob, 'body_image.jpg');
       formData.append('inputs', prompt);
 
-      const response = await fetch(`${API_CONFIG.HUGGING_FACE_BASE_URL}${this.model}`, {
+      const response = await this.request(`${API_CONFIG.HUGGING_FACE_BASE_URL}${this.model}`, {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: formData
+        body: formData,
+        timeout: HTTP_CONFIG.TRANSFER_TIMEOUT_MS
       });
 
-      if (!response.ok) {
-        throw new Error(`AI request failed: HTTP ${response.status}`);
-      }
-
       const result = await response.json();
       logger.success('AI request completed');
       return result;
@@ -301,16 +297,7 @@ class AIService {
     try {
       logger.api('GET', 'Model info request');
       
-      const response = await fetch(`${API_CONFIG.HUGGING_FACE_BASE_URL}${this.model}`, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to get model info: HTTP ${response.status}`);
-      }
-
+      const response = await this.request(`${API_CONFIG.HUGGING_FACE_BASE_URL}${this.model}`);
       const modelInfo = await response.json();
       logger.success('Model info retrieved');
       return modelInfo;
@@ -0,0 +1,121 @@
+/**
+ * Модуль фоновой синхронизации (сторона страницы)
+ *
+ * Регистрирует задачи Background Sync / Periodic Background Sync в service worker
+ * (sync-service-worker.js) и передает результаты фоновой синхронизации подписчикам syncEngine,
+ * чтобы открытые вкладки обновили историю, прогресс и очередь изменений.
+ * Ошибка авторизации в service worker передается в syncProviders.reportAuthError, как на странице.
+ */
+
+import { logger } from '../utils/logger.js';
+import { BACKGROUND_SYNC_CONFIG } from './config.js';
+import { syncEngine } from './sync-engine.js';
+import { syncProviders } from './sync-provider.js';
+import { AuthError } from './http-client.js';
+
+class BackgroundSync {
+  constructor(engine = syncEngine) {
+    this.engine = engine;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Проверить поддержку service worker
+   */
+  isSupported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+  }
+
+  /**
+   * Инициализация: прием сообщений от service worker
+   */
+  init() {
+    if (this.isInitialized || !this.isSupported()) return false;
+
+    navigator.serviceWorker.addEventListener('message', event => this.handleMessage(event.data));
+    this.isInitialized = true;
+    return true;
+  }
+
+  /**
+   * Результат синхронизации, выполненной service worker
+   */
+  handleMessage(data) {
+    if (!data || data.type !== BACKGROUND_SYNC_CONFIG.MESSAGE_TYPE) return;
+
+    if (data.authError) {
+      const { provider, reason, status } = data.authError;
+      syncProviders.reportAuthError(new AuthError(provider, reason, status));
+      return;
+    }
+    if (data.error) {
+      logger.warn(`Background sync (${data.trigger}) failed:`, data.error);
+      return;
+    }
+
+    logger.info(`Background sync (${data.trigger}) completed`);
+    this.engine.lastResult = data.result;
+    this.engine.notify(data.result);
+  }
+
+  /**
+   * Регистрация service worker (без ожидания, если он еще не установлен)
+   */
+  async getRegistration() {
+    if (!this.isSupported()) return null;
+    return (await navigator.serviceWorker.getRegistration()) || null;
+  }
+
+  /**
+   * Попросить браузер синхронизировать, когда появится сеть (даже если вкладка будет закрыта)
+   * @returns {Promise<boolean>} Задача зарегистрирована
+   */
+  async requestSync() {
+    try {
+      const registration = await this.getRegistration();
+      if (!registration || !registration.sync) return false;
+
+      await registration.sync.register(BACKGROUND_SYNC_CONFIG.SYNC_TAG);
+      logger.debug('Background sync requested');
+      return true;
+    } catch (error) {
+      logger.warn('Failed to request background sync:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Периодическая синхронизация по настройкам autoSync/syncInterval (минуты)
+   * Браузер сам решает, как часто ее запускать, и разрешает ее только установленному приложению
+   * @returns {Promise<boolean>} Задача зарегистрирована
+   */
+  async schedulePeriodicSync(config) {
+    try {
+      const registration = await this.getRegistration();
+      if (!registration || !registration.periodicSync) return false;
+
+      if (!config.autoSync || !this.engine.isConfigured(config) || !(config.syncInterval > 0)) {
+        await registration.periodicSync.unregister(BACKGROUND_SYNC_CONFIG.PERIODIC_SYNC_TAG);
+        return false;
+      }
+
+      const permission = await navigator.permissions.query({ name: 'periodic-background-sync' });
+      if (permission.state !== 'granted') {
+        logger.debug('Periodic background sync is not permitted');
+        return false;
+      }
+
+      await registration.periodicSync.register(BACKGROUND_SYNC_CONFIG.PERIODIC_SYNC_TAG, {
+        minInterval: config.syncInterval * 60 * 1000
+      });
+      logger.info(`Periodic background sync every ${config.syncInterval} min`);
+      return true;
+    } catch (error) {
+      logger.warn('Failed to schedule periodic background sync:', error.message);
+      return false;
+    }
+  }
+}
+
+// Создаем единственный экземпляр
+export const backgroundSync = new BackgroundSync();
@@ -0,0 +1,292 @@
+/**
+ * Модуль резервных копий в облаке
+ *
+ * Копия — полный документ данных (только действующие записи) в папке backups рядом с файлом
+ * синхронизации: /MyFitness/backups/backup-YYYY-MM-DD.json, не больше одной в день. Копию создает
+ * syncEngine после успешной синхронизации, если пришло время (BACKUP_CONFIG.INTERVAL_HOURS); после
+ * записи лишние копии удаляются по политике хранения config.backupRetention: остается последняя
+ * копия каждого из N последних дней, недель и месяцев. Включенное шифрование распространяется и на копии.
+ *
+ * Восстановление: список копий со сводкой, сравнение с локальными данными и восстановление
+ * всех или выбранных записей (storage.restoreRecords).
+ */
+
+import { logger } from '../utils/logger.js';
+import { BACKUP_CONFIG, DEFAULT_CONFIG, SCHEMA_VERSION } from './config.js';
+import { RECORD_TYPES, schema } from './schema.js';
+import { storage } from './storage.js';
+import { tombstones } from './tombstones.js';
+import { encryption } from './encryption.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const NAME_PATTERN = new RegExp(`^${BACKUP_CONFIG.FILE_PREFIX}(\\d{4}-\\d{2}-\\d{2})\\.json$`);
+
+// Коллекции копии: тип записи и поле с датой для сводки
+const COLLECTIONS = {
+  workouts: { type: RECORD_TYPES.WORKOUT, dateField: 'date' },
+  bodyAnalyses: { type: RECORD_TYPES.BODY_ANALYSIS, dateField: 'timestamp' }
+};
+
+// Служебные поля: их отличие не считается изменением записи
+const META_FIELDS = ['updatedAt', 'deviceId', 'schemaVersion', 'seenBy'];
+
+class BackupManager {
+  constructor(store = storage) {
+    this.store = store;
+  }
+
+  /**
+   * Папка копий рядом с файлом синхронизации
+   */
+  getFolder(path) {
+    return `${path.split('/').slice(0, -1).join('/')}/${BACKUP_CONFIG.FOLDER}`;
+  }
+
+  /**
+   * Имя файла копии за день (UTC)
+   */
+  getName(date = new Date()) {
+    return `${BACKUP_CONFIG.FILE_PREFIX}${date.toISOString().slice(0, 10)}.json`;
+  }
+
+  /**
+   * Дата копии по имени файла
+   * @returns {string|null} 'YYYY-MM-DD' или null, если это не файл копии
+   */
+  parseName(name) {
+    return name.match(NAME_PATTERN)?.[1] || null;
+  }
+
+  /**
+   * Пора ли создать копию
+   * @param {Object|null} state - Сохраненное состояние ({ target, lastBackupAt })
+   * @param {Object} config
+   * @param {string} target - Провайдер и путь: при их смене копия создается сразу
+   */
+  isDue(state, config, target, now = Date.now()) {
+    if (config.backupEnabled === false) return false;
+    if (!state || state.target !== target || !state.lastBackupAt) return true;
+    return now - Date.parse(state.lastBackupAt) >= BACKUP_CONFIG.INTERVAL_HOURS * HOUR_MS;
+  }
+
+  /**
+   * Документ копии: действующие записи без надгробий
+   */
+  createDocument(data, deviceId, now = new Date()) {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      createdAt: now.toISOString(),
+      deviceId,
+      workouts: tombstones.live(data.workouts),
+      bodyAnalyses: tombstones.live(data.bodyAnalyses),
+      exercises: tombstones.live(data.exercises),
+      programs: tombstones.live(data.programs),
+      recentExercises: data.recentExercises || []
+    };
+  }
+
+  /**
+   * Сводка копии для списка
+   * @returns {{workouts: number, bodyAnalyses: number, from: string|null, to: string|null}}
+   */
+  summarize(document) {
+    const dates = [];
+    const summary = { workouts: 0, bodyAnalyses: 0, from: null, to: null };
+    Object.entries(COLLECTIONS).forEach(([collection, { dateField }]) => {
+      const records = tombstones.live(document?.[collection]);
+      summary[collection] = records.length;
+      records.forEach(record => {
+        if (record[dateField]) dates.push(record[dateField]);
+      });
+    });
+
+    dates.sort();
+    summary.from = dates[0] || null;
+    summary.to = dates[dates.length - 1] || null;
+    return summary;
+  }
+
+  /**
+   * Записать копию (копия за тот же день перезаписывается)
+   * @returns {Promise<{name: string, path: string}>}
+   */
+  async create(provider, path, data, deviceId, now = new Date()) {
+    const name = this.getName(now);
+    const backupPath = `${this.getFolder(path)}/${name}`;
+    await provider.write(backupPath, await encryption.encryptDocument(this.createDocument(data, deviceId, now)));
+    logger.success('Backup created:', backupPath);
+    return { name, path: backupPath };
+  }
+
+  /**
+   * Файлы копий в облаке (без чтения содержимого), новые первыми
+   * @returns {Promise<Array<{name: string, path: string, date: string}>>}
+   */
+  async listFiles(provider, path) {
+    const files = await provider.list(this.getFolder(path));
+    return files
+      .filter(file => !file.isDirectory)
+      .map(file => ({ name: file.name, path: file.path, date: this.parseName(file.name) }))
+      .filter(file => file.date)
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  /**
+   * Копии, которые политика хранения не оставляет
+   * Остается последняя копия каждого из retention.daily дней, retention.weekly недель
+   * и retention.monthly месяцев, а также самая новая копия
+   * @param {Array<{name: string, date: string}>} backups
+   * @param {{daily: number, weekly: number, monthly: number}} [retention]
+   */
+  selectForRemoval(backups, retention = DEFAULT_CONFIG.backupRetention) {
+    const sorted = [...backups].sort((a, b) => b.date.localeCompare(a.date));
+    const keep = new Set(sorted.slice(0, 1).map(backup => backup.name));
+
+    const keepLatestPerPeriod = (count, periodOf) => {
+      const periods = new Set();
+      for (const backup of sorted) {
+        const period = periodOf(backup.date);
+        if (periods.has(period)) continue;
+        if (periods.size >= count) break;
+        periods.add(period);
+        keep.add(backup.name);
+      }
+    };
+    keepLatestPerPeriod(retention.daily || 0, date => date);
+    keepLatestPerPeriod(retention.weekly || 0, date => this.getWeekStart(date));
+    keepLatestPerPeriod(retention.monthly || 0, date => date.slice(0, 7));
+
+    return sorted.filter(backup => !keep.has(backup.name));
+  }
+
+  /**
+   * Понедельник недели, в которую попадает дата
+   */
+  getWeekStart(date) {
+    const day = new Date(`${date}T00:00:00Z`);
+    const offset = (day.getUTCDay() + 6) % 7;
+    return new Date(day.getTime() - offset * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Удалить копии по политике хранения
+   * @returns {Promise<number>} Сколько копий удалено
+   */
+  async rotate(provider, path, retention) {
+    const expired = this.selectForRemoval(await this.listFiles(provider, path), retention);
+    for (const backup of expired) {
+      await provider.remove(backup.path);
+    }
+    if (expired.length > 0) {
+      logger.info(`Removed ${expired.length} old backups`);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Прочитать копию (расшифровка и миграция схемы)
+   * @returns {Promise<Object|null>} null, если файла нет
+   */
+  async read(provider, backupPath) {
+    const data = await provider.read(backupPath);
+    return data ? schema.migrateDocument(await encryption.decryptDocument(data)) : null;
+  }
+
+  /**
+   * Копии со сводкой (число записей и диапазон дат)
+   * Копия, которую не удалось прочитать, остается в списке с ошибкой
+   */
+  async list(provider, path) {
+    const files = await this.listFiles(provider, path);
+    return Promise.all(files.map(async file => {
+      try {
+        return { ...file, summary: this.summarize(await this.read(provider, file.path)) };
+      } catch (error) {
+        logger.warn(`Failed to read backup ${file.name}:`, error.message);
+        return { ...file, summary: null, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Сравнить копию с локальными данными
+   * missing — записи нет (или она удалена) на устройстве, changed — запись отличается.
+   * Записи, которых нет в копии, восстановление не затрагивает (localOnly)
+   * @returns {{items: Array<{key: string, type: string, collection: string, status: 'missing'|'changed', backup: Object, local: Object|null}>, unchanged: number, localOnly: number}}
+   */
+  diff(backup, local) {
+    const result = { items: [], unchanged: 0, localOnly: 0 };
+
+    Object.entries(COLLECTIONS).forEach(([collection, { type }]) => {
+      const localById = new Map(tombstones.live(local[collection]).map(record => [record.id, record]));
+      const backupIds = new Set();
+
+      tombstones.live(backup[collection]).forEach(record => {
+        backupIds.add(record.id);
+        const current = localById.get(record.id) || null;
+        if (current && this.isSameRecord(record, current)) {
+          result.unchanged++;
+          return;
+        }
+        result.items.push({ key: `${type}:${record.id}`, type, collection, status: current ? 'changed' : 'missing', backup: record, local: current });
+      });
+
+      localById.forEach((record, id) => {
+        if (!backupIds.has(id)) result.localOnly++;
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Совпадают ли версии записи без учета служебных полей
+   */
+  isSameRecord(a, b) {
+    return this.canonical(a) === this.canonical(b);
+  }
+
+  /**
+   * JSON с упорядоченными ключами (без служебных полей верхнего уровня)
+   */
+  canonical(value, isRoot = true) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonical(item, false)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value)
+        .filter(key => value[key] !== undefined && !(isRoot && META_FIELDS.includes(key)))
+        .sort();
+      return `{${keys.map(key => `${JSON.stringify(key)}:${this.canonical(value[key], false)}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Восстановить записи из копии
+   * @param {Object} backup - Документ копии (read)
+   * @param {string[]|null} [keys] - Ключи записей из diff ('workout:<id>'); null — все отличающиеся
+   * @returns {Promise<{workouts: number, bodyAnalyses: number}>} Сколько записей восстановлено
+   */
+  async restore(backup, keys = null) {
+    const local = {
+      workouts: await this.store.loadWorkouts(),
+      bodyAnalyses: await this.store.loadBodyAnalyses()
+    };
+    const records = { workouts: [], bodyAnalyses: [] };
+    this.diff(backup, local).items
+      .filter(item => !keys || keys.includes(item.key))
+      .forEach(item => records[item.collection].push(item.backup));
+
+    if (!(await this.store.restoreRecords(records))) {
+      throw new Error('Failed to restore records from backup');
+    }
+
+    logger.success(`Restored from backup: ${records.workouts.length} workouts, ${records.bodyAnalyses.length} body analyses`);
+    return { workouts: records.workouts.length, bodyAnalyses: records.bodyAnalyses.length };
+  }
+}
+
+// Создаем единственный экземпляр
+export const backupManager = new BackupManager();
@@ -6,7 +6,8 @@ import { logger } from '../utils/logger.js';
 import { storage } from './storage.js';
 import { dom } from '../utils/dom.js';
 import { aiService } from './ai-service.js';
-import { yandexAPI } from './yandex-api.js';
+import { syncEngine } from './sync-engine.js';
+import { encryption } from './encryption.js';
 import { validator } from '../utils/validator.js';
 
 class BodyAnalysisManager {
@@ -19,13 +20,13 @@ class BodyAnalysisManager {
   /**
    * Инициализация менеджера анализа тела
    */
-  init() {
+  async init() {
     try {
       logger.info('Initializing body analysis manager...');
       
       this.setupEventListeners();
-      this.loadAnalysisHistory();
-      this.updateProgressCharts();
+      await this.loadAnalysisHistory();
+      await this.updateProgressCharts();
       
       this.isInitialized = true;
       logger.success('Body analysis manager initialized');
@@ -344,24 +345,25 @@ class BodyAnalysisManager {
 
       this.showAnalysisStatus('Сохранение анализа...', 'info');
       
-      // Сохраняем локально
-      this.saveAnalysisToLocal(this.currentAnalysis);
+      // Сохраняем локально вместе с фото
+      await this.saveAnalysisToLocal(this.currentAnalysis, this.currentPhoto);
       
-      // Сохраняем фото в Yandex.Disk если подключен
-      if (this.currentPhoto && yandexAPI.isAuthenticated) {
+      // Сохраняем фото и анализ у провайдера синхронизации, если он настроен
+      if (this.currentPhoto && syncEngine.isConfigured(await storage.loadConfig())) {
         try {
-          await this.savePhotoToYandex(this.currentPhoto);
-          await this.saveAnalysisToYandex(this.currentAnalysis);
+          const { provider } = await syncEngine.connectProvider({});
+          await this.savePhotoToCloud(provider, this.currentPhoto);
+          await this.saveAnalysisToCloud(provider, this.currentAnalysis);
         } catch (error) {
-          logger.warn('Failed to save to Yandex.Disk:', error);
+          logger.warn('Failed to save to cloud:', error);
         }
       }
 
       this.showAnalysisStatus('Анализ сохранен успешно', 'success');
       
       // Обновляем историю и графики
-      this.loadAnalysisHistory();
-      this.updateProgressCharts();
+      await this.loadAnalysisHistory();
+      await this.updateProgressCharts();
       
       logger.success('Analysis saved');
     } catch (error) {
@@ -371,9 +373,10 @@ class BodyAnalysisManager {
   }
 
   /**
-   * Сохранение фото в Yandex.Disk
+   * Сохранение фото у провайдера синхронизации (config.syncProvider)
+   * @param {SyncProvider} provider - Подключенный провайдер
    */
-  async savePhotoToYandex(photo) {
+  async savePhotoToCloud(provider, photo) {
     try {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       const photoPath = `/MyFitness/photos/body_photo_${timestamp}.jpg`;
@@ -382,29 +385,33 @@ class BodyAnalysisManager {
       const response = await fetch(photo);
       const blob = await response.blob();
       
-      await yandexAPI.uploadFile(photoPath, blob, 'image/jpeg');
+      // При включенном шифровании загружается зашифрованный конверт (photoPath + '.enc')
+      const upload = await encryption.prepareUpload(provider, photoPath, blob, 'image/jpeg');
+      await provider.writeBinary(upload.path, upload.data, upload.contentType);
       
-      logger.success('Photo saved to Yandex.Disk');
+      logger.success(`Photo saved to ${provider.name}`);
     } catch (error) {
-      logger.error('Failed to save photo to Yandex.Disk:', error);
+      logger.error(`Failed to save photo to ${provider.name}:`, error);
       throw error;
     }
   }
 
   /**
-   * Сохранение анализа в Yandex.Disk
+   * Сохранение анализа у провайдера синхронизации (config.syncProvider)
+   * @param {SyncProvider} provider - Подключенный провайдер
    */
-  async saveAnalysisToYandex(analysis) {
+  async saveAnalysisToCloud(provider, analysis) {
     try {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       const analysisPath = `/MyFitness/analyses/body_analysis_${timestamp}.json`;
       
       const analysisData = JSON.stringify(analysis, null, 2);
-      await yandexAPI.uploadFile(analysisPath, analysisData, 'application/json');
+      const upload = await encryption.prepareUpload(provider, analysisPath, analysisData, 'application/json');
+      await provider.writeBinary(upload.path, upload.data, upload.contentType);
       
-      logger.success('Analysis saved to Yandex.Disk');
+      logger.success(`Analysis saved to ${provider.name}`);
     } catch (error) {
-      logger.error('Failed to save analysis to Yandex.Disk:', error);
+      logger.error(`Failed to save analysis to ${provider.name}:`, error);
       throw error;
     }
   }
@@ -412,9 +419,12 @@ class BodyAnalysisManager {
   /**
    * Сохранение анализа локально
    */
-  saveAnalysisToLocal(analysis) {
+  async saveAnalysisToLocal(analysis, photo = null) {
     try {
-      storage.addBodyAnalysis(analysis);
+      const saved = await storage.addBodyAnalysis(photo ? { ...analysis, photo } : analysis);
+      if (!saved) {
+        throw new Error('Failed to write analysis to storage');
+      }
       logger.debug('Analysis saved locally');
     } catch (error) {
       logger.error('Failed to save analysis locally:', error);
@@ -425,9 +435,9 @@ class BodyAnalysisManager {
   /**
    * Загрузка истории анализов
    */
-  loadAnalysisHistory() {
+  async loadAnalysisHistory() {
     try {
-      const analyses = storage.loadBodyAnalyses();
+      const analyses = await storage.loadBodyAnalyses();
       this.renderAnalysisHistory(analyses);
       
       logger.debug('Analysis history loaded:', analyses.length);
@@ -478,9 +488,9 @@ class BodyAnalysisManager {
   /**
    * Обновление графиков прогресса
    */
-  updateProgressCharts() {
+  async updateProgressCharts() {
     try {
-      const analyses = storage.loadBodyAnalyses();
+      const analyses = await storage.loadBodyAnalyses();
       if (analyses.length === 0) return;
 
       const chartData = this.prepareChartData(analyses);
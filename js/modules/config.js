@@ -19,7 +19,150 @@ export const STORAGE_KEYS = {
   WORKOUTS: 'workouts',
   RECENT_EXERCISES: 'recentExercises',
   BODY_ANALYSES: 'bodyAnalyses',
-  DEVICE_ID: 'device_id'
+  DEVICE_ID: 'myfitness_device_id',
+  LEGACY_DEVICE_ID: 'device_id'
+};
+
+/**
+ * Текущая версия схемы данных
+ * @type {number}
+ * @description Записывается в каждый сохраняемый документ: тренировки, анализы тела,
+ * конфигурацию, файл экспорта и файл на Яндекс.Диске. Данные без поля считаются версией 1.
+ */
+export const SCHEMA_VERSION = 3;
+
+/**
+ * Настройки IndexedDB
+ * @type {Object}
+ * @description Имя и версия базы, хранилища объектов и ключи служебных записей в хранилище config
+ */
+export const IDB_CONFIG = {
+  NAME: 'myfitness',
+  VERSION: 3,
+  STORES: {
+    WORKOUTS: 'workouts',
+    ANALYSES: 'analyses',
+    PHOTOS: 'photos',
+    CONFIG: 'config',
+    EXERCISES: 'exercises',
+    PROGRAMS: 'programs'
+  },
+  CONFIG_RECORDS: {
+    APP: 'app',
+    RECENT_EXERCISES: 'recentExercises',
+    LEGACY_MIGRATION: 'legacyMigration',
+    SCHEMA: 'schema',
+    SYNC_DEVICES: 'syncDevices',
+    OUTBOX: 'outbox',
+    DEVICE: 'device',
+    SYNC_BASE: 'syncBase',
+    CONFLICTS: 'conflicts',
+    SYNC_FOLDER: 'syncFolder',
+    ENCRYPTION: 'encryption',
+    SYNC_JOURNAL: 'syncJournal',
+    BACKUPS: 'backups',
+    // Программы до переноса в хранилище programs (хранились только на устройстве)
+    PROGRAMS: 'programs'
+  }
+};
+
+/**
+ * Настройки синхронизации
+ * @type {Object.<string, number>}
+ * @description Если удаленный файл изменился между скачиванием и загрузкой, синхронизация
+ * повторяет скачивание и слияние не более MAX_ATTEMPTS раз с паузой RETRY_DELAY_MS * номер попытки.
+ * Страница и service worker синхронизируют по очереди под блокировкой LOCK_NAME (Web Locks API)
+ */
+export const SYNC_CONFIG = {
+  MAX_ATTEMPTS: 3,
+  RETRY_DELAY_MS: 500,
+  LOCK_NAME: 'myfitness-sync'
+};
+
+/**
+ * Журнал изменений для дельта-синхронизации
+ * @type {Object}
+ * @description Записи журнала хранятся в папке FOLDER рядом с файлом синхронизации (снимком).
+ * Журнал уплотняется в снимок, когда в нем COMPACT_AFTER_ENTRIES записей или снимку больше COMPACT_AFTER_DAYS дней
+ */
+export const JOURNAL_CONFIG = {
+  FOLDER: 'journal',
+  COMPACT_AFTER_ENTRIES: 50,
+  COMPACT_AFTER_DAYS: 7
+};
+
+/**
+ * Резервные копии в облаке
+ * @type {Object}
+ * @description Копии хранятся в папке FOLDER рядом с файлом синхронизации (/MyFitness/backups/),
+ * по одной на день (FILE_PREFIX + дата). Копия создается после синхронизации, если с прошлой прошло
+ * INTERVAL_HOURS часов. Сколько копий хранить — config.backupRetention (дневные, недельные, месячные).
+ */
+export const BACKUP_CONFIG = {
+  FOLDER: 'backups',
+  FILE_PREFIX: 'backup-',
+  INTERVAL_HOURS: 24
+};
+
+/**
+ * Очередь неотправленных изменений
+ * @type {Object.<string, number>}
+ * @description После локального изменения синхронизация запускается через FLUSH_DELAY_MS (изменения объединяются).
+ * Неудачные попытки повторяются с экспоненциальной задержкой BASE_DELAY_MS * 2^(n-1), не более MAX_DELAY_MS, со случайным разбросом.
+ */
+export const OUTBOX_CONFIG = {
+  FLUSH_DELAY_MS: 2000,
+  BASE_DELAY_MS: 5000,
+  MAX_DELAY_MS: 30 * 60 * 1000
+};
+
+/**
+ * Конфликты синхронизации
+ * @type {Object.<string, number>}
+ * @description Сколько разрешенных конфликтов хранить вместе с выбранным решением
+ */
+export const CONFLICT_CONFIG = {
+  RESOLVED_HISTORY_LIMIT: 50
+};
+
+/**
+ * Фоновая синхронизация в service worker
+ * @type {Object.<string, string>}
+ * @description Теги Background Sync / Periodic Background Sync и тип сообщения с результатом для открытых вкладок
+ */
+export const BACKGROUND_SYNC_CONFIG = {
+  SYNC_TAG: 'myfitness-sync',
+  PERIODIC_SYNC_TAG: 'myfitness-periodic-sync',
+  MESSAGE_TYPE: 'myfitness-background-sync'
+};
+
+/**
+ * Сквозное шифрование файлов в облаке
+ * @type {Object}
+ * @description Ключ AES-GCM выводится из пароля через PBKDF2 (Argon2 недоступен в WebCrypto).
+ * KEY_FILE хранит соль, параметры KDF и контрольный шифротекст для проверки пароля на других устройствах;
+ * пароль и ключ в облако не попадают.
+ */
+export const ENCRYPTION_CONFIG = {
+  FORMAT: 'myfitness-encrypted',
+  VERSION: 1,
+  KDF_ITERATIONS: 600000,
+  KDF_HASH: 'SHA-256',
+  SALT_BYTES: 16,
+  IV_BYTES: 12,
+  REMOTE_ROOT: '/MyFitness',
+  KEY_FILE: '/MyFitness/encryption.json'
+};
+
+/**
+ * Политика хранения надгробий удаленных записей
+ * @type {Object.<string, number>}
+ * @description Надгробие удаляется не раньше RETENTION_DAYS и только после того, как его увидели все известные устройства.
+ * Устройство, не синхронизировавшееся DEVICE_EXPIRY_DAYS, перестает считаться известным.
+ */
+export const TOMBSTONE_CONFIG = {
+  RETENTION_DAYS: 30,
+  DEVICE_EXPIRY_DAYS: 180
 };
 
 /**
@@ -35,17 +178,89 @@ export const API_CONFIG = {
   AI_MODEL: 'microsoft/BiomedCLIP-PubMedBERT_256-vit_base_patch16_224'
 };
 
+/**
+ * Общий HTTP-клиент (http-client.js)
+ * @type {Object}
+ * @description TIMEOUT_MS — время ожидания ответа API, TRANSFER_TIMEOUT_MS — загрузки и скачивания файлов
+ * и запросов к AI. Ответ 429 повторяется RATE_LIMIT_RETRIES раз после паузы из Retry-After
+ * (без заголовка — DEFAULT_RETRY_AFTER_MS); паузу дольше MAX_RETRY_AFTER_MS клиент не ждет.
+ */
+export const HTTP_CONFIG = {
+  TIMEOUT_MS: 30 * 1000,
+  TRANSFER_TIMEOUT_MS: 2 * 60 * 1000,
+  RATE_LIMIT_RETRIES: 2,
+  DEFAULT_RETRY_AFTER_MS: 1000,
+  MAX_RETRY_AFTER_MS: 60 * 1000
+};
+
+/**
+ * Авторизация в Яндексе (OAuth implicit flow)
+ * @type {Object}
+ * @description За EXPIRY_WARNING_DAYS дней до истечения токена настройки предупреждают о повторном входе.
+ * STATE_KEY — ключ sessionStorage для параметра state, который проверяется при возврате с oauth.yandex.ru.
+ */
+export const AUTH_CONFIG = {
+  EXPIRY_WARNING_DAYS: 7,
+  STATE_KEY: 'myfitness_oauth_state'
+};
+
+// Максимальное количество упражнений в тренировке по умолчанию (config.maxExercisesPerWorkout)
+// и допустимые значения настройки
+export const MAX_EXERCISES_PER_WORKOUT = 8;
+export const EXERCISE_LIMIT_RANGE = {
+  MIN: 1,
+  MAX: 30
+};
+
+// Прибавка веса в рекомендациях по оборудованию упражнения, кг (config.equipmentIncrements);
+// DEFAULT — для упражнений без оборудования. Допустимые значения настройки — INCREMENT_RANGE
+export const EQUIPMENT_INCREMENTS = {
+  barbell: 2.5,
+  dumbbell: 2,
+  cable: 2.5,
+  machine: 5,
+  bodyweight: 2.5,
+  DEFAULT: 2.5
+};
+export const INCREMENT_RANGE = {
+  MIN: 0.25,
+  MAX: 20
+};
+
+// Формулы оценки максимума на один повтор (e1RM, config.e1rmFormula); rpe — по таблице RPE_PERCENTAGES
+export const E1RM_FORMULAS = [
+  { id: 'epley', name: 'Эпли' },
+  { id: 'brzycki', name: 'Бжицки' },
+  { id: 'lombardi', name: 'Ломбарди' },
+  { id: 'rpe', name: 'Таблица RPE' }
+];
+export const DEFAULT_E1RM_FORMULA = 'epley';
+
 /**
  * Настройки по умолчанию
  * @type {Object}
  * @description Конфигурация приложения по умолчанию
  */
 export const DEFAULT_CONFIG = {
+  syncProvider: 'yandex',
   yandexToken: '',
+  // Время истечения токена (ISO); null — неизвестно
+  yandexTokenExpiresAt: null,
+  // Путь к файлу синхронизации (для всех провайдеров)
   yandexPath: '/MyFitness/workouts.json',
+  webdavUrl: '',
+  webdavUser: '',
+  webdavPassword: '',
+  localFolderName: '',
+  // Резервные копии в облаке: последняя копия каждого из N дней, недель и месяцев
+  backupEnabled: true,
+  backupRetention: { daily: 7, weekly: 4, monthly: 6 },
   autoSync: true,
   syncInterval: 15,
   defaultCycle: 1,
+  maxExercisesPerWorkout: MAX_EXERCISES_PER_WORKOUT,
+  equipmentIncrements: { ...EQUIPMENT_INCREMENTS },
+  e1rmFormula: DEFAULT_E1RM_FORMULA,
   theme: 'dark',
   userInfo: null,
   huggingFaceApiKey: '',
@@ -61,21 +276,143 @@ export const BODY_ANALYSIS_PROMPTS = [
   'overall body health'
 ];
 
-// Группы упражнений
+// Группы упражнений (они же группы мышц в метаданных упражнений)
 export const EXERCISE_GROUPS = [
   { id: 'chest', name: 'Грудь' },
   { id: 'back', name: 'Спина' },
   { id: 'legs', name: 'Ноги' },
   { id: 'shoulders', name: 'Плечи' },
   { id: 'biceps', name: 'Бицепс' },
-  { id: 'triceps', name: 'Трицепс' }
+  { id: 'triceps', name: 'Трицепс' },
+  { id: 'reardelt', name: 'Задние дельты' },
+  { id: 'core', name: 'Пресс' },
+  { id: 'cardio', name: 'Кардио' }
 ];
 
-// Максимальное количество упражнений в тренировке
-export const MAX_EXERCISES_PER_WORKOUT = 8;
+// Оборудование упражнений
+export const EQUIPMENT_TYPES = [
+  { id: 'barbell', name: 'Штанга' },
+  { id: 'dumbbell', name: 'Гантели' },
+  { id: 'cable', name: 'Блок' },
+  { id: 'machine', name: 'Тренажер' },
+  { id: 'bodyweight', name: 'Собственный вес' }
+];
+
+// Паттерны движения
+export const MOVEMENT_PATTERNS = [
+  { id: 'horizontal-push', name: 'Горизонтальный жим' },
+  { id: 'vertical-push', name: 'Вертикальный жим' },
+  { id: 'horizontal-pull', name: 'Горизонтальная тяга' },
+  { id: 'vertical-pull', name: 'Вертикальная тяга' },
+  { id: 'squat', name: 'Присед' },
+  { id: 'hinge', name: 'Наклон (тяга от бедра)' },
+  { id: 'lunge', name: 'Выпад' },
+  { id: 'isolation', name: 'Изолирующее' }
+];
+
+// Типы подходов: label — пометка в истории, hardSet — сколько подход дает в число тяжелых подходов.
+// Разминка не входит ни в объем, ни в статистику; подход без type считается рабочим
+export const SET_TYPES = [
+  { id: 'warmup', name: 'Разминка', label: 'Р', hardSet: 0 },
+  { id: 'working', name: 'Рабочий', label: '', hardSet: 1 },
+  { id: 'drop', name: 'Дроп-сет', label: 'Д', hardSet: 0.5 },
+  { id: 'failure', name: 'До отказа', label: 'О', hardSet: 1 },
+  { id: 'amrap', name: 'Максимум повторений (AMRAP)', label: 'AMRAP', hardSet: 1 }
+];
+
+// Способы учета упражнения: fields — поля подхода, chartTypes — графики прогресса (первый — по умолчанию).
+// bodyweight — собственный вес с отягощением weight, assisted — с помощью противовеса weight (вычитается
+// из веса тела тренировки), duration — подходы на время в секундах, distance — кардио: км и время
+export const EXERCISE_MODALITIES = [
+  { id: 'weight', name: 'Вес × повторы', fields: ['weight', 'reps'], chartTypes: ['volume', 'max-weight', 'range', 'e1rm'] },
+  { id: 'bodyweight', name: 'Собственный вес (+ отягощение)', fields: ['weight', 'reps'], chartTypes: ['max-reps', 'volume', 'max-weight'] },
+  { id: 'assisted', name: 'Собственный вес с помощью', fields: ['weight', 'reps'], chartTypes: ['max-reps', 'volume', 'max-weight'] },
+  { id: 'duration', name: 'Время', fields: ['duration', 'weight'], chartTypes: ['max-duration', 'total-duration'] },
+  { id: 'distance', name: 'Дистанция и время', fields: ['distance', 'duration'], chartTypes: ['distance', 'pace'] }
+];
+
+// Ограничения полей подхода и веса тела
+export const SET_LIMITS = {
+  RPE_MIN: 1,
+  RPE_MAX: 10,
+  RIR_MAX: 10,
+  NOTE_MAX_LENGTH: 200,
+  DURATION_MAX_SECONDS: 24 * 60 * 60,
+  DISTANCE_MAX_KM: 1000,
+  BODY_WEIGHT_MIN: 20,
+  BODY_WEIGHT_MAX: 400
+};
+
+// Оценка e1RM: MAX_REPS — подходы с большим числом повторений не оцениваются (формулы неточны).
+// RPE_PERCENTAGES — доля максимума (%) по повторениям в запасе: индекс (повторы − 1 + 10 − RPE) × 2,
+// шаг 0.5 RPE; таблица определена для RPE от RPE_MIN
+export const E1RM_CONFIG = {
+  MAX_REPS: 12,
+  RPE_MIN: 6.5,
+  RPE_PERCENTAGES: [
+    100, 97.8, 95.5, 93.9, 92.2, 90.7, 89.2, 87.8, 86.3, 85.0,
+    83.7, 82.4, 81.1, 79.9, 78.6, 77.4, 76.2, 75.1, 73.9, 72.3,
+    70.7, 69.4, 68.0, 66.7, 65.3, 64.0, 62.6, 61.3, 59.9, 58.6
+  ]
+};
+
+// Блоки упражнений в тренировке: упражнения блока выполняются подряд по кругу rounds раз,
+// отдых — после круга. exercises — допустимое число упражнений в блоке (max null — без ограничения).
+// Таймера отдыха в приложении нет: правило «отдых после круга» пока только описывает формат блоков
+export const BLOCK_TYPES = [
+  { id: 'superset', name: 'Суперсет', minExercises: 2, maxExercises: 2 },
+  { id: 'giant', name: 'Гигантский сет', minExercises: 3, maxExercises: null },
+  { id: 'circuit', name: 'Круговая', minExercises: 2, maxExercises: null }
+];
+
+// Наибольшее число кругов блока
+export const BLOCK_MAX_ROUNDS = 20;
+
+// Недель в цикле тренировок (поле «Неделя» формы); у тренировки по программе — число недель шаблона
+export const WEEKS_PER_CYCLE = 4;
+
+// Границы шаблона программы: недель в цикле, тренировок в неделе, подходов и повторений упражнения
+export const PROGRAM_LIMITS = {
+  WEEKS_MAX: 12,
+  SESSIONS_MAX: 7,
+  SETS_MAX: 10,
+  REPS_MAX: 100
+};
+
+// Запись активной программы в хранилище programs: синхронизируется вместе с шаблонами
+export const ACTIVE_PROGRAM_ID = 'active-program';
+
+// Программы библиотеки: округление весов от тренировочного максимума, прибавка максимума за цикл
+// (для упражнений на ноги и таз — больше), число неудачных циклов до сброса и доля максимума после сброса
+export const TRAINING_MAX_CONFIG = {
+  ROUNDING: 2.5,
+  UPPER_INCREMENT: 2.5,
+  LOWER_INCREMENT: 5,
+  STALL_LIMIT: 3,
+  RESET_FACTOR: 0.9
+};
+
+// Рекомендации следующей тренировки: сколько последних тренировок упражнения учитывать, диапазон
+// повторений без плана, RPE, до которого вес прибавляется, число неудач подряд до разгрузки и доля веса
+// при разгрузке
+export const RECOMMENDATION_CONFIG = {
+  SESSIONS: 3,
+  REPS_MIN: 8,
+  REPS_MAX: 12,
+  RPE_MAX: 8.5,
+  STALL_LIMIT: 2,
+  DELOAD_FACTOR: 0.9
+};
+
+// Вклад подхода в объем мышцы: основные мышцы упражнения и вспомогательные
+export const MUSCLE_WEIGHTS = {
+  PRIMARY: 1,
+  SECONDARY: 0.5
+};
+
 
 // Настройки кэша
 export const CACHE_CONFIG = {
-  NAME: 'myfitness-v5',
-  VERSION: '5.0.0'
+  NAME: 'myfitness-v6',
+  VERSION: '6.0.0'
 };
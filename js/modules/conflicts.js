@@ -0,0 +1,188 @@
+/**
+ * Модуль конфликтов синхронизации
+ *
+ * Конфликт — тренировка, измененная и на этом устройстве, и на другом после последней общей
+ * синхронизации. База синхронизации ({ [id]: updatedAt }) сохраняется после каждой синхронизации;
+ * запись изменена на стороне, если ее updatedAt отличается от базы.
+ *
+ * При слиянии по-прежнему побеждает более позднее изменение, но проигравшая версия не теряется:
+ * обе версии сохраняются в списке конфликтов, а пользователь выбирает "мою", "их" или объединение подходов.
+ */
+
+import { logger } from '../utils/logger.js';
+import { CONFLICT_CONFIG } from './config.js';
+import { RECORD_TYPES } from './schema.js';
+import { storage } from './storage.js';
+import { tombstones } from './tombstones.js';
+import { exerciseManager } from './exercises.js';
+
+export const RESOLUTIONS = {
+  MINE: 'mine',
+  THEIRS: 'theirs',
+  MERGE: 'merge'
+};
+
+class ConflictManager {
+  constructor(store = storage) {
+    this.store = store;
+  }
+
+  /**
+   * Проверить, изменена ли запись на обеих сторонах с последней общей синхронизации
+   * @param {Object} local - Локальная версия
+   * @param {Object} remote - Удаленная версия
+   * @param {Object|null} base - База синхронизации; без нее (первая синхронизация) конфликтов нет
+   */
+  isConflict(local, remote, base) {
+    if (!base || tombstones.isDeleted(local) || tombstones.isDeleted(remote)) return false;
+
+    const baseUpdatedAt = base[local.id];
+    if (baseUpdatedAt === undefined || local.updatedAt === remote.updatedAt) return false;
+
+    return local.updatedAt !== baseUpdatedAt && remote.updatedAt !== baseUpdatedAt;
+  }
+
+  /**
+   * Создать конфликт для списка
+   */
+  create(local, remote, type = RECORD_TYPES.WORKOUT, detectedAt = new Date().toISOString()) {
+    return {
+      id: `${local.id}:${detectedAt}`,
+      recordId: local.id,
+      type,
+      local,
+      remote,
+      detectedAt,
+      resolution: null,
+      resolvedAt: null
+    };
+  }
+
+  /**
+   * База синхронизации из объединенных тренировок
+   */
+  createBase(workouts) {
+    const base = {};
+    tombstones.live(workouts).forEach(workout => {
+      base[workout.id] = workout.updatedAt;
+    });
+    return base;
+  }
+
+  /**
+   * Добавить новые конфликты к сохраненным (история решений ограничена)
+   */
+  append(existing, detected) {
+    const pending = existing.filter(conflict => !conflict.resolution);
+    const resolved = existing
+      .filter(conflict => conflict.resolution)
+      .slice(-CONFLICT_CONFIG.RESOLVED_HISTORY_LIMIT);
+    return [...resolved, ...pending, ...detected];
+  }
+
+  /**
+   * Нерешенные конфликты
+   */
+  async getPending() {
+    const conflicts = await this.store.loadConflicts();
+    return conflicts.filter(conflict => !conflict.resolution);
+  }
+
+  /**
+   * Данные тренировки по выбранному решению (без id/updatedAt/deviceId)
+   */
+  buildResolution(conflict, resolution) {
+    const { local, remote } = conflict;
+    let source;
+
+    switch (resolution) {
+      case RESOLUTIONS.MINE:
+        source = local;
+        break;
+      case RESOLUTIONS.THEIRS:
+        source = remote;
+        break;
+      case RESOLUTIONS.MERGE: {
+        // Блоки обеих версий; блоки, от которых осталось одно упражнение, удаляются
+        const blocks = [...(local.blocks || []), ...(remote.blocks || []).filter(block => !(local.blocks || []).some(item => item.id === block.id))];
+        source = { ...local, ...exerciseManager.normalizeBlocks(this.mergeExercises(local.exercises, remote.exercises), blocks) };
+        break;
+      }
+      default:
+        throw new Error(`Unknown conflict resolution: ${resolution}`);
+    }
+
+    const { id: _id, updatedAt: _updatedAt, deviceId: _deviceId, ...data } = source;
+    return data;
+  }
+
+  /**
+   * Объединить подходы двух версий
+   * Упражнения объединяются по названию; подход другой версии добавляется,
+   * если в моей версии нет такого же (вес, повторения и тип) непарного подхода
+   */
+  mergeExercises(mine = [], theirs = []) {
+    const result = mine.map(exercise => ({ ...exercise, sets: [...(exercise.sets || [])] }));
+
+    theirs.forEach(exercise => {
+      const target = result.find(item => item.exercise === exercise.exercise);
+      if (!target) {
+        result.push({ ...exercise, sets: [...(exercise.sets || [])] });
+        return;
+      }
+
+      const unmatched = [...target.sets];
+      (exercise.sets || []).forEach(set => {
+        const index = unmatched.findIndex(candidate => this.isSameSet(candidate, set));
+        if (index >= 0) {
+          unmatched.splice(index, 1);
+        } else {
+          target.sets.push({ ...set });
+        }
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Одинаковые ли подходы (вес, повторы, время, дистанция и тип; отсутствующее поле — 0)
+   */
+  isSameSet(a, b) {
+    return ['weight', 'reps', 'duration', 'distance'].every(field => Number(a[field] || 0) === Number(b[field] || 0)) &&
+      exerciseManager.getSetType(a).id === exerciseManager.getSetType(b).id;
+  }
+
+  /**
+   * Разрешить конфликт: записать выбранную версию как новое локальное изменение и сохранить решение
+   * Новое изменение побеждает при следующей синхронизации
+   * @param {string} conflictId
+   * @param {string} resolution - RESOLUTIONS.MINE | THEIRS | MERGE
+   * @returns {Promise<boolean>} Успешность операции
+   */
+  async resolve(conflictId, resolution) {
+    const conflicts = await this.store.loadConflicts();
+    const conflict = conflicts.find(item => item.id === conflictId);
+    if (!conflict || conflict.resolution) {
+      logger.warn('Conflict not found or already resolved:', conflictId);
+      return false;
+    }
+
+    const data = this.buildResolution(conflict, resolution);
+    // Если тренировку успели удалить, выбранная версия восстанавливается как новая
+    const saved = (await this.store.getWorkout(conflict.recordId))
+      ? Boolean(await this.store.updateWorkout(conflict.recordId, data))
+      : await this.store.addWorkout(data);
+    if (!saved) return false;
+
+    conflict.resolution = resolution;
+    conflict.resolvedAt = new Date().toISOString();
+    await this.store.saveConflicts(conflicts);
+
+    logger.info(`Conflict ${conflictId} resolved: ${resolution}`);
+    return true;
+  }
+}
+
+// Создаем единственный экземпляр
+export const conflictManager = new ConflictManager();
@@ -0,0 +1,405 @@
+/**
+ * Модуль сквозного шифрования файлов в облаке (необязательный)
+ *
+ * Ключ AES-GCM (256 бит) выводится из пароля через PBKDF2 и хранится только локально —
+ * в IndexedDB как неизвлекаемый CryptoKey, доступный и service worker. В облако записывается
+ * файл ключа (ENCRYPTION_CONFIG.KEY_FILE): соль, параметры KDF и контрольный шифротекст,
+ * по которому другие устройства проверяют введенный пароль.
+ *
+ * Зашифрованный файл — JSON-конверт { format, version, keyId, contentType, iv, data }.
+ * Незашифрованные файлы читаются как есть, поэтому шифрование можно включить в любой момент.
+ * Не-JSON файлы (фото) хранятся зашифрованными под именем с '.enc'.
+ *
+ * Смена пароля перешифровывает все файлы в облаке. Новый ключ сначала сохраняется локально
+ * как pending: прерванную смену можно повторить с тем же паролем — уже перешифрованные
+ * файлы пропускаются.
+ */
+
+import { logger } from '../utils/logger.js';
+import { ENCRYPTION_CONFIG } from './config.js';
+import { storage } from './storage.js';
+
+const KEY_CHECK = 'myfitness-key-check';
+const JSON_TYPE = 'application/json';
+const BINARY_TYPE = 'application/octet-stream';
+const ENCRYPTED_SUFFIX = '.enc';
+
+/**
+ * Ошибка: введен неверный пароль шифрования
+ */
+export class WrongPassphraseError extends Error {
+  constructor() {
+    super('Wrong encryption passphrase');
+    this.name = 'WrongPassphraseError';
+  }
+}
+
+/**
+ * Ошибка: данные в облаке зашифрованы, а ключа на этом устройстве нет (или пароль сменили на другом)
+ */
+export class PassphraseRequiredError extends Error {
+  constructor(reason = 'missing') {
+    super(reason === 'rotated'
+      ? 'Encryption passphrase was changed on another device, enter the new passphrase'
+      : 'Remote data is encrypted, enter the encryption passphrase');
+    this.name = 'PassphraseRequiredError';
+    this.reason = reason;
+  }
+}
+
+class Encryption {
+  constructor(store = storage) {
+    this.store = store;
+  }
+
+  /**
+   * Включено ли шифрование на этом устройстве
+   */
+  async isEnabled() {
+    const keys = await this.store.loadEncryptionKeys();
+    return Boolean(keys?.current);
+  }
+
+  /**
+   * Является ли документ зашифрованным конвертом
+   */
+  isEnvelope(data) {
+    return Boolean(data) && data.format === ENCRYPTION_CONFIG.FORMAT;
+  }
+
+  /**
+   * Зашифровать JSON-документ текущим ключом (без ключа документ возвращается как есть)
+   */
+  async encryptDocument(data) {
+    const keys = await this.store.loadEncryptionKeys();
+    if (!keys?.current) return data;
+    return this.encryptBytes(new TextEncoder().encode(JSON.stringify(data)), JSON_TYPE, keys.current);
+  }
+
+  /**
+   * Расшифровать JSON-документ (незашифрованный возвращается как есть)
+   * @throws {PassphraseRequiredError} Нет подходящего ключа
+   */
+  async decryptDocument(data) {
+    if (!this.isEnvelope(data)) return data;
+
+    const keys = await this.store.loadEncryptionKeys();
+    const bytes = await this.decryptBytes(data, this.findKey(keys, data.keyId));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  /**
+   * Подготовить файл к загрузке в облако
+   * Без ключа возвращает аргументы без изменений; с ключом — конверт JSON.
+   * К имени не-JSON файла (фото) добавляется '.enc': содержимое больше не изображение
+   * @param {SyncProvider} provider - Провайдер, в который загружается файл
+   * @param {string} path
+   * @param {Blob|string} data
+   * @param {string} contentType
+   * @returns {Promise<{path: string, data: Blob|string, contentType: string}>}
+   * @throws {PassphraseRequiredError} Шифрование включено на другом устройстве, а ключа здесь нет
+   */
+  async prepareUpload(provider, path, data, contentType) {
+    const keys = await this.store.loadEncryptionKeys();
+    if (!keys?.current) {
+      // Файл ключа в облаке: открытые данные в зашифрованное хранилище не загружаются
+      if (await provider.read(ENCRYPTION_CONFIG.KEY_FILE)) {
+        throw new PassphraseRequiredError();
+      }
+      return { path, data, contentType };
+    }
+
+    const bytes = typeof data === 'string'
+      ? new TextEncoder().encode(data)
+      : new Uint8Array(await data.arrayBuffer());
+    const envelope = await this.encryptBytes(bytes, contentType, keys.current);
+
+    return {
+      path: contentType === JSON_TYPE ? path : `${path}${ENCRYPTED_SUFFIX}`,
+      data: JSON.stringify(envelope),
+      contentType: JSON_TYPE
+    };
+  }
+
+  /**
+   * Включить шифрование или ввести пароль на новом устройстве
+   * Если в облаке уже есть файл ключа, пароль проверяется по нему; иначе создается новый ключ
+   * и все файлы в облаке шифруются
+   * @param {SyncProvider} provider - Подключенный провайдер синхронизации
+   * @param {string} passphrase
+   * @param {string} dataPath - Файл синхронизации (может лежать вне ENCRYPTION_CONFIG.REMOTE_ROOT)
+   * @param {string[]} [folders] - Другие папки вне REMOTE_ROOT (журнал синхронизации, резервные копии)
+   * @returns {Promise<{created: boolean, encrypted: number, skipped: number}>}
+   * @throws {WrongPassphraseError}
+   */
+  async enable(provider, passphrase, dataPath, folders = []) {
+    this.assertPassphrase(passphrase);
+    const keyFile = await provider.read(ENCRYPTION_CONFIG.KEY_FILE);
+    const keys = await this.store.loadEncryptionKeys();
+
+    if (keyFile) {
+      const current = await this.unlock(passphrase, keyFile);
+      await this.saveKeys({ current, pending: keys?.pending?.info.keyId === current.info.keyId ? null : keys?.pending || null });
+      logger.success('Encryption passphrase accepted');
+      return { created: false, encrypted: 0, skipped: 0 };
+    }
+
+    const pending = await this.preparePending(passphrase, keys);
+    const result = await this.reencryptAll(provider, dataPath, { ...keys, pending }, folders);
+    await this.commit(provider, pending);
+
+    logger.success('Encryption enabled:', result);
+    return { created: true, ...result };
+  }
+
+  /**
+   * Сменить пароль и перешифровать все файлы в облаке
+   * @returns {Promise<{encrypted: number, skipped: number}>}
+   * @throws {WrongPassphraseError} Неверный текущий пароль
+   * @throws {PassphraseRequiredError} Ключ этого устройства устарел
+   */
+  async rotate(provider, currentPassphrase, newPassphrase, dataPath, folders = []) {
+    this.assertPassphrase(newPassphrase);
+    const keyFile = await provider.read(ENCRYPTION_CONFIG.KEY_FILE);
+    if (!keyFile) {
+      throw new Error('Encryption is not enabled');
+    }
+
+    const keys = await this.store.loadEncryptionKeys();
+    const current = await this.unlock(currentPassphrase, keyFile);
+    if (keys?.current?.info.keyId !== current.info.keyId) {
+      throw new PassphraseRequiredError('rotated');
+    }
+
+    const pending = await this.preparePending(newPassphrase, keys);
+    const result = await this.reencryptAll(provider, dataPath, { current: keys.current, pending }, folders);
+    await this.commit(provider, pending);
+
+    logger.success('Encryption passphrase changed:', result);
+    return result;
+  }
+
+  /**
+   * Новый ключ для включения или смены пароля (с сохранением локально до изменения файлов)
+   * Если предыдущая попытка с тем же паролем прервалась, используется ее ключ
+   */
+  async preparePending(passphrase, keys) {
+    if (keys?.pending) {
+      try {
+        const pending = await this.unlock(passphrase, keys.pending.info);
+        logger.info('Resuming interrupted key change:', pending.info.keyId);
+        return pending;
+      } catch (error) {
+        if (!(error instanceof WrongPassphraseError)) throw error;
+      }
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.SALT_BYTES));
+    const kdf = {
+      name: 'PBKDF2',
+      hash: ENCRYPTION_CONFIG.KDF_HASH,
+      iterations: ENCRYPTION_CONFIG.KDF_ITERATIONS,
+      salt: this.toBase64(salt)
+    };
+    const key = await this.deriveKey(passphrase, kdf);
+    const keyId = this.toBase64(crypto.getRandomValues(new Uint8Array(8)));
+    const check = await this.encryptBytes(new TextEncoder().encode(KEY_CHECK), 'text/plain', { key, info: { keyId } });
+
+    const pending = { key, info: { format: ENCRYPTION_CONFIG.FORMAT, version: ENCRYPTION_CONFIG.VERSION, keyId, kdf, check } };
+    await this.saveKeys({ current: keys?.current || null, pending });
+    return pending;
+  }
+
+  /**
+   * Записать файл ключа и сделать новый ключ текущим
+   */
+  async commit(provider, pending) {
+    await provider.write(ENCRYPTION_CONFIG.KEY_FILE, pending.info);
+    await this.saveKeys({ current: pending, pending: null });
+  }
+
+  /**
+   * Перешифровать файлы в облаке новым ключом (keys.pending)
+   * Не-JSON файлы (незашифрованные фото) шифруются в '<path>.enc', исходный файл удаляется.
+   * Файлы, уже зашифрованные новым ключом (прерванная смена пароля), пропускаются
+   */
+  async reencryptAll(provider, dataPath, keys, folders = []) {
+    const paths = new Set([dataPath]);
+    for (const folder of new Set([ENCRYPTION_CONFIG.REMOTE_ROOT, ...folders])) {
+      (await this.listFiles(provider, folder)).forEach(path => paths.add(path));
+    }
+    paths.delete(ENCRYPTION_CONFIG.KEY_FILE);
+
+    const result = { encrypted: 0, skipped: 0 };
+    for (const path of paths) {
+      let data;
+      try {
+        data = await provider.read(path);
+      } catch (error) {
+        if (!(error instanceof SyntaxError)) throw error;
+        await this.encryptBinary(provider, path, keys.pending);
+        result.encrypted++;
+        continue;
+      }
+      if (!data) continue;
+      if (data.keyId === keys.pending.info.keyId) {
+        result.skipped++;
+        continue;
+      }
+
+      const envelope = this.isEnvelope(data)
+        ? await this.encryptBytes(await this.decryptBytes(data, this.findKey(keys, data.keyId)), data.contentType, keys.pending)
+        : await this.encryptBytes(new TextEncoder().encode(JSON.stringify(data)), JSON_TYPE, keys.pending);
+      await provider.write(path, envelope);
+      result.encrypted++;
+    }
+    return result;
+  }
+
+  /**
+   * Зашифровать не-JSON файл в облаке: конверт записывается рядом ('<path>.enc'), затем исходный файл удаляется
+   */
+  async encryptBinary(provider, path, entry) {
+    const blob = await provider.readBinary(path);
+    if (!blob) return;
+
+    const envelope = await this.encryptBytes(new Uint8Array(await blob.arrayBuffer()), blob.type || BINARY_TYPE, entry);
+    await provider.write(`${path}${ENCRYPTED_SUFFIX}`, envelope);
+    await provider.remove(path);
+    logger.info('Encrypted non-JSON remote file:', path);
+  }
+
+  /**
+   * Все файлы в папке облака (рекурсивно)
+   */
+  async listFiles(provider, folder) {
+    const files = [];
+    for (const entry of await provider.list(folder)) {
+      if (entry.isDirectory) {
+        files.push(...(await this.listFiles(provider, entry.path)));
+      } else {
+        files.push(entry.path);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Вывести ключ из пароля и проверить его по контрольному шифротексту
+   * @throws {WrongPassphraseError}
+   */
+  async unlock(passphrase, info) {
+    const key = await this.deriveKey(passphrase, info.kdf);
+    const entry = { key, info };
+    const check = await this.decryptBytes(info.check, entry).catch(error => {
+      if (error instanceof WrongPassphraseError) return null;
+      throw error;
+    });
+
+    if (!check || new TextDecoder().decode(check) !== KEY_CHECK) {
+      throw new WrongPassphraseError();
+    }
+    return entry;
+  }
+
+  /**
+   * Ключ для конверта по keyId
+   * @throws {PassphraseRequiredError}
+   */
+  findKey(keys, keyId) {
+    if (!keys?.current && !keys?.pending) {
+      throw new PassphraseRequiredError();
+    }
+
+    const entry = [keys.current, keys.pending].find(item => item?.info.keyId === keyId);
+    if (!entry) {
+      throw new PassphraseRequiredError('rotated');
+    }
+    return entry;
+  }
+
+  /**
+   * Ключ AES-GCM из пароля (PBKDF2), неизвлекаемый
+   */
+  async deriveKey(passphrase, kdf) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: this.fromBase64(kdf.salt) },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Зашифровать байты в конверт
+   */
+  async encryptBytes(bytes, contentType, entry) {
+    const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.IV_BYTES));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, entry.key, bytes);
+    return {
+      format: ENCRYPTION_CONFIG.FORMAT,
+      version: ENCRYPTION_CONFIG.VERSION,
+      keyId: entry.info.keyId,
+      contentType,
+      iv: this.toBase64(iv),
+      data: this.toBase64(new Uint8Array(data))
+    };
+  }
+
+  /**
+   * Расшифровать конверт в байты
+   * @throws {WrongPassphraseError} Ключ не подходит (AES-GCM не прошел проверку целостности)
+   */
+  async decryptBytes(envelope, entry) {
+    try {
+      const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(envelope.iv) }, entry.key, this.fromBase64(envelope.data));
+      return new Uint8Array(data);
+    } catch (error) {
+      if (error.name === 'OperationError') {
+        throw new WrongPassphraseError();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Сохранить ключи (без сохраненного ключа нельзя шифровать файлы в облаке)
+   */
+  async saveKeys(keys) {
+    if (!(await this.store.saveEncryptionKeys(keys))) {
+      throw new Error('Failed to save encryption keys');
+    }
+  }
+
+  /**
+   * Проверить новый пароль
+   */
+  assertPassphrase(passphrase) {
+    if (!passphrase || passphrase.length < 8) {
+      throw new Error('Encryption passphrase must be at least 8 characters');
+    }
+  }
+
+  /**
+   * Байты в base64 (частями: spread большого массива переполняет стек)
+   */
+  toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * base64 в байты
+   */
+  fromBase64(value) {
+    return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+  }
+}
+
+// Создаем единственный экземпляр
+export const encryption = new Encryption();
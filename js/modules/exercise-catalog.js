@@ -0,0 +1,332 @@
+/**
+ * Модуль каталога упражнений
+ *
+ * Каталог — встроенные упражнения (EXERCISE_SEED) и записи хранилища exercises: пользовательские
+ * упражнения и измененные встроенные. Запись { id, name, group, aliases, custom, mergedInto } с метаданными
+ * (equipment, pattern, primaryMuscles, secondaryMuscles, unilateral, modality) синхронизируется как тренировки. Тренировки ссылаются на упражнение по exerciseId; переименование
+ * и объединение переписывают прошлые тренировки, а прежнее название остается в aliases, чтобы старые
+ * записи и импорт находили упражнение. Объединенное упражнение остается записью с mergedInto.
+ */
+
+import { logger } from '../utils/logger.js';
+import { storage } from './storage.js';
+import { EXERCISE_SEED, createCatalogEntry, exerciseManager } from './exercises.js';
+import { tombstones } from './tombstones.js';
+import { EQUIPMENT_TYPES, EXERCISE_GROUPS, EXERCISE_MODALITIES, MOVEMENT_PATTERNS } from './config.js';
+
+// Метаданные, которые можно менять через update
+const METADATA_FIELDS = ['group', 'equipment', 'pattern', 'primaryMuscles', 'secondaryMuscles', 'unilateral', 'modality'];
+
+/**
+ * Ошибка: упражнение с таким названием уже есть в каталоге
+ */
+export class DuplicateExerciseError extends Error {
+  constructor(name, existingId) {
+    super(`Exercise "${name}" already exists (${existingId})`);
+    this.name = 'DuplicateExerciseError';
+    this.existingId = existingId;
+  }
+}
+
+export class ExerciseCatalog {
+  constructor(store = storage) {
+    this.store = store;
+    // Все упражнения каталога по id, включая объединенные
+    this.entries = new Map();
+    this.build([]);
+  }
+
+  /**
+   * Загрузить каталог из хранилища и передать действующие упражнения exerciseManager
+   */
+  async load() {
+    try {
+      this.build(await this.store.loadExercises());
+    } catch (error) {
+      logger.error('Failed to load exercise catalog:', error);
+      this.build([]);
+    }
+    return this.getAll();
+  }
+
+  /**
+   * Собрать каталог: записи хранилища заменяют встроенные упражнения с тем же id
+   */
+  build(records) {
+    this.entries = new Map(EXERCISE_SEED.map(exercise => [exercise.id, createCatalogEntry(exercise)]));
+    tombstones.live(records).forEach(record => {
+      // Метаданные встроенного упражнения остаются, если запись их не меняет
+      this.entries.set(record.id, createCatalogEntry({ ...this.entries.get(record.id), ...record }));
+    });
+    exerciseManager.setCatalog(this.getAll());
+  }
+
+  /**
+   * Действующие упражнения (без объединенных)
+   */
+  getAll() {
+    return Array.from(this.entries.values()).filter(exercise => !exercise.mergedInto);
+  }
+
+  /**
+   * Упражнение по id (включая объединенные)
+   */
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Действующее упражнение по id: для объединенного — то, в которое оно вошло
+   */
+  resolve(id) {
+    const visited = new Set();
+    let exercise = this.get(id);
+    while (exercise?.mergedInto && !visited.has(exercise.id)) {
+      visited.add(exercise.id);
+      exercise = this.get(exercise.mergedInto) || exercise;
+    }
+    return exercise;
+  }
+
+  /**
+   * Действующее упражнение по названию или прежнему названию
+   */
+  findByName(name) {
+    return exerciseManager.findByName(name);
+  }
+
+  /**
+   * Добавить пользовательское упражнение
+   * Если упражнение с таким названием уже есть, возвращается оно
+   * @param {{name: string, group: string}} exercise - Название, группа и метаданные (см. update)
+   * @returns {Promise<Object>} Упражнение каталога
+   */
+  async create({ name, ...metadata }) {
+    const title = String(name || '').trim();
+    if (!title) {
+      throw new Error('Exercise name is required');
+    }
+
+    const existing = this.findByName(title);
+    if (existing) return existing;
+
+    const id = exerciseManager.createExerciseId(title);
+    const fields = this.validateMetadata(metadata);
+    // Упражнение могло быть объединено с другим: восстанавливаем его как самостоятельное
+    const record = this.stamp(createCatalogEntry({ ...this.get(id), ...fields, id, name: title, aliases: this.get(id)?.aliases || [], custom: true, mergedInto: null }));
+    await this.save([record]);
+    logger.success('Exercise created:', title);
+    return this.get(id);
+  }
+
+  /**
+   * Изменить метаданные упражнения
+   * @param {string} id
+   * @param {Object} metadata - group, equipment, pattern, primaryMuscles, secondaryMuscles, unilateral, modality
+   * @returns {Promise<Object>} Обновленное упражнение
+   */
+  async update(id, metadata) {
+    const exercise = this.resolve(id);
+    if (!exercise) {
+      throw new Error(`Exercise not found: ${id}`);
+    }
+
+    const fields = this.validateMetadata(metadata);
+    // Смена группы без явных основных мышц переносит основную мышцу вместе с группой
+    if (fields.group && !fields.primaryMuscles && exercise.primaryMuscles.join() === exercise.group) {
+      fields.primaryMuscles = [fields.group];
+    }
+    const record = this.stamp(createCatalogEntry({ ...exercise, ...fields }));
+    // Группа хранится и в тренировках, поэтому ее смена переписывает их
+    const workouts = fields.group && fields.group !== exercise.group
+      ? await this.rewriteWorkouts([exercise.id], record)
+      : [];
+
+    await this.save([record], workouts);
+    logger.success('Exercise updated:', record.name);
+    return this.get(exercise.id);
+  }
+
+  /**
+   * Проверить метаданные упражнения
+   * @returns {Object} Только известные поля
+   * @throws {Error} Неизвестная группа, оборудование, паттерн или способ учета
+   */
+  validateMetadata(metadata = {}) {
+    const fields = {};
+    METADATA_FIELDS.filter(field => metadata[field] !== undefined).forEach(field => {
+      fields[field] = metadata[field];
+    });
+
+    const groups = EXERCISE_GROUPS.map(group => group.name);
+    if (fields.group !== undefined && !fields.group) {
+      throw new Error('Exercise group is required');
+    }
+    if (fields.equipment && !EQUIPMENT_TYPES.some(type => type.id === fields.equipment)) {
+      throw new Error(`Unknown equipment: ${fields.equipment}`);
+    }
+    if (fields.pattern && !MOVEMENT_PATTERNS.some(pattern => pattern.id === fields.pattern)) {
+      throw new Error(`Unknown movement pattern: ${fields.pattern}`);
+    }
+    if (fields.modality && !EXERCISE_MODALITIES.some(modality => modality.id === fields.modality)) {
+      throw new Error(`Unknown exercise modality: ${fields.modality}`);
+    }
+    ['primaryMuscles', 'secondaryMuscles'].filter(field => fields[field]).forEach(field => {
+      const unknown = fields[field].find(muscle => !groups.includes(muscle));
+      if (unknown) {
+        throw new Error(`Unknown muscle group: ${unknown}`);
+      }
+    });
+    if (fields.unilateral !== undefined) {
+      fields.unilateral = Boolean(fields.unilateral);
+    }
+    return fields;
+  }
+
+  /**
+   * Переименовать упражнение
+   * Прошлые тренировки получают новое название, прежнее остается в aliases
+   * @returns {Promise<Object>} Обновленное упражнение
+   * @throws {DuplicateExerciseError} Название занято другим упражнением
+   */
+  async rename(id, name) {
+    const exercise = this.resolve(id);
+    const title = String(name || '').trim();
+    if (!exercise) {
+      throw new Error(`Exercise not found: ${id}`);
+    }
+    if (!title) {
+      throw new Error('Exercise name is required');
+    }
+
+    const duplicate = this.findByName(title);
+    if (duplicate && duplicate.id !== exercise.id) {
+      throw new DuplicateExerciseError(title, duplicate.id);
+    }
+    if (title === exercise.name) return exercise;
+
+    const aliases = this.uniqueNames([...exercise.aliases, exercise.name])
+      .filter(alias => exerciseManager.normalizeName(alias) !== exerciseManager.normalizeName(title));
+    const record = this.stamp({ ...exercise, name: title, aliases });
+    const workouts = await this.rewriteWorkouts([exercise.id], record);
+
+    await this.save([record], workouts);
+    await this.renameRecent([exercise.name], title);
+    logger.success(`Exercise renamed: ${exercise.name} -> ${title} (${workouts.length} workouts)`);
+    return this.get(exercise.id);
+  }
+
+  /**
+   * Объединить упражнение-дубликат с другим
+   * Тренировки источника переходят к целевому упражнению, его названия — в aliases цели
+   * @returns {Promise<Object>} Целевое упражнение
+   */
+  async merge(sourceId, targetId) {
+    const source = this.resolve(sourceId);
+    const target = this.resolve(targetId);
+    if (!source || !target) {
+      throw new Error(`Exercise not found: ${source ? targetId : sourceId}`);
+    }
+    if (source.id === target.id) {
+      throw new Error('Cannot merge an exercise into itself');
+    }
+
+    const mergedTarget = this.stamp({
+      ...target,
+      aliases: this.uniqueNames([...target.aliases, source.name, ...source.aliases])
+    });
+    const mergedSource = this.stamp({ ...source, mergedInto: target.id });
+    const workouts = await this.rewriteWorkouts(this.getMergedIds(source.id), mergedTarget);
+
+    await this.save([mergedSource, mergedTarget], workouts);
+    await this.renameRecent([source.name], target.name);
+    logger.success(`Exercise merged: ${source.name} -> ${target.name} (${workouts.length} workouts)`);
+    return this.get(target.id);
+  }
+
+  /**
+   * id упражнения и всех, что были объединены с ним раньше
+   */
+  getMergedIds(id) {
+    const ids = Array.from(this.entries.values())
+      .filter(exercise => exercise.mergedInto && this.resolve(exercise.id)?.id === id)
+      .map(exercise => exercise.id);
+    return [id, ...ids];
+  }
+
+  /**
+   * Переписать тренировки с упражнениями ids на упражнение exercise
+   * @returns {Promise<Array>} Измененные тренировки
+   */
+  async rewriteWorkouts(ids, exercise) {
+    const workouts = await this.store.loadWorkouts();
+    const deviceId = this.store.getDeviceId();
+
+    return workouts
+      .filter(workout => (workout.exercises || []).some(item => ids.includes(this.getWorkoutExerciseId(item))))
+      .map(workout => ({
+        ...workout,
+        exercises: workout.exercises.map(item => (ids.includes(this.getWorkoutExerciseId(item))
+          ? { ...item, exerciseId: exercise.id, exercise: exercise.name, group: exercise.group }
+          : item)),
+        updatedAt: this.store.nextUpdatedAt(workout),
+        deviceId
+      }));
+  }
+
+  /**
+   * id упражнения в тренировке (для записей без exerciseId — по названию)
+   */
+  getWorkoutExerciseId(item) {
+    return item.exerciseId || exerciseManager.getExerciseId(item.exercise);
+  }
+
+  /**
+   * Заменить названия в недавних упражнениях
+   */
+  async renameRecent(oldNames, name) {
+    const recent = await this.store.loadRecentExercises();
+    if (!recent.some(item => oldNames.includes(item))) return;
+
+    const renamed = this.uniqueNames(recent.map(item => (oldNames.includes(item) ? name : item)));
+    await this.store.saveRecentExercises(renamed);
+  }
+
+  /**
+   * Отметить запись как изменение этого устройства
+   */
+  stamp(record) {
+    return {
+      ...record,
+      updatedAt: this.store.nextUpdatedAt(record),
+      deviceId: this.store.getDeviceId()
+    };
+  }
+
+  /**
+   * Сохранить записи каталога и тренировки, обновить каталог
+   */
+  async save(records, workouts = []) {
+    if (!(await this.store.saveExercises(records, { workouts }))) {
+      throw new Error('Failed to save exercise catalog');
+    }
+    records.forEach(record => this.entries.set(record.id, record));
+    exerciseManager.setCatalog(this.getAll());
+  }
+
+  /**
+   * Названия без повторов (без учета регистра)
+   */
+  uniqueNames(names) {
+    const seen = new Set();
+    return names.filter(name => {
+      const key = exerciseManager.normalizeName(name);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+// Создаем единственный экземпляр
+export const exerciseCatalog = new ExerciseCatalog();
@@ -3,101 +3,425 @@
  */
 
 import { logger } from '../utils/logger.js';
+import {
+  BLOCK_TYPES,
+  DEFAULT_E1RM_FORMULA,
+  E1RM_CONFIG,
+  EQUIPMENT_TYPES,
+  EXERCISE_LIMIT_RANGE,
+  EXERCISE_MODALITIES,
+  MAX_EXERCISES_PER_WORKOUT,
+  MUSCLE_WEIGHTS,
+  SET_TYPES
+} from './config.js';
 
-// База данных упражнений
-export const EXERCISES_DATA = {
-  'Грудь': [
-    'Жим лежа',
-    'Жим гантелей лежа',
-    'Разведение гантелей лежа',
-    'Сведение рук в тренажере бабочка',
-    'Отжимания от пола'
-  ],
-  'Спина': [
-    'Подтягивания',
-    'Тяга верхнего блока',
-    'Тяга штанги к поясу',
-    'Тяга гантели одной рукой',
-    'Тяга штанги в наклоне'
-  ],
-  'Ноги': [
-    'Приседания со штангой',
-    'Жим ногами',
-    'Разгибания ног',
-    'Сгибания ног',
-    'Румынская тяга',
-    'Становая тяга',
-    'Болгарские сплит-приседания'
-  ],
-  'Плечи': [
-    'Жим гантелей стоя',
-    'Разведение рук в стороны стоя(гантели)',
-    'Жим над головой(гантели)'
-  ],
-  'Бицепс': [
-    'Подъем штанги на бицепс',
-    'Подъем гантелей на бицепс',
-    'Молотки'
-  ],
-  'Трицепс': [
-    'Разгибания на блоке',
-    'Отжимания от скамьи'
-  ],
-  'Задние дельты': [
-    'Разведение гантелей в наклоне',
-    'Тяга к лицу на блоке'
-  ]
-};
+/**
+ * Встроенные упражнения — начальные данные каталога (exercise-catalog.js)
+ * id постоянны: тренировки ссылаются на упражнение по exerciseId, поэтому переименование
+ * не ломает историю. aliases — прежние названия, под которыми упражнение встречается в старых записях.
+ * Метаданные: equipment (EQUIPMENT_TYPES), pattern (MOVEMENT_PATTERNS), secondaryMuscles, unilateral;
+ * основные мышцы (primaryMuscles) по умолчанию — группа упражнения. modality (EXERCISE_MODALITIES) по умолчанию —
+ * bodyweight для упражнений с собственным весом и weight для остальных.
+ */
+export const EXERCISE_SEED = [
+  { id: 'bench-press', name: 'Жим лежа', group: 'Грудь', equipment: 'barbell', pattern: 'horizontal-push', secondaryMuscles: ['Трицепс', 'Плечи'] },
+  { id: 'dumbbell-bench-press', name: 'Жим гантелей лежа', group: 'Грудь', equipment: 'dumbbell', pattern: 'horizontal-push', secondaryMuscles: ['Трицепс', 'Плечи'] },
+  { id: 'dumbbell-fly', name: 'Разведение гантелей лежа', group: 'Грудь', equipment: 'dumbbell', pattern: 'isolation', secondaryMuscles: ['Плечи'] },
+  { id: 'butterfly-machine', name: 'Сведение рук в тренажере бабочка', group: 'Грудь', equipment: 'machine', pattern: 'isolation' },
+  { id: 'push-ups', name: 'Отжимания от пола', group: 'Грудь', equipment: 'bodyweight', pattern: 'horizontal-push', secondaryMuscles: ['Трицепс', 'Плечи'] },
+  { id: 'pull-ups', name: 'Подтягивания', group: 'Спина', aliases: ['Подтягивание'], equipment: 'bodyweight', pattern: 'vertical-pull', secondaryMuscles: ['Бицепс'] },
+  { id: 'assisted-pull-ups', name: 'Подтягивания в гравитроне', group: 'Спина', equipment: 'machine', pattern: 'vertical-pull', secondaryMuscles: ['Бицепс'], modality: 'assisted' },
+  { id: 'lat-pulldown', name: 'Тяга верхнего блока', group: 'Спина', equipment: 'cable', pattern: 'vertical-pull', secondaryMuscles: ['Бицепс'] },
+  { id: 'barbell-row', name: 'Тяга штанги к поясу', group: 'Спина', equipment: 'barbell', pattern: 'horizontal-pull', secondaryMuscles: ['Бицепс', 'Задние дельты'] },
+  { id: 'single-arm-dumbbell-row', name: 'Тяга гантели одной рукой', group: 'Спина', equipment: 'dumbbell', pattern: 'horizontal-pull', secondaryMuscles: ['Бицепс', 'Задние дельты'], unilateral: true },
+  { id: 'bent-over-barbell-row', name: 'Тяга штанги в наклоне', group: 'Спина', equipment: 'barbell', pattern: 'horizontal-pull', secondaryMuscles: ['Бицепс', 'Задние дельты'] },
+  { id: 'squat', name: 'Приседания со штангой', group: 'Ноги', aliases: ['Присед со штангой'], equipment: 'barbell', pattern: 'squat' },
+  { id: 'leg-press', name: 'Жим ногами', group: 'Ноги', aliases: ['Жим ногами в блочном тренажере'], equipment: 'machine', pattern: 'squat' },
+  { id: 'leg-extension', name: 'Разгибания ног', group: 'Ноги', equipment: 'machine', pattern: 'isolation' },
+  { id: 'leg-curl', name: 'Сгибания ног', group: 'Ноги', equipment: 'machine', pattern: 'isolation' },
+  { id: 'romanian-deadlift', name: 'Румынская тяга', group: 'Ноги', equipment: 'barbell', pattern: 'hinge', secondaryMuscles: ['Спина'] },
+  { id: 'deadlift', name: 'Становая тяга', group: 'Ноги', equipment: 'barbell', pattern: 'hinge', primaryMuscles: ['Ноги', 'Спина'] },
+  { id: 'bulgarian-split-squat', name: 'Болгарские сплит-приседания', group: 'Ноги', equipment: 'dumbbell', pattern: 'lunge', unilateral: true },
+  { id: 'dumbbell-shoulder-press', name: 'Жим гантелей стоя', group: 'Плечи', equipment: 'dumbbell', pattern: 'vertical-push', secondaryMuscles: ['Трицепс'] },
+  { id: 'lateral-raise', name: 'Разведение рук в стороны стоя(гантели)', group: 'Плечи', equipment: 'dumbbell', pattern: 'isolation' },
+  { id: 'overhead-press', name: 'Жим над головой(гантели)', group: 'Плечи', equipment: 'dumbbell', pattern: 'vertical-push', secondaryMuscles: ['Трицепс'] },
+  { id: 'barbell-curl', name: 'Подъем штанги на бицепс', group: 'Бицепс', equipment: 'barbell', pattern: 'isolation' },
+  { id: 'dumbbell-curl', name: 'Подъем гантелей на бицепс', group: 'Бицепс', equipment: 'dumbbell', pattern: 'isolation' },
+  { id: 'hammer-curl', name: 'Молотки', group: 'Бицепс', aliases: ['Хаммер с гантелями'], equipment: 'dumbbell', pattern: 'isolation' },
+  { id: 'cable-triceps', name: 'Разгибания на блоке', group: 'Трицепс', equipment: 'cable', pattern: 'isolation' },
+  { id: 'bench-dips', name: 'Отжимания от скамьи', group: 'Трицепс', equipment: 'bodyweight', pattern: 'vertical-push', secondaryMuscles: ['Грудь', 'Плечи'] },
+  { id: 'rear-delt-dumbbell-fly', name: 'Разведение гантелей в наклоне', group: 'Задние дельты', equipment: 'dumbbell', pattern: 'isolation' },
+  { id: 'face-pull', name: 'Тяга к лицу на блоке', group: 'Задние дельты', equipment: 'cable', pattern: 'horizontal-pull', secondaryMuscles: ['Спина'] },
+  { id: 'plank', name: 'Планка', group: 'Пресс', equipment: 'bodyweight', modality: 'duration' },
+  { id: 'hanging-leg-raise', name: 'Подъем ног в висе', group: 'Пресс', equipment: 'bodyweight', pattern: 'isolation' },
+  { id: 'running', name: 'Бег', group: 'Кардио', modality: 'distance' },
+  { id: 'stationary-bike', name: 'Велотренажер', group: 'Кардио', equipment: 'machine', modality: 'distance' },
+  { id: 'rowing-machine', name: 'Гребной тренажер', group: 'Кардио', equipment: 'machine', modality: 'distance' }
+];
+
+// Префикс id упражнений, созданных пользователем
+const CUSTOM_ID_PREFIX = 'custom-';
+
+// Тип подхода по умолчанию (подходы без type записаны до появления типов)
+const DEFAULT_SET_TYPE = 'working';
+
+// Способ учета упражнения вне каталога и записей без modality
+const DEFAULT_MODALITY = 'weight';
+
+/**
+ * Упражнение каталога с метаданными по умолчанию
+ * (у пользовательских упражнений оборудование и паттерн могут быть не заданы)
+ */
+export function createCatalogEntry(exercise) {
+  return {
+    aliases: [],
+    custom: false,
+    mergedInto: null,
+    equipment: null,
+    pattern: null,
+    secondaryMuscles: [],
+    unilateral: false,
+    ...exercise,
+    primaryMuscles: exercise.primaryMuscles?.length ? exercise.primaryMuscles : [exercise.group],
+    modality: exercise.modality || (exercise.equipment === 'bodyweight' ? 'bodyweight' : DEFAULT_MODALITY)
+  };
+}
 
 class ExerciseManager {
   constructor() {
     this.selectedExercises = new Set();
     this.recentExercises = [];
     this.popularExercises = [];
+    // Сколько упражнений можно выбрать (config.maxExercisesPerWorkout)
+    this.maxExercises = MAX_EXERCISES_PER_WORKOUT;
+    // Действующие упражнения каталога: до загрузки каталога — встроенные
+    this.catalog = EXERCISE_SEED.map(createCatalogEntry);
+  }
+
+  /**
+   * Заменить список упражнений (вызывает exerciseCatalog после загрузки и изменений)
+   * @param {Array<Object>} entries - Упражнения createCatalogEntry
+   */
+  setCatalog(entries) {
+    this.catalog = entries;
   }
 
   /**
    * Получить все упражнения
+   * @returns {Object.<string, string[]>} Названия упражнений по группам
    */
   getAllExercises() {
-    return EXERCISES_DATA;
+    const byGroup = {};
+    this.catalog.forEach(exercise => {
+      (byGroup[exercise.group] = byGroup[exercise.group] || []).push(exercise.name);
+    });
+    return byGroup;
   }
 
   /**
    * Получить упражнения по группе
    */
   getExercisesByGroup(group) {
-    return EXERCISES_DATA[group] || [];
+    return this.getAllExercises()[group] || [];
   }
 
   /**
    * Получить все группы упражнений
    */
   getExerciseGroups() {
-    return Object.keys(EXERCISES_DATA);
+    return Object.keys(this.getAllExercises());
+  }
+
+  /**
+   * Упражнение каталога по названию или прежнему названию (без учета регистра и лишних пробелов)
+   * @returns {Object|null}
+   */
+  findByName(name) {
+    const key = this.normalizeName(name);
+    if (!key) return null;
+    return this.catalog.find(exercise => this.normalizeName(exercise.name) === key)
+      || this.catalog.find(exercise => (exercise.aliases || []).some(alias => this.normalizeName(alias) === key))
+      || null;
+  }
+
+  /**
+   * id упражнения по названию
+   * Названия вне каталога получают id, вычисленный из названия: одно и то же упражнение,
+   * введенное на разных устройствах, после синхронизации не раздваивается
+   */
+  getExerciseId(name) {
+    return this.findByName(name)?.id || this.createExerciseId(name);
+  }
+
+  /**
+   * id нового пользовательского упражнения (FNV-1a от нормализованного названия)
+   */
+  createExerciseId(name) {
+    let hash = 0x811c9dc5;
+    for (const char of this.normalizeName(name)) {
+      hash ^= char.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `${CUSTOM_ID_PREFIX}${hash.toString(16).padStart(8, '0')}`;
+  }
+
+  /**
+   * Название для сравнения: нижний регистр, без лишних пробелов
+   */
+  normalizeName(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
   }
 
   /**
    * Поиск упражнений
+   * Запрос ищется в названии, прежних названиях, оборудовании и мышцах
+   * @param {string} query
+   * @param {Object|string|null} [filters] - Фильтры filterExercises (строка — группа)
+   * @returns {Array<Object>} Упражнения каталога
+   */
+  searchExercises(query, filters = null) {
+    const searchTerm = this.normalizeName(query);
+    const criteria = typeof filters === 'string' ? { group: filters } : filters || {};
+
+    return this.filterExercises(criteria).filter(exercise => !searchTerm || this.getSearchText(exercise).includes(searchTerm));
+  }
+
+  /**
+   * Упражнения, подходящие под фильтры (незаданный фильтр не ограничивает)
+   * @param {Object} [filters]
+   * @param {string} [filters.group] - Группа упражнения
+   * @param {string} [filters.equipment] - Оборудование (EQUIPMENT_TYPES)
+   * @param {string} [filters.pattern] - Паттерн движения (MOVEMENT_PATTERNS)
+   * @param {string} [filters.muscle] - Основная или вспомогательная мышца
+   * @param {boolean} [filters.unilateral] - Одностороннее (true) или двустороннее (false)
    */
-  searchExercises(query, group = null) {
-    const searchTerm = query.toLowerCase().trim();
-    const results = [];
+  filterExercises({ group = null, equipment = null, pattern = null, muscle = null, unilateral = null } = {}) {
+    return this.catalog.filter(exercise =>
+      (!group || exercise.group === group) &&
+      (!equipment || exercise.equipment === equipment) &&
+      (!pattern || exercise.pattern === pattern) &&
+      (!muscle || exercise.primaryMuscles.includes(muscle) || exercise.secondaryMuscles.includes(muscle)) &&
+      (unilateral === null || Boolean(exercise.unilateral) === unilateral)
+    );
+  }
 
-    Object.entries(EXERCISES_DATA).forEach(([groupName, exercises]) => {
-      if (group && group !== groupName) return;
+  /**
+   * Текст для поиска: названия, оборудование и мышцы
+   */
+  getSearchText(exercise) {
+    const equipment = EQUIPMENT_TYPES.find(type => type.id === exercise.equipment)?.name;
+    return this.normalizeName([
+      exercise.name,
+      ...exercise.aliases,
+      equipment,
+      ...exercise.primaryMuscles,
+      ...exercise.secondaryMuscles
+    ].filter(Boolean).join(' | '));
+  }
 
-      exercises.forEach(exercise => {
-        if (exercise.toLowerCase().includes(searchTerm)) {
-          results.push({
-            name: exercise,
-            group: groupName
-          });
-        }
+  /**
+   * Вклад подхода упражнения в объем мышц
+   * Упражнение вне каталога нагружает только свою группу
+   * @param {Object} exercise - Упражнение тренировки ({ exerciseId, exercise, group })
+   * @returns {Object.<string, number>} Вес по мышцам
+   */
+  getMuscleWeights(exercise) {
+    const entry = this.getCatalogEntry(exercise);
+    const primary = entry ? entry.primaryMuscles : [exercise.group].filter(Boolean);
+    const weights = {};
+    (entry?.secondaryMuscles || []).forEach(muscle => {
+      weights[muscle] = MUSCLE_WEIGHTS.SECONDARY;
+    });
+    primary.forEach(muscle => {
+      weights[muscle] = MUSCLE_WEIGHTS.PRIMARY;
+    });
+    return weights;
+  }
+
+  /**
+   * Упражнение каталога для упражнения тренировки (по exerciseId, затем по названию)
+   * @returns {Object|null}
+   */
+  getCatalogEntry(exercise) {
+    if (!exercise) return null;
+    return this.catalog.find(item => item.id === exercise.exerciseId) || this.findByName(exercise.exercise);
+  }
+
+  /**
+   * Объем тренировок по мышцам: тяжелые подходы (SET_TYPES.hardSet) и тоннаж без разминки,
+   * взвешенные по вкладу мышцы — вспомогательная мышца получает часть подхода.
+   * Кардио (modality distance) в объем мышц не входит
+   * @param {Array} workouts
+   * @returns {Object.<string, {sets: number, volume: number}>}
+   */
+  getMuscleVolume(workouts) {
+    const volume = {};
+    (workouts || []).forEach(workout => {
+      (workout.exercises || []).forEach(exercise => {
+        const sets = this.getWorkingSets(exercise.sets);
+        const modality = this.getModality(exercise);
+        if (sets.length === 0 || modality.id === 'distance') return;
+
+        const bodyWeight = this.usesBodyWeight(modality) ? workout.bodyWeight ?? this.getBodyWeight(workouts, workout.date) : null;
+        const hardSets = sets.reduce((sum, set) => sum + this.getSetType(set).hardSet, 0);
+        const tonnage = sets.reduce((sum, set) => sum + this.getSetLoad(set, modality, bodyWeight) * (set.reps || 0), 0);
+        Object.entries(this.getMuscleWeights(exercise)).forEach(([muscle, weight]) => {
+          const total = volume[muscle] || (volume[muscle] = { sets: 0, volume: 0 });
+          total.sets += hardSets * weight;
+          total.volume += tonnage * weight;
+        });
       });
     });
+    return volume;
+  }
+
+  /**
+   * Тип подхода (SET_TYPES); подход без типа или с неизвестным типом — рабочий
+   */
+  getSetType(set) {
+    return SET_TYPES.find(type => type.id === set?.type) || SET_TYPES.find(type => type.id === DEFAULT_SET_TYPE);
+  }
+
+  /**
+   * Разминочный подход
+   */
+  isWarmupSet(set) {
+    return this.getSetType(set).id === 'warmup';
+  }
+
+  /**
+   * Выполненные подходы без разминки: по ним считаются объем, максимумы и прогресс
+   */
+  getWorkingSets(sets) {
+    return (sets || []).filter(set => this.isCompletedSet(set) && !this.isWarmupSet(set));
+  }
+
+  /**
+   * Выполненный подход: есть повторения, время или дистанция
+   */
+  isCompletedSet(set) {
+    return Boolean(set) && (set.reps > 0 || set.duration > 0 || set.distance > 0);
+  }
+
+  /**
+   * Способ учета упражнения (EXERCISE_MODALITIES): записанный в тренировке, иначе из каталога
+   * @param {Object} exercise - Упражнение тренировки ({ exerciseId, exercise, modality })
+   * @returns {Object} Способ учета { id, name, fields, chartTypes }
+   */
+  getModality(exercise) {
+    const id = exercise?.modality || this.getCatalogEntry(exercise)?.modality;
+    return EXERCISE_MODALITIES.find(modality => modality.id === id)
+      || EXERCISE_MODALITIES.find(modality => modality.id === DEFAULT_MODALITY);
+  }
+
+  /**
+   * Зависит ли нагрузка от веса тела
+   */
+  usesBodyWeight(modality) {
+    return modality.id === 'bodyweight' || modality.id === 'assisted';
+  }
+
+  /**
+   * Нагрузка подхода в кг. Для собственного веса — вес тела плюс отягощение (weight),
+   * с помощью — вес тела минус противовес; без веса тела учитывается только отягощение
+   */
+  getSetLoad(set, modality, bodyWeight = null) {
+    const weight = set.weight || 0;
+    switch (modality.id) {
+      case 'bodyweight':
+        return (bodyWeight || 0) + weight;
+      case 'assisted':
+        return bodyWeight ? Math.max(0, bodyWeight - weight) : 0;
+      default:
+        return weight;
+    }
+  }
+
+  /**
+   * Последний записанный вес тела на дату (по полю bodyWeight тренировок)
+   * @param {Array} workouts
+   * @param {string|Date} [date] - Без даты — последний известный вес
+   * @returns {number|null}
+   */
+  getBodyWeight(workouts, date = null) {
+    const limit = date ? new Date(date) : null;
+    const latest = (workouts || [])
+      .filter(workout => typeof workout.bodyWeight === 'number' && workout.bodyWeight > 0 && (!limit || new Date(workout.date) <= limit))
+      .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+    return latest ? latest.bodyWeight : null;
+  }
 
-    return results;
+  /**
+   * Упражнение из последней тренировки, где оно выполнялось, только с выполненными подходами
+   * @param {Array} workouts
+   * @param {string} exerciseName
+   * @param {Object} [options]
+   * @param {string} [options.excludeId] - Не учитывать тренировку (открытую в форме)
+   * @returns {{workoutId: string, date: string, exercise: Object}|null}
+   */
+  getPreviousExercise(workouts, exerciseName, { excludeId = null } = {}) {
+    const exerciseId = this.getExerciseId(exerciseName);
+    const latest = (workouts || [])
+      .filter(workout => workout.id !== excludeId)
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .map(workout => {
+        const exercise = (workout.exercises || []).find(item => (item.exerciseId || this.getExerciseId(item.exercise)) === exerciseId);
+        const sets = (exercise?.sets || []).filter(set => this.isCompletedSet(set));
+        return { workoutId: workout.id, date: workout.date, exercise: exercise && { ...exercise, sets } };
+      })
+      .find(item => item.exercise?.sets.length > 0);
+    return latest || null;
+  }
+
+  /**
+   * Длительность в секундах из строки 'ч:мм:сс', 'мм:сс' или числа секунд
+   * @returns {number} 0, если строку не удалось разобрать
+   */
+  parseDuration(value) {
+    const parts = String(value ?? '').trim().split(':');
+    if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return 0;
+    return parts.reduce((total, part) => total * 60 + Number(part), 0);
+  }
+
+  /**
+   * Длительность для показа: 'м:сс' или 'ч:мм:сс'
+   */
+  formatDuration(seconds) {
+    const total = Math.round(seconds || 0);
+    const pad = value => String(value).padStart(2, '0');
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(total % 60)}` : `${minutes}:${pad(total % 60)}`;
+  }
+
+  /**
+   * Подход для показа: вес и повторы, собственный вес, время или дистанция
+   */
+  formatSet(set, modality = this.getModality(null)) {
+    const weight = set.weight || 0;
+    switch (modality.id) {
+      case 'bodyweight':
+        return `СВ${weight ? `+${weight}кг` : ''}(${set.reps})`;
+      case 'assisted':
+        return `СВ−${weight}кг(${set.reps})`;
+      case 'duration':
+        return `${this.formatDuration(set.duration)}${weight ? ` +${weight}кг` : ''}`;
+      case 'distance':
+        return `${set.distance || 0} км за ${this.formatDuration(set.duration)}`;
+      default:
+        return `${weight}кг(${set.reps})`;
+    }
+  }
+
+  /**
+   * Новый подход: тип и вес по умолчанию берутся из предыдущего подхода
+   */
+  createSet(previous = null) {
+    return {
+      weight: previous?.weight || 0,
+      reps: 0,
+      type: previous && !this.isWarmupSet(previous) ? this.getSetType(previous).id : DEFAULT_SET_TYPE
+    };
   }
 
   /**
@@ -107,7 +431,7 @@ class ExerciseManager {
     // Здесь можно добавить логику определения популярности
     // Пока возвращаем первые 3 упражнения из каждой группы
     const popular = [];
-    Object.entries(EXERCISES_DATA).forEach(([group, exercises]) => {
+    Object.entries(this.getAllExercises()).forEach(([group, exercises]) => {
       popular.push(...exercises.slice(0, 3).map(exercise => ({
         name: exercise,
         group
@@ -135,12 +459,32 @@ class ExerciseManager {
     return this.recentExercises;
   }
 
+  /**
+   * Задать наибольшее число упражнений в тренировке (значение вне EXERCISE_LIMIT_RANGE — по умолчанию)
+   */
+  setMaxExercises(limit) {
+    const value = Number(limit);
+    this.maxExercises = Number.isInteger(value) && value >= EXERCISE_LIMIT_RANGE.MIN && value <= EXERCISE_LIMIT_RANGE.MAX
+      ? value
+      : MAX_EXERCISES_PER_WORKOUT;
+  }
+
+  /**
+   * Наибольшее число упражнений в тренировке
+   */
+  getMaxExercises() {
+    return this.maxExercises;
+  }
+
   /**
    * Выбрать упражнение
+   * @param {string} exerciseName
+   * @param {Object} [options]
+   * @param {boolean} [options.ignoreLimit=false] - Открытие сохраненной тренировки: она могла быть записана с большим лимитом
    */
-  selectExercise(exerciseName) {
-    if (this.selectedExercises.size >= 8) {
-      logger.warn('Maximum exercises selected (8)');
+  selectExercise(exerciseName, { ignoreLimit = false } = {}) {
+    if (!ignoreLimit && this.selectedExercises.size >= this.maxExercises) {
+      logger.warn(`Maximum exercises selected (${this.maxExercises})`);
       return false;
     }
 
@@ -159,6 +503,19 @@ class ExerciseManager {
     logger.debug('Exercise deselected:', exerciseName);
   }
 
+  /**
+   * Переместить выбранное упражнение на позицию index (порядок выполнения)
+   * @returns {boolean} false, если упражнение не выбрано
+   */
+  moveExercise(exerciseName, index) {
+    if (!this.selectedExercises.has(exerciseName)) return false;
+
+    const order = this.getSelectedExercises().filter(name => name !== exerciseName);
+    order.splice(Math.max(0, Math.min(index, order.length)), 0, exerciseName);
+    this.selectedExercises = new Set(order);
+    return true;
+  }
+
   /**
    * Получить выбранные упражнения
    */
@@ -193,14 +550,86 @@ class ExerciseManager {
    */
   createWorkoutExercise(exerciseName) {
     return {
+      exerciseId: this.getExerciseId(exerciseName),
       exercise: exerciseName,
-      sets: [{
-        weight: 0,
-        reps: 0
-      }]
+      modality: this.getModality({ exercise: exerciseName }).id,
+      sets: [this.createSet()]
     };
   }
 
+  /**
+   * Тип блока упражнений (BLOCK_TYPES)
+   */
+  getBlockType(block) {
+    return BLOCK_TYPES.find(type => type.id === block?.type) || BLOCK_TYPES[0];
+  }
+
+  /**
+   * Новый блок упражнений: суперсет, гигантский сет или круговая
+   */
+  createBlock(type = BLOCK_TYPES[0].id, rounds = 1) {
+    return {
+      id: `block-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      type,
+      rounds
+    };
+  }
+
+  /**
+   * Подпись блока: тип и число кругов
+   */
+  getBlockLabel(block) {
+    return `${this.getBlockType(block).name} · кругов: ${block.rounds}`;
+  }
+
+  /**
+   * Упражнения тренировки по блокам в порядке выполнения
+   * @param {Array} exercises - Упражнения тренировки (blockId — блок, в который входит упражнение)
+   * @param {Array} [blocks] - Блоки тренировки
+   * @returns {Array<{block: Object|null, exercises: Array}>} Упражнение вне блока — отдельный элемент с block: null
+   */
+  groupExercises(exercises = [], blocks = []) {
+    const segments = [];
+    (exercises || []).forEach(exercise => {
+      const block = (blocks || []).find(item => item.id === exercise.blockId) || null;
+      const last = segments[segments.length - 1];
+      if (block && last?.block?.id === block.id) {
+        last.exercises.push(exercise);
+      } else {
+        segments.push({ block, exercises: [exercise] });
+      }
+    });
+    return segments;
+  }
+
+  /**
+   * Согласовать блоки с упражнениями: упражнения блока идут подряд за первым из них,
+   * ссылки на несуществующие блоки и блоки из одного упражнения удаляются
+   * @returns {{exercises: Array, blocks: Array}} Блоки в порядке выполнения
+   */
+  normalizeBlocks(exercises = [], blocks = []) {
+    const known = new Map((blocks || []).map(block => [block.id, block]));
+    const counts = new Map();
+    (exercises || []).forEach(exercise => {
+      if (known.has(exercise.blockId)) counts.set(exercise.blockId, (counts.get(exercise.blockId) || 0) + 1);
+    });
+    const isGrouped = exercise => counts.get(exercise.blockId) > 1;
+
+    const ordered = [];
+    const usedBlocks = [];
+    (exercises || []).forEach(exercise => {
+      if (!isGrouped(exercise)) {
+        const { blockId: _blockId, ...rest } = exercise;
+        ordered.push(rest);
+      } else if (!usedBlocks.includes(exercise.blockId)) {
+        usedBlocks.push(exercise.blockId);
+        ordered.push(...exercises.filter(item => item.blockId === exercise.blockId));
+      }
+    });
+
+    return { exercises: ordered, blocks: usedBlocks.map(id => known.get(id)) };
+  }
+
   /**
    * Валидировать упражнение
    */
@@ -233,10 +662,7 @@ class ExerciseManager {
       exercise.sets = [];
     }
     
-    exercise.sets.push({
-      weight: 0,
-      reps: 0
-    });
+    exercise.sets.push(this.createSet(exercise.sets[exercise.sets.length - 1]));
 
     logger.debug('Set added to exercise:', exercise.exercise);
   }
@@ -265,35 +691,127 @@ class ExerciseManager {
 
   /**
    * Получить статистику упражнения
+   * Вес (maxWeight, totalVolume...) — нагрузка getSetLoad: для собственного веса нужен вес тела
+   * @param {Object} exercise - Упражнение тренировки
+   * @param {number|null} [bodyWeight] - Вес тела на день тренировки
    */
-  getExerciseStats(exercise) {
-    if (!exercise.sets || exercise.sets.length === 0) {
+  getExerciseStats(exercise, bodyWeight = null) {
+    const modality = this.getModality(exercise);
+    const workingSets = this.getWorkingSets(exercise.sets);
+    const warmupSets = (exercise.sets || []).filter(set => set && this.isWarmupSet(set)).length;
+    const rpes = workingSets.map(set => set.rpe).filter(rpe => typeof rpe === 'number');
+
+    if (workingSets.length === 0) {
       return {
+        modality: modality.id,
         totalWeight: 0,
         totalReps: 0,
         totalVolume: 0,
         maxWeight: 0,
         minWeight: 0,
         avgWeight: 0,
-        avgReps: 0
+        avgReps: 0,
+        workingSets: 0,
+        hardSets: 0,
+        warmupSets,
+        avgRpe: null,
+        maxReps: 0,
+        totalDuration: 0,
+        maxDuration: 0,
+        totalDistance: 0,
+        pace: null
       };
     }
 
-    const weights = exercise.sets.map(set => set.weight || 0);
-    const reps = exercise.sets.map(set => set.reps || 0);
-    const volumes = exercise.sets.map(set => (set.weight || 0) * (set.reps || 0));
+    // Разминочные подходы в статистику не входят
+    const weights = workingSets.map(set => this.getSetLoad(set, modality, bodyWeight));
+    const reps = workingSets.map(set => set.reps || 0);
+    const volumes = workingSets.map((set, index) => weights[index] * (set.reps || 0));
+    const durations = workingSets.map(set => set.duration || 0);
+    const totalDuration = durations.reduce((sum, duration) => sum + duration, 0);
+    const totalDistance = workingSets.reduce((sum, set) => sum + (set.distance || 0), 0);
 
     return {
+      modality: modality.id,
       totalWeight: weights.reduce((sum, weight) => sum + weight, 0),
       totalReps: reps.reduce((sum, rep) => sum + rep, 0),
       totalVolume: volumes.reduce((sum, volume) => sum + volume, 0),
       maxWeight: Math.max(...weights),
       minWeight: Math.min(...weights),
       avgWeight: weights.reduce((sum, weight) => sum + weight, 0) / weights.length,
-      avgReps: reps.reduce((sum, rep) => sum + rep, 0) / reps.length
+      avgReps: reps.reduce((sum, rep) => sum + rep, 0) / reps.length,
+      workingSets: workingSets.length,
+      hardSets: workingSets.reduce((sum, set) => sum + this.getSetType(set).hardSet, 0),
+      warmupSets,
+      avgRpe: rpes.length > 0 ? rpes.reduce((sum, rpe) => sum + rpe, 0) / rpes.length : null,
+      maxReps: Math.max(...reps),
+      totalDuration,
+      maxDuration: Math.max(...durations),
+      totalDistance,
+      // Темп кардио: секунд на километр
+      pace: totalDistance > 0 && totalDuration > 0 ? totalDuration / totalDistance : null
     };
   }
 
+  /**
+   * Оценка максимума на один повтор (e1RM) по весу и повторениям подхода
+   * @param {number} weight - Нагрузка подхода, кг
+   * @param {number} reps - Повторения
+   * @param {Object} [options]
+   * @param {string} [options.formula] - id формулы E1RM_FORMULAS
+   * @param {number} [options.rpe] - RPE подхода для таблицы RPE; без него — 10 − rir, иначе 10
+   * @param {number} [options.rir] - Повторения в запасе
+   * @returns {number|null} null — нет веса, повторений больше E1RM_CONFIG.MAX_REPS или RPE вне таблицы
+   */
+  estimateOneRepMax(weight, reps, { formula = DEFAULT_E1RM_FORMULA, rpe = null, rir = null } = {}) {
+    if (!(weight > 0) || !(reps > 0) || reps > E1RM_CONFIG.MAX_REPS) return null;
+
+    let estimate;
+    switch (formula) {
+      case 'brzycki':
+        estimate = weight * 36 / (37 - reps);
+        break;
+      case 'lombardi':
+        estimate = weight * Math.pow(reps, 0.1);
+        break;
+      case 'rpe': {
+        const effort = typeof rpe === 'number' ? rpe : (typeof rir === 'number' ? 10 - rir : 10);
+        if (effort < E1RM_CONFIG.RPE_MIN || effort > 10) return null;
+        const percent = E1RM_CONFIG.RPE_PERCENTAGES[Math.round((reps - 1 + 10 - effort) * 2)];
+        if (!percent) return null;
+        estimate = weight * 100 / percent;
+        break;
+      }
+      case 'epley':
+        estimate = reps === 1 ? weight : weight * (1 + reps / 30);
+        break;
+      default:
+        throw new Error(`Unknown e1RM formula: ${formula}`);
+    }
+    return Number(estimate.toFixed(1));
+  }
+
+  /**
+   * Лучший рабочий подход упражнения по e1RM
+   * @param {Object} exercise - Упражнение тренировки
+   * @param {Object} [options]
+   * @param {string} [options.formula] - id формулы E1RM_FORMULAS
+   * @param {number|null} [options.bodyWeight] - Вес тела на день тренировки (getSetLoad)
+   * @returns {{weight: number, reps: number, rpe: number|null, e1rm: number}|null} null — ни один подход не оценивается
+   */
+  getBestSet(exercise, { formula = DEFAULT_E1RM_FORMULA, bodyWeight = null } = {}) {
+    const modality = this.getModality(exercise);
+    let best = null;
+    this.getWorkingSets(exercise?.sets).forEach(set => {
+      const weight = this.getSetLoad(set, modality, bodyWeight);
+      const e1rm = this.estimateOneRepMax(weight, set.reps, { formula, rpe: set.rpe, rir: set.rir });
+      if (e1rm !== null && (!best || e1rm > best.e1rm)) {
+        best = { weight, reps: set.reps, rpe: typeof set.rpe === 'number' ? set.rpe : null, e1rm };
+      }
+    });
+    return best;
+  }
+
   /**
    * Форматировать название упражнения
    */
@@ -306,12 +824,7 @@ class ExerciseManager {
    * Получить группу упражнения
    */
   getExerciseGroup(exerciseName) {
-    for (const [group, exercises] of Object.entries(EXERCISES_DATA)) {
-      if (exercises.includes(exerciseName)) {
-        return group;
-      }
-    }
-    return null;
+    return this.findByName(exerciseName)?.group || null;
   }
 }
 
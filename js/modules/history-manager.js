@@ -5,6 +5,9 @@
 import { logger } from '../utils/logger.js';
 import { storage } from './storage.js';
 import { dom } from '../utils/dom.js';
+import { uiManager } from '../components/ui-manager.js';
+import { workoutForm } from '../components/workout-form.js';
+import { exerciseManager } from './exercises.js';
 
 class HistoryManager {
   constructor() {
@@ -19,13 +22,12 @@ class HistoryManager {
   /**
    * Инициализация страницы истории
    */
-  init() {
+  async init() {
     try {
       logger.info('Initializing history manager...');
       
       this.setupEventListeners();
-      this.loadHistoryData();
-      this.renderHistory();
+      await this.loadHistoryData();
       
       logger.success('History manager initialized');
     } catch (error) {
@@ -59,14 +61,21 @@ class HistoryManager {
     if (calendarContainer) {
       calendarContainer.addEventListener('click', (e) => this.handleDateClick(e));
     }
+
+    // Действия с карточками тренировок: список #historyList подгружается вместе со страницей истории,
+    // поэтому обработчик вешается на постоянный контейнер страницы
+    const historyContent = dom.getElement('history-content');
+    if (historyContent) {
+      historyContent.addEventListener('click', (e) => this.handleWorkoutAction(e));
+    }
   }
 
   /**
    * Загрузка данных истории
    */
-  loadHistoryData() {
+  async loadHistoryData() {
     try {
-      const workouts = storage.loadWorkouts();
+      const workouts = await storage.loadWorkouts();
       this.updateStats(workouts);
       this.renderWorkouts(workouts);
       
@@ -91,8 +100,9 @@ class HistoryManager {
           const date = new Date(w.date);
           return date.getMonth() === currentMonth && date.getFullYear() === currentYear;
         }).length,
+        // Разминочные подходы не считаются
         totalSets: workouts.reduce((sum, w) => 
-          sum + w.exercises.reduce((exSum, ex) => exSum + (ex.sets?.length || 0), 0), 0
+          sum + w.exercises.reduce((exSum, ex) => exSum + exerciseManager.getWorkingSets(ex.sets).length, 0), 0
         ),
         avgWeight: this.calculateAverageWeight(workouts)
       };
@@ -117,6 +127,7 @@ class HistoryManager {
 
   /**
    * Расчет среднего веса
+   * Учитываются только упражнения с весом: собственный вес, время и кардио исказили бы среднее
    */
   calculateAverageWeight(workouts) {
     try {
@@ -125,7 +136,8 @@ class HistoryManager {
 
       workouts.forEach(workout => {
         workout.exercises.forEach(exercise => {
-          exercise.sets.forEach(set => {
+          if (exerciseManager.getModality(exercise).id !== 'weight') return;
+          exerciseManager.getWorkingSets(exercise.sets).forEach(set => {
             if (set.weight > 0) {
               totalWeight += set.weight;
               totalSets++;
@@ -142,11 +154,25 @@ class HistoryManager {
   }
 
   /**
-   * Рендеринг тренировок
+   * Подход в истории: пометка типа, результат (formatSet), RPE/RIR; темп и заметка — в подсказке
+   */
+  renderSet(set, modality = exerciseManager.getModality(null)) {
+    const type = exerciseManager.getSetType(set);
+    const parts = [exerciseManager.formatSet(set, modality)];
+    if (type.label) parts.unshift(type.label);
+    if (typeof set.rpe === 'number') parts.push(`@${set.rpe}`);
+    if (typeof set.rir === 'number') parts.push(`RIR ${set.rir}`);
+
+    const details = [type.name, set.tempo && `Темп ${set.tempo}`, set.note].filter(Boolean).join(' · ');
+    return `<span class="set-info set-${type.id}" title="${dom.escapeHTML(details)}">${parts.join(' ')}${set.note ? ' ✎' : ''}</span>`;
+  }
+
+  /**
+   * Рендеринг тренировок в список страницы истории (#historyList)
    */
   renderWorkouts(workouts) {
     try {
-      const container = dom.getElement('workoutsContainer');
+      const container = dom.getElement('historyList');
       if (!container) return;
 
       // Фильтруем тренировки
@@ -157,33 +183,51 @@ class HistoryManager {
 
       let html = '';
       
-      recentWorkouts.forEach((workout, index) => {
-        const workoutDate = new Date(workout.date);
-        const dateStr = workoutDate.toLocaleDateString('ru-RU');
+      recentWorkouts.forEach(workout => {
+        const dateStr = new Date(workout.date).toLocaleDateString('ru-RU', {
+          day: '2-digit',
+          month: '2-digit',
+          year: 'numeric'
+        });
+        const workoutId = dom.escapeHTML(workout.id);
         
-        html += `<div class="workout-block">
+        html += `<div class="compact-workout-item">
           <div class="workout-header">
             <span class="workout-date">${dateStr}</span>
+            <div class="workout-actions">
+              <button type="button" class="workout-action" data-action="edit" data-workout-id="${workoutId}" title="Редактировать">✎</button>
+              <button type="button" class="workout-action" data-action="duplicate" data-workout-id="${workoutId}" title="Дублировать">⧉</button>
+              <button type="button" class="workout-action" data-action="delete" data-workout-id="${workoutId}" title="Удалить">×</button>
+            </div>
           </div>
           <div class="workout-exercises">`;
         
-        workout.exercises.forEach(exercise => {
-          html += `<div class="exercise-block">
-            <div class="exercise-name"><strong>${exercise.exercise}</strong></div>
-            <div class="exercise-sets">`;
-          
-          exercise.sets.forEach(set => {
-            html += `<span class="set-info">${set.weight}кг(${set.reps})</span>`;
+        // Упражнения суперсета или круговой показываются вместе с подписью блока
+        exerciseManager.groupExercises(workout.exercises, workout.blocks).forEach(segment => {
+          if (segment.block) {
+            html += `<div class="exercise-block-group">
+              <div class="exercise-block-label">${exerciseManager.getBlockLabel(segment.block)}</div>`;
+          }
+
+          segment.exercises.forEach(exercise => {
+            const modality = exerciseManager.getModality(exercise);
+            const sets = exercise.sets.map(set => this.renderSet(set, modality)).join(' ');
+            html += `<div class="workout-exercise"><strong>${dom.escapeHTML(exercise.exercise)}:</strong> ${sets}</div>`;
           });
-          
-          html += `</div></div>`;
+
+          if (segment.block) {
+            html += '</div>';
+          }
         });
         
         html += `</div></div>`;
       });
 
       if (recentWorkouts.length === 0) {
-        html = '<div class="no-workouts">Нет тренировок для отображения</div>';
+        html = `<div class="empty-state">
+          <h3>История пуста</h3>
+          <p>Начните с первой тренировки, чтобы увидеть здесь ваши записи</p>
+        </div>`;
       }
 
       dom.setContent(container, html, 'html');
@@ -194,6 +238,86 @@ class HistoryManager {
     }
   }
 
+  /**
+   * Обработка кнопок карточки тренировки
+   */
+  async handleWorkoutAction(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+
+    const workoutId = button.getAttribute('data-workout-id');
+    switch (button.getAttribute('data-action')) {
+      case 'edit':
+        await this.editWorkout(workoutId);
+        break;
+      case 'duplicate':
+        await this.duplicateWorkout(workoutId);
+        break;
+      case 'delete':
+        await this.deleteWorkout(workoutId);
+        break;
+    }
+  }
+
+  /**
+   * Открыть тренировку в форме для редактирования
+   */
+  async editWorkout(workoutId) {
+    try {
+      const workout = await storage.getWorkout(workoutId);
+      if (!workout) {
+        uiManager.showError('Тренировка не найдена');
+        return;
+      }
+
+      workoutForm.load(workout);
+      uiManager.showPage('main');
+    } catch (error) {
+      logger.error('Failed to open workout for editing:', error);
+    }
+  }
+
+  /**
+   * Создать копию тренировки на текущую дату и открыть ее в форме
+   */
+  async duplicateWorkout(workoutId) {
+    try {
+      const copy = await storage.duplicateWorkout(workoutId, new Date().toISOString());
+      if (!copy) {
+        uiManager.showError('Не удалось скопировать тренировку');
+        return;
+      }
+
+      workoutForm.load(copy);
+      uiManager.showPage('main');
+    } catch (error) {
+      logger.error('Failed to duplicate workout:', error);
+    }
+  }
+
+  /**
+   * Удалить тренировку после подтверждения
+   */
+  async deleteWorkout(workoutId) {
+    try {
+      if (!confirm('Удалить тренировку? Это действие нельзя отменить.')) return;
+
+      const deleted = await storage.deleteWorkout(workoutId);
+      if (!deleted) {
+        uiManager.showError('Не удалось удалить тренировку');
+        return;
+      }
+
+      if (workoutForm.editingId === workoutId) {
+        workoutForm.reset();
+      }
+      await this.loadHistoryData();
+      uiManager.showSuccess('Тренировка удалена');
+    } catch (error) {
+      logger.error('Failed to delete workout:', error);
+    }
+  }
+
   /**
    * Фильтрация тренировок
    */
@@ -262,7 +386,7 @@ class HistoryManager {
   /**
    * Применение фильтров
    */
-  applyFilters() {
+  async applyFilters() {
     try {
       logger.info('Applying filters...');
       
@@ -279,7 +403,7 @@ class HistoryManager {
       }
 
       // Перерисовываем историю
-      this.loadHistoryData();
+      await this.loadHistoryData();
       
       // Скрываем календарь если открыт
       this.hideDatePicker();
@@ -293,7 +417,7 @@ class HistoryManager {
   /**
    * Очистка фильтров
    */
-  clearFilters() {
+  async clearFilters() {
     try {
       logger.info('Clearing filters...');
       
@@ -319,7 +443,7 @@ class HistoryManager {
       this.updateDateRangeDisplay();
       
       // Перерисовываем историю
-      this.loadHistoryData();
+      await this.loadHistoryData();
       
       logger.success('Filters cleared');
     } catch (error) {
@@ -538,7 +662,7 @@ class HistoryManager {
    * Рендеринг истории
    */
   renderHistory() {
-    this.loadHistoryData();
+    return this.loadHistoryData();
   }
 }
 
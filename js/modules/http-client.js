@@ -0,0 +1,329 @@
+/**
+ * Общий HTTP-клиент для внешних сервисов (Яндекс.Диск, WebDAV, Hugging Face)
+ *
+ * Каждый запрос вместе с чтением тела ответа ограничен по времени (AbortController) и может быть
+ * отменен сигналом вызывающего кода или httpClient.cancel(service). Ответ 429 повторяется после паузы из
+ * заголовка Retry-After. Неуспешные ответы превращаются в типизированные ошибки:
+ * AuthError (401/403), NotFoundError (404), QuotaError (429 после повторов, 507),
+ * NetworkError (нет сети или истекло время ожидания), HttpError (остальные).
+ *
+ * Мониторинг подключается через хуки httpClient.use(), а не через подмену window.fetch.
+ */
+
+import { logger } from '../utils/logger.js';
+import { HTTP_CONFIG } from './config.js';
+
+/**
+ * Неуспешный ответ сервиса
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} service - Идентификатор сервиса ('yandex', 'webdav', 'huggingface')
+   * @param {number|null} status - HTTP-статус (null — ответа не было)
+   * @param {string} [message]
+   */
+  constructor(service, status, message = `${service}: HTTP ${status}`) {
+    super(message);
+    this.name = 'HttpError';
+    this.service = service;
+    this.status = status;
+  }
+}
+
+/**
+ * Ошибка авторизации: токен истек, отозван или не дает доступа (HTTP 401/403)
+ * Повторять запрос бессмысленно — нужен повторный вход
+ */
+export class AuthError extends HttpError {
+  /**
+   * @param {string} provider - Идентификатор сервиса (для синхронизации — провайдера)
+   * @param {'expired'|'unauthorized'|'forbidden'} reason
+   * @param {number|null} [status] - HTTP-статус ответа
+   */
+  constructor(provider, reason, status = null) {
+    super(provider, status, status ? `${provider}: authorization failed (HTTP ${status})` : `${provider}: access token expired`);
+    this.name = 'AuthError';
+    this.provider = provider;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Ресурс не найден (HTTP 404)
+ */
+export class NotFoundError extends HttpError {
+  constructor(service, url) {
+    super(service, 404, `${service}: not found (${url})`);
+    this.name = 'NotFoundError';
+    this.url = url;
+  }
+}
+
+/**
+ * Превышен лимит запросов (429) или место в хранилище (507)
+ */
+export class QuotaError extends HttpError {
+  /**
+   * @param {string} service
+   * @param {number} status
+   * @param {number|null} [retryAfter] - Через сколько мс сервис разрешит повтор
+   */
+  constructor(service, status, retryAfter = null) {
+    super(service, status, status === 507 ? `${service}: storage quota exceeded` : `${service}: rate limit exceeded`);
+    this.name = 'QuotaError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Ответа нет: сеть недоступна или истекло время ожидания
+ */
+export class NetworkError extends HttpError {
+  /**
+   * @param {string} service
+   * @param {'offline'|'timeout'} reason
+   * @param {Error} [cause]
+   */
+  constructor(service, reason, cause = null) {
+    super(service, null, reason === 'timeout' ? `${service}: request timed out` : `${service}: network error (${cause?.message || 'offline'})`);
+    this.name = 'NetworkError';
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+let nextRequestId = 1;
+
+// Методы Response, читающие тело ответа
+const BODY_READERS = ['json', 'text', 'blob', 'arrayBuffer', 'formData'];
+
+class HttpClient {
+  constructor() {
+    this.hooks = new Set();
+    // Выполняющиеся запросы: { service, controller }
+    this.pending = new Set();
+    // Транспорт по умолчанию; провайдеры передают свой (в тестах — заглушку сервера)
+    this.fetch = (...args) => fetch(...args);
+  }
+
+  /**
+   * Подключить хуки инструментирования
+   * @param {{onRequest?: Function, onResponse?: Function, onError?: Function}} hooks -
+   *   получают { id, service, method, url, attempt } и после ответа — status, ok, duration, error
+   * @returns {Function} Отключение хуков
+   */
+  use(hooks) {
+    this.hooks.add(hooks);
+    return () => this.hooks.delete(hooks);
+  }
+
+  /**
+   * Выполнить запрос
+   * @param {string} url
+   * @param {Object} [options] - Параметры fetch и клиента
+   * @param {string} [options.service] - Идентификатор сервиса для ошибок и мониторинга
+   * @param {number} [options.timeout] - Время ожидания ответа, мс
+   * @param {AbortSignal} [options.signal] - Отмена запроса вызывающим кодом
+   * @param {number[]} [options.accept] - Неуспешные статусы, которые вернуть как ответ (например, 404)
+   * @param {number} [options.retries] - Сколько раз повторить ответ 429
+   * @param {Function} [options.transport] - Замена fetch
+   * @returns {Promise<Response>} Успешный ответ или ответ со статусом из accept
+   * @throws {HttpError|DOMException} Типизированная ошибка; отмена — AbortError
+   */
+  async request(url, options = {}) {
+    const {
+      service = 'http',
+      timeout = HTTP_CONFIG.TIMEOUT_MS,
+      signal = null,
+      accept = [],
+      retries = HTTP_CONFIG.RATE_LIMIT_RETRIES,
+      transport = this.fetch,
+      ...init
+    } = options;
+
+    for (let attempt = 1; ; attempt++) {
+      const response = await this.send(url, init, { service, timeout, signal, transport, attempt });
+      if (response.ok || accept.includes(response.status)) {
+        return response;
+      }
+
+      if (response.status === 429) {
+        const retryAfter = this.getRetryAfter(response);
+        if (attempt <= retries && retryAfter <= HTTP_CONFIG.MAX_RETRY_AFTER_MS) {
+          logger.warn(`${service}: rate limited, retry in ${Math.round(retryAfter / 1000)}s`);
+          await this.wait(retryAfter, signal);
+          continue;
+        }
+        throw new QuotaError(service, 429, retryAfter);
+      }
+
+      throw this.createError(service, url, response);
+    }
+  }
+
+  /**
+   * Одна попытка запроса с ограничением времени
+   * Тело ответа читается в пределах того же времени ожидания и с той же отменой (guardBody)
+   */
+  async send(url, init, { service, timeout, signal, transport, attempt }) {
+    if (signal?.aborted) {
+      throw new DOMException('Request was cancelled', 'AbortError');
+    }
+
+    const controller = new AbortController();
+    const entry = { service, controller };
+    const info = { id: nextRequestId++, service, method: (init.method || 'GET').toUpperCase(), url, attempt };
+    const startedAt = Date.now();
+
+    this.emit('onRequest', info);
+    try {
+      const response = await this.guard(entry, signal, timeout, () => transport(url, { ...init, signal: controller.signal }));
+      this.emit('onResponse', { ...info, status: response.status, ok: response.ok, duration: Date.now() - startedAt });
+      return this.guardBody(response, entry, signal, startedAt + timeout);
+    } catch (error) {
+      this.emit('onError', { ...info, status: 0, ok: false, duration: Date.now() - startedAt, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Выполнить шаг запроса (ожидание ответа или чтение тела) до истечения времени или отмены
+   * Пока шаг выполняется, запрос можно отменить через cancel()
+   * @param {{service: string, controller: AbortController}} entry
+   * @param {AbortSignal|null} signal - Отмена вызывающим кодом
+   * @param {number} timeout - Оставшееся время ожидания, мс
+   * @param {Function} task
+   */
+  async guard(entry, signal, timeout, task) {
+    const { service, controller } = entry;
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, Math.max(0, timeout));
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+    if (signal?.aborted) abort();
+    this.pending.add(entry);
+
+    // Отмена срабатывает, даже если транспорт не поддерживает signal
+    const aborted = new Promise((resolve, reject) => {
+      const cancelled = () => reject(new DOMException('Request was cancelled', 'AbortError'));
+      if (controller.signal.aborted) cancelled();
+      controller.signal.addEventListener('abort', cancelled);
+    });
+    aborted.catch(() => {});
+
+    try {
+      return await Promise.race([task(), aborted]);
+    } catch (error) {
+      if (timedOut) throw new NetworkError(service, 'timeout', error);
+      // Отмена и ошибка разбора JSON передаются как есть
+      if (error.name === 'AbortError' || error.name === 'SyntaxError') throw error;
+      throw new NetworkError(service, 'offline', error);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+      this.pending.delete(entry);
+    }
+  }
+
+  /**
+   * Ответ, тело которого читается до истечения общего времени ожидания запроса (deadline):
+   * зависшее после заголовков тело не задерживает синхронизацию
+   */
+  guardBody(response, entry, signal, deadline) {
+    return new Proxy(response, {
+      get: (target, property) => {
+        const value = Reflect.get(target, property, target);
+        if (typeof value !== 'function') return value;
+        if (!BODY_READERS.includes(property)) return value.bind(target);
+        return (...args) => this.guard(entry, signal, deadline - Date.now(), () => value.apply(target, args));
+      }
+    });
+  }
+
+  /**
+   * Отменить выполняющиеся запросы сервиса (без аргумента — все)
+   * @returns {number} Сколько запросов отменено
+   */
+  cancel(service = null) {
+    let cancelled = 0;
+    this.pending.forEach(entry => {
+      if (!service || entry.service === service) {
+        entry.controller.abort();
+        cancelled++;
+      }
+    });
+    return cancelled;
+  }
+
+  /**
+   * Типизированная ошибка для неуспешного ответа
+   */
+  createError(service, url, response) {
+    switch (response.status) {
+      case 401:
+        return new AuthError(service, 'unauthorized', 401);
+      case 403:
+        return new AuthError(service, 'forbidden', 403);
+      case 404:
+        return new NotFoundError(service, url);
+      case 507:
+        return new QuotaError(service, 507);
+      default:
+        return new HttpError(service, response.status, `${service}: HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`);
+    }
+  }
+
+  /**
+   * Пауза из заголовка Retry-After (секунды или дата), мс
+   */
+  getRetryAfter(response, now = Date.now()) {
+    const value = response.headers?.get?.('Retry-After');
+    if (!value) return HTTP_CONFIG.DEFAULT_RETRY_AFTER_MS;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? HTTP_CONFIG.DEFAULT_RETRY_AFTER_MS : Math.max(0, date - now);
+  }
+
+  /**
+   * Пауза перед повтором, прерываемая сигналом отмены
+   */
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('Request was cancelled', 'AbortError'));
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Request was cancelled', 'AbortError'));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Вызвать хуки (ошибка хука не влияет на запрос)
+   */
+  emit(name, info) {
+    this.hooks.forEach(hooks => {
+      try {
+        hooks[name]?.(info);
+      } catch (error) {
+        logger.error('HTTP hook failed:', error);
+      }
+    });
+  }
+}
+
+// Создаем единственный экземпляр
+export const httpClient = new HttpClient();
@@ -0,0 +1,253 @@
+/**
+ * Модуль для работы с IndexedDB
+ * Низкоуровневый бэкенд хранилища: открытие базы, транзакции, CRUD по хранилищам объектов
+ */
+
+import { logger } from '../utils/logger.js';
+import { IDB_CONFIG } from './config.js';
+
+export class IndexedDBBackend {
+  /**
+   * @param {string} [name] - Имя базы (отдельная база — для тестов, которые пишут данные)
+   */
+  constructor(name = IDB_CONFIG.NAME) {
+    this.name = name;
+    this.db = null;
+    this.openPromise = null;
+  }
+
+  /**
+   * Проверить поддержку IndexedDB
+   */
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Открыть базу данных (повторные вызовы возвращают то же соединение)
+   */
+  open() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+
+    if (this.openPromise) {
+      return this.openPromise;
+    }
+
+    this.openPromise = new Promise((resolve, reject) => {
+      if (!this.isSupported()) {
+        reject(new Error('IndexedDB is not supported'));
+        return;
+      }
+
+      const request = indexedDB.open(this.name, IDB_CONFIG.VERSION);
+
+      request.onupgradeneeded = (event) => {
+        this.upgrade(request.result, event.oldVersion);
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+
+        // Другая вкладка обновляет схему — освобождаем соединение
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+          this.openPromise = null;
+          logger.warn('IndexedDB connection closed due to version change');
+        };
+
+        logger.storage('OPEN', `${this.name} v${IDB_CONFIG.VERSION}`);
+        resolve(this.db);
+      };
+
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => logger.warn('IndexedDB open is blocked by another tab');
+    }).catch(error => {
+      this.openPromise = null;
+      throw error;
+    });
+
+    return this.openPromise;
+  }
+
+  /**
+   * Закрыть соединение и удалить базу
+   */
+  async destroy() {
+    await this.openPromise?.catch(() => {});
+    this.db?.close();
+    this.db = null;
+    this.openPromise = null;
+
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(this.name);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+    logger.storage('DELETE', this.name);
+  }
+
+  /**
+   * Создание/обновление хранилищ объектов
+   */
+  upgrade(db, oldVersion) {
+    const { STORES } = IDB_CONFIG;
+
+    if (oldVersion < 1) {
+      const workouts = db.createObjectStore(STORES.WORKOUTS, { keyPath: 'id' });
+      workouts.createIndex('date', 'date');
+
+      const analyses = db.createObjectStore(STORES.ANALYSES, { keyPath: 'id' });
+      analyses.createIndex('timestamp', 'timestamp');
+
+      db.createObjectStore(STORES.PHOTOS, { keyPath: 'id' });
+      db.createObjectStore(STORES.CONFIG, { keyPath: 'key' });
+    }
+
+    // v2: каталог упражнений (встроенные упражнения хранятся, только если изменены)
+    if (oldVersion < 2) {
+      db.createObjectStore(STORES.EXERCISES, { keyPath: 'id' });
+    }
+
+    // v3: шаблоны программ и активная программа (синхронизируемые записи)
+    if (oldVersion < 3) {
+      db.createObjectStore(STORES.PROGRAMS, { keyPath: 'id' });
+    }
+
+    logger.storage('UPGRADE', `${this.name} ${oldVersion} -> ${IDB_CONFIG.VERSION}`);
+  }
+
+  /**
+   * Выполнить операции в одной транзакции
+   * Промис разрешается результатом запроса, возвращенного из callback, после завершения транзакции
+   */
+  async run(storeNames, mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const request = callback(tx);
+
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  /**
+   * Получить все записи хранилища
+   */
+  getAll(storeName) {
+    return this.run(storeName, 'readonly', tx => tx.objectStore(storeName).getAll());
+  }
+
+  /**
+   * Получить запись по ключу
+   */
+  get(storeName, key) {
+    return this.run(storeName, 'readonly', tx => tx.objectStore(storeName).get(key));
+  }
+
+  /**
+   * Сохранить запись
+   */
+  put(storeName, value) {
+    return this.run(storeName, 'readwrite', tx => tx.objectStore(storeName).put(value));
+  }
+
+  /**
+   * Сохранить несколько записей в одно хранилище
+   */
+  putMany(storeName, values) {
+    return this.run(storeName, 'readwrite', tx => {
+      const store = tx.objectStore(storeName);
+      values.forEach(value => store.put(value));
+    });
+  }
+
+  /**
+   * Заменить все записи хранилища
+   */
+  replaceAll(storeName, values) {
+    return this.run(storeName, 'readwrite', tx => {
+      const store = tx.objectStore(storeName);
+      store.clear();
+      values.forEach(value => store.put(value));
+    });
+  }
+
+  /**
+   * Атомарно записать данные в несколько хранилищ
+   * @param {Object.<string, Array>} recordsByStore - Записи по именам хранилищ
+   * @param {Object} [options]
+   * @param {string[]} [options.replaceStores=[]] - Хранилища, которые очищаются перед записью в той же транзакции
+   * @param {string[]} [options.mergeStores=[]] - Хранилища, где каждая запись сверяется с сохраненной версией
+   *   в той же транзакции: изменения, сделанные после чтения данных (другой вкладкой или service worker), не теряются
+   * @param {Function} [options.keepExisting] - (existing, incoming) => true, если сохраненная версия остается
+   * @param {Function} [options.dropMissing] - (existing, storeName) => true, если сохраненную запись, которой нет среди новых, нужно удалить
+   */
+  bulkPut(recordsByStore, { replaceStores = [], mergeStores = [], keepExisting = () => false, dropMissing = () => false } = {}) {
+    const storeNames = Object.keys(recordsByStore);
+
+    return this.run(storeNames, 'readwrite', tx => {
+      storeNames.forEach(storeName => {
+        const store = tx.objectStore(storeName);
+        if (mergeStores.includes(storeName)) {
+          this.mergeInto(store, recordsByStore[storeName], keepExisting, dropMissing);
+          return;
+        }
+        if (replaceStores.includes(storeName)) {
+          store.clear();
+        }
+        recordsByStore[storeName].forEach(value => store.put(value));
+      });
+    });
+  }
+
+  /**
+   * Слить записи с содержимым хранилища курсором внутри транзакции (см. bulkPut, options.mergeStores)
+   */
+  mergeInto(store, records, keepExisting, dropMissing) {
+    const incoming = new Map(records.map(value => [value[store.keyPath], value]));
+
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        incoming.forEach(value => store.put(value));
+        return;
+      }
+
+      const existing = cursor.value;
+      const value = incoming.get(cursor.primaryKey);
+      if (!value) {
+        if (dropMissing(existing, store.name)) cursor.delete();
+      } else if (keepExisting(existing, value)) {
+        incoming.delete(cursor.primaryKey);
+      }
+      cursor.continue();
+    };
+  }
+
+  /**
+   * Удалить запись по ключу
+   */
+  delete(storeName, key) {
+    return this.run(storeName, 'readwrite', tx => tx.objectStore(storeName).delete(key));
+  }
+
+  /**
+   * Очистить одно или несколько хранилищ
+   */
+  clear(storeNames) {
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+
+    return this.run(names, 'readwrite', tx => {
+      names.forEach(storeName => tx.objectStore(storeName).clear());
+    });
+  }
+}
+
+// Создаем единственный экземпляр
+export const idbBackend = new IndexedDBBackend();
@@ -0,0 +1,208 @@
+/**
+ * Провайдер синхронизации "локальная папка" (File System Access API)
+ *
+ * Файл синхронизации хранится в выбранной пользователем папке — например, в папке,
+ * которую синхронизирует клиент Nextcloud, Dropbox или Syncthing. Handle папки сохраняется
+ * в IndexedDB; после перезапуска браузера доступ может потребовать повторного подтверждения.
+ */
+
+import { logger } from '../utils/logger.js';
+import { storage } from './storage.js';
+import { SyncProvider } from './sync-provider.js';
+
+class LocalFolderProvider extends SyncProvider {
+  constructor(store = storage) {
+    super('local', 'Локальная папка');
+    this.store = store;
+    this.root = null;
+  }
+
+  /**
+   * Поддерживает ли браузер выбор папки
+   */
+  isSupported() {
+    return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+  }
+
+  /**
+   * Выбрана ли папка
+   */
+  hasSettings(config) {
+    return Boolean(config.localFolderName);
+  }
+
+  /**
+   * Выбрать папку (только по действию пользователя)
+   * @returns {Promise<string>} Имя папки для config.localFolderName
+   */
+  async pickFolder() {
+    if (!this.isSupported()) {
+      throw new Error('File System Access API is not supported in this browser');
+    }
+
+    const handle = await window.showDirectoryPicker({ id: 'myfitness-sync', mode: 'readwrite' });
+    await this.store.saveSyncFolder(handle);
+    this.root = handle;
+    logger.success('Local sync folder selected:', handle.name);
+    return handle.name;
+  }
+
+  /**
+   * Подготовить провайдер: папка из IndexedDB и разрешение на запись
+   */
+  async connect() {
+    const handle = await this.store.loadSyncFolder();
+    if (!handle) {
+      throw new Error('Local sync folder is not selected');
+    }
+
+    if (handle.queryPermission && (await handle.queryPermission({ mode: 'readwrite' })) !== 'granted') {
+      // Браузер покажет запрос, только если синхронизацию запустил пользователь
+      const state = await handle.requestPermission({ mode: 'readwrite' }).catch(() => 'denied');
+      if (state !== 'granted') {
+        throw new Error('Access to the local sync folder was not granted');
+      }
+    }
+
+    this.root = handle;
+  }
+
+  /**
+   * Список файлов и папок
+   */
+  async list(folder) {
+    const parts = folder.split('/').filter(Boolean);
+    const directory = await this.getDirectory(parts, false).catch(error => this.ignoreNotFound(error));
+    if (!directory) return [];
+
+    const prefix = parts.length ? `/${parts.join('/')}` : '';
+    const entries = [];
+    for await (const [name, handle] of directory.entries()) {
+      const isDirectory = handle.kind === 'directory';
+      entries.push({
+        name,
+        path: `${prefix}/${name}`,
+        isDirectory,
+        revision: isDirectory ? null : this.getFileRevision(await handle.getFile())
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Прочитать JSON-файл
+   */
+  async read(path) {
+    const file = await this.getFile(path);
+    if (!file) {
+      logger.warn('File not found:', path);
+      return null;
+    }
+    return JSON.parse(await file.text());
+  }
+
+  /**
+   * Записать JSON-файл (папки создаются при необходимости)
+   */
+  async write(path, data, { revision } = {}) {
+    await this.checkRevision(path, revision);
+    return this.writeBinary(path, JSON.stringify(data), 'application/json');
+  }
+
+  /**
+   * Прочитать файл как есть (File — это Blob)
+   */
+  async readBinary(path) {
+    const file = await this.getFile(path);
+    if (!file) {
+      logger.warn('File not found:', path);
+      return null;
+    }
+    return file;
+  }
+
+  /**
+   * Записать файл как есть (папки создаются при необходимости; тип содержимого в файловой системе не хранится)
+   */
+  async writeBinary(path, data, contentType) {
+    const { folders, name } = this.splitPath(path);
+    const directory = await this.getDirectory(folders, true);
+    const fileHandle = await directory.getFileHandle(name, { create: true });
+
+    const writable = await fileHandle.createWritable();
+    await writable.write(data);
+    await writable.close();
+
+    logger.success('File written to local folder:', path);
+    return { success: true };
+  }
+
+  /**
+   * Удалить файл
+   */
+  async remove(path) {
+    const { folders, name } = this.splitPath(path);
+    try {
+      const directory = await this.getDirectory(folders, false);
+      await directory.removeEntry(name);
+    } catch (error) {
+      this.ignoreNotFound(error);
+    }
+    return { success: true };
+  }
+
+  /**
+   * Ревизия файла: время изменения и размер
+   */
+  async revision(path) {
+    const file = await this.getFile(path);
+    return file ? this.getFileRevision(file) : null;
+  }
+
+  /**
+   * Ревизия по метаданным файла
+   */
+  getFileRevision(file) {
+    return `${file.lastModified}:${file.size}`;
+  }
+
+  /**
+   * Папка по пути от корня
+   */
+  async getDirectory(folders, create) {
+    if (!this.root) {
+      throw new Error('Local folder provider is not connected');
+    }
+
+    let directory = this.root;
+    for (const folder of folders) {
+      directory = await directory.getDirectoryHandle(folder, { create });
+    }
+    return directory;
+  }
+
+  /**
+   * Файл по пути (null, если его нет)
+   */
+  async getFile(path) {
+    const { folders, name } = this.splitPath(path);
+    try {
+      const directory = await this.getDirectory(folders, false);
+      const fileHandle = await directory.getFileHandle(name);
+      return await fileHandle.getFile();
+    } catch (error) {
+      return this.ignoreNotFound(error);
+    }
+  }
+
+  /**
+   * Отсутствующий файл или папка — не ошибка
+   */
+  ignoreNotFound(error) {
+    if (error.name === 'NotFoundError') return null;
+    throw error;
+  }
+}
+
+// Создаем единственный экземпляр
+export const localFolderProvider = new LocalFolderProvider();
@@ -0,0 +1,329 @@
+/**
+ * Модуль очереди неотправленных изменений (outbox)
+ *
+ * Каждое локальное изменение данных попадает в очередь, которая хранится в IndexedDB и
+ * переживает перезагрузку страницы. Очередь отправляется через syncEngine; неудачные попытки
+ * повторяются с экспоненциальной задержкой и случайным разбросом, при событии online — сразу.
+ * Если отправить не удалось, очередь дополнительно передается фоновой синхронизации service worker,
+ * которая сработает при появлении сети даже после закрытия вкладки.
+ *
+ * Ошибка авторизации (AuthError) приостанавливает очередь: повторы бессмысленны до повторного входа,
+ * а изменения остаются в очереди и отправляются после resume().
+ */
+
+import { logger } from '../utils/logger.js';
+import { OUTBOX_CONFIG } from './config.js';
+import { storage } from './storage.js';
+import { syncEngine } from './sync-engine.js';
+import { backgroundSync } from './background-sync.js';
+import { syncProviders } from './sync-provider.js';
+import { AuthError } from './http-client.js';
+
+const EMPTY_STATE = {
+  items: [],
+  attempts: 0,
+  lastError: null,
+  nextAttemptAt: null,
+  lastSuccessAt: null,
+  // 'auth' — отправка приостановлена до повторного входа
+  pausedReason: null
+};
+
+class Outbox {
+  constructor(store = storage, engine = syncEngine) {
+    this.store = store;
+    this.engine = engine;
+    this.state = { ...EMPTY_STATE };
+    this.timer = null;
+    this.listeners = new Set();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Инициализация: восстановление очереди и подписки на изменения, синхронизацию и сеть
+   */
+  async init() {
+    if (this.isInitialized) return;
+
+    const saved = await this.store.loadOutbox();
+    if (saved) {
+      // Изменения, поставленные в очередь до загрузки, добавляются к сохраненным
+      this.state = { ...EMPTY_STATE, ...saved, items: this.mergeItems(saved.items || [], this.state.items) };
+    }
+
+    this.store.onChange(change => this.enqueue(change));
+    this.engine.onSync(result => this.handleSyncSuccess(result));
+    syncProviders.onAuthError(error => this.pause('auth', error));
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('online', () => this.handleOnline());
+      window.addEventListener('offline', () => this.notify());
+    }
+
+    this.isInitialized = true;
+
+    // Продолжаем отправку после перезагрузки
+    if (this.state.items.length > 0) {
+      const due = Date.parse(this.state.nextAttemptAt) || Date.now();
+      this.schedule(Math.max(0, due - Date.now()));
+      logger.info(`Outbox resumed with ${this.state.items.length} pending changes`);
+    }
+  }
+
+  /**
+   * Подписаться на изменение состояния очереди
+   * @returns {Function} Отписка
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Оповестить подписчиков
+   */
+  notify() {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (error) {
+        logger.error('Outbox listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Состояние очереди для UI
+   */
+  getStatus() {
+    return {
+      pending: this.state.items.length,
+      attempts: this.state.attempts,
+      lastError: this.state.lastError,
+      nextAttemptAt: this.state.nextAttemptAt,
+      lastSuccessAt: this.state.lastSuccessAt,
+      paused: this.state.pausedReason,
+      online: this.isOnline()
+    };
+  }
+
+  /**
+   * Поставить изменение в очередь
+   * Повторные изменения одной записи объединяются
+   * @param {{type: string, action: string, id?: string}} change
+   */
+  async enqueue(change) {
+    const item = {
+      key: `${change.type}:${change.id || change.action}`,
+      type: change.type,
+      action: change.action,
+      id: change.id || null,
+      queuedAt: new Date().toISOString()
+    };
+    this.state.items = this.mergeItems(this.state.items, [item]);
+    await this.save();
+
+    // Во время экспоненциальной задержки не ускоряем повторы, на паузе не отправляем
+    if (this.isInitialized && this.state.attempts === 0 && !this.state.pausedReason) {
+      const config = await this.store.loadConfig();
+      // Пауза могла начаться, пока загружались настройки
+      if (config.autoSync && this.engine.isConfigured(config) && !this.state.pausedReason) {
+        this.schedule(OUTBOX_CONFIG.FLUSH_DELAY_MS);
+      }
+    }
+  }
+
+  /**
+   * Объединить элементы очереди (по ключу остается последнее изменение)
+   */
+  mergeItems(existing, incoming) {
+    const byKey = new Map(existing.map(item => [item.key, item]));
+    incoming.forEach(item => byKey.set(item.key, item));
+    return Array.from(byKey.values());
+  }
+
+  /**
+   * Отправить очередь (синхронизация выполняется, даже если очередь пуста)
+   * @param {Object} [options] - Параметры syncEngine.sync
+   */
+  async flush(options = {}) {
+    if (!this.isOnline()) {
+      this.requestBackgroundSync();
+      this.notify();
+      throw new Error('Device is offline');
+    }
+
+    this.clearTimer();
+    try {
+      // Очередь очищается в handleSyncSuccess
+      return await this.engine.sync(options);
+    } catch (error) {
+      await this.recordFailure(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Успешная синхронизация (в том числе запущенная не из очереди):
+   * удаляем изменения, которые в нее вошли, и сбрасываем задержку
+   */
+  async handleSyncSuccess(result) {
+    this.state.items = this.state.items.filter(item => item.queuedAt >= result.startedAt);
+    this.state.attempts = 0;
+    this.state.lastError = null;
+    this.state.nextAttemptAt = null;
+    this.state.lastSuccessAt = result.syncedAt;
+    this.state.pausedReason = null;
+    this.clearTimer();
+    await this.save();
+
+    if (this.state.items.length > 0) {
+      this.schedule(OUTBOX_CONFIG.FLUSH_DELAY_MS);
+    }
+  }
+
+  /**
+   * Неудачная попытка: запоминаем ошибку и планируем повтор
+   */
+  async recordFailure(error) {
+    this.state.attempts += 1;
+    this.state.lastError = { message: error.message, at: new Date().toISOString() };
+
+    if (error instanceof AuthError || this.state.pausedReason) {
+      // Повтор без нового токена снова завершится ошибкой
+      this.state.pausedReason = 'auth';
+      this.state.nextAttemptAt = null;
+      this.clearTimer();
+    } else if (this.state.items.length > 0) {
+      // Сервис с лимитом запросов (QuotaError) сам говорит, когда повторять
+      const delay = Math.max(this.getBackoffDelay(this.state.attempts), error.retryAfter || 0);
+      this.state.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      this.schedule(delay);
+      this.requestBackgroundSync();
+      logger.warn(`Outbox flush failed (attempt ${this.state.attempts}), retry in ${Math.round(delay / 1000)}s:`, error.message);
+    } else {
+      this.state.nextAttemptAt = null;
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Приостановить отправку (изменения остаются в очереди)
+   * @param {string} reason - 'auth': нужен повторный вход
+   */
+  async pause(reason, error = null) {
+    this.state.pausedReason = reason;
+    this.state.nextAttemptAt = null;
+    if (error) {
+      this.state.lastError = { message: error.message, at: new Date().toISOString() };
+    }
+    this.clearTimer();
+    logger.warn(`Outbox paused (${reason}), ${this.state.items.length} changes kept`);
+    await this.save();
+  }
+
+  /**
+   * Возобновить отправку после паузы (например, после повторного входа)
+   */
+  async resume() {
+    if (!this.state.pausedReason) return;
+
+    this.state.pausedReason = null;
+    this.state.attempts = 0;
+    await this.save();
+    logger.info('Outbox resumed');
+
+    if (this.state.items.length > 0) {
+      this.schedule(0);
+    }
+  }
+
+  /**
+   * Экспоненциальная задержка со случайным разбросом: половина задержки фиксирована, половина случайна
+   */
+  getBackoffDelay(attempts) {
+    const exponential = Math.min(
+      OUTBOX_CONFIG.MAX_DELAY_MS,
+      OUTBOX_CONFIG.BASE_DELAY_MS * 2 ** (attempts - 1)
+    );
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  /**
+   * Запланировать отправку
+   */
+  schedule(delay) {
+    this.clearTimer();
+    this.timer = setTimeout(() => this.runScheduled(), delay);
+  }
+
+  /**
+   * Отменить запланированную отправку
+   */
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Плановая отправка: без сети ждем события online, без токена и на паузе — ручной синхронизации или входа
+   */
+  async runScheduled() {
+    this.timer = null;
+    if (this.state.items.length === 0 || this.state.pausedReason) return;
+    if (!this.isOnline()) {
+      this.requestBackgroundSync();
+      return;
+    }
+
+    const config = await this.store.loadConfig();
+    if (!this.engine.isConfigured(config)) {
+      logger.debug('Outbox flush skipped: sync provider is not configured');
+      return;
+    }
+
+    await this.flush().catch(() => {});
+  }
+
+  /**
+   * Передать отправку service worker (без ожидания: фоновая синхронизация есть не во всех браузерах)
+   */
+  requestBackgroundSync() {
+    if (this.state.items.length > 0 && !this.state.pausedReason) {
+      backgroundSync.requestSync();
+    }
+  }
+
+  /**
+   * Сеть появилась — отправляем сразу
+   */
+  handleOnline() {
+    logger.info('Back online, flushing outbox');
+    this.notify();
+    if (this.state.items.length > 0 && !this.state.pausedReason) {
+      this.schedule(0);
+    }
+  }
+
+  /**
+   * Проверить подключение к сети
+   */
+  isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  /**
+   * Сохранить состояние очереди
+   */
+  async save() {
+    await this.store.saveOutbox(this.state);
+    this.notify();
+  }
+}
+
+// Создаем единственный экземпляр
+export const outbox = new Outbox();
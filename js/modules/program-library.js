@@ -0,0 +1,267 @@
+/**
+ * Модуль библиотеки программ
+ *
+ * Готовые программы, план которых рассчитывается от тренировочных максимумов (trainingMaxes —
+ * вес в кг по id упражнения каталога): 5/3/1 Вендлера, линейная прогрессия и волнообразная
+ * периодизация (DUP). Шаблон программы библиотеки — обычный шаблон programs.js с полями library,
+ * trainingMaxes и progression; его план пересобирается при запуске цикла и в конце цикла, когда
+ * advance пересчитывает максимумы по выполнению плана.
+ */
+
+import { exerciseManager } from './exercises.js';
+import { TRAINING_MAX_CONFIG } from './config.js';
+
+// Паттерны движения, для которых максимум растет на LOWER_INCREMENT
+const LOWER_BODY_PATTERNS = ['squat', 'hinge', 'lunge'];
+
+// 5/3/1: подходы недели в долях тренировочного максимума, последний подход — на максимум повторений;
+// четвертая неделя — разгрузочная
+const WENDLER_WEEKS = [
+  [{ percent: 0.65, reps: 5 }, { percent: 0.75, reps: 5 }, { percent: 0.85, reps: 5, amrap: true }],
+  [{ percent: 0.70, reps: 3 }, { percent: 0.80, reps: 3 }, { percent: 0.90, reps: 3, amrap: true }],
+  [{ percent: 0.75, reps: 5 }, { percent: 0.85, reps: 3 }, { percent: 0.95, reps: 1, amrap: true }],
+  [{ percent: 0.40, reps: 5 }, { percent: 0.50, reps: 5 }, { percent: 0.60, reps: 5 }]
+];
+
+// Линейная прогрессия: чередование тренировок A и B (нечетный цикл — A, B, A; четный — B, A, B)
+const LINEAR_WORKOUTS = {
+  A: [{ lift: 'squat', sets: 3, reps: 5 }, { lift: 'bench-press', sets: 3, reps: 5 }, { lift: 'barbell-row', sets: 3, reps: 5 }],
+  B: [{ lift: 'squat', sets: 3, reps: 5 }, { lift: 'overhead-press', sets: 3, reps: 5 }, { lift: 'deadlift', sets: 1, reps: 5 }]
+};
+
+// DUP: схема нагрузки каждой тренировки недели (тяжелая, средняя, легкая)
+const DUP_DAYS = [
+  { sets: 5, reps: 3, percent: 0.85 },
+  { sets: 4, reps: 6, percent: 0.75 },
+  { sets: 3, reps: 10, percent: 0.65 }
+];
+
+// Рост интенсивности DUP за неделю и снижение в разгрузочную (последнюю) неделю
+const DUP_WEEKLY_STEP = 0.025;
+const DUP_DELOAD = 0.1;
+
+/**
+ * Программы библиотеки
+ * lifts — упражнения с тренировочным максимумом; buildSession(week, session, template, cycle) — план
+ * тренировки; advance(template, results) — максимумы и состояние прогрессии следующего цикла
+ */
+export const PROGRAM_LIBRARY = [
+  {
+    id: 'wendler-531',
+    name: '5/3/1 Вендлера',
+    description: 'Цикл 4 недели: 5/3/1 повторений от тренировочного максимума и разгрузка. Максимум растет после цикла, при невыполненном плане — сброс до 90%',
+    weeks: 4,
+    sessionsPerWeek: 4,
+    lifts: ['squat', 'bench-press', 'deadlift', 'overhead-press'],
+    buildSession(week, session, template) {
+      const lift = this.lifts[session - 1];
+      return [programLibrary.createPlanned(lift, WENDLER_WEEKS[week - 1].map(set => ({
+        reps: set.reps,
+        load: programLibrary.roundLoad(template.trainingMaxes[lift] * set.percent),
+        type: set.amrap ? 'amrap' : 'working'
+      })))];
+    },
+    advance(template, results) {
+      // Разгрузочная неделя не влияет на максимум
+      return programLibrary.advanceByResults(template, results.filter(result => result.week < this.weeks));
+    }
+  },
+  {
+    id: 'linear',
+    name: 'Линейная прогрессия',
+    description: 'Недельный цикл A/B по 3×5: вес растет каждую тренировку. Неудача повторяет вес, после трех неудач подряд — сброс до 90%',
+    weeks: 1,
+    sessionsPerWeek: 3,
+    lifts: ['squat', 'bench-press', 'barbell-row', 'overhead-press', 'deadlift'],
+    buildSession(week, session, template, cycle) {
+      const order = cycle % 2 === 1 ? ['A', 'B', 'A'] : ['B', 'A', 'B'];
+      // Номер появления упражнения в цикле: каждое следующее — с прибавкой
+      const occurrences = {};
+      let planned = [];
+      order.slice(0, session).forEach(key => {
+        planned = LINEAR_WORKOUTS[key].map(item => {
+          occurrences[item.lift] = (occurrences[item.lift] || 0) + 1;
+          const load = template.trainingMaxes[item.lift] + programLibrary.getIncrement(item.lift) * (occurrences[item.lift] - 1);
+          return programLibrary.createPlanned(item.lift, Array.from({ length: item.sets }, () => ({ reps: item.reps, load: programLibrary.roundLoad(load), type: 'working' })));
+        });
+      });
+      return planned;
+    },
+    advance(template, results) {
+      const trainingMaxes = { ...template.trainingMaxes };
+      const progression = { ...template.progression };
+      this.lifts.forEach(lift => {
+        const liftResults = results.filter(result => result.exerciseId === lift);
+        if (liftResults.length === 0) return;
+
+        const failed = liftResults.find(result => result.completedSets < result.plannedSets);
+        if (!failed) {
+          trainingMaxes[lift] = liftResults[liftResults.length - 1].load + programLibrary.getIncrement(lift);
+          progression[lift] = { stalls: 0 };
+          return;
+        }
+
+        const stalls = (progression[lift]?.stalls || 0) + 1;
+        const reset = stalls >= TRAINING_MAX_CONFIG.STALL_LIMIT;
+        trainingMaxes[lift] = reset ? programLibrary.roundLoad(failed.load * TRAINING_MAX_CONFIG.RESET_FACTOR) : failed.load;
+        progression[lift] = { stalls: reset ? 0 : stalls };
+      });
+      return { ...template, trainingMaxes, progression };
+    }
+  },
+  {
+    id: 'dup',
+    name: 'Волнообразная периодизация (DUP)',
+    description: 'Три тренировки в неделю: тяжелая 5×3, средняя 4×6, легкая 3×10. Интенсивность растет три недели, четвертая — разгрузка',
+    weeks: 4,
+    sessionsPerWeek: 3,
+    lifts: ['squat', 'bench-press', 'deadlift'],
+    buildSession(week, session, template) {
+      const day = DUP_DAYS[session - 1];
+      const deload = week === this.weeks;
+      const percent = deload ? day.percent - DUP_DELOAD : day.percent + DUP_WEEKLY_STEP * (week - 1);
+      const sets = deload ? Math.max(2, day.sets - 1) : day.sets;
+      return this.lifts.map(lift => programLibrary.createPlanned(lift, Array.from({ length: sets }, () => ({
+        reps: day.reps,
+        load: programLibrary.roundLoad(template.trainingMaxes[lift] * percent),
+        type: 'working'
+      }))));
+    },
+    advance(template, results) {
+      // Максимум растет, если выполнены все тяжелые тренировки до разгрузки
+      return programLibrary.advanceByResults(template, results.filter(result => result.session === 1 && result.week < this.weeks));
+    }
+  }
+];
+
+class ProgramLibrary {
+  /**
+   * Программы библиотеки
+   */
+  getAll() {
+    return PROGRAM_LIBRARY;
+  }
+
+  /**
+   * Программа библиотеки по id
+   */
+  get(id) {
+    return PROGRAM_LIBRARY.find(program => program.id === id) || null;
+  }
+
+  /**
+   * Шаблон программы библиотеки с планом первого цикла
+   * @param {string} libraryId
+   * @param {Object.<string, number>} trainingMaxes - Тренировочные максимумы по id упражнения
+   * @param {Object} [template] - Основа шаблона (id и название), по умолчанию новый шаблон
+   * @param {number} [cycle] - Цикл, для которого собирается план
+   * @throws {Error} Неизвестная программа или не задан максимум упражнения
+   */
+  createTemplate(libraryId, trainingMaxes, template = {}, cycle = 1) {
+    const program = this.get(libraryId);
+    if (!program) {
+      throw new Error(`Unknown library program: ${libraryId}`);
+    }
+
+    const missing = program.lifts.find(lift => !(trainingMaxes[lift] > 0));
+    if (missing) {
+      throw new Error(`Training max required: ${this.getLiftName(missing)}`);
+    }
+
+    return this.build({
+      name: program.name,
+      ...template,
+      weeks: program.weeks,
+      sessionsPerWeek: program.sessionsPerWeek,
+      library: program.id,
+      trainingMaxes: Object.fromEntries(program.lifts.map(lift => [lift, trainingMaxes[lift]])),
+      progression: template.progression || {}
+    }, cycle);
+  }
+
+  /**
+   * Пересобрать план шаблона по текущим максимумам
+   * @param {Object} template - Шаблон программы библиотеки
+   * @param {number} cycle - Номер цикла (линейная прогрессия чередует тренировки по четности цикла)
+   */
+  build(template, cycle) {
+    const program = this.get(template.library);
+    const sessions = [];
+    for (let week = 1; week <= program.weeks; week++) {
+      for (let session = 1; session <= program.sessionsPerWeek; session++) {
+        sessions.push({ week, session, exercises: program.buildSession(week, session, template, cycle) });
+      }
+    }
+    return { ...template, sessions };
+  }
+
+  /**
+   * Максимумы следующего цикла по выполнению плана и план этого цикла
+   * @param {Object} template - Шаблон программы библиотеки
+   * @param {Array<{week: number, session: number, exerciseId: string, load: number, plannedSets: number, completedSets: number}>} results
+   * @param {number} cycle - Номер следующего цикла
+   */
+  advance(template, results, cycle) {
+    const program = this.get(template.library);
+    return this.build(program.advance(template, results), cycle);
+  }
+
+  /**
+   * Прибавка максимума: упражнение выполнено по плану во всех тренировках — максимум растет,
+   * иначе сбрасывается до RESET_FACTOR
+   */
+  advanceByResults(template, results) {
+    const trainingMaxes = { ...template.trainingMaxes };
+    Object.keys(trainingMaxes).forEach(lift => {
+      const liftResults = results.filter(result => result.exerciseId === lift);
+      if (liftResults.length === 0) return;
+
+      trainingMaxes[lift] = liftResults.every(result => result.completedSets >= result.plannedSets)
+        ? trainingMaxes[lift] + this.getIncrement(lift)
+        : this.roundLoad(trainingMaxes[lift] * TRAINING_MAX_CONFIG.RESET_FACTOR);
+    });
+    return { ...template, trainingMaxes };
+  }
+
+  /**
+   * Упражнение плана с весом и повторениями каждого подхода
+   * @param {string} lift - id упражнения каталога
+   * @param {Array<{reps: number, load: number, type: string}>} setTargets
+   */
+  createPlanned(lift, setTargets) {
+    return {
+      exerciseId: lift,
+      exercise: this.getLiftName(lift),
+      sets: setTargets.length,
+      repsMin: Math.min(...setTargets.map(target => target.reps)),
+      repsMax: null,
+      load: Math.max(...setTargets.map(target => target.load)),
+      setTargets
+    };
+  }
+
+  /**
+   * Прибавка максимума за цикл: для ног и таза больше
+   */
+  getIncrement(lift) {
+    const pattern = exerciseManager.getCatalogEntry({ exerciseId: lift })?.pattern;
+    return LOWER_BODY_PATTERNS.includes(pattern) ? TRAINING_MAX_CONFIG.LOWER_INCREMENT : TRAINING_MAX_CONFIG.UPPER_INCREMENT;
+  }
+
+  /**
+   * Вес, округленный до шага блинов
+   */
+  roundLoad(kg) {
+    return Math.round(kg / TRAINING_MAX_CONFIG.ROUNDING) * TRAINING_MAX_CONFIG.ROUNDING;
+  }
+
+  /**
+   * Название упражнения с максимумом
+   */
+  getLiftName(lift) {
+    return exerciseManager.getCatalogEntry({ exerciseId: lift })?.name || lift;
+  }
+}
+
+// Создаем единственный экземпляр
+export const programLibrary = new ProgramLibrary();
@@ -0,0 +1,403 @@
+/**
+ * Модуль программ тренировок
+ *
+ * Шаблон программы — цикл из weeks недель по sessionsPerWeek тренировок. План тренировки (sessions)
+ * задает упражнения с числом подходов, диапазоном повторений и целевым весом; у каждой недели свой
+ * план, поэтому нагрузка может расти от недели к неделе. Запуск программы начинает новый цикл:
+ * тренировка, заполненная по плану, получает programId, cycle, week и session, и по таким тренировкам
+ * считается выполнение плана. Шаблоны и активная программа — синхронизируемые записи (storage.loadPrograms):
+ * они попадают в слияние, журнал синхронизации и резервные копии, как каталог упражнений.
+ *
+ * Упражнение плана может задавать вес и повторения каждого подхода (setTargets) — так устроены
+ * программы библиотеки (program-library.js), план которых рассчитывается от тренировочных максимумов.
+ * Когда все тренировки цикла записаны, advanceIfComplete начинает следующий цикл и пересчитывает
+ * максимумы программы библиотеки.
+ */
+
+import { logger } from '../utils/logger.js';
+import { validator } from '../utils/validator.js';
+import { storage } from './storage.js';
+import { exerciseManager } from './exercises.js';
+import { programLibrary } from './program-library.js';
+import { DEFAULT_CONFIG } from './config.js';
+
+class ProgramManager {
+  constructor(store = storage) {
+    this.store = store;
+    this.templates = [];
+    // Активная программа: { templateId, cycle, startedAt }
+    this.active = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Подписаться на изменение шаблонов и активной программы
+   * @returns {Function} Отписка
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Загрузить шаблоны и активную программу из хранилища
+   */
+  async load() {
+    try {
+      const programs = await this.store.loadPrograms();
+      this.templates = programs.templates;
+      this.active = programs.active;
+    } catch (error) {
+      logger.error('Failed to load programs:', error);
+      this.templates = [];
+      this.active = null;
+    }
+    return this.templates;
+  }
+
+  /**
+   * Все шаблоны программ
+   */
+  getTemplates() {
+    return this.templates;
+  }
+
+  /**
+   * Шаблон по id
+   */
+  getTemplate(id) {
+    return this.templates.find(template => template.id === id) || null;
+  }
+
+  /**
+   * Новый шаблон без плана (не сохраняется до saveTemplate)
+   */
+  createTemplate({ name = '', weeks = 4, sessionsPerWeek = 3 } = {}) {
+    return {
+      id: `program-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name,
+      weeks,
+      sessionsPerWeek,
+      sessions: []
+    };
+  }
+
+  /**
+   * Сохранить шаблон (новый или измененный)
+   * План тренировок за пределами недель и тренировок шаблона отбрасывается
+   * @returns {Promise<Object>} Сохраненный шаблон
+   * @throws {Error} Шаблон не прошел проверку
+   */
+  async saveTemplate(template) {
+    const record = {
+      ...template,
+      name: String(template.name || '').trim(),
+      sessions: (template.sessions || [])
+        .filter(item => item.week <= template.weeks && item.session <= template.sessionsPerWeek && item.exercises?.length > 0)
+        .sort((a, b) => a.week - b.week || a.session - b.session)
+    };
+
+    const validation = validator.validateProgram(record);
+    if (!validation.isValid) {
+      throw new Error(`Invalid program: ${validation.errors.join('; ')}`);
+    }
+
+    const exists = this.templates.some(item => item.id === record.id);
+    const templates = exists
+      ? this.templates.map(item => (item.id === record.id ? record : item))
+      : [...this.templates, record];
+    await this.persist(templates, this.active);
+    logger.success('Program saved:', record.name);
+    return record;
+  }
+
+  /**
+   * Удалить шаблон; активная программа по нему завершается
+   */
+  async deleteTemplate(id) {
+    const active = this.active?.templateId === id ? null : this.active;
+    await this.persist(this.templates.filter(template => template.id !== id), active);
+    logger.info('Program deleted:', id);
+  }
+
+  /**
+   * План тренировки недели (пустой, если не задан)
+   * @returns {{week: number, session: number, exercises: Array}}
+   */
+  getSession(template, week, session) {
+    return template?.sessions.find(item => item.week === week && item.session === session)
+      || { week, session, exercises: [] };
+  }
+
+  /**
+   * Шаблон с новым планом тренировки
+   * @param {Array<{exercise: string, sets: number, repsMin: number|null, repsMax: number|null, load: number|null}>} exercises
+   */
+  setSession(template, week, session, exercises) {
+    const planned = exercises.map(item => ({
+      ...item,
+      exerciseId: item.exerciseId || exerciseManager.getExerciseId(item.exercise)
+    }));
+    const sessions = template.sessions.filter(item => item.week !== week || item.session !== session);
+    return { ...template, sessions: [...sessions, { week, session, exercises: planned }] };
+  }
+
+  /**
+   * Скопировать план тренировки в ту же тренировку остальных недель
+   * @param {number} [loadStep] - Прибавка целевого веса за неделю (кг), для недель раньше исходной вычитается
+   */
+  copySession(template, week, session, loadStep = 0) {
+    const source = this.getSession(template, week, session);
+    let result = template;
+    for (let target = 1; target <= template.weeks; target++) {
+      if (target === week) continue;
+
+      const exercises = source.exercises.map(item => ({
+        ...item,
+        load: item.load === null || item.load === undefined
+          ? item.load
+          : Math.max(0, Math.round((item.load + loadStep * (target - week)) * 100) / 100)
+      }));
+      result = this.setSession(result, target, session, exercises);
+    }
+    return result;
+  }
+
+  /**
+   * Начать программу новым циклом: номер цикла — следующий после последнего записанного,
+   * если циклов еще не было — firstCycle. План программы библиотеки пересобирается по текущим максимумам
+   * @param {string} templateId
+   * @param {Array} workouts - Тренировки (для номера цикла)
+   * @param {Object} [options]
+   * @param {number} [options.firstCycle] - Номер первого цикла (config.defaultCycle)
+   * @returns {Promise<Object>} Активная программа
+   */
+  async start(templateId, workouts = [], { firstCycle = DEFAULT_CONFIG.defaultCycle } = {}) {
+    const template = this.getTemplate(templateId);
+    if (!template) {
+      throw new Error(`Program not found: ${templateId}`);
+    }
+
+    const lastCycle = Math.max(0, ...workouts.map(workout => Number(workout.cycle) || 0));
+    const cycle = lastCycle > 0 ? lastCycle + 1 : firstCycle || 1;
+    const templates = template.library
+      ? this.templates.map(item => (item.id === templateId ? programLibrary.build(template, cycle) : item))
+      : this.templates;
+    await this.persist(templates, { templateId, cycle, startedAt: new Date().toISOString() });
+    logger.success(`Program started: ${template.name}, cycle ${cycle}`);
+    return this.getActive();
+  }
+
+  /**
+   * Начать следующий цикл, если все тренировки текущего записаны
+   * Максимумы программы библиотеки пересчитываются по выполнению плана (programLibrary.advance)
+   * @param {Array} workouts - Тренировки
+   * @returns {Promise<Object|null>} Активная программа нового цикла или null, если цикл не завершен
+   */
+  async advanceIfComplete(workouts) {
+    const active = this.getActive();
+    const completion = this.getCompletion(workouts);
+    if (!active || !completion?.complete) return null;
+
+    const cycle = active.cycle + 1;
+    const template = active.template.library
+      ? programLibrary.advance(active.template, this.getExerciseResults(workouts), cycle)
+      : active.template;
+    await this.persist(
+      this.templates.map(item => (item.id === template.id ? template : item)),
+      { templateId: template.id, cycle, startedAt: new Date().toISOString() }
+    );
+    logger.success(`Program cycle ${active.cycle} completed, starting cycle ${cycle}`);
+    return this.getActive();
+  }
+
+  /**
+   * Завершить активную программу
+   */
+  async stop() {
+    await this.persist(this.templates, null);
+  }
+
+  /**
+   * Активная программа с шаблоном
+   * @returns {{templateId: string, cycle: number, startedAt: string, template: Object}|null}
+   */
+  getActive() {
+    const template = this.getTemplate(this.active?.templateId);
+    return template ? { ...this.active, template } : null;
+  }
+
+  /**
+   * Упражнения тренировки по плану: подходы с целевым весом и нижней границей повторений
+   * (или весом, повторениями и типом каждого подхода из setTargets)
+   * @returns {Array<{exercise: string, sets: Array}>}
+   */
+  createPlannedExercises(planned) {
+    return planned.exercises.map(item => ({
+      exercise: item.exercise,
+      sets: item.setTargets
+        ? item.setTargets.map(target => ({ ...this.createPlannedSet(item, target.reps, target.load), type: target.type }))
+        : Array.from({ length: item.sets }, () => this.createPlannedSet(item, item.repsMin, item.load))
+    }));
+  }
+
+  /**
+   * Подход по плану упражнения
+   */
+  createPlannedSet(planned, reps, load) {
+    const { fields } = exerciseManager.getModality(planned);
+    const set = exerciseManager.createSet();
+    if (fields.includes('weight') && load) {
+      set.weight = load;
+    }
+    if (fields.includes('reps') && reps) {
+      set.reps = reps;
+    }
+    return set;
+  }
+
+  /**
+   * План упражнения для показа: '3×8–10 · 60 кг', для подходов с разным весом — '5×60 · 5×70 · 5+×80 кг'
+   */
+  formatPlanned(planned) {
+    if (planned.setTargets) {
+      return `${planned.setTargets.map(target => `${target.reps}${target.type === 'amrap' ? '+' : ''}×${target.load}`).join(' · ')} кг`;
+    }
+    const reps = planned.repsMin && planned.repsMax && planned.repsMin !== planned.repsMax
+      ? `${planned.repsMin}–${planned.repsMax}`
+      : planned.repsMin || planned.repsMax;
+    return `${planned.sets}${reps ? `×${reps}` : ' подх.'}${planned.load ? ` · ${planned.load} кг` : ''}`;
+  }
+
+  /**
+   * Тренировка цикла, записанная для недели и тренировки плана (последняя, если их несколько)
+   */
+  findWorkout(workouts, active, week, session) {
+    return workouts
+      .filter(workout => workout.programId === active.templateId && workout.cycle === active.cycle &&
+        workout.week === week && workout.session === session)
+      .sort((a, b) => new Date(b.date) - new Date(a.date))[0] || null;
+  }
+
+  /**
+   * Выполнение плана тренировки
+   * @returns {{plannedSets: number, completedSets: number}}
+   */
+  getSessionCompletion(planned, workout) {
+    return planned.exercises.reduce((total, item) => ({
+      plannedSets: total.plannedSets + item.sets,
+      completedSets: total.completedSets + this.countCompletedSets(item, this.findExercise(workout, item))
+    }), { plannedSets: 0, completedSets: 0 });
+  }
+
+  /**
+   * Упражнение тренировки, соответствующее упражнению плана
+   */
+  findExercise(workout, planned) {
+    return (workout?.exercises || []).find(entry =>
+      (entry.exerciseId || exerciseManager.getExerciseId(entry.exercise)) === planned.exerciseId) || null;
+  }
+
+  /**
+   * Выполненные подходы упражнения плана: рабочие подходы, дотянувшие до нижней границы повторений
+   * и целевого веса (для упражнений с помощью — не больше запланированной помощи). Подходы с setTargets
+   * сравниваются по порядку: первый рабочий подход — с первой целью и т. д.
+   */
+  countCompletedSets(planned, exercise) {
+    if (!exercise) return 0;
+
+    const modality = exerciseManager.getModality(exercise);
+    const sets = exerciseManager.getWorkingSets(exercise.sets);
+    const meets = (set, reps, load) => {
+      if (modality.fields.includes('reps') && reps && set.reps < reps) return false;
+      if (modality.fields.includes('weight') && load) {
+        return modality.id === 'assisted' ? set.weight <= load : set.weight >= load;
+      }
+      return true;
+    };
+
+    if (planned.setTargets) {
+      return planned.setTargets.filter((target, index) => sets[index] && meets(sets[index], target.reps, target.load)).length;
+    }
+    return Math.min(planned.sets, sets.filter(set => meets(set, planned.repsMin, planned.load)).length);
+  }
+
+  /**
+   * Выполнение каждого упражнения плана цикла (для пересчета максимумов программы библиотеки)
+   * @returns {Array<{week: number, session: number, exerciseId: string, load: number, plannedSets: number, completedSets: number}>}
+   */
+  getExerciseResults(workouts, active = this.active) {
+    const template = this.getTemplate(active?.templateId);
+    if (!template) return [];
+
+    return template.sessions.flatMap(planned => {
+      const workout = this.findWorkout(workouts, active, planned.week, planned.session);
+      return planned.exercises.map(item => ({
+        week: planned.week,
+        session: planned.session,
+        exerciseId: item.exerciseId,
+        load: item.load,
+        plannedSets: item.sets,
+        completedSets: this.countCompletedSets(item, this.findExercise(workout, item))
+      }));
+    });
+  }
+
+  /**
+   * Выполнение цикла по плану
+   * @param {Array} workouts - Тренировки
+   * @param {Object} [active] - Программа и цикл (по умолчанию активная)
+   * @returns {Object|null} { templateId, cycle, sessions: [{ week, session, workoutId, plannedSets, completedSets, status }],
+   *   plannedSets, completedSets, ratio, next, complete } — status: pending, partial или done; next — первая
+   *   незаписанная тренировка с планом; complete — записаны все тренировки с планом
+   */
+  getCompletion(workouts, active = this.active) {
+    const template = this.getTemplate(active?.templateId);
+    if (!template) return null;
+
+    const sessions = [];
+    for (let week = 1; week <= template.weeks; week++) {
+      for (let session = 1; session <= template.sessionsPerWeek; session++) {
+        const planned = this.getSession(template, week, session);
+        const workout = this.findWorkout(workouts, active, week, session);
+        const { plannedSets, completedSets } = this.getSessionCompletion(planned, workout);
+        const status = !workout ? 'pending' : completedSets >= plannedSets ? 'done' : 'partial';
+        sessions.push({ week, session, workoutId: workout?.id || null, plannedSets, completedSets, status });
+      }
+    }
+
+    const plannedSets = sessions.reduce((sum, item) => sum + item.plannedSets, 0);
+    const completedSets = sessions.reduce((sum, item) => sum + item.completedSets, 0);
+    return {
+      templateId: template.id,
+      cycle: active.cycle,
+      sessions,
+      plannedSets,
+      completedSets,
+      ratio: plannedSets > 0 ? completedSets / plannedSets : 0,
+      next: sessions.find(item => item.status === 'pending' && item.plannedSets > 0) || null,
+      complete: plannedSets > 0 && !sessions.some(item => item.status === 'pending' && item.plannedSets > 0)
+    };
+  }
+
+  /**
+   * Сохранить шаблоны и активную программу, оповестить подписчиков
+   */
+  async persist(templates, active) {
+    if (!(await this.store.savePrograms({ templates, active }))) {
+      throw new Error('Failed to save programs');
+    }
+    this.templates = templates;
+    this.active = active;
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.getActive());
+      } catch (error) {
+        logger.error('Program listener failed:', error);
+      }
+    });
+  }
+}
+
+// Создаем единственный экземпляр
+export const programManager = new ProgramManager();
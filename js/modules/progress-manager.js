@@ -5,12 +5,27 @@
 import { logger } from '../utils/logger.js';
 import { storage } from './storage.js';
 import { dom } from '../utils/dom.js';
+import { exerciseManager } from './exercises.js';
+import { DEFAULT_E1RM_FORMULA, E1RM_FORMULAS, EXERCISE_GROUPS } from './config.js';
+
+// Основной показатель прогресса по способу учета (карточки статистики): лучший результат и среднее за тренировку
+const PROGRESS_METRICS = {
+  weight: { key: 'maxWeight', unit: 'kg', averageKey: 'totalVolume', averageUnit: 'kg' },
+  bodyweight: { key: 'maxReps', unit: 'reps', averageKey: 'totalVolume', averageUnit: 'kg' },
+  assisted: { key: 'maxReps', unit: 'reps', averageKey: 'totalVolume', averageUnit: 'kg' },
+  duration: { key: 'maxDuration', unit: 'time', averageKey: 'totalDuration', averageUnit: 'time' },
+  distance: { key: 'pace', unit: 'pace', averageKey: 'totalDistance', averageUnit: 'km' }
+};
 
 class ProgressManager {
   constructor() {
     this.currentExercise = null;
     this.currentPeriod = 'month';
     this.currentChartType = 'volume';
+    // Способ учета выбранного упражнения: от него зависят типы графиков и колонки таблицы
+    this.currentModality = exerciseManager.getModality(null);
+    // Формула e1RM (config.e1rmFormula)
+    this.currentFormula = DEFAULT_E1RM_FORMULA;
     this.progressChart = null;
     this.isInitialized = false;
   }
@@ -18,13 +33,18 @@ class ProgressManager {
   /**
    * Инициализация менеджера прогресса
    */
-  init() {
+  async init() {
     try {
       logger.info('Initializing progress manager...');
       
+      const config = await storage.loadConfig();
+      if (E1RM_FORMULAS.some(formula => formula.id === config.e1rmFormula)) {
+        this.currentFormula = config.e1rmFormula;
+      }
+      this.populateFormulaSelect();
       this.setupEventListeners();
-      this.populateExerciseSelect();
-      this.updateProgressDisplay();
+      await this.populateExerciseSelect();
+      await this.updateProgressDisplay();
       
       this.isInitialized = true;
       logger.success('Progress manager initialized');
@@ -55,26 +75,60 @@ class ProgressManager {
       });
     }
 
+    // Формула e1RM
+    const formulaSelect = dom.getElement('e1rmFormula');
+    if (formulaSelect) {
+      formulaSelect.addEventListener('change', (e) => this.setFormula(e.target.value));
+    }
+
     // Кнопки типа графика
     const chartTypeButtons = dom.getElements('.chart-type-btn');
     chartTypeButtons.forEach(btn => {
       btn.addEventListener('click', (e) => {
-        this.currentChartType = e.target.getAttribute('data-chart-type');
+        this.currentChartType = e.currentTarget.getAttribute('data-type');
         this.updateChartTypeButtons();
         this.updateProgressDisplay();
       });
     });
   }
 
+  /**
+   * Заполнение списка формул e1RM
+   */
+  populateFormulaSelect() {
+    const formulaSelect = dom.getElement('e1rmFormula');
+    if (!formulaSelect) return;
+
+    dom.setContent(formulaSelect, E1RM_FORMULAS.map(formula =>
+      `<option value="${formula.id}" ${formula.id === this.currentFormula ? 'selected' : ''}>${formula.name}</option>`
+    ).join(''), 'html');
+  }
+
+  /**
+   * Выбрать формулу e1RM: сохраняется в настройках и пересчитывает прогресс
+   * @param {string} formula - id формулы E1RM_FORMULAS
+   */
+  async setFormula(formula) {
+    if (!E1RM_FORMULAS.some(item => item.id === formula)) return;
+
+    this.currentFormula = formula;
+    try {
+      await storage.saveConfig({ e1rmFormula: formula });
+    } catch (error) {
+      logger.error('Failed to save e1RM formula:', error);
+    }
+    await this.updateProgressDisplay();
+  }
+
   /**
    * Заполнение списка упражнений
    */
-  populateExerciseSelect() {
+  async populateExerciseSelect() {
     try {
       const exerciseSelect = dom.getElement('exerciseSelect');
       if (!exerciseSelect) return;
 
-      const workouts = storage.loadWorkouts();
+      const workouts = await storage.loadWorkouts();
       const exercises = new Set();
 
       // Собираем все уникальные упражнения
@@ -106,14 +160,20 @@ class ProgressManager {
   /**
    * Обновление отображения прогресса
    */
-  updateProgressDisplay() {
+  async updateProgressDisplay() {
     try {
+      // Объем по мышцам зависит только от периода
+      await this.updateMuscleVolume();
+
       if (!this.currentExercise) {
         this.clearProgressDisplay();
         return;
       }
 
-      const data = this.getExerciseData(this.currentExercise, this.currentPeriod);
+      const data = await this.getExerciseData(this.currentExercise, this.currentPeriod);
+      this.setModality(data.length > 0
+        ? exerciseManager.getModality({ modality: data[data.length - 1].modality })
+        : exerciseManager.getModality({ exercise: this.currentExercise }));
       
       if (data.length === 0) {
         this.showNoDataMessage();
@@ -130,12 +190,23 @@ class ProgressManager {
     }
   }
 
+  /**
+   * Выбрать способ учета: тип графика, которого у него нет, меняется на первый доступный
+   */
+  setModality(modality) {
+    this.currentModality = modality;
+    if (!modality.chartTypes.includes(this.currentChartType)) {
+      this.currentChartType = modality.chartTypes[0];
+    }
+    this.updateChartTypeButtons();
+  }
+
   /**
    * Получение данных упражнения
    */
-  getExerciseData(exerciseName, period) {
+  async getExerciseData(exerciseName, period) {
     try {
-      const workouts = storage.loadWorkouts();
+      const workouts = await storage.loadWorkouts();
       const now = new Date();
       const periodStart = this.getPeriodStart(period, now);
 
@@ -150,26 +221,34 @@ class ProgressManager {
 
       filteredWorkouts.forEach(workout => {
         const exercise = workout.exercises.find(ex => ex.exercise === exerciseName);
-        if (exercise && exercise.sets) {
+        // Разминочные подходы не входят в прогресс
+        const sets = exerciseManager.getWorkingSets(exercise?.sets);
+        if (sets.length > 0) {
           const workoutDate = new Date(workout.date);
-          
-          // Рассчитываем статистику для тренировки
-          const maxWeight = Math.max(...exercise.sets.map(set => set.weight || 0));
-          const minWeight = Math.min(...exercise.sets.map(set => set.weight || 0));
-          const totalVolume = exercise.sets.reduce((sum, set) => 
-            sum + ((set.weight || 0) * (set.reps || 0)), 0
-          );
-          const totalWeight = exercise.sets.reduce((sum, set) => sum + (set.weight || 0), 0);
-          const totalReps = exercise.sets.reduce((sum, set) => sum + (set.reps || 0), 0);
+          // Вес тела для упражнений с собственным весом: записанный в тренировке или последний известный
+          const bodyWeight = workout.bodyWeight ?? exerciseManager.getBodyWeight(workouts, workout.date);
+          const stats = exerciseManager.getExerciseStats({ ...exercise, sets }, bodyWeight);
+          // Лучший подход по e1RM: вес, которым он рассчитан, учитывает повторения
+          const bestSet = exerciseManager.getBestSet({ ...exercise, sets }, { formula: this.currentFormula, bodyWeight });
 
           exerciseData.push({
             date: workoutDate,
-            maxWeight,
-            minWeight,
-            totalVolume,
-            totalWeight,
-            totalReps,
-            setsCount: exercise.sets.length
+            modality: stats.modality,
+            maxWeight: stats.maxWeight,
+            minWeight: stats.minWeight,
+            totalVolume: stats.totalVolume,
+            totalWeight: stats.totalWeight,
+            totalReps: stats.totalReps,
+            setsCount: sets.length,
+            hardSets: stats.hardSets,
+            avgRpe: stats.avgRpe,
+            maxReps: stats.maxReps,
+            maxDuration: stats.maxDuration,
+            totalDuration: stats.totalDuration,
+            totalDistance: stats.totalDistance,
+            pace: stats.pace,
+            e1rm: bestSet?.e1rm ?? null,
+            bestSet
           });
         }
       });
@@ -185,6 +264,46 @@ class ProgressManager {
     }
   }
 
+  /**
+   * Объем по мышцам за период
+   * @returns {Promise<Object.<string, {sets: number, volume: number}>>}
+   */
+  async getMuscleVolumeData(period) {
+    try {
+      const periodStart = this.getPeriodStart(period, new Date());
+      const workouts = (await storage.loadWorkouts()).filter(workout => new Date(workout.date) >= periodStart);
+      return exerciseManager.getMuscleVolume(workouts);
+    } catch (error) {
+      logger.error('Failed to get muscle volume:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Обновление таблицы объема по мышцам
+   */
+  async updateMuscleVolume() {
+    const container = dom.getElement('muscleVolume');
+    if (!container) return;
+
+    const volume = await this.getMuscleVolumeData(this.currentPeriod);
+    // Сначала группы в порядке EXERCISE_GROUPS, затем группы пользовательских упражнений
+    const groups = EXERCISE_GROUPS.map(group => group.name);
+    const muscles = [...groups, ...Object.keys(volume).filter(muscle => !groups.includes(muscle))];
+    const rows = muscles
+      .filter(muscle => volume[muscle])
+      .map(muscle => `<tr>
+          <td>${muscle}</td>
+          <td>${Number(volume[muscle].sets.toFixed(1))}</td>
+          <td>${Math.round(volume[muscle].volume)} кг</td>
+        </tr>`)
+      .join('');
+
+    dom.setContent(container, rows
+      ? `<table><thead><tr><th>Мышцы</th><th>Подходы</th><th>Объем</th></tr></thead><tbody>${rows}</tbody></table>`
+      : '<p>Нет данных за период</p>', 'html');
+  }
+
   /**
    * Получение начала периода
    */
@@ -249,6 +368,12 @@ class ProgressManager {
             title: {
               display: true,
               text: this.getChartTypeTitle(chartType)
+            },
+            tooltip: {
+              callbacks: {
+                // Точки e1RM несут лучший подход тренировки
+                afterLabel: (context) => (context.raw?.bestSet ? `Лучший подход: ${this.formatBestSet(context.raw.bestSet)}` : '')
+              }
             }
           }
         }
@@ -317,6 +442,31 @@ class ProgressManager {
             tension: 0.1
           });
           break;
+
+        case 'e1rm':
+          datasets.push(...this.createE1rmDatasets(data));
+          break;
+
+        case 'max-reps':
+          datasets.push(this.createDataset('Максимум повторений', data, d => d.maxReps, '153, 102, 255'));
+          break;
+
+        case 'max-duration':
+          datasets.push(this.createDataset('Лучшее время подхода (сек)', data, d => d.maxDuration, '255, 159, 64'));
+          break;
+
+        case 'total-duration':
+          datasets.push(this.createDataset('Общее время (мин)', data, d => d.totalDuration / 60, '255, 159, 64'));
+          break;
+
+        case 'distance':
+          datasets.push(this.createDataset('Дистанция (км)', data, d => d.totalDistance, '75, 192, 192'));
+          break;
+
+        case 'pace':
+          // Темп без дистанции не определен: такие точки пропускаются
+          datasets.push(this.createDataset('Темп (мин/км)', data.filter(d => d.pace !== null), d => d.pace / 60, '255, 99, 132'));
+          break;
       }
       
       return { datasets };
@@ -326,6 +476,58 @@ class ProgressManager {
     }
   }
 
+  /**
+   * Линия графика по показателю данных
+   * @param {string} color - Цвет в виде 'r, g, b'
+   */
+  createDataset(label, data, getValue, color) {
+    return {
+      label,
+      data: data.map(d => ({
+        x: d.date,
+        y: getValue(d)
+      })),
+      borderColor: `rgb(${color})`,
+      backgroundColor: `rgba(${color}, 0.1)`,
+      tension: 0.1
+    };
+  }
+
+  /**
+   * Линия e1RM по лучшему подходу каждой тренировки и отметки рекордов — тренировок, в которых
+   * e1RM превысил все предыдущие. Тренировки без оцениваемого подхода пропускаются
+   */
+  createE1rmDatasets(data) {
+    const points = data.filter(d => d.e1rm !== null);
+    const formula = E1RM_FORMULAS.find(item => item.id === this.currentFormula)?.name || this.currentFormula;
+    const line = this.createDataset(`e1RM, кг (${formula})`, points, d => d.e1rm, '255, 205, 86');
+    line.data = points.map(d => ({ x: d.date, y: d.e1rm, bestSet: d.bestSet }));
+
+    let record = -Infinity;
+    const records = points.filter((d, index) => {
+      const isRecord = d.e1rm > record;
+      record = Math.max(record, d.e1rm);
+      return isRecord && index > 0;
+    });
+
+    return [line, {
+      label: 'Рекорд e1RM',
+      data: records.map(d => ({ x: d.date, y: d.e1rm, bestSet: d.bestSet })),
+      showLine: false,
+      pointStyle: 'star',
+      pointRadius: 8,
+      borderColor: 'rgb(255, 99, 132)',
+      backgroundColor: 'rgba(255, 99, 132, 0.6)'
+    }];
+  }
+
+  /**
+   * Подход для показа: '100 кг × 5 @8'
+   */
+  formatBestSet(set) {
+    return `${set.weight} кг × ${set.reps}${set.rpe !== null ? ` @${set.rpe}` : ''}`;
+  }
+
   /**
    * Получение заголовка типа графика
    */
@@ -337,6 +539,18 @@ class ProgressManager {
         return 'Максимальный вес';
       case 'range':
         return 'Диапазон весов';
+      case 'e1rm':
+        return 'Расчетный максимум (e1RM)';
+      case 'max-reps':
+        return 'Максимум повторений';
+      case 'max-duration':
+        return 'Лучшее время подхода';
+      case 'total-duration':
+        return 'Общее время';
+      case 'distance':
+        return 'Дистанция';
+      case 'pace':
+        return 'Темп';
       default:
         return 'Прогресс';
     }
@@ -349,14 +563,17 @@ class ProgressManager {
     try {
       if (data.length === 0) return;
 
-      const first = data[0];
-      const last = data[data.length - 1];
+      // Показатель зависит от способа учета: вес, повторения, время или темп
+      const metric = PROGRESS_METRICS[this.currentModality.id] || PROGRESS_METRICS.weight;
+      const values = data.map(d => d[metric.key]).filter(value => value !== null);
+      const first = values[0] ?? null;
+      const last = values[values.length - 1] ?? null;
       
       const stats = {
-        startWeight: first.maxWeight,
-        currentMax: last.maxWeight,
-        growth: last.maxWeight - first.maxWeight,
-        avgVolume: data.reduce((sum, d) => sum + d.totalVolume, 0) / data.length,
+        startWeight: first,
+        currentMax: last,
+        growth: first !== null ? last - first : null,
+        avgVolume: data.reduce((sum, d) => sum + d[metric.averageKey], 0) / data.length,
         workoutCount: data.length
       };
 
@@ -364,13 +581,17 @@ class ProgressManager {
       Object.entries(stats).forEach(([key, value]) => {
         const element = dom.getElement(key);
         if (element) {
-          if (key === 'growth') {
-            const sign = value >= 0 ? '+' : '';
-            dom.setContent(element, `${sign}${value.toFixed(1)} кг`);
+          if (value === null) {
+            dom.setContent(element, '-');
+          } else if (key === 'growth') {
+            const sign = value >= 0 ? '+' : '-';
+            dom.setContent(element, `${sign}${this.formatMetric(Math.abs(value), metric.unit)}`);
           } else if (key === 'avgVolume') {
-            dom.setContent(element, `${value.toFixed(0)} кг`);
-          } else {
+            dom.setContent(element, this.formatMetric(value, metric.averageUnit));
+          } else if (key === 'workoutCount') {
             dom.setContent(element, value.toString());
+          } else {
+            dom.setContent(element, this.formatMetric(value, metric.unit));
           }
         }
       });
@@ -381,6 +602,72 @@ class ProgressManager {
     }
   }
 
+  /**
+   * Значение показателя с единицей измерения
+   * @param {number} value
+   * @param {'kg'|'reps'|'time'|'pace'|'km'} unit - Время и темп — в секундах
+   */
+  formatMetric(value, unit) {
+    switch (unit) {
+      case 'reps':
+        return `${Number(value.toFixed(1))} повт.`;
+      case 'time':
+        return exerciseManager.formatDuration(value);
+      case 'pace':
+        return `${exerciseManager.formatDuration(value)}/км`;
+      case 'km':
+        return `${Number(value.toFixed(2))} км`;
+      default:
+        return `${Number(value.toFixed(1))} кг`;
+    }
+  }
+
+  /**
+   * Колонки таблицы данных по способу учета
+   * @returns {Array<{title: string, value: Function}>}
+   */
+  getTableColumns(modality) {
+    const sets = { title: 'Подходы', value: item => item.setsCount };
+    const rpe = { title: 'RPE', value: item => (item.avgRpe !== null ? item.avgRpe.toFixed(1) : '—') };
+
+    switch (modality.id) {
+      case 'bodyweight':
+      case 'assisted':
+        return [
+          { title: 'Макс. повторы', value: item => item.maxReps },
+          { title: 'Повторы', value: item => item.totalReps },
+          { title: 'Нагрузка', value: item => `${item.maxWeight} кг` },
+          { title: 'Объем', value: item => `${item.totalVolume} кг` },
+          sets,
+          rpe
+        ];
+      case 'duration':
+        return [
+          { title: 'Лучший подход', value: item => exerciseManager.formatDuration(item.maxDuration) },
+          { title: 'Общее время', value: item => exerciseManager.formatDuration(item.totalDuration) },
+          sets,
+          rpe
+        ];
+      case 'distance':
+        return [
+          { title: 'Дистанция', value: item => `${Number(item.totalDistance.toFixed(2))} км` },
+          { title: 'Время', value: item => exerciseManager.formatDuration(item.totalDuration) },
+          { title: 'Темп', value: item => (item.pace !== null ? `${exerciseManager.formatDuration(item.pace)}/км` : '—') },
+          rpe
+        ];
+      default:
+        return [
+          { title: 'Макс. вес', value: item => `${item.maxWeight} кг` },
+          { title: 'Мин. вес', value: item => `${item.minWeight} кг` },
+          { title: 'e1RM', value: item => (item.e1rm !== null ? `${item.e1rm} кг` : '—') },
+          { title: 'Лучший подход', value: item => (item.bestSet ? this.formatBestSet(item.bestSet) : '—') },
+          { title: 'Объем', value: item => `${item.totalVolume} кг` },
+          sets,
+          rpe
+        ];
+    }
+  }
+
   /**
    * Обновление таблицы данных
    */
@@ -394,15 +681,13 @@ class ProgressManager {
         return;
       }
 
+      const columns = this.getTableColumns(this.currentModality);
       let html = `
         <table>
           <thead>
             <tr>
               <th>Дата</th>
-              <th>Макс. вес</th>
-              <th>Мин. вес</th>
-              <th>Объем</th>
-              <th>Подходы</th>
+              ${columns.map(column => `<th>${column.title}</th>`).join('')}
             </tr>
           </thead>
           <tbody>
@@ -413,10 +698,7 @@ class ProgressManager {
         html += `
           <tr>
             <td>${dateStr}</td>
-            <td>${item.maxWeight} кг</td>
-            <td>${item.minWeight} кг</td>
-            <td>${item.totalVolume} кг</td>
-            <td>${item.setsCount}</td>
+            ${columns.map(column => `<td>${column.value(item)}</td>`).join('')}
           </tr>
         `;
       });
@@ -435,15 +717,23 @@ class ProgressManager {
    */
   updateChartTypeButtons() {
     try {
+      // Показываются только графики способа учета выбранного упражнения
       const buttons = dom.getElements('.chart-type-btn');
       buttons.forEach(btn => {
-        const chartType = btn.getAttribute('data-chart-type');
+        const chartType = btn.getAttribute('data-type');
+        btn.hidden = !this.currentModality.chartTypes.includes(chartType);
         if (chartType === this.currentChartType) {
           dom.toggleClass(btn, 'active', true);
         } else {
           dom.toggleClass(btn, 'active', false);
         }
       });
+
+      // Формула нужна только упражнениям с графиком e1RM
+      const formulaGroup = dom.getElement('e1rmFormulaGroup');
+      if (formulaGroup) {
+        formulaGroup.hidden = !this.currentModality.chartTypes.includes('e1rm');
+      }
       
       logger.debug('Chart type buttons updated');
     } catch (error) {
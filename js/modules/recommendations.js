@@ -0,0 +1,170 @@
+/**
+ * Модуль рекомендаций прогрессии нагрузки
+ *
+ * По последним тренировкам упражнения (RECOMMENDATION_CONFIG.SESSIONS) предлагает вес и повторения
+ * следующей тренировки по двойной прогрессии: пока повторения не дошли до верхней границы диапазона —
+ * добавить повторение, дошли — прибавить вес (шаг зависит от оборудования, config.equipmentIncrements),
+ * не выполнена нижняя граница — повторить вес, несколько неудач подряд — разгрузка. Высокий RPE
+ * последней тренировки удерживает вес. Рекомендации даются для упражнений с весом (modality weight).
+ */
+
+import { exerciseManager } from './exercises.js';
+import { EQUIPMENT_INCREMENTS, INCREMENT_RANGE, RECOMMENDATION_CONFIG } from './config.js';
+
+// Действия рекомендации
+export const RECOMMENDATION_ACTIONS = {
+  increase: 'Прибавить вес',
+  reps: 'Добавить повторение',
+  hold: 'Повторить вес',
+  deload: 'Разгрузка'
+};
+
+class RecommendationEngine {
+  constructor() {
+    // Прибавка веса по оборудованию (config.equipmentIncrements)
+    this.increments = { ...EQUIPMENT_INCREMENTS };
+  }
+
+  /**
+   * Задать прибавки веса по оборудованию; неверные значения заменяются значениями по умолчанию
+   * @param {Object.<string, number>} increments
+   */
+  setIncrements(increments = {}) {
+    this.increments = { ...EQUIPMENT_INCREMENTS };
+    Object.entries(increments || {}).forEach(([equipment, value]) => {
+      if (typeof value === 'number' && value >= INCREMENT_RANGE.MIN && value <= INCREMENT_RANGE.MAX) {
+        this.increments[equipment] = value;
+      }
+    });
+  }
+
+  /**
+   * Прибавка веса упражнения по его оборудованию
+   */
+  getIncrement(exerciseName) {
+    const equipment = exerciseManager.getCatalogEntry({ exercise: exerciseName })?.equipment;
+    return this.increments[equipment] ?? this.increments.DEFAULT;
+  }
+
+  /**
+   * Последние тренировки упражнения: самый большой вес, наименьшее число повторений и средний RPE
+   * рабочих подходов с этим весом
+   * @param {Array} workouts - Тренировки
+   * @param {string} exerciseName
+   * @param {Object} [options]
+   * @param {string} [options.excludeId] - Не учитывать тренировку (открытую в форме)
+   * @param {number} [options.limit] - Сколько последних тренировок вернуть
+   * @returns {Array<{workoutId: string, date: string, weight: number, reps: number, sets: number, rpe: number|null}>}
+   *   От старой к новой
+   */
+  getSessions(workouts, exerciseName, { excludeId = null, limit = RECOMMENDATION_CONFIG.SESSIONS } = {}) {
+    const exerciseId = exerciseManager.getExerciseId(exerciseName);
+    const sessions = [];
+
+    [...workouts]
+      .filter(workout => workout.id !== excludeId)
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .forEach(workout => {
+        const exercise = (workout.exercises || []).find(item => (item.exerciseId || exerciseManager.getExerciseId(item.exercise)) === exerciseId);
+        const sets = exerciseManager.getWorkingSets(exercise?.sets).filter(set => set.reps > 0);
+        if (sets.length === 0) return;
+
+        const weight = Math.max(...sets.map(set => set.weight || 0));
+        const topSets = sets.filter(set => (set.weight || 0) === weight);
+        const rpes = topSets.map(set => set.rpe).filter(rpe => typeof rpe === 'number');
+        sessions.push({
+          workoutId: workout.id,
+          date: workout.date,
+          weight,
+          reps: Math.min(...topSets.map(set => set.reps)),
+          sets: sets.length,
+          rpe: rpes.length > 0 ? rpes.reduce((sum, rpe) => sum + rpe, 0) / rpes.length : null
+        });
+      });
+
+    return sessions.slice(-limit);
+  }
+
+  /**
+   * Рекомендация следующей тренировки упражнения
+   * @param {Array} workouts - Тренировки
+   * @param {string} exerciseName
+   * @param {Object} [target]
+   * @param {number} [target.repsMin] - Нижняя граница повторений (например, из плана программы)
+   * @param {number} [target.repsMax] - Верхняя граница повторений
+   * @param {string} [target.excludeId] - Не учитывать тренировку (открытую в форме)
+   * @returns {{action: string, weight: number, reps: number, sets: number, increment: number,
+   *   range: {min: number, max: number}, last: Object, sessions: number, reason: string}|null}
+   *   null — нет истории или упражнение не с весом
+   */
+  recommend(workouts, exerciseName, { repsMin = null, repsMax = null, excludeId = null } = {}) {
+    if (exerciseManager.getModality({ exercise: exerciseName }).id !== 'weight') return null;
+
+    const sessions = this.getSessions(workouts, exerciseName, { excludeId });
+    const last = sessions[sessions.length - 1];
+    if (!last) return null;
+
+    const increment = this.getIncrement(exerciseName);
+    const range = this.getRepRange(sessions, repsMin, repsMax);
+    const hard = last.rpe !== null && last.rpe > RECOMMENDATION_CONFIG.RPE_MAX;
+    const result = (action, weight, reps, reason) => ({
+      action, weight, reps, sets: last.sets, increment, range, last, sessions: sessions.length, reason
+    });
+
+    // Неудачи подряд с тем же или большим весом
+    let stalls = 0;
+    for (let index = sessions.length - 1; index >= 0; index--) {
+      if (sessions[index].reps >= range.min || sessions[index].weight < last.weight) break;
+      stalls++;
+    }
+
+    if (stalls >= RECOMMENDATION_CONFIG.STALL_LIMIT) {
+      return result('deload', this.roundWeight(last.weight * RECOMMENDATION_CONFIG.DELOAD_FACTOR, increment), range.min,
+        `${stalls} тренировки подряд меньше ${range.min} повторений`);
+    }
+    if (stalls > 0) {
+      return result('hold', last.weight, range.min, `В прошлый раз меньше ${range.min} повторений`);
+    }
+    if (hard) {
+      return result('hold', last.weight, last.reps, `Тяжело в прошлый раз (RPE ${Number(last.rpe.toFixed(1))})`);
+    }
+    if (last.reps >= range.max) {
+      return result('increase', this.roundWeight(last.weight + increment, increment), range.min,
+        `Выполнено ${last.reps} повторений — верхняя граница диапазона`);
+    }
+    return result('reps', last.weight, last.reps + 1, `Диапазон ${range.min}–${range.max} повторений`);
+  }
+
+  /**
+   * Диапазон повторений: заданный, иначе RECOMMENDATION_CONFIG. Если во всех учтенных тренировках
+   * повторений меньше нижней границы по умолчанию, упражнение считается силовым и диапазон — лучшее
+   * из этих чисел повторений
+   */
+  getRepRange(sessions, repsMin, repsMax) {
+    if (repsMin) {
+      return { min: repsMin, max: Math.max(repsMin, repsMax || repsMin) };
+    }
+    const reps = Math.max(...sessions.map(session => session.reps));
+    if (reps < RECOMMENDATION_CONFIG.REPS_MIN) {
+      return { min: reps, max: reps };
+    }
+    return { min: RECOMMENDATION_CONFIG.REPS_MIN, max: RECOMMENDATION_CONFIG.REPS_MAX };
+  }
+
+  /**
+   * Вес, округленный до шага прибавки
+   */
+  roundWeight(kg, step) {
+    return Number((Math.round(kg / step) * step).toFixed(2));
+  }
+
+  /**
+   * Рекомендация для показа: 'Прибавить вес: 82.5 кг × 8'
+   */
+  format(recommendation) {
+    return `${RECOMMENDATION_ACTIONS[recommendation.action]}: ${recommendation.weight} кг × ${recommendation.reps}`;
+  }
+}
+
+// Создаем единственный экземпляр
+export const recommendationEngine = new RecommendationEngine();
@@ -0,0 +1,185 @@
+/**
+ * Модуль версионирования схемы данных
+ * Реестр миграций и пошаговое обновление записей до текущей версии схемы
+ */
+
+import { logger } from '../utils/logger.js';
+import { ACTIVE_PROGRAM_ID, SCHEMA_VERSION } from './config.js';
+import { exerciseManager } from './exercises.js';
+
+/**
+ * Типы версионируемых записей
+ */
+export const RECORD_TYPES = {
+  WORKOUT: 'workout',
+  BODY_ANALYSIS: 'bodyAnalysis',
+  EXERCISE: 'exercise',
+  PROGRAM: 'program',
+  CONFIG: 'config'
+};
+
+/**
+ * Ошибка: данные записаны более новой версией приложения
+ */
+export class SchemaVersionError extends Error {
+  constructor(foundVersion) {
+    super(`Data was written by a newer schema version (${foundVersion} > ${SCHEMA_VERSION})`);
+    this.name = 'SchemaVersionError';
+    this.foundVersion = foundVersion;
+  }
+}
+
+class SchemaManager {
+  constructor() {
+    this.migrations = {};
+  }
+
+  /**
+   * Зарегистрировать миграцию записи типа type до версии toVersion
+   */
+  register(type, toVersion, migrate) {
+    if (!this.migrations[type]) {
+      this.migrations[type] = {};
+    }
+    this.migrations[type][toVersion] = migrate;
+  }
+
+  /**
+   * Получить версию схемы документа
+   */
+  getVersion(doc) {
+    return Number.isInteger(doc?.schemaVersion) ? doc.schemaVersion : 1;
+  }
+
+  /**
+   * Проверить, записан ли документ более новой схемой
+   */
+  isNewer(doc) {
+    return this.getVersion(doc) > SCHEMA_VERSION;
+  }
+
+  /**
+   * Обновить запись до текущей версии схемы
+   * Миграции применяются по одной: 1 -> 2 -> ... -> SCHEMA_VERSION
+   */
+  migrate(type, record) {
+    if (!record) return record;
+
+    const version = this.getVersion(record);
+    if (version > SCHEMA_VERSION) {
+      throw new SchemaVersionError(version);
+    }
+
+    let migrated = record;
+    // Надгробия удаленных записей не содержат данных — шаги миграции к ним не применяются
+    const steps = record.deletedAt ? {} : this.migrations[type] || {};
+    for (let next = version + 1; next <= SCHEMA_VERSION; next++) {
+      if (steps[next]) {
+        migrated = steps[next](migrated);
+      }
+    }
+
+    return migrated.schemaVersion === SCHEMA_VERSION
+      ? migrated
+      : { ...migrated, schemaVersion: SCHEMA_VERSION };
+  }
+
+  /**
+   * Обновить массив записей
+   */
+  migrateMany(type, records) {
+    return (records || []).filter(Boolean).map(record => this.migrate(type, record));
+  }
+
+  /**
+   * Обновить документ экспорта / файла синхронизации
+   * Старый формат файла синхронизации (массив тренировок) тоже поддерживается
+   */
+  migrateDocument(doc) {
+    if (!doc) return doc;
+
+    const normalized = Array.isArray(doc) ? { workouts: doc } : doc;
+    const version = this.getVersion(normalized);
+    if (version > SCHEMA_VERSION) {
+      throw new SchemaVersionError(version);
+    }
+
+    const migrated = {
+      ...normalized,
+      schemaVersion: SCHEMA_VERSION,
+      workouts: this.migrateMany(RECORD_TYPES.WORKOUT, normalized.workouts),
+      bodyAnalyses: this.migrateMany(RECORD_TYPES.BODY_ANALYSIS, normalized.bodyAnalyses),
+      exercises: this.migrateMany(RECORD_TYPES.EXERCISE, normalized.exercises),
+      programs: this.migrateMany(RECORD_TYPES.PROGRAM, this.getProgramRecords(normalized.programs)),
+      recentExercises: normalized.recentExercises || []
+    };
+
+    if (version < SCHEMA_VERSION) {
+      logger.info(`Document migrated from schema v${version} to v${SCHEMA_VERSION}`);
+    }
+    return migrated;
+  }
+
+  /**
+   * Записи программ документа
+   * Экспорт прежних версий хранил программы объектом { templates, active }
+   */
+  getProgramRecords(programs) {
+    if (!programs || Array.isArray(programs)) return programs;
+    return [
+      ...(programs.templates || []),
+      ...(programs.active ? [{ id: ACTIVE_PROGRAM_ID, active: programs.active }] : [])
+    ];
+  }
+}
+
+/**
+ * Привести значение к числу или null
+ */
+function toNumberOrNull(value) {
+  const num = Number(value);
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Привести значение к неотрицательному числу (null/NaN -> 0)
+ */
+function toNumberOrZero(value) {
+  const num = Number(value);
+  return value !== null && Number.isFinite(num) && num >= 0 ? num : 0;
+}
+
+// Создаем единственный экземпляр
+export const schema = new SchemaManager();
+
+// v1 -> v2: группа у каждого упражнения, числовые вес/повторения, поля cycle/week/session
+schema.register(RECORD_TYPES.WORKOUT, 2, workout => ({
+  ...workout,
+  cycle: toNumberOrNull(workout.cycle),
+  week: toNumberOrNull(workout.week),
+  session: toNumberOrNull(workout.session),
+  exercises: (workout.exercises || []).map(exercise => ({
+    ...exercise,
+    group: exercise.group || exerciseManager.getExerciseGroup(exercise.exercise),
+    sets: (exercise.sets || []).filter(Boolean).map(set => ({
+      ...set,
+      weight: toNumberOrZero(set.weight),
+      reps: toNumberOrZero(set.reps)
+    }))
+  }))
+}));
+
+// v2 -> v3: постоянный id упражнения из каталога рядом с названием
+schema.register(RECORD_TYPES.WORKOUT, 3, workout => ({
+  ...workout,
+  exercises: (workout.exercises || []).map(exercise => ({
+    ...exercise,
+    exerciseId: exercise.exerciseId || exerciseManager.getExerciseId(exercise.exercise)
+  }))
+}));
+
+// v1 -> v2: анализы, сохраненные из index.html, могли не иметь timestamp
+schema.register(RECORD_TYPES.BODY_ANALYSIS, 2, analysis => ({
+  ...analysis,
+  timestamp: analysis.timestamp || new Date(0).toISOString()
+}));
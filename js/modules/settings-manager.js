@@ -6,26 +6,66 @@ import { logger } from '../utils/logger.js';
 import { storage } from './storage.js';
 import { dom } from '../utils/dom.js';
 import { yandexAPI } from './yandex-api.js';
+import { syncEngine } from './sync-engine.js';
+import { outbox } from './outbox.js';
+import { backgroundSync } from './background-sync.js';
+import { localFolderProvider } from './local-folder-provider.js';
+import { syncProviders } from './sync-provider.js';
+import { encryption, WrongPassphraseError } from './encryption.js';
+import { backupDialog } from '../components/backup-dialog.js';
+import { exerciseCatalog, DuplicateExerciseError } from './exercise-catalog.js';
+import { exerciseManager } from './exercises.js';
+import { recommendationEngine } from './recommendations.js';
 import { aiService } from './ai-service.js';
+import { DEFAULT_CONFIG, EQUIPMENT_INCREMENTS, EQUIPMENT_TYPES, EXERCISE_GROUPS, EXERCISE_MODALITIES, INCREMENT_RANGE, MOVEMENT_PATTERNS } from './config.js';
 import { validator } from '../utils/validator.js';
 
-class SettingsManager {
-  constructor() {
+// Поля провайдеров синхронизации (кроме Яндекс.Диска, который настраивается через OAuth)
+const SYNC_PROVIDER_FIELDS = ['syncProvider', 'webdavUrl', 'webdavUser', 'webdavPassword'];
+
+// Поля политики хранения резервных копий
+const BACKUP_RETENTION_FIELDS = {
+  daily: 'backupRetentionDaily',
+  weekly: 'backupRetentionWeekly',
+  monthly: 'backupRetentionMonthly'
+};
+
+export class SettingsManager {
+  constructor(store = storage) {
+    this.store = store;
     this.config = null;
     this.isInitialized = false;
+    // Запрос повторного входа показывается один раз до успешного входа
+    this.reauthPrompted = false;
   }
 
   /**
    * Инициализация менеджера настроек
    */
-  init() {
+  async init() {
     try {
       logger.info('Initializing settings manager...');
       
-      this.config = storage.loadConfig();
+      this.config = await this.store.loadConfig();
       this.setupEventListeners();
       this.applyConfigToUI();
       this.updateAuthStatus();
+      this.setupSyncProviderSettings();
+      this.setupEncryptionSettings();
+      this.setupBackupSettings();
+      this.setupExerciseCatalogSettings();
+      this.setupIncrementSettings();
+      this.setupExerciseLimitSettings();
+      outbox.onChange(() => {
+        this.renderOutboxStatus();
+        this.renderTokenStatus();
+      });
+      this.renderOutboxStatus();
+      syncEngine.onSync(result => {
+        if (result.backup) this.renderBackupStatus();
+      });
+      syncProviders.onAuthError(error => this.promptReauth(error));
+      this.renderTokenStatus({ notify: true });
       
       this.isInitialized = true;
       logger.success('Settings manager initialized');
@@ -59,6 +99,12 @@ class SettingsManager {
       logoutBtn.addEventListener('click', () => this.logoutFromYandex());
     }
 
+    // Синхронизация
+    const syncNowBtn = dom.getElement('syncNow');
+    if (syncNowBtn) {
+      syncNowBtn.addEventListener('click', () => this.syncNow());
+    }
+
     // Кнопки экспорта/импорта
     const exportBtn = dom.getElement('exportBtn');
     const importBtn = dom.getElement('importBtn');
@@ -111,7 +157,7 @@ class SettingsManager {
   /**
    * Автосохранение поля
    */
-  autoSaveField(fieldName) {
+  async autoSaveField(fieldName) {
     try {
       const element = dom.getElement(fieldName);
       if (!element) return;
@@ -129,7 +175,7 @@ class SettingsManager {
       this.config[fieldName] = value;
       
       // Сохраняем в хранилище
-      storage.saveConfig(this.config);
+      await this.store.saveConfig(this.config);
       
       logger.debug('Auto-saved field:', fieldName, value);
     } catch (error) {
@@ -162,7 +208,7 @@ class SettingsManager {
   /**
    * Сохранение настроек
    */
-  saveSettings() {
+  async saveSettings() {
     try {
       logger.info('Saving settings...');
       
@@ -180,10 +226,13 @@ class SettingsManager {
       this.config = { ...this.config, ...formData };
       
       // Сохраняем в хранилище
-      storage.saveConfig(this.config);
+      await this.store.saveConfig(this.config);
       
       // Инициализируем сервисы с новыми настройками
       this.initializeServices();
+      exerciseManager.setMaxExercises(this.config.maxExercisesPerWorkout);
+      syncEngine.startAutoSync(this.config);
+      backgroundSync.schedulePeriodicSync(this.config);
       
       this.showStatus('Настройки сохранены успешно', 'success');
       logger.success('Settings saved');
@@ -202,9 +251,11 @@ class SettingsManager {
     const fields = [
       'yandexToken',
       'yandexPath',
+      ...SYNC_PROVIDER_FIELDS,
       'autoSync',
       'syncInterval',
       'defaultCycle',
+      'maxExercisesPerWorkout',
       'huggingFaceApiKey'
     ];
 
@@ -297,19 +348,110 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Завершить вход после возврата с oauth.yandex.ru (токен в адресе страницы)
+   * Сохраняет токен и срок его действия и возобновляет очередь изменений, приостановленную из-за авторизации
+   * @returns {Promise<Object|null>} Результат yandexAPI.handleOAuthCallback или null, если это не возврат с OAuth
+   */
+  async completeYandexLogin() {
+    const hash = window.location.hash;
+    if (!hash.includes('access_token') && !hash.includes('error=')) return null;
+
+    const result = yandexAPI.handleOAuthCallback();
+    if (!result.success) {
+      logger.error('OAuth login failed:', result.error);
+      this.showStatus(`Ошибка авторизации: ${result.error}`, 'error');
+      return result;
+    }
+
+    this.config = { ...this.config, yandexToken: result.token, yandexTokenExpiresAt: result.expiresAt };
+    try {
+      this.config.userInfo = await yandexAPI.getUserInfo();
+    } catch (error) {
+      logger.warn('Failed to load Yandex user info:', error.message);
+    }
+    await this.store.saveConfig(this.config);
+
+    this.reauthPrompted = false;
+    this.updateAuthStatus();
+    this.renderTokenStatus();
+    syncEngine.startAutoSync(this.config);
+    backgroundSync.schedulePeriodicSync(this.config);
+    await outbox.resume();
+
+    this.showStatus('Авторизация успешна!', 'success');
+    return result;
+  }
+
+  /**
+   * Токен недействителен (ответ 401/403 или истек срок): очередь уже приостановлена, просим войти заново
+   */
+  promptReauth(error) {
+    this.renderTokenStatus();
+    this.renderOutboxStatus();
+
+    if (error.provider !== 'yandex') {
+      this.showStatus('Ошибка авторизации WebDAV: проверьте логин и пароль', 'error');
+      return;
+    }
+    if (this.reauthPrompted) return;
+    this.reauthPrompted = true;
+
+    const pending = outbox.getStatus().pending;
+    const message = `Доступ к Яндекс.Диску истек. Изменения (${pending}) сохранены и будут отправлены после входа. Войти заново?`;
+    if (typeof confirm === 'function' && confirm(message)) {
+      this.loginWithYandex();
+    } else {
+      this.showStatus('Требуется повторный вход в Яндекс', 'error');
+    }
+  }
+
+  /**
+   * Показать срок действия токена Яндекс.Диска
+   * Блок есть только на открытой странице настроек, поэтому его отсутствие не ошибка
+   * @param {Object} [options]
+   * @param {boolean} [options.notify] - Показать предупреждение, если токен скоро истечет
+   */
+  renderTokenStatus({ notify = false } = {}) {
+    const status = yandexAPI.getTokenStatus(this.config || {});
+    const expiresAt = status.expiresAt ? new Date(status.expiresAt).toLocaleDateString('ru-RU') : '';
+    const needsLogin = status.state === 'expired' || outbox.getStatus().paused === 'auth';
+
+    const messages = {
+      valid: `Доступ действует до ${expiresAt}`,
+      expiring: `Доступ истекает ${expiresAt} (осталось дней: ${status.daysLeft}) — войдите заново, чтобы синхронизация не прервалась`,
+      expired: `Доступ истек ${expiresAt} — войдите заново`
+    };
+    const text = needsLogin && status.state !== 'missing'
+      ? 'Требуется повторный вход: изменения сохранены и будут отправлены после входа'
+      : messages[status.state] || '';
+
+    if (notify && (status.state === 'expiring' || status.state === 'expired')) {
+      this.showStatus(messages[status.state], 'error');
+    }
+
+    const statusEl = document.getElementById('tokenStatus');
+    if (!statusEl) return;
+    dom.setContent(statusEl, text);
+    dom.toggleClass(statusEl, 'warning', needsLogin || status.state === 'expiring');
+  }
+
   /**
    * Выход из Яндекс
    */
-  logoutFromYandex() {
+  async logoutFromYandex() {
     try {
       logger.info('Logging out from Yandex...');
       
       // Очищаем токен
       this.config.yandexToken = '';
-      storage.saveConfig(this.config);
+      this.config.yandexTokenExpiresAt = null;
+      await this.store.saveConfig(this.config);
       
       // Выходим из API
       yandexAPI.logout();
+      syncEngine.stopAutoSync();
+      backgroundSync.schedulePeriodicSync(this.config);
       
       // Обновляем UI
       this.applyConfigToUI();
@@ -323,14 +465,503 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Настройки провайдера синхронизации: выбор провайдера, поля WebDAV, выбор локальной папки
+   * index.html загружает страницу настроек позже инициализации модулей, поэтому метод
+   * вызывается и при ее открытии; повторная привязка к тем же элементам пропускается
+   */
+  setupSyncProviderSettings() {
+    const select = dom.getElement('syncProvider');
+    if (!select || !this.config || select.dataset.bound) return;
+    select.dataset.bound = 'true';
+
+    SYNC_PROVIDER_FIELDS.forEach(fieldName => {
+      const element = dom.getElement(fieldName);
+      if (!element) return;
+
+      element.value = this.config[fieldName] ?? '';
+      element.addEventListener('change', async () => {
+        await this.autoSaveField(fieldName);
+        this.updateSyncProviderUI();
+        syncEngine.startAutoSync(this.config);
+        backgroundSync.schedulePeriodicSync(this.config);
+      });
+    });
+
+    const pickFolderBtn = dom.getElement('pickSyncFolder');
+    if (pickFolderBtn) {
+      pickFolderBtn.addEventListener('click', () => this.pickSyncFolder());
+    }
+
+    this.updateSyncProviderUI();
+  }
+
+  /**
+   * Показать настройки выбранного провайдера
+   */
+  updateSyncProviderUI() {
+    const providerId = syncEngine.getProvider(this.config).id;
+    document.querySelectorAll('[data-sync-provider]').forEach(element => {
+      dom.toggleElement(element, element.getAttribute('data-sync-provider') === providerId);
+    });
+
+    const folderStatus = dom.getElement('syncFolderStatus');
+    const pickFolderBtn = dom.getElement('pickSyncFolder');
+    if (!localFolderProvider.isSupported()) {
+      if (pickFolderBtn) pickFolderBtn.disabled = true;
+      if (folderStatus) dom.setContent(folderStatus, 'Браузер не поддерживает выбор папки');
+    } else if (folderStatus) {
+      dom.setContent(folderStatus, this.config.localFolderName ? `Папка: ${this.config.localFolderName}` : 'Папка не выбрана');
+    }
+  }
+
+  /**
+   * Выбрать локальную папку синхронизации
+   */
+  async pickSyncFolder() {
+    try {
+      this.config.localFolderName = await localFolderProvider.pickFolder();
+      await this.store.saveConfig(this.config);
+      this.updateSyncProviderUI();
+      syncEngine.startAutoSync(this.config);
+      backgroundSync.schedulePeriodicSync(this.config);
+    } catch (error) {
+      // Пользователь закрыл окно выбора
+      if (error.name === 'AbortError') return;
+
+      logger.error('Failed to pick sync folder:', error);
+      this.showStatus(`Не удалось выбрать папку: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Настройки шифрования: включение (или ввод пароля на новом устройстве) и смена пароля
+   * Как и setupSyncProviderSettings, вызывается и при открытии страницы настроек в index.html
+   */
+  setupEncryptionSettings() {
+    const enableBtn = dom.getElement('enableEncryption');
+    if (!enableBtn || enableBtn.dataset.bound) return;
+    enableBtn.dataset.bound = 'true';
+
+    enableBtn.addEventListener('click', () => this.enableEncryption());
+    const rotateBtn = dom.getElement('rotateEncryption');
+    if (rotateBtn) {
+      rotateBtn.addEventListener('click', () => this.rotateEncryptionPassphrase());
+    }
+
+    this.updateEncryptionStatus();
+  }
+
+  /**
+   * Показать состояние шифрования
+   */
+  async updateEncryptionStatus() {
+    const enabled = await encryption.isEnabled();
+    const statusEl = dom.getElement('encryptionStatus');
+    if (statusEl) {
+      dom.setContent(statusEl, enabled ? 'Шифрование включено на этом устройстве' : 'Шифрование выключено');
+    }
+    dom.toggleElement(dom.getElement('encryptionRotation'), enabled);
+  }
+
+  /**
+   * Включить шифрование или ввести пароль, заданный на другом устройстве
+   */
+  async enableEncryption() {
+    const passphraseInput = dom.getElement('encryptionPassphrase');
+    try {
+      this.showStatus('Настройка шифрования...', 'info');
+      const result = await syncEngine.enableEncryption(passphraseInput.value);
+      passphraseInput.value = '';
+
+      this.showStatus(result.created
+        ? `Шифрование включено: зашифровано файлов ${result.encrypted}`
+        : 'Пароль принят, данные будут расшифрованы при синхронизации', 'success');
+      await this.updateEncryptionStatus();
+      outbox.flush().catch(error => logger.warn('Sync after enabling encryption failed:', error.message));
+    } catch (error) {
+      logger.error('Failed to enable encryption:', error);
+      this.showStatus(error instanceof WrongPassphraseError ? 'Неверный пароль шифрования' : `Ошибка шифрования: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Сменить пароль шифрования
+   */
+  async rotateEncryptionPassphrase() {
+    const currentInput = dom.getElement('encryptionPassphrase');
+    const newInput = dom.getElement('encryptionNewPassphrase');
+    try {
+      this.showStatus('Перешифровка файлов в облаке...', 'info');
+      const result = await syncEngine.rotateEncryptionPassphrase(currentInput.value, newInput.value);
+      currentInput.value = '';
+      newInput.value = '';
+
+      this.showStatus(`Пароль изменен: перешифровано файлов ${result.encrypted}`, 'success');
+    } catch (error) {
+      logger.error('Failed to change encryption passphrase:', error);
+      this.showStatus(error instanceof WrongPassphraseError ? 'Неверный текущий пароль шифрования' : `Ошибка смены пароля: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Настройки резервных копий: включение, сколько хранить, создание и восстановление
+   * Как и setupSyncProviderSettings, вызывается и при открытии страницы настроек в index.html
+   */
+  setupBackupSettings() {
+    const toggle = dom.getElement('backupEnabled');
+    if (!toggle || !this.config || toggle.dataset.bound) return;
+    toggle.dataset.bound = 'true';
+
+    toggle.checked = this.config.backupEnabled !== false;
+    toggle.addEventListener('change', () => this.autoSaveField('backupEnabled'));
+
+    Object.entries(BACKUP_RETENTION_FIELDS).forEach(([period, fieldName]) => {
+      const input = dom.getElement(fieldName);
+      if (!input) return;
+
+      input.value = this.config.backupRetention?.[period] ?? DEFAULT_CONFIG.backupRetention[period];
+      input.addEventListener('change', () => this.saveBackupRetention());
+    });
+
+    const createBtn = dom.getElement('createBackup');
+    if (createBtn) {
+      createBtn.addEventListener('click', () => this.createBackup());
+    }
+    const restoreBtn = dom.getElement('restoreBackup');
+    if (restoreBtn) {
+      restoreBtn.addEventListener('click', () => backupDialog.open());
+    }
+
+    this.renderBackupStatus();
+  }
+
+  /**
+   * Сохранить политику хранения копий (пустое или неверное значение — по умолчанию)
+   */
+  async saveBackupRetention() {
+    const retention = {};
+    Object.entries(BACKUP_RETENTION_FIELDS).forEach(([period, fieldName]) => {
+      const value = parseInt(dom.getElement(fieldName)?.value, 10);
+      retention[period] = Number.isInteger(value) && value >= 0 ? value : DEFAULT_CONFIG.backupRetention[period];
+    });
+
+    this.config.backupRetention = retention;
+    await this.store.saveConfig(this.config);
+    logger.debug('Backup retention saved:', retention);
+  }
+
+  /**
+   * Создать резервную копию сейчас
+   */
+  async createBackup() {
+    try {
+      this.showStatus('Создание резервной копии...', 'info');
+      const name = await syncEngine.createBackup();
+      this.showStatus(`Резервная копия создана: ${name}`, 'success');
+      await this.renderBackupStatus();
+    } catch (error) {
+      logger.error('Failed to create backup:', error);
+      this.showStatus(`Ошибка резервного копирования: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Показать время последней копии
+   */
+  async renderBackupStatus() {
+    const statusEl = dom.getElement('backupStatus');
+    if (!statusEl) return;
+
+    const state = await this.store.loadBackupState();
+    dom.setContent(statusEl, state?.lastBackupAt
+      ? `Последняя копия: ${new Date(state.lastBackupAt).toLocaleString('ru-RU')} (${state.lastBackupName})`
+      : 'Копий еще не было');
+  }
+
+  /**
+   * Шаг веса в рекомендациях по оборудованию (config.equipmentIncrements)
+   * Как и setupBackupSettings, вызывается и при открытии страницы настроек в index.html
+   */
+  setupIncrementSettings() {
+    const container = dom.getElement('equipmentIncrements');
+    if (!container || !this.config || container.dataset.bound) return;
+    container.dataset.bound = 'true';
+
+    const increments = { ...EQUIPMENT_INCREMENTS, ...this.config.equipmentIncrements };
+    [...EQUIPMENT_TYPES, { id: 'DEFAULT', name: 'Остальные' }].forEach(type => {
+      const input = dom.createElement('input', {
+        type: 'number',
+        min: String(INCREMENT_RANGE.MIN),
+        max: String(INCREMENT_RANGE.MAX),
+        step: '0.25',
+        title: type.name,
+        'data-equipment': type.id
+      });
+      input.value = increments[type.id];
+      input.addEventListener('change', () => this.saveIncrements());
+
+      const label = dom.createElement('label', { className: 'increment-field' }, `${type.name} `);
+      label.appendChild(input);
+      container.appendChild(label);
+    });
+  }
+
+  /**
+   * Сохранить шаг веса по оборудованию (неверное значение — по умолчанию)
+   */
+  async saveIncrements() {
+    const increments = {};
+    dom.getElements('#equipmentIncrements [data-equipment]').forEach(input => {
+      const equipment = input.getAttribute('data-equipment');
+      const value = parseFloat(input.value);
+      increments[equipment] = value >= INCREMENT_RANGE.MIN && value <= INCREMENT_RANGE.MAX ? value : EQUIPMENT_INCREMENTS[equipment];
+    });
+
+    this.config.equipmentIncrements = increments;
+    await this.store.saveConfig(this.config);
+    recommendationEngine.setIncrements(increments);
+    logger.debug('Equipment increments saved:', increments);
+  }
+
+  /**
+   * Лимит упражнений в тренировке (config.maxExercisesPerWorkout)
+   * Как и setupBackupSettings, вызывается и при открытии страницы настроек в index.html
+   */
+  setupExerciseLimitSettings() {
+    const input = dom.getElement('maxExercisesPerWorkout');
+    if (!input || !this.config || input.dataset.bound) return;
+    input.dataset.bound = 'true';
+
+    input.value = this.config.maxExercisesPerWorkout ?? DEFAULT_CONFIG.maxExercisesPerWorkout;
+    input.addEventListener('change', () => this.saveExerciseLimit());
+  }
+
+  /**
+   * Сохранить лимит упражнений (неверное значение не сохраняется, в поле возвращается текущий лимит)
+   * @returns {Promise<boolean>} Сохранен ли лимит
+   */
+  async saveExerciseLimit() {
+    const input = dom.getElement('maxExercisesPerWorkout');
+    if (!input || !this.config) return false;
+
+    const value = Number(input.value);
+    const current = this.config.maxExercisesPerWorkout ?? DEFAULT_CONFIG.maxExercisesPerWorkout;
+    if (!validator.validateConfig({ ...DEFAULT_CONFIG, maxExercisesPerWorkout: value }).isValid) {
+      logger.warn('Invalid exercise limit:', input.value);
+      input.value = current;
+      return false;
+    }
+
+    this.config.maxExercisesPerWorkout = value;
+    await this.store.saveConfig({ maxExercisesPerWorkout: value });
+    exerciseManager.setMaxExercises(value);
+    logger.debug('Exercise limit saved:', value);
+    return true;
+  }
+
+  /**
+   * Каталог упражнений: переименование и объединение дубликатов
+   * Как и setupBackupSettings, вызывается и при открытии страницы настроек в index.html
+   */
+  setupExerciseCatalogSettings() {
+    const select = dom.getElement('catalogExercise');
+    if (!select || select.dataset.bound) return;
+    select.dataset.bound = 'true';
+
+    // Варианты метаданных не меняются, поэтому заполняются один раз
+    const fillOptions = (elementId, options, emptyLabel) => {
+      const list = dom.getElement(elementId);
+      if (!list) return;
+      if (emptyLabel) list.appendChild(dom.createElement('option', { value: '' }, emptyLabel));
+      options.forEach(option => list.appendChild(dom.createElement('option', { value: option.id }, option.name)));
+    };
+    fillOptions('catalogEquipment', EQUIPMENT_TYPES, 'Оборудование не указано');
+    fillOptions('catalogPattern', MOVEMENT_PATTERNS, 'Движение не указано');
+    fillOptions('catalogModality', EXERCISE_MODALITIES);
+    fillOptions('catalogSecondaryMuscles', EXERCISE_GROUPS.map(group => ({ id: group.name, name: group.name })));
+
+    select.addEventListener('change', () => this.renderExerciseDetails());
+    dom.getElement('catalogRename')?.addEventListener('click', () => this.renameExercise());
+    dom.getElement('catalogMerge')?.addEventListener('click', () => this.mergeExercise());
+    dom.getElement('catalogSaveMetadata')?.addEventListener('click', () => this.saveExerciseMetadata());
+
+    this.renderExerciseCatalog();
+  }
+
+  /**
+   * Заполнить списки упражнений каталога
+   */
+  renderExerciseCatalog(selectedId = null) {
+    const select = dom.getElement('catalogExercise');
+    const target = dom.getElement('catalogMergeTarget');
+    if (!select || !target) return;
+
+    // Названия вводит пользователь, поэтому пункты создаются как текст, а не HTML
+    const exercises = exerciseCatalog.getAll()
+      .sort((a, b) => a.group.localeCompare(b.group, 'ru') || a.name.localeCompare(b.name, 'ru'));
+    [select, target].forEach(list => {
+      dom.clearElement(list);
+      exercises.forEach(exercise => {
+        list.appendChild(dom.createElement('option', { value: exercise.id }, `${exercise.group}: ${exercise.name}`));
+      });
+    });
+
+    if (selectedId && exerciseCatalog.get(selectedId)) select.value = selectedId;
+    this.renderExerciseDetails();
+  }
+
+  /**
+   * Показать название и метаданные выбранного упражнения
+   */
+  renderExerciseDetails() {
+    const exercise = exerciseCatalog.get(dom.getElement('catalogExercise')?.value);
+    const setValue = (elementId, value) => {
+      const element = dom.getElement(elementId);
+      if (element) element.value = value;
+    };
+
+    setValue('catalogRenameInput', exercise?.name || '');
+    setValue('catalogEquipment', exercise?.equipment || '');
+    setValue('catalogPattern', exercise?.pattern || '');
+    setValue('catalogModality', exercise?.modality || '');
+    const unilateral = dom.getElement('catalogUnilateral');
+    if (unilateral) unilateral.checked = Boolean(exercise?.unilateral);
+    const secondary = dom.getElement('catalogSecondaryMuscles');
+    if (secondary) {
+      Array.from(secondary.options).forEach(option => {
+        option.selected = Boolean(exercise?.secondaryMuscles.includes(option.value));
+      });
+    }
+  }
+
+  /**
+   * Сохранить метаданные выбранного упражнения
+   */
+  async saveExerciseMetadata() {
+    const id = dom.getElement('catalogExercise')?.value;
+    const secondary = dom.getElement('catalogSecondaryMuscles');
+    try {
+      const exercise = await exerciseCatalog.update(id, {
+        equipment: dom.getElement('catalogEquipment')?.value || null,
+        pattern: dom.getElement('catalogPattern')?.value || null,
+        modality: dom.getElement('catalogModality')?.value || undefined,
+        secondaryMuscles: secondary ? Array.from(secondary.selectedOptions).map(option => option.value) : undefined,
+        unilateral: Boolean(dom.getElement('catalogUnilateral')?.checked)
+      });
+      this.showCatalogStatus(`Сохранено: ${exercise.name}`);
+    } catch (error) {
+      logger.error('Failed to update exercise:', error);
+      this.showCatalogStatus(`Ошибка: ${error.message}`);
+    }
+  }
+
+  /**
+   * Переименовать выбранное упражнение
+   */
+  async renameExercise() {
+    const id = dom.getElement('catalogExercise')?.value;
+    const name = dom.getElement('catalogRenameInput')?.value;
+    try {
+      const exercise = await exerciseCatalog.rename(id, name);
+      this.renderExerciseCatalog(exercise.id);
+      this.showCatalogStatus(`Упражнение переименовано: ${exercise.name}`);
+    } catch (error) {
+      logger.error('Failed to rename exercise:', error);
+      this.showCatalogStatus(error instanceof DuplicateExerciseError
+        ? 'Упражнение с таким названием уже есть — объедините их'
+        : `Ошибка: ${error.message}`);
+    }
+  }
+
+  /**
+   * Объединить выбранное упражнение с другим
+   */
+  async mergeExercise() {
+    const sourceId = dom.getElement('catalogExercise')?.value;
+    const targetId = dom.getElement('catalogMergeTarget')?.value;
+    const source = exerciseCatalog.get(sourceId);
+    const target = exerciseCatalog.get(targetId);
+    if (!source || !target || source.id === target.id) {
+      this.showCatalogStatus('Выберите два разных упражнения');
+      return;
+    }
+    if (!confirm(`Объединить «${source.name}» с «${target.name}»? Тренировки перейдут к «${target.name}».`)) return;
+
+    try {
+      const exercise = await exerciseCatalog.merge(source.id, target.id);
+      this.renderExerciseCatalog(exercise.id);
+      this.showCatalogStatus(`Упражнения объединены: ${exercise.name}`);
+    } catch (error) {
+      logger.error('Failed to merge exercises:', error);
+      this.showCatalogStatus(`Ошибка: ${error.message}`);
+    }
+  }
+
+  /**
+   * Результат операции с каталогом
+   */
+  showCatalogStatus(message) {
+    const statusEl = dom.getElement('catalogStatus');
+    if (statusEl) dom.setContent(statusEl, message);
+  }
+
+  /**
+   * Синхронизация с выбранным провайдером
+   */
+  async syncNow() {
+    try {
+      this.showStatus('Синхронизация запущена...', 'info');
+      const result = await outbox.flush();
+      this.showStatus(
+        `Синхронизация завершена: добавлено ${result.added}, обновлено ${result.updated}, удалено ${result.deleted}`,
+        'success'
+      );
+    } catch (error) {
+      logger.error('Sync failed:', error);
+      this.showStatus(`Ошибка синхронизации: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Показать состояние очереди неотправленных изменений
+   * Блок есть только на открытой странице настроек, поэтому его отсутствие не ошибка
+   */
+  renderOutboxStatus() {
+    const statusEl = document.getElementById('outboxStatus');
+    if (!statusEl) return;
+
+    const status = outbox.getStatus();
+    const formatTime = value => new Date(value).toLocaleString('ru-RU');
+    const lines = [`Ожидают отправки: ${status.pending}`];
+
+    if (!status.online) {
+      lines.push('Нет сети — изменения отправятся после подключения');
+    }
+    if (status.paused === 'auth') {
+      lines.push('Отправка приостановлена до повторного входа');
+    }
+    if (status.lastError) {
+      lines.push(`Последняя ошибка (${formatTime(status.lastError.at)}): ${status.lastError.message}`);
+    }
+    if (status.nextAttemptAt && status.pending > 0) {
+      lines.push(`Следующая попытка: ${formatTime(status.nextAttemptAt)}`);
+    }
+    if (status.lastSuccessAt) {
+      lines.push(`Последняя синхронизация: ${formatTime(status.lastSuccessAt)}`);
+    }
+
+    dom.setContent(statusEl, lines.join(' · '));
+  }
+
   /**
    * Экспорт данных
    */
-  exportData() {
+  async exportData() {
     try {
       logger.info('Exporting data...');
       
-      const data = storage.exportData();
+      const data = await this.store.exportData();
       if (!data) {
         this.showStatus('Ошибка экспорта данных', 'error');
         return;
@@ -373,9 +1004,9 @@ class SettingsManager {
         if (!file) return;
 
         const reader = new FileReader();
-        reader.onload = (event) => {
+        reader.onload = async (event) => {
           try {
-            const success = storage.importData(event.target.result);
+            const success = await this.store.importData(event.target.result);
             
             if (success) {
               this.showStatus('Данные импортированы успешно', 'success');
@@ -402,12 +1033,12 @@ class SettingsManager {
   /**
    * Очистка данных
    */
-  clearData() {
+  async clearData() {
     try {
       logger.info('Clearing data...');
       
       if (confirm('Вы уверены, что хотите удалить все данные? Это действие нельзя отменить.')) {
-        const success = storage.clearAll();
+        const success = await this.store.clearAll();
         
         if (success) {
           this.showStatus('Данные очищены успешно', 'success');
@@ -491,12 +1122,14 @@ class SettingsManager {
   /**
    * Обновить конфигурацию
    */
-  updateConfig(newConfig) {
+  async updateConfig(newConfig) {
     try {
       this.config = { ...this.config, ...newConfig };
-      storage.saveConfig(this.config);
+      await this.store.saveConfig(this.config);
       this.applyConfigToUI();
       this.initializeServices();
+      syncEngine.startAutoSync(this.config);
+      backgroundSync.schedulePeriodicSync(this.config);
       
       logger.success('Config updated');
       return true;
@@ -1,28 +1,238 @@
 /**
- * Модуль для работы с localStorage
+ * Модуль для хранения данных приложения
+ *
+ * Данные хранятся в IndexedDB (хранилища workouts, analyses, exercises, programs, photos, config).
+ * При первом запуске данные из localStorage переносятся автоматически.
+ * Все методы чтения и записи асинхронные.
+ * Каждая запись хранит schemaVersion; старые записи обновляются при открытии базы и при импорте.
+ * Удаление мягкое: запись заменяется надгробием (см. tombstones.js), чтобы удаление пережило синхронизацию.
  */
 
-import { STORAGE_KEYS, DEFAULT_CONFIG } from './config.js';
+import { STORAGE_KEYS, DEFAULT_CONFIG, IDB_CONFIG, SCHEMA_VERSION, ACTIVE_PROGRAM_ID, WEEKS_PER_CYCLE } from './config.js';
+import { idbBackend } from './idb-backend.js';
+import { schema, RECORD_TYPES, SchemaVersionError } from './schema.js';
+import { tombstones } from './tombstones.js';
+import { logger } from '../utils/logger.js';
 
-class StorageManager {
-  constructor() {
+const { STORES, CONFIG_RECORDS } = IDB_CONFIG;
+
+export class StorageManager {
+  /**
+   * @param {IndexedDBBackend} [backend]
+   * @param {Object} [options]
+   * @param {boolean} [options.legacyStorage=true] - Переносить данные из localStorage (отдельным базам тестов не нужно)
+   */
+  constructor(backend = idbBackend, { legacyStorage = true } = {}) {
+    this.backend = backend;
+    this.legacyStorage = legacyStorage;
+    this.readyPromise = null;
+    this.readOnly = false;
     this.config = null;
     this.workouts = null;
     this.recentExercises = null;
     this.bodyAnalyses = null;
+    this.deviceId = null;
+    this.changeListeners = new Set();
   }
 
   /**
-   * Загружает конфигурацию из localStorage
+   * Подписаться на локальные изменения данных (не вызывается для результата синхронизации)
+   * @param {Function} listener - Получает { type, action, id }
+   * @returns {Function} Отписка
    */
-  loadConfig() {
-    try {
-      const saved = localStorage.getItem(STORAGE_KEYS.CONFIG);
-      if (saved) {
-        this.config = { ...DEFAULT_CONFIG, ...JSON.parse(saved) };
-      } else {
-        this.config = { ...DEFAULT_CONFIG };
+  onChange(listener) {
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
+  }
+
+  /**
+   * Оповестить подписчиков об изменении
+   */
+  notifyChange(change) {
+    this.changeListeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.warn('Storage change listener failed:', error);
       }
+    });
+  }
+
+  /**
+   * Открывает базу, переносит данные из localStorage и обновляет схему (однократно)
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.backend.open()
+        .then(() => this.migrateFromLocalStorage())
+        .then(() => this.upgradeSchema())
+        .then(() => this.restoreDeviceId())
+        .then(() => this.migrateLegacyPrograms())
+        .catch(error => {
+          this.readyPromise = null;
+          throw error;
+        });
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * Переносит данные из localStorage в IndexedDB при первом запуске
+   */
+  async migrateFromLocalStorage() {
+    // В service worker нет localStorage: перенос выполнит страница
+    if (typeof localStorage === 'undefined' || !this.legacyStorage) return false;
+
+    const done = await this.backend.get(STORES.CONFIG, CONFIG_RECORDS.LEGACY_MIGRATION);
+    if (done) return false;
+
+    const config = this.readLegacyKey(STORAGE_KEYS.CONFIG, null);
+    const workouts = this.readLegacyKey(STORAGE_KEYS.WORKOUTS, []);
+    const recentExercises = this.readLegacyKey(STORAGE_KEYS.RECENT_EXERCISES, []);
+    const analyses = this.readLegacyKey(STORAGE_KEYS.BODY_ANALYSES, []);
+
+    const photos = [];
+    const configRecords = [
+      { key: CONFIG_RECORDS.RECENT_EXERCISES, value: recentExercises },
+      { key: CONFIG_RECORDS.LEGACY_MIGRATION, value: { migratedAt: new Date().toISOString() } }
+    ];
+    if (config) {
+      configRecords.push({ key: CONFIG_RECORDS.APP, value: config });
+    }
+
+    // Одна транзакция: либо переносится всё, либо ничего
+    await this.backend.bulkPut({
+      [STORES.WORKOUTS]: workouts.filter(Boolean).map(workout => ({
+        ...workout,
+        id: workout.id || this.generateUUID()
+      })),
+      [STORES.ANALYSES]: analyses.filter(Boolean).map(analysis => this.extractPhoto(analysis, photos)),
+      [STORES.PHOTOS]: photos,
+      [STORES.CONFIG]: configRecords
+    });
+
+    // Освобождаем квоту localStorage (ID устройства остается там)
+    localStorage.removeItem(STORAGE_KEYS.CONFIG);
+    localStorage.removeItem(STORAGE_KEYS.WORKOUTS);
+    localStorage.removeItem(STORAGE_KEYS.RECENT_EXERCISES);
+    localStorage.removeItem(STORAGE_KEYS.BODY_ANALYSES);
+
+    logger.info(`Migrated ${workouts.length} workouts and ${analyses.length} body analyses to IndexedDB`);
+    return true;
+  }
+
+  /**
+   * Обновляет сохраненные записи до текущей версии схемы
+   * Если база записана более новой версией приложения, хранилище переходит в режим только чтения
+   */
+  async upgradeSchema() {
+    const stored = await this.backend.get(STORES.CONFIG, CONFIG_RECORDS.SCHEMA);
+    const storedVersion = stored ? stored.value.version : 1;
+
+    if (storedVersion > SCHEMA_VERSION) {
+      this.readOnly = true;
+      console.warn(`Storage was written by schema v${storedVersion}, app supports v${SCHEMA_VERSION}. Writes are disabled.`);
+      return;
+    }
+
+    if (storedVersion === SCHEMA_VERSION) return;
+
+    const workouts = await this.backend.getAll(STORES.WORKOUTS);
+    const analyses = await this.backend.getAll(STORES.ANALYSES);
+    const exercises = await this.backend.getAll(STORES.EXERCISES);
+    const programs = await this.backend.getAll(STORES.PROGRAMS);
+    const appConfig = await this.backend.get(STORES.CONFIG, CONFIG_RECORDS.APP);
+
+    const configRecords = [{ key: CONFIG_RECORDS.SCHEMA, value: { version: SCHEMA_VERSION, upgradedAt: new Date().toISOString() } }];
+    if (appConfig) {
+      configRecords.push({ key: CONFIG_RECORDS.APP, value: schema.migrate(RECORD_TYPES.CONFIG, appConfig.value) });
+    }
+
+    await this.backend.bulkPut({
+      [STORES.WORKOUTS]: schema.migrateMany(RECORD_TYPES.WORKOUT, workouts),
+      [STORES.ANALYSES]: schema.migrateMany(RECORD_TYPES.BODY_ANALYSIS, analyses),
+      [STORES.EXERCISES]: schema.migrateMany(RECORD_TYPES.EXERCISE, exercises),
+      [STORES.PROGRAMS]: schema.migrateMany(RECORD_TYPES.PROGRAM, programs),
+      [STORES.CONFIG]: configRecords
+    });
+
+    logger.info(`Storage schema upgraded from v${storedVersion} to v${SCHEMA_VERSION}`);
+  }
+
+  /**
+   * Переносит программы из записи настроек устройства в синхронизируемые записи хранилища programs
+   */
+  async migrateLegacyPrograms() {
+    // ID устройства для записей есть только у страницы: перенос выполнит она
+    if (typeof localStorage === 'undefined' || this.readOnly) return;
+
+    const legacy = await this.backend.get(STORES.CONFIG, CONFIG_RECORDS.PROGRAMS);
+    if (!legacy) return;
+
+    await this.writePrograms(legacy.value || {});
+    await this.backend.delete(STORES.CONFIG, CONFIG_RECORDS.PROGRAMS);
+    logger.info('Programs moved to synced records');
+  }
+
+  /**
+   * Запрещает запись, если база записана более новой схемой
+   */
+  assertWritable() {
+    if (this.readOnly) {
+      throw new SchemaVersionError(SCHEMA_VERSION + 1);
+    }
+  }
+
+  /**
+   * Читает JSON-значение из localStorage
+   */
+  readLegacyKey(key, fallback) {
+    try {
+      const saved = localStorage.getItem(key);
+      return saved ? JSON.parse(saved) : fallback;
+    } catch (error) {
+      console.warn(`Failed to read legacy key ${key}:`, error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Выносит base64-фото анализа в отдельную запись хранилища photos
+   */
+  extractPhoto(analysis, photos) {
+    const { photo, ...rest } = analysis;
+    const record = { ...rest, id: analysis.id || this.generateUUID() };
+
+    if (photo) {
+      const photoId = this.generateUUID();
+      photos.push({
+        id: photoId,
+        analysisId: record.id,
+        dataUrl: photo,
+        createdAt: record.timestamp || new Date().toISOString()
+      });
+      record.photoId = photoId;
+    }
+
+    return record;
+  }
+
+  /**
+   * Читает значение служебной записи из хранилища config
+   */
+  async getConfigRecord(key, fallback) {
+    await this.ready();
+    const record = await this.backend.get(STORES.CONFIG, key);
+    return record ? record.value : fallback;
+  }
+
+  /**
+   * Загружает конфигурацию
+   */
+  async loadConfig() {
+    try {
+      const saved = await this.getConfigRecord(CONFIG_RECORDS.APP, null);
+      this.config = { ...DEFAULT_CONFIG, ...saved };
       return this.config;
     } catch (error) {
       console.warn('Failed to load config:', error);
@@ -32,12 +242,14 @@ class StorageManager {
   }
 
   /**
-   * Сохраняет конфигурацию в localStorage
+   * Сохраняет конфигурацию
    */
-  saveConfig(config) {
+  async saveConfig(config) {
     try {
-      this.config = { ...this.config, ...config };
-      localStorage.setItem(STORAGE_KEYS.CONFIG, JSON.stringify(this.config));
+      await this.ready();
+      this.assertWritable();
+      this.config = schema.migrate(RECORD_TYPES.CONFIG, { ...this.config, ...config });
+      await this.backend.put(STORES.CONFIG, { key: CONFIG_RECORDS.APP, value: this.config });
       return true;
     } catch (error) {
       console.warn('Failed to save config:', error);
@@ -46,13 +258,16 @@ class StorageManager {
   }
 
   /**
-   * Загружает тренировки из localStorage
+   * Загружает тренировки
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted=false] - Вернуть и надгробия (для синхронизации)
    */
-  loadWorkouts() {
+  async loadWorkouts({ includeDeleted = false } = {}) {
     try {
-      const saved = localStorage.getItem(STORAGE_KEYS.WORKOUTS);
-      this.workouts = saved ? JSON.parse(saved) : [];
-      return this.workouts;
+      await this.ready();
+      const records = await this.backend.getAll(STORES.WORKOUTS);
+      this.workouts = tombstones.live(records);
+      return includeDeleted ? records : this.workouts;
     } catch (error) {
       console.warn('Failed to load workouts:', error);
       this.workouts = [];
@@ -61,12 +276,17 @@ class StorageManager {
   }
 
   /**
-   * Сохраняет тренировки в localStorage
+   * Заменяет все тренировки (надгробия в списке сохраняются как есть)
+   * Тренировки, которых нет в списке, заменяются надгробиями, чтобы замена дошла до других устройств
    */
-  saveWorkouts(workouts) {
+  async saveWorkouts(workouts) {
     try {
-      this.workouts = workouts;
-      localStorage.setItem(STORAGE_KEYS.WORKOUTS, JSON.stringify(workouts));
+      await this.ready();
+      this.assertWritable();
+      const records = schema.migrateMany(RECORD_TYPES.WORKOUT, workouts);
+      await this.replaceRecords(STORES.WORKOUTS, records);
+      this.workouts = tombstones.live(records);
+      this.notifyChange({ type: RECORD_TYPES.WORKOUT, action: 'replace' });
       return true;
     } catch (error) {
       console.warn('Failed to save workouts:', error);
@@ -77,25 +297,214 @@ class StorageManager {
   /**
    * Добавляет новую тренировку
    */
-  addWorkout(workout) {
-    const workouts = this.loadWorkouts();
-    workouts.push({
-      ...workout,
-      id: this.generateUUID(),
-      date: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      deviceId: this.getDeviceId()
+  async addWorkout(workout) {
+    try {
+      await this.ready();
+      this.assertWritable();
+      const record = schema.migrate(RECORD_TYPES.WORKOUT, {
+        ...workout,
+        id: this.generateUUID(),
+        date: workout.date || new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        deviceId: this.getDeviceId()
+      });
+      await this.backend.put(STORES.WORKOUTS, record);
+      if (this.workouts) this.workouts.push(record);
+      this.notifyChange({ type: RECORD_TYPES.WORKOUT, action: 'add', id: record.id });
+      return true;
+    } catch (error) {
+      console.warn('Failed to add workout:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Загружает тренировку по ID
+   */
+  async getWorkout(id) {
+    try {
+      await this.ready();
+      const record = await this.backend.get(STORES.WORKOUTS, id);
+      return record && !tombstones.isDeleted(record) ? record : null;
+    } catch (error) {
+      console.warn('Failed to load workout:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Обновляет тренировку (id, deviceId и updatedAt из patch игнорируются)
+   * @returns {Promise<Object|null>} Обновленная запись или null
+   */
+  async updateWorkout(id, patch) {
+    try {
+      await this.ready();
+      this.assertWritable();
+      const existing = await this.backend.get(STORES.WORKOUTS, id);
+      if (!existing || tombstones.isDeleted(existing)) {
+        console.warn('Workout not found:', id);
+        return null;
+      }
+
+      const { id: _id, updatedAt: _updatedAt, deviceId: _deviceId, ...changes } = patch || {};
+      const record = schema.migrate(RECORD_TYPES.WORKOUT, {
+        ...existing,
+        ...changes,
+        id,
+        updatedAt: this.nextUpdatedAt(existing),
+        deviceId: this.getDeviceId()
+      });
+      await this.backend.put(STORES.WORKOUTS, record);
+      this.replaceCachedWorkout(record);
+      this.notifyChange({ type: RECORD_TYPES.WORKOUT, action: 'update', id });
+      return record;
+    } catch (error) {
+      console.warn('Failed to update workout:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Удаляет тренировку (заменяет надгробием)
+   */
+  async deleteWorkout(id) {
+    try {
+      await this.ready();
+      this.assertWritable();
+      const existing = await this.backend.get(STORES.WORKOUTS, id);
+      if (!existing || tombstones.isDeleted(existing)) return true;
+
+      await this.backend.put(STORES.WORKOUTS, this.createTombstone(existing));
+      if (this.workouts) this.workouts = this.workouts.filter(w => w.id !== id);
+      this.notifyChange({ type: RECORD_TYPES.WORKOUT, action: 'delete', id });
+      return true;
+    } catch (error) {
+      console.warn('Failed to delete workout:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Создает копию тренировки с новым ID и датой
+   * @param {string} id
+   * @param {string} [newDate]
+   * @param {Object} [overrides] - Поля копии, отличные от исходной (например, week)
+   * @returns {Promise<Object|null>} Новая запись или null
+   */
+  async duplicateWorkout(id, newDate = new Date().toISOString(), overrides = {}) {
+    try {
+      await this.ready();
+      this.assertWritable();
+      const source = await this.backend.get(STORES.WORKOUTS, id);
+      if (!source || tombstones.isDeleted(source)) {
+        console.warn('Workout not found:', id);
+        return null;
+      }
+
+      const record = schema.migrate(RECORD_TYPES.WORKOUT, {
+        ...source,
+        ...overrides,
+        id: this.generateUUID(),
+        date: newDate,
+        updatedAt: new Date().toISOString(),
+        deviceId: this.getDeviceId(),
+        exercises: (source.exercises || []).map(exercise => ({
+          ...exercise,
+          sets: (exercise.sets || []).map(set => ({ ...set }))
+        }))
+      });
+      await this.backend.put(STORES.WORKOUTS, record);
+      if (this.workouts) this.workouts.push(record);
+      this.notifyChange({ type: RECORD_TYPES.WORKOUT, action: 'add', id: record.id });
+      return record;
+    } catch (error) {
+      console.warn('Failed to duplicate workout:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Повторяет последнюю тренировку с тем же номером тренировки (и циклом, если он задан):
+   * копия получает новую дату и следующую неделю, а после последней недели — первую неделю следующего цикла
+   * @param {{cycle: number|null, session: number}} target - Цикл и номер тренировки
+   * @param {string} [newDate]
+   * @returns {Promise<Object|null>} Новая запись или null, если такой тренировки нет
+   */
+  async repeatWorkout({ cycle = null, session }, newDate = new Date().toISOString()) {
+    const source = (await this.loadWorkouts())
+      .filter(workout => Number(workout.session) === Number(session) && (!cycle || Number(workout.cycle) === Number(cycle)))
+      .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+    if (!source) return null;
+
+    const week = (Number(source.week) || 0) + 1;
+    if (week <= await this.getCycleWeeks(source)) {
+      return this.duplicateWorkout(source.id, newDate, { week });
+    }
+    return this.duplicateWorkout(source.id, newDate, { week: 1, cycle: source.cycle ? Number(source.cycle) + 1 : source.cycle });
+  }
+
+  /**
+   * Недель в цикле тренировки: у тренировки по программе — из шаблона, иначе WEEKS_PER_CYCLE
+   */
+  async getCycleWeeks(workout) {
+    if (!workout.programId) return WEEKS_PER_CYCLE;
+    const { templates } = await this.loadPrograms();
+    return templates.find(template => template.id === workout.programId)?.weeks || WEEKS_PER_CYCLE;
+  }
+
+  /**
+   * Метка updatedAt для измененной записи: строго позже предыдущей,
+   * даже если часы устройства отстают — иначе mergeWorkouts оставит старую версию
+   */
+  nextUpdatedAt(previous) {
+    const previousTime = Date.parse(previous.updatedAt || previous.date) || 0;
+    return new Date(Math.max(Date.now(), previousTime + 1)).toISOString();
+  }
+
+  /**
+   * Создает надгробие записи от имени текущего устройства
+   */
+  createTombstone(record) {
+    return tombstones.create(record, {
+      deviceId: this.getDeviceId(),
+      updatedAt: this.nextUpdatedAt(record)
     });
-    return this.saveWorkouts(workouts);
+  }
+
+  /**
+   * Заменяет записи хранилища одной транзакцией: сохраненные записи, которых нет в списке, становятся надгробиями,
+   * а прежние надгробия остаются до уплотнения синхронизацией
+   * @param {string} storeName
+   * @param {Object[]} records
+   * @param {Object} [related] - Записи других хранилищ для той же транзакции
+   */
+  async replaceRecords(storeName, records, related = {}) {
+    const ids = new Set(records.map(record => record.id));
+    const removed = tombstones.live(await this.backend.getAll(storeName))
+      .filter(record => !ids.has(record.id))
+      .map(record => this.createTombstone(record));
+    await this.backend.bulkPut({ ...related, [storeName]: [...records, ...removed] });
+  }
+
+  /**
+   * Заменяет тренировку в кэше
+   */
+  replaceCachedWorkout(record) {
+    if (!this.workouts) return;
+    const index = this.workouts.findIndex(w => w.id === record.id);
+    if (index === -1) {
+      this.workouts.push(record);
+    } else {
+      this.workouts[index] = record;
+    }
   }
 
   /**
    * Загружает недавние упражнения
    */
-  loadRecentExercises() {
+  async loadRecentExercises() {
     try {
-      const saved = localStorage.getItem(STORAGE_KEYS.RECENT_EXERCISES);
-      this.recentExercises = saved ? JSON.parse(saved) : [];
+      this.recentExercises = await this.getConfigRecord(CONFIG_RECORDS.RECENT_EXERCISES, []);
       return this.recentExercises;
     } catch (error) {
       console.warn('Failed to load recent exercises:', error);
@@ -107,10 +516,12 @@ class StorageManager {
   /**
    * Сохраняет недавние упражнения
    */
-  saveRecentExercises(exercises) {
+  async saveRecentExercises(exercises) {
     try {
+      await this.ready();
+      this.assertWritable();
+      await this.backend.put(STORES.CONFIG, { key: CONFIG_RECORDS.RECENT_EXERCISES, value: exercises });
       this.recentExercises = exercises;
-      localStorage.setItem(STORAGE_KEYS.RECENT_EXERCISES, JSON.stringify(exercises));
       return true;
     } catch (error) {
       console.warn('Failed to save recent exercises:', error);
@@ -121,20 +532,23 @@ class StorageManager {
   /**
    * Добавляет упражнение в недавние
    */
-  addRecentExercise(exerciseName) {
-    const recent = this.loadRecentExercises();
+  async addRecentExercise(exerciseName) {
+    const recent = await this.loadRecentExercises();
     const updated = [exerciseName, ...recent.filter(e => e !== exerciseName)].slice(0, 10);
     return this.saveRecentExercises(updated);
   }
 
   /**
    * Загружает анализы тела
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted=false] - Вернуть и надгробия (для синхронизации)
    */
-  loadBodyAnalyses() {
+  async loadBodyAnalyses({ includeDeleted = false } = {}) {
     try {
-      const saved = localStorage.getItem(STORAGE_KEYS.BODY_ANALYSES);
-      this.bodyAnalyses = saved ? JSON.parse(saved) : [];
-      return this.bodyAnalyses;
+      await this.ready();
+      const records = await this.backend.getAll(STORES.ANALYSES);
+      this.bodyAnalyses = tombstones.live(records);
+      return includeDeleted ? records : this.bodyAnalyses;
     } catch (error) {
       console.warn('Failed to load body analyses:', error);
       this.bodyAnalyses = [];
@@ -143,12 +557,18 @@ class StorageManager {
   }
 
   /**
-   * Сохраняет анализы тела
+   * Заменяет все анализы тела (как saveWorkouts, отсутствующие в списке анализы заменяются надгробиями)
    */
-  saveBodyAnalyses(analyses) {
+  async saveBodyAnalyses(analyses) {
     try {
-      this.bodyAnalyses = analyses;
-      localStorage.setItem(STORAGE_KEYS.BODY_ANALYSES, JSON.stringify(analyses));
+      await this.ready();
+      this.assertWritable();
+      const photos = [];
+      const records = schema.migrateMany(RECORD_TYPES.BODY_ANALYSIS, analyses)
+        .map(analysis => this.extractPhoto(analysis, photos));
+      await this.replaceRecords(STORES.ANALYSES, records, { [STORES.PHOTOS]: photos });
+      this.bodyAnalyses = tombstones.live(records);
+      this.notifyChange({ type: RECORD_TYPES.BODY_ANALYSIS, action: 'replace' });
       return true;
     } catch (error) {
       console.warn('Failed to save body analyses:', error);
@@ -157,26 +577,146 @@ class StorageManager {
   }
 
   /**
-   * Добавляет новый анализ тела
+   * Добавляет новый анализ тела (поле photo сохраняется в хранилище photos)
    */
-  addBodyAnalysis(analysis) {
-    const analyses = this.loadBodyAnalyses();
-    analyses.push({
-      ...analysis,
-      id: this.generateUUID(),
-      timestamp: new Date().toISOString()
-    });
-    return this.saveBodyAnalyses(analyses);
+  async addBodyAnalysis(analysis) {
+    try {
+      await this.ready();
+      this.assertWritable();
+      const photos = [];
+      const record = this.extractPhoto(schema.migrate(RECORD_TYPES.BODY_ANALYSIS, {
+        ...analysis,
+        id: this.generateUUID(),
+        timestamp: new Date().toISOString()
+      }), photos);
+
+      await this.backend.bulkPut({
+        [STORES.ANALYSES]: [record],
+        [STORES.PHOTOS]: photos
+      });
+      if (this.bodyAnalyses) this.bodyAnalyses.push(record);
+      this.notifyChange({ type: RECORD_TYPES.BODY_ANALYSIS, action: 'add', id: record.id });
+      return true;
+    } catch (error) {
+      console.warn('Failed to add body analysis:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Удаляет анализ тела (заменяет надгробием, фото удаляется сразу)
+   */
+  async deleteBodyAnalysis(id) {
+    try {
+      await this.ready();
+      this.assertWritable();
+      const existing = await this.backend.get(STORES.ANALYSES, id);
+      if (!existing || tombstones.isDeleted(existing)) return true;
+
+      await this.backend.put(STORES.ANALYSES, this.createTombstone(existing));
+      if (existing.photoId) {
+        await this.backend.delete(STORES.PHOTOS, existing.photoId);
+      }
+      if (this.bodyAnalyses) this.bodyAnalyses = this.bodyAnalyses.filter(a => a.id !== id);
+      this.notifyChange({ type: RECORD_TYPES.BODY_ANALYSIS, action: 'delete', id });
+      return true;
+    } catch (error) {
+      console.warn('Failed to delete body analysis:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Загружает записи каталога упражнений: пользовательские и измененные встроенные (см. exercise-catalog.js)
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted=false] - Вернуть и надгробия (для синхронизации)
+   */
+  async loadExercises({ includeDeleted = false } = {}) {
+    try {
+      await this.ready();
+      const records = await this.backend.getAll(STORES.EXERCISES);
+      return includeDeleted ? records : tombstones.live(records);
+    } catch (error) {
+      console.warn('Failed to load exercises:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Сохраняет записи каталога упражнений и, в той же транзакции, тренировки со ссылками на них
+   * (переименование и объединение упражнений переписывают прошлые тренировки)
+   * @param {Array} records - Записи каталога с updatedAt и deviceId
+   * @param {Object} [options]
+   * @param {Array} [options.workouts=[]] - Измененные тренировки
+   */
+  async saveExercises(records, { workouts = [] } = {}) {
+    try {
+      await this.ready();
+      this.assertWritable();
+      const exerciseRecords = schema.migrateMany(RECORD_TYPES.EXERCISE, records);
+      const workoutRecords = schema.migrateMany(RECORD_TYPES.WORKOUT, workouts);
+
+      await this.backend.bulkPut({
+        [STORES.EXERCISES]: exerciseRecords,
+        [STORES.WORKOUTS]: workoutRecords
+      });
+
+      workoutRecords.forEach(record => this.replaceCachedWorkout(record));
+      exerciseRecords.forEach(record => this.notifyChange({ type: RECORD_TYPES.EXERCISE, action: 'update', id: record.id }));
+      workoutRecords.forEach(record => this.notifyChange({ type: RECORD_TYPES.WORKOUT, action: 'update', id: record.id }));
+      return true;
+    } catch (error) {
+      console.warn('Failed to save exercises:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Загружает фото по ID
+   */
+  async loadPhoto(photoId) {
+    try {
+      await this.ready();
+      return await this.backend.get(STORES.PHOTOS, photoId) || null;
+    } catch (error) {
+      console.warn('Failed to load photo:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Копирует ID устройства в IndexedDB, чтобы service worker синхронизировал от имени того же устройства
+   */
+  async restoreDeviceId() {
+    const saved = await this.backend.get(STORES.CONFIG, CONFIG_RECORDS.DEVICE);
+
+    if (typeof localStorage === 'undefined') {
+      this.deviceId = saved ? saved.value : null;
+      return;
+    }
+
+    const id = this.getDeviceId();
+    if (!saved || saved.value !== id) {
+      await this.backend.put(STORES.CONFIG, { key: CONFIG_RECORDS.DEVICE, value: id });
+    }
+    this.deviceId = id;
   }
 
   /**
    * Получает или создает ID устройства
+   * Ключ общий со страницей index.html; ID под прежним ключом device_id переносится
    */
   getDeviceId() {
+    if (this.deviceId) return this.deviceId;
+    if (typeof localStorage === 'undefined') {
+      throw new Error('Device ID is not available before the app has been opened');
+    }
+
     let id = localStorage.getItem(STORAGE_KEYS.DEVICE_ID);
     if (!id) {
-      id = this.generateUUID();
+      id = localStorage.getItem(STORAGE_KEYS.LEGACY_DEVICE_ID) || this.generateUUID();
       localStorage.setItem(STORAGE_KEYS.DEVICE_ID, id);
+      localStorage.removeItem(STORAGE_KEYS.LEGACY_DEVICE_ID);
     }
     return id;
   }
@@ -193,16 +733,436 @@ class StorageManager {
   }
 
   /**
-   * Очищает все данные
+   * Загружает реестр устройств, участвующих в синхронизации
+   * @returns {Promise<Object.<string, {lastSeenAt: string}>>}
+   */
+  async loadSyncDevices() {
+    try {
+      return await this.getConfigRecord(CONFIG_RECORDS.SYNC_DEVICES, {});
+    } catch (error) {
+      console.warn('Failed to load sync devices:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Сохраняет реестр устройств
+   */
+  async saveSyncDevices(devices) {
+    try {
+      await this.ready();
+      this.assertWritable();
+      await this.backend.put(STORES.CONFIG, { key: CONFIG_RECORDS.SYNC_DEVICES, value: devices });
+      return true;
+    } catch (error) {
+      console.warn('Failed to save sync devices:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Загружает очередь неотправленных изменений
+   */
+  async loadOutbox() {
+    try {
+      return await this.getConfigRecord(CONFIG_RECORDS.OUTBOX, null);
+    } catch (error) {
+      console.warn('Failed to load outbox:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Сохраняет очередь неотправленных изменений
+   */
+  async saveOutbox(state) {
+    try {
+      await this.ready();
+      await this.backend.put(STORES.CONFIG, { key: CONFIG_RECORDS.OUTBOX, value: state });
+      return true;
+    } catch (error) {
+      console.warn('Failed to save outbox:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Загружает папку синхронизации провайдера 'local' (FileSystemDirectoryHandle)
+   */
+  async loadSyncFolder() {
+    try {
+      return await this.getConfigRecord(CONFIG_RECORDS.SYNC_FOLDER, null);
+    } catch (error) {
+      console.warn('Failed to load sync folder:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Сохраняет папку синхронизации (handle сохраняется в IndexedDB как есть)
+   */
+  async saveSyncFolder(handle) {
+    try {
+      await this.ready();
+      await this.backend.put(STORES.CONFIG, { key: CONFIG_RECORDS.SYNC_FOLDER, value: handle });
+      return true;
+    } catch (error) {
+      console.warn('Failed to save sync folder:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Загружает ключи шифрования: { current, pending } с неизвлекаемыми CryptoKey
+   * @returns {Promise<Object|null>} null, если шифрование не включено
+   */
+  async loadEncryptionKeys() {
+    try {
+      return await this.getConfigRecord(CONFIG_RECORDS.ENCRYPTION, null);
+    } catch (error) {
+      console.warn('Failed to load encryption keys:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Сохраняет ключи шифрования (CryptoKey сохраняется в IndexedDB как есть)
+   */
+  async saveEncryptionKeys(keys) {
+    try {
+      await this.ready();
+      await this.backend.put(STORES.CONFIG, { key: CONFIG_RECORDS.ENCRYPTION, value: keys });
+      return true;
+    } catch (error) {
+      console.warn('Failed to save encryption keys:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Загружает состояние журнала дельта-синхронизации
+   * @returns {Promise<Object|null>} { target, seq, cursors, known, snapshotRevision, compactedAt } или null до первой синхронизации
+   */
+  async loadSyncJournal() {
+    try {
+      return await this.getConfigRecord(CONFIG_RECORDS.SYNC_JOURNAL, null);
+    } catch (error) {
+      console.warn('Failed to load sync journal state:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Сохраняет состояние журнала (без проверки режима только для чтения: это служебные данные синхронизации)
+   */
+  async saveSyncJournal(state) {
+    try {
+      await this.ready();
+      await this.backend.put(STORES.CONFIG, { key: CONFIG_RECORDS.SYNC_JOURNAL, value: state });
+      return true;
+    } catch (error) {
+      console.warn('Failed to save sync journal state:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Загружает состояние резервного копирования
+   * @returns {Promise<Object|null>} { target, lastBackupAt, lastBackupName } или null, если копий еще не было
+   */
+  async loadBackupState() {
+    try {
+      return await this.getConfigRecord(CONFIG_RECORDS.BACKUPS, null);
+    } catch (error) {
+      console.warn('Failed to load backup state:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Сохраняет состояние резервного копирования (служебные данные, как и состояние журнала)
+   */
+  async saveBackupState(state) {
+    try {
+      await this.ready();
+      await this.backend.put(STORES.CONFIG, { key: CONFIG_RECORDS.BACKUPS, value: state });
+      return true;
+    } catch (error) {
+      console.warn('Failed to save backup state:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Загружает программы тренировок
+   * @returns {Promise<{templates: Array, active: Object|null}>}
+   */
+  async loadPrograms() {
+    try {
+      return this.toPrograms(await this.loadProgramRecords());
+    } catch (error) {
+      console.warn('Failed to load programs:', error);
+      return { templates: [], active: null };
+    }
+  }
+
+  /**
+   * Загружает записи программ: шаблоны и запись активной программы (ACTIVE_PROGRAM_ID)
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted=false] - Вернуть и надгробия (для синхронизации)
+   */
+  async loadProgramRecords({ includeDeleted = false } = {}) {
+    try {
+      await this.ready();
+      const records = await this.backend.getAll(STORES.PROGRAMS);
+      return includeDeleted ? records : tombstones.live(records);
+    } catch (error) {
+      console.warn('Failed to load program records:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Шаблоны и активная программа из записей программ
+   */
+  toPrograms(records) {
+    const live = tombstones.live(records);
+    return {
+      templates: live.filter(record => record.id !== ACTIVE_PROGRAM_ID),
+      active: live.find(record => record.id === ACTIVE_PROGRAM_ID)?.active || null
+    };
+  }
+
+  /**
+   * Сохраняет шаблоны программ и активную программу
+   * Измененные записи получают updatedAt и deviceId, удаленные шаблоны заменяются надгробиями
+   */
+  async savePrograms(programs) {
+    try {
+      await this.ready();
+      this.assertWritable();
+      await this.writePrograms(programs);
+      return true;
+    } catch (error) {
+      console.warn('Failed to save programs:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Записывает изменившиеся записи программ одной транзакцией
+   */
+  async writePrograms({ templates = [], active = null }) {
+    const existing = new Map((await this.backend.getAll(STORES.PROGRAMS)).map(record => [record.id, record]));
+    const records = [];
+    const changes = [];
+
+    [...templates, { id: ACTIVE_PROGRAM_ID, active }].forEach(record => {
+      const previous = existing.get(record.id);
+      const unchanged = previous && !tombstones.isDeleted(previous)
+        ? this.isSameRecord(previous, record)
+        : record.id === ACTIVE_PROGRAM_ID && !active;
+      if (unchanged) return;
+
+      records.push(schema.migrate(RECORD_TYPES.PROGRAM, {
+        ...record,
+        updatedAt: this.nextUpdatedAt(previous || {}),
+        deviceId: this.getDeviceId()
+      }));
+      changes.push({ type: RECORD_TYPES.PROGRAM, action: 'update', id: record.id });
+    });
+
+    const kept = new Set(templates.map(template => template.id));
+    tombstones.live(Array.from(existing.values()))
+      .filter(record => record.id !== ACTIVE_PROGRAM_ID && !kept.has(record.id))
+      .forEach(record => {
+        records.push(this.createTombstone(record));
+        changes.push({ type: RECORD_TYPES.PROGRAM, action: 'delete', id: record.id });
+      });
+
+    if (records.length === 0) return;
+    await this.backend.putMany(STORES.PROGRAMS, records);
+    changes.forEach(change => this.notifyChange(change));
+  }
+
+  /**
+   * Совпадают ли данные записей (служебные поля не сравниваются)
+   */
+  isSameRecord(a, b) {
+    const data = ({ updatedAt: _updatedAt, deviceId: _deviceId, schemaVersion: _schemaVersion, seenBy: _seenBy, ...rest }) => JSON.stringify(rest);
+    return data(a) === data(b);
+  }
+
+  /**
+   * Восстанавливает записи из резервной копии одной транзакцией
+   * Запись с тем же id заменяется, удаленная — восстанавливается. Восстановленная версия получает
+   * новое время изменения, чтобы победить при следующей синхронизации
+   * @param {{workouts?: Array, bodyAnalyses?: Array}} records
    */
-  clearAll() {
+  async restoreRecords({ workouts = [], bodyAnalyses = [] }) {
     try {
-      localStorage.removeItem(STORAGE_KEYS.WORKOUTS);
-      localStorage.removeItem(STORAGE_KEYS.RECENT_EXERCISES);
-      localStorage.removeItem(STORAGE_KEYS.BODY_ANALYSES);
+      await this.ready();
+      this.assertWritable();
+      const restore = (storeName, type, items) => Promise.all(items.map(async item => {
+        const existing = await this.backend.get(storeName, item.id);
+        const { deletedAt: _deletedAt, seenBy: _seenBy, ...data } = item;
+        return schema.migrate(type, {
+          ...data,
+          updatedAt: this.nextUpdatedAt(existing || item),
+          deviceId: this.getDeviceId()
+        });
+      }));
+      const workoutRecords = await restore(STORES.WORKOUTS, RECORD_TYPES.WORKOUT, workouts);
+      const analysisRecords = await restore(STORES.ANALYSES, RECORD_TYPES.BODY_ANALYSIS, bodyAnalyses);
+
+      await this.backend.bulkPut({
+        [STORES.WORKOUTS]: workoutRecords,
+        [STORES.ANALYSES]: analysisRecords
+      });
+
+      workoutRecords.forEach(record => this.replaceCachedWorkout(record));
+      if (this.bodyAnalyses) {
+        const restoredIds = new Set(analysisRecords.map(record => record.id));
+        this.bodyAnalyses = [...this.bodyAnalyses.filter(analysis => !restoredIds.has(analysis.id)), ...analysisRecords];
+      }
+      workoutRecords.forEach(record => this.notifyChange({ type: RECORD_TYPES.WORKOUT, action: 'restore', id: record.id }));
+      analysisRecords.forEach(record => this.notifyChange({ type: RECORD_TYPES.BODY_ANALYSIS, action: 'restore', id: record.id }));
+      return true;
+    } catch (error) {
+      console.warn('Failed to restore records:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Загружает базу последней синхронизации: { [id]: updatedAt } тренировок
+   * @returns {Promise<Object|null>} null, если синхронизации еще не было
+   */
+  async loadSyncBase() {
+    try {
+      return await this.getConfigRecord(CONFIG_RECORDS.SYNC_BASE, null);
+    } catch (error) {
+      console.warn('Failed to load sync base:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Загружает конфликты синхронизации (нерешенные и история решений)
+   */
+  async loadConflicts() {
+    try {
+      return await this.getConfigRecord(CONFIG_RECORDS.CONFLICTS, []);
+    } catch (error) {
+      console.warn('Failed to load conflicts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Сохраняет конфликты синхронизации
+   */
+  async saveConflicts(conflicts) {
+    try {
+      await this.ready();
+      this.assertWritable();
+      await this.backend.put(STORES.CONFIG, { key: CONFIG_RECORDS.CONFLICTS, value: conflicts });
+      return true;
+    } catch (error) {
+      console.warn('Failed to save conflicts:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Записывает результат синхронизации одной транзакцией:
+   * тренировки, анализы, каталог и программы (вместе с надгробиями) сливаются с сохраненными по updatedAt —
+   * запись, измененная локально во время синхронизации, остается; недавние упражнения и реестр устройств обновляются
+   * @param {Object} [state] - База синхронизации (syncBase), список конфликтов (conflicts) и состояние журнала (journal), если они изменились
+   * @param {Object} [state.local] - Локальные данные, из которых собран результат: уплотняются только их надгробия
+   */
+  async applySyncData({ workouts = [], bodyAnalyses = [], exercises = [], programs = [], recentExercises = [], devices = {} }, { syncBase, conflicts, journal, local = {} } = {}) {
+    try {
+      await this.ready();
+      this.assertWritable();
+      const photos = [];
+      const workoutRecords = schema.migrateMany(RECORD_TYPES.WORKOUT, workouts);
+      const analysisRecords = schema.migrateMany(RECORD_TYPES.BODY_ANALYSIS, bodyAnalyses)
+        .map(analysis => this.extractPhoto(analysis, photos));
+      const exerciseRecords = schema.migrateMany(RECORD_TYPES.EXERCISE, exercises);
+      const programRecords = schema.migrateMany(RECORD_TYPES.PROGRAM, programs);
+
+      const configRecords = [
+        { key: CONFIG_RECORDS.RECENT_EXERCISES, value: recentExercises },
+        { key: CONFIG_RECORDS.SYNC_DEVICES, value: devices }
+      ];
+      if (syncBase) configRecords.push({ key: CONFIG_RECORDS.SYNC_BASE, value: syncBase });
+      if (conflicts) configRecords.push({ key: CONFIG_RECORDS.CONFLICTS, value: conflicts });
+      if (journal) configRecords.push({ key: CONFIG_RECORDS.SYNC_JOURNAL, value: journal });
+
+      // Надгробие, записанное во время синхронизации, не попало в слияние и остается до следующей синхронизации
+      const compactable = new Set([
+        [STORES.WORKOUTS, local.workouts],
+        [STORES.ANALYSES, local.bodyAnalyses],
+        [STORES.EXERCISES, local.exercises],
+        [STORES.PROGRAMS, local.programs]
+      ].flatMap(([storeName, records = []]) => records
+        .filter(record => tombstones.isDeleted(record))
+        .map(record => this.getTombstoneKey(storeName, record))));
+
+      await this.backend.bulkPut({
+        [STORES.WORKOUTS]: workoutRecords,
+        [STORES.ANALYSES]: analysisRecords,
+        [STORES.EXERCISES]: exerciseRecords,
+        [STORES.PROGRAMS]: programRecords,
+        [STORES.PHOTOS]: photos,
+        [STORES.CONFIG]: configRecords
+      }, {
+        mergeStores: [STORES.WORKOUTS, STORES.ANALYSES, STORES.EXERCISES, STORES.PROGRAMS],
+        keepExisting: (existing, incoming) => tombstones.getTime(existing) > tombstones.getTime(incoming),
+        // Надгробия, которых нет в результате, уплотнены синхронизацией
+        dropMissing: (existing, storeName) => compactable.has(this.getTombstoneKey(storeName, existing))
+      });
+
+      // Кэш перечитывается при следующей загрузке: в базе могут быть записи новее результата
+      this.workouts = null;
+      this.bodyAnalyses = null;
+      this.recentExercises = recentExercises;
+      return true;
+    } catch (error) {
+      console.warn('Failed to apply sync data:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Ключ версии надгробия: то же надгробие с тем же временем удаления
+   */
+  getTombstoneKey(storeName, record) {
+    return `${storeName}/${record.id}/${tombstones.getTime(record)}`;
+  }
+
+  /**
+   * Очищает все данные (конфигурация сохраняется)
+   * Тренировки и анализы заменяются надгробиями, чтобы очистка дошла до других устройств
+   */
+  async clearAll() {
+    try {
+      await this.ready();
+      this.assertWritable();
+      const workouts = tombstones.live(await this.backend.getAll(STORES.WORKOUTS));
+      const analyses = tombstones.live(await this.backend.getAll(STORES.ANALYSES));
+
+      await this.backend.bulkPut({
+        [STORES.WORKOUTS]: workouts.map(workout => this.createTombstone(workout)),
+        [STORES.ANALYSES]: analyses.map(analysis => this.createTombstone(analysis))
+      });
+      await this.backend.clear(STORES.PHOTOS);
+      await this.backend.delete(STORES.CONFIG, CONFIG_RECORDS.RECENT_EXERCISES);
       this.workouts = [];
       this.recentExercises = [];
       this.bodyAnalyses = [];
+      this.notifyChange({ type: 'all', action: 'clear' });
       return true;
     } catch (error) {
       console.warn('Failed to clear data:', error);
@@ -212,13 +1172,22 @@ class StorageManager {
 
   /**
    * Экспортирует данные
+   * Фото анализов встраиваются в поле photo (при импорте они снова выносятся в хранилище photos)
    */
-  exportData() {
+  async exportData() {
     try {
+      // Надгробия экспортируются вместе с записями: импорт не возвращает удаленные на других устройствах записи
+      const analyses = await Promise.all((await this.loadBodyAnalyses({ includeDeleted: true })).map(async ({ photoId, ...analysis }) => {
+        const photo = photoId ? await this.loadPhoto(photoId) : null;
+        return photo ? { ...analysis, photo: photo.dataUrl } : analysis;
+      }));
       const data = {
-        workouts: this.loadWorkouts(),
-        recentExercises: this.loadRecentExercises(),
-        bodyAnalyses: this.loadBodyAnalyses(),
+        schemaVersion: SCHEMA_VERSION,
+        workouts: await this.loadWorkouts({ includeDeleted: true }),
+        recentExercises: await this.loadRecentExercises(),
+        bodyAnalyses: analyses,
+        exercises: await this.loadExercises({ includeDeleted: true }),
+        programs: await this.loadProgramRecords({ includeDeleted: true }),
         exportDate: new Date().toISOString()
       };
       return JSON.stringify(data, null, 2);
@@ -229,14 +1198,34 @@ class StorageManager {
   }
 
   /**
-   * Импортирует данные
+   * Импортирует данные (старые версии схемы обновляются, более новые отклоняются)
+   * Записи сливаются с сохраненными по updatedAt, как результат синхронизации:
+   * более новая локальная версия и надгробия не перезаписываются, сохраненные записи не удаляются
    */
-  importData(jsonData) {
+  async importData(jsonData) {
     try {
-      const data = JSON.parse(jsonData);
-      if (data.workouts) this.saveWorkouts(data.workouts);
-      if (data.recentExercises) this.saveRecentExercises(data.recentExercises);
-      if (data.bodyAnalyses) this.saveBodyAnalyses(data.bodyAnalyses);
+      await this.ready();
+      this.assertWritable();
+      const data = schema.migrateDocument(JSON.parse(jsonData));
+      const photos = [];
+      const analyses = data.bodyAnalyses.map(analysis => this.extractPhoto(analysis, photos));
+
+      await this.backend.bulkPut({
+        [STORES.WORKOUTS]: data.workouts,
+        [STORES.ANALYSES]: analyses,
+        [STORES.EXERCISES]: data.exercises,
+        [STORES.PROGRAMS]: data.programs,
+        [STORES.PHOTOS]: photos
+      }, {
+        mergeStores: [STORES.WORKOUTS, STORES.ANALYSES, STORES.EXERCISES, STORES.PROGRAMS],
+        keepExisting: (existing, incoming) => tombstones.getTime(existing) > tombstones.getTime(incoming)
+      });
+      if (data.recentExercises.length > 0) await this.saveRecentExercises(data.recentExercises);
+
+      this.workouts = null;
+      this.bodyAnalyses = null;
+      this.notifyChange({ type: RECORD_TYPES.WORKOUT, action: 'replace' });
+      this.notifyChange({ type: RECORD_TYPES.BODY_ANALYSIS, action: 'replace' });
       return true;
     } catch (error) {
       console.warn('Failed to import data:', error);
@@ -0,0 +1,524 @@
+/**
+ * Модуль синхронизации
+ *
+ * Единственный путь синхронизации для UI: скачать удаленные изменения -> объединить с локальными
+ * данными -> загрузить свои изменения -> записать результат в storage одной транзакцией.
+ * Одновременно выполняется не более одной синхронизации: вкладки и service worker ждут друг друга
+ * под общей блокировкой (navigator.locks), чтобы не занять один номер записи журнала.
+ *
+ * Дельта-синхронизация (sync-journal.js): файл синхронизации — снимок, который скачивается только
+ * при изменении ревизии; изменения устройств передаются небольшими записями журнала.
+ *
+ * Удаленный файл хранится у провайдера синхронизации (sync-provider.js): Яндекс.Диск, WebDAV
+ * или локальная папка — по config.syncProvider. Слияние от провайдера не зависит (sync-merge.js).
+ *
+ * Оптимистичная блокировка снимка: ревизия читается до скачивания, снимок при уплотнении журнала
+ * записывается условно (write с options.revision). Свои изменения всегда сначала уходят записью
+ * журнала и не теряются, даже если снимок перезаписало другое устройство. Если файл изменился,
+ * скачивание и слияние повторяются (SYNC_CONFIG).
+ *
+ * Тренировки, измененные на обеих сторонах с последней синхронизации, сохраняются как конфликты
+ * (conflicts.js) вместе с базой синхронизации в той же транзакции, что и результат.
+ *
+ * Если включено шифрование (encryption.js), файл синхронизации шифруется перед записью и
+ * расшифровывается после чтения; включение и смена пароля не пересекаются с синхронизацией.
+ *
+ * После успешной синхронизации, если пришло время, создается резервная копия (backups.js).
+ */
+
+import { logger } from '../utils/logger.js';
+import { DEFAULT_CONFIG, SCHEMA_VERSION, SYNC_CONFIG } from './config.js';
+import { storage } from './storage.js';
+import { schema } from './schema.js';
+import { syncProviders, RevisionMismatchError } from './sync-provider.js';
+import { syncMerge } from './sync-merge.js';
+import { syncJournal } from './sync-journal.js';
+import { yandexAPI } from './yandex-api.js';
+import { webdavProvider } from './webdav-provider.js';
+import { localFolderProvider } from './local-folder-provider.js';
+import { tombstones } from './tombstones.js';
+import { conflictManager } from './conflicts.js';
+import { encryption } from './encryption.js';
+import { backupManager } from './backups.js';
+
+// Яндекс.Диск регистрируется первым: провайдер по умолчанию
+syncProviders.register(yandexAPI);
+syncProviders.register(webdavProvider);
+syncProviders.register(localFolderProvider);
+
+/**
+ * Ошибка: удаленный файл менялся при каждой попытке синхронизации
+ */
+export class SyncConflictError extends Error {
+  constructor(path, attempts) {
+    super(`Remote file ${path} kept changing during sync (${attempts} attempts)`);
+    this.name = 'SyncConflictError';
+    this.path = path;
+    this.attempts = attempts;
+  }
+}
+
+export class SyncEngine {
+  constructor(providers = syncProviders, store = storage) {
+    this.providers = providers;
+    this.store = store;
+    this.currentSync = null;
+    this.currentTask = null;
+    this.lastResult = null;
+    this.autoSyncTimer = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Подписаться на завершение синхронизации
+   * @param {Function} listener - Получает результат синхронизации
+   * @returns {Function} Отписка
+   */
+  onSync(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Проверить, идет ли синхронизация
+   */
+  isSyncing() {
+    return this.currentSync !== null;
+  }
+
+  /**
+   * Синхронизировать данные
+   * Повторный вызов во время синхронизации возвращает тот же промис
+   * @param {Object} [options]
+   * @param {string} [options.provider] - Идентификатор провайдера (по умолчанию config.syncProvider)
+   * @param {string} [options.token] - OAuth токен Яндекс.Диска (по умолчанию из конфигурации)
+   * @param {string} [options.path] - Путь к файлу у провайдера (по умолчанию из конфигурации)
+   * @returns {Promise<Object>} Результат: счетчики added/updated/deleted
+   */
+  sync(options = {}) {
+    if (!this.currentSync) {
+      this.currentSync = this.withLock(() => this.run(options)).finally(() => {
+        this.currentSync = null;
+      });
+    }
+    return this.currentSync;
+  }
+
+  /**
+   * Выполнить задачу под блокировкой синхронизации, общей для вкладок и service worker
+   * Без Web Locks API задача выполняется сразу: запись журнала все равно создается условно
+   */
+  withLock(task) {
+    const locks = globalThis.navigator?.locks;
+    return locks ? locks.request(SYNC_CONFIG.LOCK_NAME, task) : task();
+  }
+
+  /**
+   * Провайдер синхронизации по настройкам
+   * @param {Object} config
+   * @param {Object} [options] - options.provider переопределяет config.syncProvider
+   * @returns {SyncProvider}
+   */
+  getProvider(config, options = {}) {
+    return this.providers.get(options.provider || config.syncProvider);
+  }
+
+  /**
+   * Настроена ли синхронизация (без обращения к сети)
+   */
+  isConfigured(config) {
+    return this.getProvider(config).hasSettings(config);
+  }
+
+  /**
+   * Выполнить синхронизацию: pull -> merge -> push -> запись в storage
+   * Скачиваются только измененный снимок и новые записи журнала, загружаются только свои изменения
+   */
+  async run(options) {
+    // Включение шифрования или смена пароля перезаписывают файлы: синхронизация ждет их завершения
+    await this.currentTask?.catch(() => {});
+    const { token, path, config, provider } = await this.connectProvider(options);
+    const deviceId = this.store.getDeviceId();
+
+    logger.info(`Sync started (${provider.name}):`, path);
+
+    // Версии, уже загруженные записью журнала в предыдущих попытках: повтор не загружает их снова
+    let pushedKnown = {};
+    for (let attempt = 1; attempt <= SYNC_CONFIG.MAX_ATTEMPTS; attempt++) {
+      const startedAt = new Date().toISOString();
+      const state = syncJournal.resolveState(await this.store.loadSyncJournal(), provider, path);
+      const local = await this.collectLocalData();
+      const base = await this.store.loadSyncBase();
+
+      // 1. Pull: снимок (если изменилась его ревизия) и записи журнала других устройств новее курсоров
+      const revision = await provider.revision(path);
+      const snapshot = revision !== null && revision !== state.snapshotRevision ? await this.loadRemote(provider, path) : null;
+      const cursors = syncJournal.advanceCursors(state.cursors, snapshot);
+      const entries = await syncJournal.listEntries(provider, path);
+      const pending = syncJournal.getPending(entries, cursors, deviceId);
+      const downloaded = await Promise.all(pending.map(entry => this.loadRemote(provider, entry.path)));
+      if (downloaded.includes(null)) {
+        // Запись удалили при уплотнении: она уже в новом снимке
+        await this.retry(attempt, 'Journal was compacted during sync');
+        continue;
+      }
+      pending.forEach(entry => {
+        cursors[entry.deviceId] = Math.max(cursors[entry.deviceId] || 0, entry.seq);
+      });
+      const remote = syncJournal.combine([snapshot, ...downloaded]);
+
+      // 2. Merge (пустой удаленный документ тоже объединяется, чтобы отметить устройство и уплотнить надгробия)
+      const conflicts = [];
+      // Снимок скачан заново: удаленный документ полный, с ним сверяется давно не синхронизировавшееся устройство
+      const merged = syncMerge.mergeData(local, remote || {}, { deviceId, base, conflicts, complete: Boolean(snapshot) });
+      const ops = syncJournal.collectOps(merged, { ...state.known, ...syncJournal.createKnown(remote), ...pushedKnown });
+
+      // 3. Push: запись журнала со своими изменениями, затем уплотнение в снимок (если файл никто не перезаписал)
+      let seq = syncJournal.resolveSeq(state.seq, entries, cursors, deviceId);
+      let snapshotRevision = revision;
+      let compactedAt = snapshot?.compactedAt ?? state.compactedAt;
+      const compact = syncJournal.shouldCompact({
+        revision,
+        snapshot,
+        compactedAt,
+        entryCount: entries.length + (ops.count > 0 ? 1 : 0)
+      });
+
+      if (ops.count > 0) {
+        // Номер записи резервируется до загрузки: записи журнала никогда не перезаписываются
+        seq += 1;
+        if (!(await this.store.saveSyncJournal({ ...state, seq }))) {
+          throw new Error('Failed to reserve sync journal entry');
+        }
+        const entry = syncJournal.createEntry(ops, merged, deviceId, seq);
+        try {
+          // Запись создается, только если файла с этим номером еще нет
+          await provider.write(syncJournal.getEntryPath(path, deviceId, seq), await encryption.encryptDocument(entry), { revision: null });
+        } catch (error) {
+          if (!(error instanceof RevisionMismatchError)) throw error;
+          await this.retry(attempt, 'Journal entry number already taken');
+          continue;
+        }
+        pushedKnown = { ...pushedKnown, ...syncJournal.createKnown(ops) };
+      }
+
+      if (compact) {
+        // Снимок записывается, только если его ревизия не изменилась; свои изменения к этому моменту уже в журнале
+        const snapshotCursors = { ...cursors, [deviceId]: seq };
+        const compacted = syncJournal.createSnapshot(merged, snapshotCursors);
+        try {
+          await provider.write(path, await encryption.encryptDocument(compacted), { revision });
+        } catch (error) {
+          if (!(error instanceof RevisionMismatchError)) throw error;
+          await this.retry(attempt, 'Remote file changed during sync');
+          continue;
+        }
+        snapshotRevision = await provider.revision(path);
+        compactedAt = compacted.compactedAt;
+        await syncJournal.removeCompacted(provider, path, snapshotCursors);
+      }
+
+      // 4. Запись результата в storage (вместе с базой, конфликтами и состоянием журнала)
+      const applied = await this.store.applySyncData(merged, {
+        syncBase: conflictManager.createBase(merged.workouts),
+        conflicts: conflicts.length > 0
+          ? conflictManager.append(await this.store.loadConflicts(), conflicts)
+          : undefined,
+        journal: { ...state, seq, cursors, known: syncJournal.createKnown(merged), snapshotRevision, compactedAt },
+        local
+      });
+      if (!applied) {
+        throw new Error('Failed to write synced data to storage');
+      }
+      await this.rememberSettings(config, token, path);
+      const backup = await this.backupIfDue(provider, path, config, merged);
+
+      return this.complete(local, merged, {
+        attempts: attempt,
+        startedAt,
+        conflicts: conflicts.length,
+        pushed: { workouts: ops.workouts.length, bodyAnalyses: ops.bodyAnalyses.length, exercises: ops.exercises.length, programs: ops.programs.length },
+        journal: { downloaded: pending.length, snapshot: Boolean(snapshot), compacted: compact },
+        backup
+      });
+    }
+
+    throw new SyncConflictError(path, SYNC_CONFIG.MAX_ATTEMPTS);
+  }
+
+  /**
+   * Повторить попытку синхронизации после паузы
+   */
+  async retry(attempt, reason) {
+    logger.warn(`${reason} (attempt ${attempt}/${SYNC_CONFIG.MAX_ATTEMPTS}), merging again`);
+    if (attempt < SYNC_CONFIG.MAX_ATTEMPTS) {
+      await this.delay(SYNC_CONFIG.RETRY_DELAY_MS * attempt);
+    }
+  }
+
+  /**
+   * Скачать удаленный документ (старые версии схемы обновляются, более новые отклоняются)
+   * @returns {Promise<Object|null>} null, если файла еще нет
+   */
+  async loadRemote(provider, path) {
+    const data = await provider.read(path);
+    if (!data) {
+      logger.info('No remote data found, starting fresh');
+      return null;
+    }
+    return schema.migrateDocument(await encryption.decryptDocument(data));
+  }
+
+  /**
+   * Включить шифрование (или ввести пароль на новом устройстве) у текущего провайдера
+   * @param {string} passphrase
+   * @param {Object} [options] - Как у sync()
+   * @returns {Promise<Object>} Результат encryption.enable
+   */
+  enableEncryption(passphrase, options = {}) {
+    return this.runTask(async () => {
+      const { provider, path } = await this.connectProvider(options);
+      return encryption.enable(provider, passphrase, path, [syncJournal.getFolder(path), backupManager.getFolder(path)]);
+    });
+  }
+
+  /**
+   * Сменить пароль шифрования и перешифровать файлы у текущего провайдера
+   * @returns {Promise<Object>} Результат encryption.rotate
+   */
+  rotateEncryptionPassphrase(currentPassphrase, newPassphrase, options = {}) {
+    return this.runTask(async () => {
+      const { provider, path } = await this.connectProvider(options);
+      return encryption.rotate(provider, currentPassphrase, newPassphrase, path, [syncJournal.getFolder(path), backupManager.getFolder(path)]);
+    });
+  }
+
+  /**
+   * Создать резервную копию сейчас (кнопка в настройках)
+   * @param {Object} [options] - Как у sync()
+   * @returns {Promise<string>} Имя файла копии
+   */
+  createBackup(options = {}) {
+    return this.runTask(async () => {
+      const { provider, path, config } = await this.connectProvider(options);
+      return this.writeBackup(provider, path, config, await this.collectLocalData());
+    });
+  }
+
+  /**
+   * Резервные копии у текущего провайдера со сводкой (backupManager.list)
+   */
+  async listBackups(options = {}) {
+    const { provider, path } = await this.connectProvider(options);
+    return backupManager.list(provider, path);
+  }
+
+  /**
+   * Прочитать резервную копию для сравнения и восстановления
+   */
+  async readBackup(backupPath, options = {}) {
+    const { provider } = await this.connectProvider(options);
+    return backupManager.read(provider, backupPath);
+  }
+
+  /**
+   * Резервная копия после синхронизации, если пришло время
+   * Ошибка копирования не прерывает синхронизацию: копия будет создана при следующей
+   * @returns {Promise<string|null>} Имя созданной копии
+   */
+  async backupIfDue(provider, path, config, merged) {
+    const state = await this.store.loadBackupState();
+    if (!backupManager.isDue(state, config, `${provider.id}:${path}`)) return null;
+
+    try {
+      return await this.writeBackup(provider, path, config, merged);
+    } catch (error) {
+      logger.warn('Backup failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Записать копию, запомнить время и удалить копии по политике хранения
+   */
+  async writeBackup(provider, path, config, data) {
+    const backup = await backupManager.create(provider, path, data, this.store.getDeviceId());
+    await this.store.saveBackupState({ target: `${provider.id}:${path}`, lastBackupAt: new Date().toISOString(), lastBackupName: backup.name });
+    await backupManager.rotate(provider, path, config.backupRetention);
+    return backup.name;
+  }
+
+  /**
+   * Выполнить операцию над файлами в облаке после текущей синхронизации; новые синхронизации ждут ее
+   */
+  async runTask(task) {
+    await this.currentSync?.catch(() => {});
+    await this.currentTask?.catch(() => {});
+
+    const current = task().finally(() => {
+      if (this.currentTask === current) {
+        this.currentTask = null;
+      }
+    });
+    this.currentTask = current;
+    return current;
+  }
+
+  /**
+   * Сформировать результат синхронизации и оповестить подписчиков
+   */
+  complete(local, merged, { attempts, startedAt, conflicts = 0, pushed, journal, backup = null }) {
+    const workouts = this.countChanges(local.workouts, merged.workouts);
+    const bodyAnalyses = this.countChanges(local.bodyAnalyses, merged.bodyAnalyses);
+    const exercises = this.countChanges(local.exercises, merged.exercises);
+    const programs = this.countChanges(local.programs, merged.programs);
+    const result = {
+      success: true,
+      startedAt,
+      syncedAt: new Date().toISOString(),
+      attempts,
+      added: workouts.added + bodyAnalyses.added + exercises.added + programs.added,
+      updated: workouts.updated + bodyAnalyses.updated + exercises.updated + programs.updated,
+      deleted: workouts.deleted + bodyAnalyses.deleted + exercises.deleted + programs.deleted,
+      conflicts,
+      workouts,
+      bodyAnalyses,
+      exercises,
+      programs,
+      pushed,
+      journal,
+      backup
+    };
+
+    this.lastResult = result;
+    logger.success('Sync completed:', result);
+    this.notify(result);
+    return result;
+  }
+
+  /**
+   * Пауза перед повторной попыткой
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Настройки и подключенный провайдер
+   */
+  async connectProvider(options) {
+    const settings = await this.getSettings(options);
+    const provider = this.getProvider(settings.config, options);
+    await provider.connect({
+      ...settings.config,
+      yandexToken: settings.token,
+      // Срок действия известен только для сохраненного токена
+      yandexTokenExpiresAt: settings.token === settings.config.yandexToken ? settings.config.yandexTokenExpiresAt : null
+    });
+    return { ...settings, provider };
+  }
+
+  /**
+   * Токен Яндекс.Диска и путь синхронизации (общий для всех провайдеров)
+   */
+  async getSettings(options) {
+    const config = await this.store.loadConfig();
+    return {
+      token: (options.token ?? config.yandexToken ?? '').trim(),
+      path: (options.path || config.yandexPath || DEFAULT_CONFIG.yandexPath).trim(),
+      config
+    };
+  }
+
+  /**
+   * Сохранить токен и путь, с которыми прошла синхронизация
+   * Встроенные скрипты index.html передают их явно, а фоновая синхронизация в service worker читает из storage
+   */
+  async rememberSettings(config, token, path) {
+    if (config.yandexToken === token && config.yandexPath === path) return;
+    const yandexTokenExpiresAt = config.yandexToken === token ? config.yandexTokenExpiresAt : null;
+    await this.store.saveConfig({ ...config, yandexToken: token, yandexTokenExpiresAt, yandexPath: path });
+  }
+
+  /**
+   * Локальный документ синхронизации (вместе с надгробиями)
+   */
+  async collectLocalData() {
+    return {
+      workouts: await this.store.loadWorkouts({ includeDeleted: true }),
+      bodyAnalyses: await this.store.loadBodyAnalyses({ includeDeleted: true }),
+      exercises: await this.store.loadExercises({ includeDeleted: true }),
+      programs: await this.store.loadProgramRecords({ includeDeleted: true }),
+      recentExercises: await this.store.loadRecentExercises(),
+      devices: await this.store.loadSyncDevices()
+    };
+  }
+
+  /**
+   * Посчитать изменения между двумя версиями списка записей
+   * @returns {{added: number, updated: number, deleted: number}}
+   */
+  countChanges(before, after) {
+    const previous = new Map(before.map(record => [record.id, record]));
+    const counts = { added: 0, updated: 0, deleted: 0 };
+
+    after.forEach(record => {
+      const old = previous.get(record.id);
+      const isDeleted = tombstones.isDeleted(record);
+
+      if (!old || tombstones.isDeleted(old)) {
+        if (!isDeleted) counts.added++;
+      } else if (isDeleted) {
+        counts.deleted++;
+      } else if (tombstones.getTime(record) !== tombstones.getTime(old)) {
+        counts.updated++;
+      }
+    });
+
+    return counts;
+  }
+
+  /**
+   * Оповестить подписчиков
+   */
+  notify(result) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(result);
+      } catch (error) {
+        logger.error('Sync listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Запустить автосинхронизацию по настройкам autoSync/syncInterval (минуты)
+   */
+  startAutoSync(config) {
+    this.stopAutoSync();
+
+    if (!config.autoSync || !this.isConfigured(config) || !(config.syncInterval > 0)) {
+      return false;
+    }
+
+    this.autoSyncTimer = setInterval(() => {
+      this.sync().catch(error => logger.warn('Auto sync failed:', error.message));
+    }, config.syncInterval * 60 * 1000);
+
+    logger.info(`Auto sync every ${config.syncInterval} min`);
+    return true;
+  }
+
+  /**
+   * Остановить автосинхронизацию
+   */
+  stopAutoSync() {
+    if (this.autoSyncTimer) {
+      clearInterval(this.autoSyncTimer);
+      this.autoSyncTimer = null;
+    }
+  }
+}
+
+// Создаем единственный экземпляр
+export const syncEngine = new SyncEngine();
@@ -0,0 +1,212 @@
+/**
+ * Модуль журнала изменений для дельта-синхронизации
+ *
+ * Удаленная папка синхронизации (папка файла config.yandexPath):
+ *   workouts.json                  — снимок: полный документ + journal { [deviceId]: seq } и compactedAt
+ *   journal/<deviceId>/<seq>.json  — записи журнала: изменения одного устройства за одну синхронизацию
+ *
+ * Устройство скачивает снимок, только если изменилась его ревизия, и только записи журнала новее
+ * своего курсора; загружает только свои новые изменения. Записи журнала не перезаписываются,
+ * поэтому одновременная синхронизация устройств не конфликтует. Время от времени устройство
+ * уплотняет журнал: записывает снимок (с проверкой ревизии) и удаляет вошедшие в него записи.
+ *
+ * Свои изменения определяются по known — версиям записей, которые уже есть в облаке.
+ */
+
+import { logger } from '../utils/logger.js';
+import { JOURNAL_CONFIG, SCHEMA_VERSION } from './config.js';
+import { RECORD_TYPES } from './schema.js';
+import { syncMerge } from './sync-merge.js';
+import { tombstones } from './tombstones.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ENTRY_NAME = /^(\d+)\.json$/;
+
+// Типы записей документа синхронизации
+const COLLECTIONS = {
+  workouts: RECORD_TYPES.WORKOUT,
+  bodyAnalyses: RECORD_TYPES.BODY_ANALYSIS,
+  exercises: RECORD_TYPES.EXERCISE,
+  programs: RECORD_TYPES.PROGRAM
+};
+
+class SyncJournal {
+  /**
+   * Состояние журнала до первой синхронизации с этим облаком
+   * @param {string} target - Провайдер и путь файла: при их смене состояние начинается заново
+   * @param {number} [seq=0] - Последний использованный номер записи
+   */
+  createState(target, seq = 0) {
+    return { target, seq, cursors: {}, known: {}, snapshotRevision: null, compactedAt: null };
+  }
+
+  /**
+   * Сохраненное состояние журнала, если оно относится к тому же облаку
+   * При смене облака номер записей не сбрасывается: после возврата к прежнему облаку
+   * в нем могут лежать записи этого устройства с теми же номерами
+   */
+  resolveState(saved, provider, path) {
+    const target = `${provider.id}:${path}`;
+    return saved?.target === target ? saved : this.createState(target, saved?.seq || 0);
+  }
+
+  /**
+   * Последний номер записи устройства с учетом облака: курсора устройства в снимке
+   * и своих записей в папке журнала (состояние могло потеряться, например при очистке данных)
+   * @param {number} seq - Номер из сохраненного состояния
+   * @param {Array<{deviceId: string, seq: number}>} entries - Записи журнала в облаке
+   * @param {Object} cursors - Курсоры с учетом снимка (advanceCursors)
+   */
+  resolveSeq(seq, entries, cursors, deviceId) {
+    const own = entries.filter(entry => entry.deviceId === deviceId).map(entry => entry.seq);
+    return Math.max(seq, cursors[deviceId] || 0, ...own);
+  }
+
+  /**
+   * Папка журнала рядом с файлом синхронизации
+   */
+  getFolder(path) {
+    return `${path.split('/').slice(0, -1).join('/')}/${JOURNAL_CONFIG.FOLDER}`;
+  }
+
+  /**
+   * Путь записи журнала
+   */
+  getEntryPath(path, deviceId, seq) {
+    return `${this.getFolder(path)}/${deviceId}/${String(seq).padStart(8, '0')}.json`;
+  }
+
+  /**
+   * Все записи журнала в облаке
+   * @returns {Promise<Array<{deviceId: string, seq: number, path: string}>>} По возрастанию seq
+   */
+  async listEntries(provider, path) {
+    const entries = [];
+    for (const folder of await provider.list(this.getFolder(path))) {
+      if (!folder.isDirectory) continue;
+
+      for (const file of await provider.list(folder.path)) {
+        const match = !file.isDirectory && file.name.match(ENTRY_NAME);
+        if (match) {
+          entries.push({ deviceId: folder.name, seq: Number(match[1]), path: file.path });
+        }
+      }
+    }
+    return entries.sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * Курсоры с учетом снимка: записи, вошедшие в снимок, скачивать не нужно
+   */
+  advanceCursors(cursors, snapshot) {
+    const result = { ...cursors };
+    Object.entries(snapshot?.journal || {}).forEach(([deviceId, seq]) => {
+      result[deviceId] = Math.max(result[deviceId] || 0, seq);
+    });
+    return result;
+  }
+
+  /**
+   * Записи других устройств новее курсоров
+   */
+  getPending(entries, cursors, deviceId) {
+    return entries.filter(entry => entry.deviceId !== deviceId && entry.seq > (cursors[entry.deviceId] || 0));
+  }
+
+  /**
+   * Объединить снимок и записи журнала в один удаленный документ
+   * @returns {Object|null} null, если скачивать было нечего
+   */
+  combine(documents) {
+    return documents
+      .filter(Boolean)
+      .reduce((combined, data) => (combined ? syncMerge.mergeData(combined, data) : data), null);
+  }
+
+  /**
+   * Версии записей документа: { 'workout:<id>': время изменения }
+   */
+  createKnown(data) {
+    const known = {};
+    Object.entries(COLLECTIONS).forEach(([collection, type]) => {
+      (data?.[collection] || []).forEach(record => {
+        known[`${type}:${record.id}`] = tombstones.getTime(record);
+      });
+    });
+    return known;
+  }
+
+  /**
+   * Свои изменения: записи, версии которых еще нет в облаке
+   * @returns {{workouts: Array, bodyAnalyses: Array, exercises: Array, programs: Array, count: number}}
+   */
+  collectOps(merged, known) {
+    const ops = { count: 0 };
+    Object.entries(COLLECTIONS).forEach(([collection, type]) => {
+      ops[collection] = (merged[collection] || []).filter(record => known[`${type}:${record.id}`] !== tombstones.getTime(record));
+      ops.count += ops[collection].length;
+    });
+    return ops;
+  }
+
+  /**
+   * Запись журнала со своими изменениями
+   */
+  createEntry(ops, merged, deviceId, seq, now = new Date()) {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      deviceId,
+      seq,
+      createdAt: now.toISOString(),
+      workouts: ops.workouts,
+      bodyAnalyses: ops.bodyAnalyses,
+      exercises: ops.exercises,
+      programs: ops.programs,
+      recentExercises: merged.recentExercises || [],
+      devices: merged.devices?.[deviceId] ? { [deviceId]: merged.devices[deviceId] } : {}
+    };
+  }
+
+  /**
+   * Снимок: полный документ и курсоры вошедших в него записей журнала
+   */
+  createSnapshot(merged, cursors, now = new Date()) {
+    return { ...merged, schemaVersion: SCHEMA_VERSION, journal: cursors, compactedAt: now.toISOString() };
+  }
+
+  /**
+   * Пора ли уплотнить журнал
+   * @param {Object} params
+   * @param {string|null} params.revision - Ревизия снимка (null — снимка нет)
+   * @param {Object|null} params.snapshot - Скачанный снимок (null — не скачивался)
+   * @param {string|null} params.compactedAt - Время последнего уплотнения
+   * @param {number} params.entryCount - Записей в журнале с учетом новой
+   */
+  shouldCompact({ revision, snapshot, compactedAt, entryCount, now = Date.now() }) {
+    // Снимка нет или он записан без журнала (первая дельта-синхронизация)
+    if (revision === null || (snapshot && !snapshot.journal)) return true;
+    if (entryCount >= JOURNAL_CONFIG.COMPACT_AFTER_ENTRIES) return true;
+    return entryCount > 0 && Boolean(compactedAt) && now - Date.parse(compactedAt) > JOURNAL_CONFIG.COMPACT_AFTER_DAYS * DAY_MS;
+  }
+
+  /**
+   * Удалить записи, вошедшие в снимок (ошибки не прерывают синхронизацию: записи удалятся при следующем уплотнении)
+   * @returns {Promise<number>} Сколько записей удалено
+   */
+  async removeCompacted(provider, path, cursors) {
+    let removed = 0;
+    try {
+      const entries = await this.listEntries(provider, path);
+      for (const entry of entries.filter(item => item.seq <= (cursors[item.deviceId] || 0))) {
+        await provider.remove(entry.path);
+        removed++;
+      }
+    } catch (error) {
+      logger.warn('Failed to remove compacted journal entries:', error.message);
+    }
+    return removed;
+  }
+}
+
+// Создаем единственный экземпляр
+export const syncJournal = new SyncJournal();
@@ -0,0 +1,223 @@
+/**
+ * Модуль слияния данных синхронизации
+ *
+ * Объединяет локальный и удаленный документы { workouts, bodyAnalyses, exercises, programs, recentExercises, devices }
+ * независимо от провайдера синхронизации.
+ */
+
+import { logger } from '../utils/logger.js';
+import { SCHEMA_VERSION } from './config.js';
+import { tombstones } from './tombstones.js';
+import { RECORD_TYPES } from './schema.js';
+import { conflictManager } from './conflicts.js';
+
+class SyncMerge {
+  /**
+   * Объединить данные (локальные + удаленные)
+   * Если передан deviceId, устройство отмечается в реестре устройств и в надгробиях,
+   * а надгробия, которые видели все устройства, удаляются по политике хранения.
+   * Если передана база последней синхронизации (base), тренировки, измененные на обеих сторонах,
+   * добавляются в массив conflicts (слияние при этом выбирает более позднюю версию).
+   * Если удаленный документ полный (complete), а устройство не синхронизировалось дольше DEVICE_EXPIRY_DAYS,
+   * его уже синхронизированные записи, которых нет в удаленном документе, удаляются (см. tombstones.expireMissing)
+   */
+  mergeData(localData, remoteData, { deviceId = null, now = new Date(), base = null, conflicts = [], complete = false } = {}) {
+    try {
+      logger.info('Merging local and remote data...');
+      
+      if (!remoteData) {
+        logger.info('No remote data, using local data');
+        return localData;
+      }
+
+      if (!localData) {
+        logger.info('No local data, using remote data');
+        return remoteData;
+      }
+
+      if (deviceId && complete && tombstones.isExpired(localData.devices, deviceId, now)) {
+        localData = this.expireLocalData(localData, remoteData, { deviceId, now });
+      }
+
+      // Объединяем тренировки
+      const mergedWorkouts = this.mergeWorkouts(localData.workouts || [], remoteData.workouts || [], { base, conflicts });
+      
+      // Объединяем недавние упражнения
+      const mergedRecentExercises = this.mergeRecentExercises(
+        localData.recentExercises || [], 
+        remoteData.recentExercises || []
+      );
+
+      // Объединяем анализы тела
+      const mergedBodyAnalyses = this.mergeBodyAnalyses(
+        localData.bodyAnalyses || [], 
+        remoteData.bodyAnalyses || []
+      );
+
+      // Объединяем каталог упражнений
+      const mergedExercises = this.mergeExercises(localData.exercises || [], remoteData.exercises || []);
+
+      // Объединяем шаблоны программ и активную программу
+      const mergedPrograms = this.mergePrograms(localData.programs || [], remoteData.programs || []);
+
+      const mergedData = {
+        schemaVersion: SCHEMA_VERSION,
+        workouts: mergedWorkouts,
+        recentExercises: mergedRecentExercises,
+        bodyAnalyses: mergedBodyAnalyses,
+        exercises: mergedExercises,
+        programs: mergedPrograms,
+        devices: tombstones.mergeDevices(localData.devices, remoteData.devices)
+      };
+
+      if (deviceId) {
+        mergedData.devices = tombstones.touchDevice(mergedData.devices, deviceId, now);
+        mergedData.workouts = tombstones.compact(
+          tombstones.markSeen(mergedData.workouts, deviceId), mergedData.devices, now
+        );
+        mergedData.bodyAnalyses = tombstones.compact(
+          tombstones.markSeen(mergedData.bodyAnalyses, deviceId), mergedData.devices, now
+        );
+        mergedData.exercises = tombstones.compact(
+          tombstones.markSeen(mergedData.exercises, deviceId), mergedData.devices, now
+        );
+        mergedData.programs = tombstones.compact(
+          tombstones.markSeen(mergedData.programs, deviceId), mergedData.devices, now
+        );
+      }
+
+      logger.success('Data merged successfully');
+      return mergedData;
+    } catch (error) {
+      logger.error('Failed to merge data:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Записи устройства, давно не синхронизировавшегося, сверенные с полным удаленным документом
+   */
+  expireLocalData(localData, remoteData, { deviceId, now }) {
+    const since = localData.devices[deviceId].lastSeenAt;
+    const expire = key => tombstones.expireMissing(localData[key] || [], remoteData[key] || [], { deviceId, since, now });
+    return {
+      ...localData,
+      workouts: expire('workouts'),
+      bodyAnalyses: expire('bodyAnalyses'),
+      exercises: expire('exercises'),
+      programs: expire('programs')
+    };
+  }
+
+  /**
+   * Объединить тренировки
+   * Надгробия (deletedAt) объединяются как обычные записи и побеждают более старые правки
+   * @param {Object} [options]
+   * @param {Object|null} [options.base] - База последней синхронизации { [id]: updatedAt }
+   * @param {Array} [options.conflicts] - Сюда добавляются тренировки, измененные на обеих сторонах
+   */
+  mergeWorkouts(localWorkouts, remoteWorkouts, { base = null, conflicts = [] } = {}) {
+    const workoutMap = new Map();
+
+    // Добавляем локальные тренировки
+    localWorkouts.forEach(workout => {
+      workoutMap.set(workout.id, workout);
+    });
+
+    // Объединяем с удаленными тренировками
+    remoteWorkouts.forEach(workout => {
+      const existing = workoutMap.get(workout.id);
+      
+      if (!existing) {
+        // Новая тренировка
+        workoutMap.set(workout.id, workout);
+      } else {
+        if (conflictManager.isConflict(existing, workout, base)) {
+          conflicts.push(conflictManager.create(existing, workout, RECORD_TYPES.WORKOUT));
+        }
+        // Объединяем по времени обновления
+        workoutMap.set(workout.id, tombstones.pickNewer(existing, workout));
+      }
+    });
+
+    return Array.from(workoutMap.values()).sort((a, b) => 
+      new Date(b.date) - new Date(a.date)
+    );
+  }
+
+  /**
+   * Объединить недавние упражнения
+   */
+  mergeRecentExercises(localRecent, remoteRecent) {
+    const exerciseSet = new Set();
+    
+    // Добавляем все упражнения
+    [...localRecent, ...remoteRecent].forEach(exercise => {
+      exerciseSet.add(exercise);
+    });
+
+    return Array.from(exerciseSet).slice(0, 10);
+  }
+
+  /**
+   * Объединить анализы тела
+   * Удаленные анализы представлены надгробиями, как и тренировки
+   */
+  mergeBodyAnalyses(localAnalyses, remoteAnalyses) {
+    const analysisMap = new Map();
+
+    // Добавляем локальные анализы
+    localAnalyses.forEach(analysis => {
+      analysisMap.set(analysis.id, analysis);
+    });
+
+    // Объединяем с удаленными анализами
+    remoteAnalyses.forEach(analysis => {
+      const existing = analysisMap.get(analysis.id);
+      
+      if (!existing) {
+        analysisMap.set(analysis.id, analysis);
+      } else {
+        // Объединяем по времени (надгробия — по времени удаления)
+        analysisMap.set(analysis.id, tombstones.pickNewer(existing, analysis));
+      }
+    });
+
+    return Array.from(analysisMap.values()).sort((a, b) => 
+      new Date(b.timestamp) - new Date(a.timestamp)
+    );
+  }
+
+  /**
+   * Объединить записи каталога упражнений
+   * Переименование и объединение — правки записи, поэтому побеждает более поздняя версия
+   */
+  mergeExercises(localExercises, remoteExercises) {
+    return this.mergeRecords(localExercises, remoteExercises);
+  }
+
+  /**
+   * Объединить записи программ: шаблоны и активную программу (ACTIVE_PROGRAM_ID)
+   * Шаблон и активная программа меняются целиком, поэтому побеждает более поздняя версия
+   */
+  mergePrograms(localPrograms, remotePrograms) {
+    return this.mergeRecords(localPrograms, remotePrograms);
+  }
+
+  /**
+   * Объединить записи по id: побеждает более поздняя версия (или надгробие при равном времени)
+   */
+  mergeRecords(localRecords, remoteRecords) {
+    const recordMap = new Map(localRecords.map(record => [record.id, record]));
+
+    remoteRecords.forEach(record => {
+      const existing = recordMap.get(record.id);
+      recordMap.set(record.id, existing ? tombstones.pickNewer(existing, record) : record);
+    });
+
+    return Array.from(recordMap.values());
+  }
+}
+
+// Создаем единственный экземпляр
+export const syncMerge = new SyncMerge();
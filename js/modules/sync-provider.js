@@ -0,0 +1,206 @@
+/**
+ * Интерфейс провайдера синхронизации и реестр провайдеров
+ *
+ * Провайдер — хранилище файла синхронизации (Яндекс.Диск, WebDAV, локальная папка).
+ * syncEngine работает только через этот интерфейс: ревизия -> чтение -> запись.
+ * Слияние данных от провайдера не зависит (sync-merge.js).
+ */
+
+import { logger } from '../utils/logger.js';
+
+/**
+ * Ошибка условной записи: ревизия файла не совпала с ожидаемой (файл перезаписало другое устройство)
+ */
+export class RevisionMismatchError extends Error {
+  constructor(path) {
+    super(`Remote file ${path} was changed by another device`);
+    this.name = 'RevisionMismatchError';
+    this.path = path;
+  }
+}
+
+/**
+ * Базовый класс провайдера
+ * Пути — абсолютные пути файлов внутри хранилища провайдера ('/MyFitness/workouts.json')
+ */
+export class SyncProvider {
+  /**
+   * @param {string} id - Идентификатор (значение config.syncProvider)
+   * @param {string} name - Название для UI и сообщений об ошибках
+   */
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+  }
+
+  /**
+   * Заполнены ли настройки провайдера в конфигурации (без обращения к сети)
+   * @param {Object} config
+   * @returns {boolean}
+   */
+  hasSettings(config) {
+    return false;
+  }
+
+  /**
+   * Подготовить провайдер к работе по настройкам конфигурации
+   * @param {Object} config
+   */
+  async connect(config) {
+    throw new Error(`${this.name}: connect() is not implemented`);
+  }
+
+  /**
+   * Список файлов и папок
+   * @param {string} folder
+   * @returns {Promise<Array<{name: string, path: string, isDirectory: boolean, revision: string|null}>>}
+   */
+  async list(folder) {
+    throw new Error(`${this.name}: list() is not implemented`);
+  }
+
+  /**
+   * Прочитать JSON-файл
+   * @returns {Promise<Object|null>} null, если файла нет
+   */
+  async read(path) {
+    throw new Error(`${this.name}: read() is not implemented`);
+  }
+
+  /**
+   * Записать JSON-файл (папки создаются при необходимости)
+   * @param {Object} [options]
+   * @param {string|null} [options.revision] - Условная запись: файл перезаписывается, только если его
+   *   ревизия все еще равна переданной (null — файла не должно быть)
+   * @throws {RevisionMismatchError} Ревизия файла изменилась
+   */
+  async write(path, data, options = {}) {
+    throw new Error(`${this.name}: write() is not implemented`);
+  }
+
+  /**
+   * Прочитать файл как есть (фото и другие не-JSON файлы)
+   * @returns {Promise<Blob|null>} null, если файла нет
+   */
+  async readBinary(path) {
+    throw new Error(`${this.name}: readBinary() is not implemented`);
+  }
+
+  /**
+   * Записать файл как есть (папки создаются при необходимости)
+   * @param {string} path
+   * @param {Blob|string} data
+   * @param {string} contentType
+   */
+  async writeBinary(path, data, contentType) {
+    throw new Error(`${this.name}: writeBinary() is not implemented`);
+  }
+
+  /**
+   * Удалить файл (отсутствующий файл — не ошибка)
+   */
+  async remove(path) {
+    throw new Error(`${this.name}: remove() is not implemented`);
+  }
+
+  /**
+   * Ревизия файла для оптимистичной блокировки: меняется при каждой записи
+   * @returns {Promise<string|null>} null, если файла нет
+   */
+  async revision(path) {
+    throw new Error(`${this.name}: revision() is not implemented`);
+  }
+
+  /**
+   * Проверка ревизии перед условной записью для провайдеров без условных запросов
+   * (между проверкой и записью остается короткое окно гонки)
+   * @throws {RevisionMismatchError}
+   */
+  async checkRevision(path, revision) {
+    if (revision !== undefined && await this.revision(path) !== revision) {
+      throw new RevisionMismatchError(path);
+    }
+  }
+
+  /**
+   * Разбить путь на папки и имя файла
+   * @returns {{folders: string[], name: string}}
+   */
+  splitPath(path) {
+    const parts = path.split('/').filter(Boolean);
+    return { folders: parts.slice(0, -1), name: parts[parts.length - 1] };
+  }
+}
+
+/**
+ * Реестр провайдеров синхронизации
+ */
+class SyncProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.defaultId = null;
+    this.authListeners = new Set();
+  }
+
+  /**
+   * Зарегистрировать провайдер (первый зарегистрированный — провайдер по умолчанию)
+   */
+  register(provider) {
+    this.providers.set(provider.id, provider);
+    if (!this.defaultId) {
+      this.defaultId = provider.id;
+    }
+    return provider;
+  }
+
+  /**
+   * Убрать провайдер из реестра
+   */
+  unregister(id) {
+    this.providers.delete(id);
+  }
+
+  /**
+   * Получить провайдер по идентификатору (неизвестный — провайдер по умолчанию)
+   */
+  get(id) {
+    return this.providers.get(id) || this.providers.get(this.defaultId);
+  }
+
+  /**
+   * Все провайдеры
+   */
+  getAll() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Подписаться на ошибки авторизации любого провайдера
+   * @param {Function} listener - Получает AuthError
+   * @returns {Function} Отписка
+   */
+  onAuthError(listener) {
+    this.authListeners.add(listener);
+    return () => this.authListeners.delete(listener);
+  }
+
+  /**
+   * Сообщить об ошибке авторизации (AuthError из http-client.js): провайдеры вызывают это при 401/403, подписчики
+   * (очередь изменений, UI) приостанавливают отправку и просят войти заново
+   * @returns {AuthError} Та же ошибка, чтобы ее можно было выбросить
+   */
+  reportAuthError(error) {
+    logger.warn('Authorization required:', error.message);
+    this.authListeners.forEach(listener => {
+      try {
+        listener(error);
+      } catch (listenerError) {
+        logger.error('Auth listener failed:', listenerError);
+      }
+    });
+    return error;
+  }
+}
+
+// Создаем единственный экземпляр
+export const syncProviders = new SyncProviderRegistry();
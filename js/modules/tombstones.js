@@ -0,0 +1,184 @@
+/**
+ * Модуль надгробий удаленных записей
+ *
+ * Удаленная тренировка или анализ заменяется надгробием { id, deletedAt, updatedAt, deviceId, seenBy }.
+ * Надгробие участвует в слиянии как обычная запись, поэтому удаление не "воскресает" при синхронизации
+ * с другим устройством. Старые надгробия, которые видели все активные устройства, удаляются (compact).
+ * Устройство, не синхронизировавшееся дольше DEVICE_EXPIRY_DAYS, могло пропустить уплотненные надгробия:
+ * при возвращении его записи сверяются с полным удаленным документом (expireMissing).
+ */
+
+import { logger } from '../utils/logger.js';
+import { TOMBSTONE_CONFIG } from './config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TombstoneManager {
+  /**
+   * Проверить, является ли запись надгробием
+   */
+  isDeleted(record) {
+    return Boolean(record && record.deletedAt);
+  }
+
+  /**
+   * Оставить только действующие записи
+   */
+  live(records) {
+    return (records || []).filter(record => !this.isDeleted(record));
+  }
+
+  /**
+   * Создать надгробие для записи
+   * Дата записи (date/timestamp) сохраняется для сортировки и индексов
+   */
+  create(record, { deviceId, updatedAt = new Date().toISOString() }) {
+    const tombstone = {
+      id: record.id,
+      deletedAt: updatedAt,
+      updatedAt,
+      deviceId,
+      seenBy: [deviceId]
+    };
+    if (record.date) tombstone.date = record.date;
+    if (record.timestamp) tombstone.timestamp = record.timestamp;
+    if (record.schemaVersion) tombstone.schemaVersion = record.schemaVersion;
+    return tombstone;
+  }
+
+  /**
+   * Время последнего изменения записи
+   */
+  getTime(record) {
+    return Date.parse(record.updatedAt || record.deletedAt || record.timestamp || record.date) || 0;
+  }
+
+  /**
+   * Выбрать актуальную версию записи
+   * Побеждает более позднее изменение; при равном времени удаление важнее правки
+   */
+  pickNewer(current, incoming) {
+    if (this.isDeleted(current) && this.isDeleted(incoming)) {
+      const winner = this.getTime(incoming) > this.getTime(current) ? incoming : current;
+      return { ...winner, seenBy: this.unionSeenBy(current, incoming) };
+    }
+
+    const currentTime = this.getTime(current);
+    const incomingTime = this.getTime(incoming);
+
+    if (incomingTime > currentTime) return incoming;
+    if (incomingTime === currentTime && this.isDeleted(incoming)) return incoming;
+    return current;
+  }
+
+  /**
+   * Объединить списки устройств, видевших надгробие
+   */
+  unionSeenBy(a, b) {
+    return Array.from(new Set([...(a.seenBy || []), ...(b.seenBy || [])]));
+  }
+
+  /**
+   * Отметить, что устройство видело все надгробия
+   */
+  markSeen(records, deviceId) {
+    return records.map(record => {
+      if (!this.isDeleted(record) || (record.seenBy || []).includes(deviceId)) {
+        return record;
+      }
+      return { ...record, seenBy: [...(record.seenBy || []), deviceId] };
+    });
+  }
+
+  /**
+   * Объединить реестры устройств (по устройству сохраняется последняя синхронизация)
+   * @param {Object.<string, {lastSeenAt: string}>} local
+   * @param {Object.<string, {lastSeenAt: string}>} remote
+   */
+  mergeDevices(local = {}, remote = {}) {
+    const merged = { ...local };
+    Object.entries(remote).forEach(([deviceId, info]) => {
+      const existing = merged[deviceId];
+      if (!existing || Date.parse(info.lastSeenAt) > Date.parse(existing.lastSeenAt)) {
+        merged[deviceId] = info;
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Отметить синхронизацию устройства в реестре
+   */
+  touchDevice(devices, deviceId, now = new Date()) {
+    return { ...devices, [deviceId]: { lastSeenAt: now.toISOString() } };
+  }
+
+  /**
+   * Устройства, синхронизировавшиеся за последние DEVICE_EXPIRY_DAYS
+   */
+  getActiveDevices(devices, now = new Date()) {
+    const threshold = now.getTime() - TOMBSTONE_CONFIG.DEVICE_EXPIRY_DAYS * DAY_MS;
+    return Object.entries(devices || {})
+      .filter(([, info]) => Date.parse(info.lastSeenAt) >= threshold)
+      .map(([deviceId]) => deviceId);
+  }
+
+  /**
+   * Устройство не синхронизировалось дольше DEVICE_EXPIRY_DAYS (новое устройство не считается устаревшим)
+   */
+  isExpired(devices, deviceId, now = new Date()) {
+    const lastSeenAt = Date.parse(devices?.[deviceId]?.lastSeenAt);
+    return lastSeenAt < now.getTime() - TOMBSTONE_CONFIG.DEVICE_EXPIRY_DAYS * DAY_MS;
+  }
+
+  /**
+   * Заменить надгробиями записи, которые устройство уже синхронизировало (не новее since),
+   * но которых нет в полном удаленном документе: их удалили на другом устройстве, а надгробия уплотнены
+   * @param {Object[]} localRecords
+   * @param {Object[]} remoteRecords - Записи полного удаленного документа (снимок и журнал)
+   * @param {Object} options - deviceId, since (последняя синхронизация устройства), now
+   */
+  expireMissing(localRecords, remoteRecords, { deviceId, since, now = new Date() }) {
+    const remoteIds = new Set(remoteRecords.map(record => record.id));
+    const syncedBefore = Date.parse(since);
+    let expired = 0;
+
+    const records = localRecords.map(record => {
+      if (this.isDeleted(record) || remoteIds.has(record.id) || this.getTime(record) > syncedBefore) {
+        return record;
+      }
+      expired++;
+      return this.create(record, { deviceId, updatedAt: now.toISOString() });
+    });
+
+    if (expired > 0) {
+      logger.warn(`Removed ${expired} records deleted on other devices while this device was inactive`);
+    }
+    return records;
+  }
+
+  /**
+   * Удалить надгробия старше RETENTION_DAYS, которые видели все активные устройства
+   */
+  compact(records, devices, now = new Date()) {
+    const activeDevices = this.getActiveDevices(devices, now);
+    const threshold = now.getTime() - TOMBSTONE_CONFIG.RETENTION_DAYS * DAY_MS;
+
+    const compacted = records.filter(record => {
+      if (!this.isDeleted(record)) return true;
+      if (Date.parse(record.deletedAt) >= threshold) return true;
+
+      const seenBy = record.seenBy || [];
+      return !activeDevices.every(deviceId => seenBy.includes(deviceId));
+    });
+
+    const purged = records.length - compacted.length;
+    if (purged > 0) {
+      logger.info(`Purged ${purged} tombstones`);
+    }
+    return compacted;
+  }
+}
+
+// Создаем единственный экземпляр
+export const tombstones = new TombstoneManager();
@@ -0,0 +1,224 @@
+/**
+ * Провайдер синхронизации WebDAV (Nextcloud, ownCloud и другие серверы WebDAV)
+ *
+ * Настройки: config.webdavUrl (корень WebDAV, для Nextcloud — .../remote.php/dav/files/<user>),
+ * config.webdavUser и config.webdavPassword (для Nextcloud — пароль приложения).
+ * Ревизия файла — ETag из PROPFIND: заголовок ETag браузер часто не видит из-за CORS.
+ * Запросы выполняет общий httpClient; неожиданные статусы становятся типизированными ошибками.
+ */
+
+import { logger } from '../utils/logger.js';
+import { SyncProvider, RevisionMismatchError, syncProviders } from './sync-provider.js';
+import { httpClient, AuthError } from './http-client.js';
+
+const PROPFIND_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:getetag/>
+    <d:getlastmodified/>
+    <d:resourcetype/>
+  </d:prop>
+</d:propfind>`;
+
+class WebDavProvider extends SyncProvider {
+  constructor() {
+    super('webdav', 'WebDAV');
+    this.baseUrl = null;
+    this.authorization = null;
+    // Транспорт запросов; в тестах подменяется локальной заглушкой WebDAV
+    this.fetch = (...args) => fetch(...args);
+  }
+
+  /**
+   * Указан ли адрес сервера
+   */
+  hasSettings(config) {
+    return Boolean(config.webdavUrl);
+  }
+
+  /**
+   * Подготовить провайдер: адрес и учетные данные из конфигурации
+   */
+  async connect(config) {
+    if (!config.webdavUrl) {
+      throw new Error('WebDAV server URL is not configured');
+    }
+
+    this.baseUrl = config.webdavUrl.replace(/\/+$/, '');
+    this.authorization = config.webdavUser
+      ? `Basic ${btoa(String.fromCharCode(...new TextEncoder().encode(`${config.webdavUser}:${config.webdavPassword || ''}`)))}`
+      : null;
+  }
+
+  /**
+   * Список файлов и папок
+   */
+  async list(folder) {
+    const response = await this.request('PROPFIND', folder, { headers: { Depth: '1' }, body: PROPFIND_BODY, accept: [404] });
+    if (response.status === 404) return [];
+
+    const folderPath = `/${folder.split('/').filter(Boolean).join('/')}`;
+    const hrefPath = href => decodeURIComponent(new URL(href, this.baseUrl).pathname).replace(/\/+$/, '');
+    const selfPath = hrefPath(this.url(folderPath));
+
+    return this.parseMultistatus(await response.text())
+      // В ответе есть и сама папка
+      .filter(entry => hrefPath(entry.href) !== selfPath)
+      .map(entry => {
+        const name = hrefPath(entry.href).split('/').pop();
+        return {
+          name,
+          path: `${folderPath === '/' ? '' : folderPath}/${name}`,
+          isDirectory: entry.isDirectory,
+          revision: entry.isDirectory ? null : entry.etag
+        };
+      });
+  }
+
+  /**
+   * Прочитать JSON-файл
+   */
+  async read(path) {
+    const response = await this.request('GET', path, { accept: [404] });
+    if (response.status === 404) {
+      logger.warn('File not found:', path);
+      return null;
+    }
+    return response.json();
+  }
+
+  /**
+   * Записать JSON-файл (папки создаются при необходимости)
+   * Условная запись (options.revision) — заголовком If-Match / If-None-Match, ответ 412 — RevisionMismatchError
+   */
+  async write(path, data, { revision } = {}) {
+    await this.createFolders(path);
+    const response = await this.request('PUT', path, {
+      headers: { 'Content-Type': 'application/json', ...this.conditionHeaders(revision) },
+      body: JSON.stringify(data),
+      accept: [412]
+    });
+    if (response.status === 412) {
+      throw new RevisionMismatchError(path);
+    }
+    logger.success('File uploaded to WebDAV:', path);
+    return { success: true };
+  }
+
+  /**
+   * Прочитать файл как есть
+   */
+  async readBinary(path) {
+    const response = await this.request('GET', path, { accept: [404] });
+    if (response.status === 404) {
+      logger.warn('File not found:', path);
+      return null;
+    }
+    return response.blob();
+  }
+
+  /**
+   * Записать файл как есть (папки создаются при необходимости)
+   */
+  async writeBinary(path, data, contentType) {
+    await this.createFolders(path);
+    await this.request('PUT', path, { headers: { 'Content-Type': contentType }, body: data });
+    logger.success('File uploaded to WebDAV:', path);
+    return { success: true };
+  }
+
+  /**
+   * Создать папки пути файла
+   */
+  async createFolders(path) {
+    const { folders } = this.splitPath(path);
+    let folderPath = '';
+    for (const folder of folders) {
+      folderPath += `/${folder}`;
+      // 405 — папка уже существует
+      await this.request('MKCOL', folderPath, { accept: [405] });
+    }
+  }
+
+  /**
+   * Заголовки условной записи: ревизия — ETag или дата изменения (см. revision)
+   */
+  conditionHeaders(revision) {
+    if (revision === undefined) return {};
+    if (revision === null) return { 'If-None-Match': '*' };
+    return /^(W\/)?"/.test(revision) ? { 'If-Match': revision } : { 'If-Unmodified-Since': revision };
+  }
+
+  /**
+   * Удалить файл
+   */
+  async remove(path) {
+    // 404 — файл уже удален
+    await this.request('DELETE', path, { accept: [404] });
+    return { success: true };
+  }
+
+  /**
+   * Ревизия файла: ETag (или дата изменения, если сервер не отдает ETag)
+   */
+  async revision(path) {
+    const response = await this.request('PROPFIND', path, { headers: { Depth: '0' }, body: PROPFIND_BODY, accept: [404] });
+    if (response.status === 404) return null;
+
+    const [entry] = this.parseMultistatus(await response.text());
+    return entry ? entry.etag || entry.lastModified : null;
+  }
+
+  /**
+   * Запрос к серверу WebDAV
+   * @param {Object} [options] - headers, body и accept (ожидаемые статусы ошибок)
+   * @throws {AuthError} Ответ 401/403 (передается в syncProviders.reportAuthError)
+   */
+  async request(method, path, { headers = {}, body = undefined, accept = [] } = {}) {
+    if (!this.baseUrl) {
+      throw new Error('WebDAV provider is not connected');
+    }
+
+    logger.api(method, `WebDAV: ${path}`);
+    const requestHeaders = { ...headers };
+    if (this.authorization) {
+      requestHeaders.Authorization = this.authorization;
+    }
+    if (body !== undefined && method === 'PROPFIND') {
+      requestHeaders['Content-Type'] = 'application/xml; charset=utf-8';
+    }
+
+    try {
+      return await httpClient.request(this.url(path), { method, headers: requestHeaders, body, accept, service: this.id, transport: this.fetch });
+    } catch (error) {
+      throw error instanceof AuthError ? syncProviders.reportAuthError(error) : error;
+    }
+  }
+
+  /**
+   * Адрес ресурса на сервере
+   */
+  url(path) {
+    return this.baseUrl + path.split('/').map(encodeURIComponent).join('/');
+  }
+
+  /**
+   * Разобрать ответ PROPFIND (207 Multi-Status)
+   * Регулярные выражения вместо DOMParser: его нет в service worker
+   * @returns {Array<{href: string, etag: string|null, lastModified: string|null, isDirectory: boolean}>}
+   */
+  parseMultistatus(xml) {
+    const tag = name => new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, 'i');
+    const responses = xml.match(/<(?:[\w-]+:)?response\b[^>]*>[\s\S]*?<\/(?:[\w-]+:)?response>/gi) || [];
+
+    return responses.map(block => ({
+      href: (block.match(tag('href')) || [])[1]?.trim() || '',
+      etag: (block.match(tag('getetag')) || [])[1]?.trim().replace(/&quot;/g, '"') || null,
+      lastModified: (block.match(tag('getlastmodified')) || [])[1]?.trim() || null,
+      isDirectory: /<(?:[\w-]+:)?collection\b/i.test(block)
+    }));
+  }
+}
+
+// Создаем единственный экземпляр
+export const webdavProvider = new WebDavProvider();
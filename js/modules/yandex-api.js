@@ -1,15 +1,30 @@
 /**
  * Модуль для работы с Yandex.Disk API
+ * Провайдер синхронизации по умолчанию (SyncProvider 'yandex')
+ *
+ * Токен получается по OAuth implicit flow: параметр state защищает от подмены ответа (CSRF),
+ * срок действия (expires_in) хранится в config.yandexTokenExpiresAt. Запросы выполняет общий
+ * httpClient (время ожидания, повтор 429, типизированные ошибки); AuthError запросов с токеном
+ * передается в syncProviders.reportAuthError (очередь изменений приостанавливается до повторного входа).
  */
 
 import { logger } from '../utils/logger.js';
-import { API_CONFIG } from './config.js';
+import { API_CONFIG, AUTH_CONFIG, HTTP_CONFIG, SCHEMA_VERSION } from './config.js';
+import { schema, SchemaVersionError } from './schema.js';
+import { SyncProvider, syncProviders } from './sync-provider.js';
+import { httpClient, AuthError } from './http-client.js';
+import { encryption } from './encryption.js';
 
-class YandexAPI {
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class YandexAPI extends SyncProvider {
   constructor() {
+    super('yandex', 'Яндекс.Диск');
     this.token = null;
     this.userInfo = null;
     this.isAuthenticated = false;
+    // Транспорт запросов; в тестах подменяется локальной заглушкой Disk REST API
+    this.fetch = (...args) => fetch(...args);
   }
 
   /**
@@ -21,14 +36,199 @@ class YandexAPI {
     logger.info('YandexAPI initialized with token');
   }
 
+  /**
+   * Запрос к API с токеном
+   * @param {Object} [options] - Параметры httpClient.request (accept — ожидаемые статусы ошибок)
+   * @throws {AuthError} Ответ 401/403
+   */
+  async request(url, options = {}) {
+    if (!this.token) {
+      throw new Error('No token provided');
+    }
+
+    try {
+      return await httpClient.request(url, {
+        ...options,
+        service: this.id,
+        transport: this.fetch,
+        headers: { ...options.headers, 'Authorization': `OAuth ${this.token}` }
+      });
+    } catch (error) {
+      throw error instanceof AuthError ? this.authFailed(error) : error;
+    }
+  }
+
+  /**
+   * Загрузка или скачивание по ссылке, выданной API (ссылка подписана, токен не нужен)
+   */
+  transfer(url, options = {}) {
+    return httpClient.request(url, { ...options, service: this.id, transport: this.fetch, timeout: HTTP_CONFIG.TRANSFER_TIMEOUT_MS });
+  }
+
+  /**
+   * Токен больше не действует: сбрасываем состояние и оповещаем подписчиков реестра провайдеров
+   */
+  authFailed(error) {
+    this.isAuthenticated = false;
+    return syncProviders.reportAuthError(error);
+  }
+
+  /**
+   * Состояние токена по конфигурации (без обращения к сети)
+   * @returns {{state: 'missing'|'valid'|'expiring'|'expired'|'unknown', expiresAt: string|null, daysLeft: number|null}}
+   * 'unknown' — срок действия не известен (токен получен до его сохранения)
+   */
+  getTokenStatus(config, now = Date.now()) {
+    const expiresAt = config.yandexTokenExpiresAt || null;
+    if (!config.yandexToken) return { state: 'missing', expiresAt: null, daysLeft: null };
+    if (!expiresAt) return { state: 'unknown', expiresAt, daysLeft: null };
+
+    const left = Date.parse(expiresAt) - now;
+    const daysLeft = Math.max(0, Math.floor(left / DAY_MS));
+    if (left <= 0) return { state: 'expired', expiresAt, daysLeft };
+    return { state: left <= AUTH_CONFIG.EXPIRY_WARNING_DAYS * DAY_MS ? 'expiring' : 'valid', expiresAt, daysLeft };
+  }
+
+  /**
+   * Настроен ли токен Яндекс.Диска
+   */
+  hasSettings(config) {
+    return Boolean(config.yandexToken);
+  }
+
+  /**
+   * Подготовить провайдер: токен из конфигурации
+   */
+  async connect(config) {
+    if (!config.yandexToken) {
+      throw new Error('Yandex.Disk token is not configured');
+    }
+    // Заведомо истекший токен не отправляем
+    if (this.getTokenStatus(config).state === 'expired') {
+      throw this.authFailed(new AuthError(this.id, 'expired'));
+    }
+    if (this.token !== config.yandexToken) {
+      this.init(config.yandexToken);
+    }
+  }
+
+  /**
+   * Список файлов и папок
+   */
+  async list(folder) {
+    if (!this.token) {
+      throw new Error('No token provided');
+    }
+
+    try {
+      logger.api('GET', `List folder: ${folder}`);
+
+      const fields = ['name', 'path', 'type', 'revision', 'md5', 'modified'].map(field => `_embedded.items.${field}`).join(',');
+      const response = await this.request(`${API_CONFIG.YANDEX_DISK_API}/resources?path=${encodeURIComponent(folder)}&limit=1000&fields=${fields}`, { accept: [404] });
+
+      if (response.status === 404) {
+        return [];
+      }
+
+      const info = await response.json();
+      return (info._embedded?.items || []).map(item => ({
+        name: item.name,
+        path: item.path.replace(/^disk:/, ''),
+        isDirectory: item.type === 'dir',
+        revision: item.type === 'dir' ? null : [item.revision ?? '', item.md5 ?? '', item.modified ?? ''].join(':')
+      }));
+    } catch (error) {
+      logger.error('Failed to list folder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Прочитать JSON-файл
+   */
+  async read(path) {
+    return this.downloadFile(path);
+  }
+
+  /**
+   * Записать JSON-файл (папки создаются при необходимости)
+   */
+  async write(path, data, { revision } = {}) {
+    await this.createFolders(path);
+    // API загрузки не поддерживает условные запросы
+    await this.checkRevision(path, revision);
+    return this.uploadFile(path, JSON.stringify(data));
+  }
+
+  /**
+   * Прочитать файл как есть
+   */
+  async readBinary(path) {
+    const response = await this.fetchFile(path);
+    return response ? response.blob() : null;
+  }
+
+  /**
+   * Записать файл как есть (папки создаются при необходимости)
+   */
+  async writeBinary(path, data, contentType) {
+    await this.createFolders(path);
+    return this.uploadFile(path, data, contentType);
+  }
+
+  /**
+   * Создать папки пути файла
+   */
+  async createFolders(path) {
+    const { folders } = this.splitPath(path);
+    let folderPath = '';
+    for (const folder of folders) {
+      folderPath += `/${folder}`;
+      await this.createFolder(folderPath);
+    }
+  }
+
+  /**
+   * Удалить файл без помещения в корзину
+   */
+  async remove(path) {
+    if (!this.token) {
+      throw new Error('No token provided');
+    }
+
+    try {
+      logger.api('DELETE', `Remove: ${path}`);
+
+      // 404 — файл уже удален
+      await this.request(`${API_CONFIG.YANDEX_DISK_API}/resources?path=${encodeURIComponent(path)}&permanently=true`, { method: 'DELETE', accept: [404] });
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to remove file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ревизия файла (SyncProvider)
+   */
+  async revision(path) {
+    return this.getRevision(path);
+  }
+
   /**
    * Получить URL для OAuth авторизации
    */
   getOAuthUrl() {
+    // Случайный state запоминается до возврата с oauth.yandex.ru и сверяется в handleOAuthCallback
+    const state = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+    sessionStorage.setItem(AUTH_CONFIG.STATE_KEY, state);
+
     const params = new URLSearchParams({
       response_type: 'token',
       client_id: API_CONFIG.CLIENT_ID,
-      redirect_uri: window.location.origin + window.location.pathname
+      redirect_uri: window.location.origin + window.location.pathname,
+      state
     });
 
     return `${API_CONFIG.YANDEX_OAUTH_URL}?${params.toString()}`;
@@ -36,24 +236,38 @@ class YandexAPI {
 
   /**
    * Обработка OAuth callback
+   * Токен принимается, только если state совпадает с выданным этой вкладкой (защита от CSRF)
+   * @returns {{success: boolean, token?: string, expiresAt?: string|null, error?: string}}
    */
   handleOAuthCallback() {
     const hash = window.location.hash.substring(1);
     const params = new URLSearchParams(hash);
     const accessToken = params.get('access_token');
+    const error = params.get('error');
 
-    if (accessToken) {
-      this.token = accessToken;
-      this.isAuthenticated = true;
-      
-      // Очищаем URL от токена
-      window.history.replaceState({}, document.title, window.location.pathname);
-      
-      logger.success('OAuth authentication successful');
-      return { success: true, token: accessToken };
+    if (!accessToken && !error) {
+      return { success: false, error: 'No access token found' };
+    }
+
+    const expectedState = sessionStorage.getItem(AUTH_CONFIG.STATE_KEY);
+    sessionStorage.removeItem(AUTH_CONFIG.STATE_KEY);
+    // Очищаем URL от токена
+    window.history.replaceState({}, document.title, window.location.pathname);
+
+    if (!expectedState || params.get('state') !== expectedState) {
+      logger.warn('OAuth callback rejected: state mismatch');
+      return { success: false, error: 'Invalid OAuth state' };
+    }
+    if (error) {
+      return { success: false, error: params.get('error_description') || error };
     }
 
-    return { success: false, error: 'No access token found' };
+    const expiresIn = Number(params.get('expires_in'));
+    const expiresAt = expiresIn > 0 ? new Date(Date.now() + expiresIn * 1000).toISOString() : null;
+    this.init(accessToken);
+
+    logger.success('OAuth authentication successful');
+    return { success: true, token: accessToken, expiresAt };
   }
 
   /**
@@ -67,15 +281,7 @@ class YandexAPI {
     try {
       logger.api('GET', 'Yandex user info');
       
-      const response = await fetch('https://login.yandex.ru/info', {
-        headers: {
-          'Authorization': `OAuth ${this.token}`
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      const response = await this.request('https://login.yandex.ru/info');
 
       const userInfo = await response.json();
       this.userInfo = userInfo;
@@ -99,15 +305,7 @@ class YandexAPI {
     try {
       logger.api('GET', 'Yandex disk info');
       
-      const response = await fetch(`${API_CONFIG.YANDEX_DISK_API}/resources`, {
-        headers: {
-          'Authorization': `OAuth ${this.token}`
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      const response = await this.request(`${API_CONFIG.YANDEX_DISK_API}/resources`);
 
       const diskInfo = await response.json();
       logger.success('Disk info retrieved');
@@ -129,15 +327,15 @@ class YandexAPI {
     try {
       logger.api('PUT', `Create folder: ${path}`);
       
-      const response = await fetch(`${API_CONFIG.YANDEX_DISK_API}/resources?path=${encodeURIComponent(path)}`, {
+      const response = await this.request(`${API_CONFIG.YANDEX_DISK_API}/resources?path=${encodeURIComponent(path)}`, {
         method: 'PUT',
         headers: {
-          'Authorization': `OAuth ${this.token}`,
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
           path: path
-        })
+        }),
+        accept: [409]
       });
 
       if (response.status === 409) {
@@ -146,10 +344,6 @@ class YandexAPI {
         return { success: true, exists: true };
       }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
       logger.success('Folder created:', path);
       return { success: true, exists: false };
     } catch (error) {
@@ -158,6 +352,42 @@ class YandexAPI {
     }
   }
 
+  /**
+   * Получить метаданные ресурса (md5, modified, revision)
+   * @returns {Promise<Object|null>} null, если ресурс не найден
+   */
+  async getResourceInfo(path) {
+    if (!this.token) {
+      throw new Error('No token provided');
+    }
+
+    try {
+      logger.api('GET', `Resource info: ${path}`);
+
+      const fields = 'md5,modified,revision,size';
+      const response = await this.request(`${API_CONFIG.YANDEX_DISK_API}/resources?path=${encodeURIComponent(path)}&fields=${fields}`, { accept: [404] });
+
+      if (response.status === 404) {
+        return null;
+      }
+
+      return await response.json();
+    } catch (error) {
+      logger.error('Failed to get resource info:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Получить ревизию файла для оптимистичной блокировки
+   * Меняется при каждой записи файла; null — файла нет
+   */
+  async getRevision(path) {
+    const info = await this.getResourceInfo(path);
+    if (!info) return null;
+    return [info.revision ?? '', info.md5 ?? '', info.modified ?? ''].join(':');
+  }
+
   /**
    * Загрузить файл
    */
@@ -170,15 +400,7 @@ class YandexAPI {
       logger.api('PUT', `Upload file: ${path}`);
       
       // Сначала получаем URL для загрузки
-      const uploadUrlResponse = await fetch(`${API_CONFIG.YANDEX_DISK_API}/resources/upload?path=${encodeURIComponent(path)}&overwrite=true`, {
-        headers: {
-          'Authorization': `OAuth ${this.token}`
-        }
-      });
-
-      if (!uploadUrlResponse.ok) {
-        throw new Error(`Failed to get upload URL: HTTP ${uploadUrlResponse.status}`);
-      }
+      const uploadUrlResponse = await this.request(`${API_CONFIG.YANDEX_DISK_API}/resources/upload?path=${encodeURIComponent(path)}&overwrite=true`);
 
       const uploadInfo = await uploadUrlResponse.json();
       
@@ -187,7 +409,7 @@ class YandexAPI {
       }
 
       // Загружаем файл
-      const uploadResponse = await fetch(uploadInfo.href, {
+      await this.transfer(uploadInfo.href, {
         method: 'PUT',
         headers: {
           'Content-Type': contentType
@@ -195,10 +417,6 @@ class YandexAPI {
         body: data
       });
 
-      if (!uploadResponse.ok) {
-        throw new Error(`Upload failed: HTTP ${uploadResponse.status}`);
-      }
-
       logger.success('File uploaded successfully:', path);
       return { success: true };
     } catch (error) {
@@ -211,6 +429,19 @@ class YandexAPI {
    * Скачать файл
    */
   async downloadFile(path) {
+    const response = await this.fetchFile(path);
+    if (!response) return null;
+
+    const fileData = await response.json();
+    logger.success('File downloaded successfully:', path);
+    return fileData;
+  }
+
+  /**
+   * Ответ с содержимым файла
+   * @returns {Promise<Response|null>} null, если файла нет
+   */
+  async fetchFile(path) {
     if (!this.token) {
       throw new Error('No token provided');
     }
@@ -218,18 +449,11 @@ class YandexAPI {
     try {
       logger.api('GET', `Download file: ${path}`);
       
-      const response = await fetch(`${API_CONFIG.YANDEX_DISK_API}/resources/download?path=${encodeURIComponent(path)}`, {
-        headers: {
-          'Authorization': `OAuth ${this.token}`
-        }
-      });
+      const response = await this.request(`${API_CONFIG.YANDEX_DISK_API}/resources/download?path=${encodeURIComponent(path)}`, { accept: [404] });
 
-      if (!response.ok) {
-        if (response.status === 404) {
-          logger.warn('File not found:', path);
-          return null;
-        }
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      if (response.status === 404) {
+        logger.warn('File not found:', path);
+        return null;
       }
 
       const downloadInfo = await response.json();
@@ -239,15 +463,7 @@ class YandexAPI {
       }
 
       // Скачиваем файл
-      const fileResponse = await fetch(downloadInfo.href);
-      
-      if (!fileResponse.ok) {
-        throw new Error(`File download failed: HTTP ${fileResponse.status}`);
-      }
-
-      const fileData = await fileResponse.json();
-      logger.success('File downloaded successfully:', path);
-      return fileData;
+      return await this.transfer(downloadInfo.href);
     } catch (error) {
       logger.error('Failed to download file:', error);
       throw error;
@@ -256,6 +472,7 @@ class YandexAPI {
 
   /**
    * Синхронизировать данные
+   * Файл, записанный более новой версией схемы, не перезаписывается (SchemaVersionError)
    */
   async syncData(localData, remotePath) {
     if (!this.token) {
@@ -265,13 +482,13 @@ class YandexAPI {
     try {
       logger.info('Starting data synchronization...');
       
-      // Создаем папку если нужно
-      const folderPath = remotePath.substring(0, remotePath.lastIndexOf('/'));
-      await this.createFolder(folderPath);
+      // Проверяем версию схемы удаленного файла
+      const remoteData = await encryption.decryptDocument(await this.downloadFile(remotePath));
+      if (remoteData && schema.isNewer(remoteData)) {
+        throw new SchemaVersionError(schema.getVersion(remoteData));
+      }
 
-      // Загружаем данные на диск
-      const jsonData = JSON.stringify(localData, null, 2);
-      await this.uploadFile(remotePath, jsonData);
+      await this.saveData(remotePath, localData);
 
       logger.success('Data synchronized successfully');
       return { success: true };
@@ -281,6 +498,13 @@ class YandexAPI {
     }
   }
 
+  /**
+   * Записать документ данных на диск (папка создается при необходимости; шифруется, если включено шифрование)
+   */
+  async saveData(remotePath, data) {
+    return this.write(remotePath, await encryption.encryptDocument({ ...data, schemaVersion: SCHEMA_VERSION }));
+  }
+
   /**
    * Загрузить данные с диска
    */
@@ -299,141 +523,17 @@ class YandexAPI {
         return null;
       }
 
+      // Обновляем старые версии схемы, более новые отклоняем
+      const migrated = schema.migrateDocument(await encryption.decryptDocument(data));
+
       logger.success('Data loaded from disk successfully');
-      return data;
+      return migrated;
     } catch (error) {
       logger.error('Failed to load data from disk:', error);
       throw error;
     }
   }
 
-  /**
-   * Объединить данные (локальные + удаленные)
-   */
-  mergeData(localData, remoteData) {
-    try {
-      logger.info('Merging local and remote data...');
-      
-      if (!remoteData) {
-        logger.info('No remote data, using local data');
-        return localData;
-      }
-
-      if (!localData) {
-        logger.info('No local data, using remote data');
-        return remoteData;
-      }
-
-      // Объединяем тренировки
-      const mergedWorkouts = this.mergeWorkouts(localData.workouts || [], remoteData.workouts || []);
-      
-      // Объединяем недавние упражнения
-      const mergedRecentExercises = this.mergeRecentExercises(
-        localData.recentExercises || [], 
-        remoteData.recentExercises || []
-      );
-
-      // Объединяем анализы тела
-      const mergedBodyAnalyses = this.mergeBodyAnalyses(
-        localData.bodyAnalyses || [], 
-        remoteData.bodyAnalyses || []
-      );
-
-      const mergedData = {
-        workouts: mergedWorkouts,
-        recentExercises: mergedRecentExercises,
-        bodyAnalyses: mergedBodyAnalyses
-      };
-
-      logger.success('Data merged successfully');
-      return mergedData;
-    } catch (error) {
-      logger.error('Failed to merge data:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Объединить тренировки
-   */
-  mergeWorkouts(localWorkouts, remoteWorkouts) {
-    const workoutMap = new Map();
-
-    // Добавляем локальные тренировки
-    localWorkouts.forEach(workout => {
-      workoutMap.set(workout.id, workout);
-    });
-
-    // Объединяем с удаленными тренировками
-    remoteWorkouts.forEach(workout => {
-      const existing = workoutMap.get(workout.id);
-      
-      if (!existing) {
-        // Новая тренировка
-        workoutMap.set(workout.id, workout);
-      } else {
-        // Объединяем по времени обновления
-        const existingDate = new Date(existing.updatedAt || existing.date);
-        const remoteDate = new Date(workout.updatedAt || workout.date);
-        
-        if (remoteDate > existingDate) {
-          workoutMap.set(workout.id, workout);
-        }
-      }
-    });
-
-    return Array.from(workoutMap.values()).sort((a, b) => 
-      new Date(b.date) - new Date(a.date)
-    );
-  }
-
-  /**
-   * Объединить недавние упражнения
-   */
-  mergeRecentExercises(localRecent, remoteRecent) {
-    const exerciseSet = new Set();
-    
-    // Добавляем все упражнения
-    [...localRecent, ...remoteRecent].forEach(exercise => {
-      exerciseSet.add(exercise);
-    });
-
-    return Array.from(exerciseSet).slice(0, 10);
-  }
-
-  /**
-   * Объединить анализы тела
-   */
-  mergeBodyAnalyses(localAnalyses, remoteAnalyses) {
-    const analysisMap = new Map();
-
-    // Добавляем локальные анализы
-    localAnalyses.forEach(analysis => {
-      analysisMap.set(analysis.id, analysis);
-    });
-
-    // Объединяем с удаленными анализами
-    remoteAnalyses.forEach(analysis => {
-      const existing = analysisMap.get(analysis.id);
-      
-      if (!existing) {
-        analysisMap.set(analysis.id, analysis);
-      } else {
-        // Объединяем по времени
-        const existingDate = new Date(existing.timestamp);
-        const remoteDate = new Date(analysis.timestamp);
-        
-        if (remoteDate > existingDate) {
-          analysisMap.set(analysis.id, analysis);
-        }
-      }
-    });
-
-    return Array.from(analysisMap.values()).sort((a, b) => 
-      new Date(b.timestamp) - new Date(a.timestamp)
-    );
-  }
-
   /**
    * Проверить подключение
    */
@@ -453,6 +553,7 @@ class YandexAPI {
    * Выйти из аккаунта
    */
   logout() {
+    httpClient.cancel(this.id);
     this.token = null;
     this.userInfo = null;
     this.isAuthenticated = false;
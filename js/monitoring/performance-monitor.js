@@ -6,6 +6,8 @@
  * @author MyFitness App Team
  */
 
+import { httpClient } from '../modules/http-client.js';
+
 class PerformanceMonitor {
   constructor() {
     this.metrics = {
@@ -27,6 +29,7 @@ class PerformanceMonitor {
     };
     
     this.observers = [];
+    this.detachAPIMonitoring = null;
     this.isInitialized = false;
   }
 
@@ -123,44 +126,23 @@ class PerformanceMonitor {
 
   /**
    * Настройка мониторинга API вызовов
+   * Запросы к внешним сервисам идут через общий HTTP-клиент, поэтому глобальный fetch не подменяется
    */
   setupAPIMonitoring() {
-    // Перехват fetch запросов
-    const originalFetch = window.fetch;
-    window.fetch = async (...args) => {
-      const startTime = performance.now();
-      const url = args[0];
-      
-      try {
-        const response = await originalFetch(...args);
-        const endTime = performance.now();
-        
-        this.recordAPICall({
-          url: url,
-          method: args[1]?.method || 'GET',
-          status: response.status,
-          duration: endTime - startTime,
-          timestamp: Date.now(),
-          success: response.ok
-        });
-        
-        return response;
-      } catch (error) {
-        const endTime = performance.now();
-        
-        this.recordAPICall({
-          url: url,
-          method: args[1]?.method || 'GET',
-          status: 0,
-          duration: endTime - startTime,
-          timestamp: Date.now(),
-          success: false,
-          error: error.message
-        });
-        
-        throw error;
-      }
+    const record = (info) => {
+      this.recordAPICall({
+        url: info.url,
+        service: info.service,
+        method: info.method,
+        status: info.status,
+        duration: info.duration,
+        timestamp: Date.now(),
+        success: info.ok,
+        error: info.error?.message
+      });
     };
+
+    this.detachAPIMonitoring = httpClient.use({ onResponse: record, onError: record });
   }
 
   /**
@@ -3,12 +3,36 @@
  */
 
 import { logger } from './utils/logger.js';
-import { storage } from './modules/storage.js';
+import { storage, StorageManager } from './modules/storage.js';
+import { schema, RECORD_TYPES, SchemaVersionError } from './modules/schema.js';
 import { exerciseManager } from './modules/exercises.js';
+import { exerciseCatalog, ExerciseCatalog, DuplicateExerciseError } from './modules/exercise-catalog.js';
 import { yandexAPI } from './modules/yandex-api.js';
+import { tombstones } from './modules/tombstones.js';
+import { IndexedDBBackend } from './modules/idb-backend.js';
+import { syncEngine, SyncEngine } from './modules/sync-engine.js';
+import { SyncProvider, RevisionMismatchError, syncProviders } from './modules/sync-provider.js';
+import { httpClient, AuthError, NotFoundError, QuotaError, NetworkError } from './modules/http-client.js';
+import { syncMerge } from './modules/sync-merge.js';
+import { syncJournal } from './modules/sync-journal.js';
+import { webdavProvider } from './modules/webdav-provider.js';
+import { localFolderProvider } from './modules/local-folder-provider.js';
+import { encryption, WrongPassphraseError, PassphraseRequiredError } from './modules/encryption.js';
+import { backupManager } from './modules/backups.js';
+import { programManager } from './modules/programs.js';
+import { programLibrary } from './modules/program-library.js';
+import { recommendationEngine } from './modules/recommendations.js';
+import { outbox } from './modules/outbox.js';
+import { conflictManager, RESOLUTIONS } from './modules/conflicts.js';
 import { aiService } from './modules/ai-service.js';
 import { validator } from './utils/validator.js';
 import { dom } from './utils/dom.js';
+import { workoutForm } from './components/workout-form.js';
+import { bodyAnalysisManager } from './modules/body-analysis-manager.js';
+import { SettingsManager } from './modules/settings-manager.js';
+import { STORAGE_KEYS, IDB_CONFIG, SCHEMA_VERSION, TOMBSTONE_CONFIG, OUTBOX_CONFIG, JOURNAL_CONFIG, AUTH_CONFIG, HTTP_CONFIG, EXERCISE_GROUPS, MUSCLE_WEIGHTS } from './modules/config.js';
+import { FakeWebDavServer } from './tests/fake-webdav-server.js';
+import { FakeDirectoryHandle } from './tests/fake-directory-handle.js';
 
 class ModuleTester {
   constructor() {
@@ -23,9 +47,24 @@ class ModuleTester {
     
     try {
       await this.testStorage();
+      await this.testSchemaMigrations();
+      await this.testWorkoutCrud();
+      await this.testTombstones();
+      await this.testSyncEngine();
+      await this.testSyncProviders();
+      await this.testSyncJournal();
+      await this.testOutbox();
+      await this.testConflicts();
+      await this.testEncryption();
+      await this.testBackups();
       await this.testExerciseManager();
+      await this.testExerciseCatalog();
+      await this.testPrograms();
+      await this.testRecommendations();
       await this.testValidator();
       await this.testDOMUtils();
+      await this.testSettings();
+      await this.testHttpClient();
       await this.testYandexAPI();
       await this.testAIService();
       
@@ -41,18 +80,19 @@ class ModuleTester {
   async testStorage() {
     logger.info('Testing storage module...');
     
+    const store = await this.createTestStorage('storage');
     try {
       // Тест загрузки конфигурации
-      const config = storage.loadConfig();
+      const config = await store.loadConfig();
       this.assert(config, 'Config loaded successfully');
       
       // Тест сохранения конфигурации
       const testConfig = { testField: 'testValue' };
-      const saveResult = storage.saveConfig(testConfig);
+      const saveResult = await store.saveConfig(testConfig);
       this.assert(saveResult, 'Config saved successfully');
       
       // Тест работы с тренировками
-      const workouts = storage.loadWorkouts();
+      const workouts = await store.loadWorkouts();
       this.assert(Array.isArray(workouts), 'Workouts loaded as array');
       
       // Тест добавления тренировки
@@ -62,13 +102,749 @@ class ModuleTester {
           sets: [{ weight: 50, reps: 10 }]
         }]
       };
-      const addResult = storage.addWorkout(testWorkout);
+      const addResult = await store.addWorkout(testWorkout);
       this.assert(addResult, 'Workout added successfully');
       
+      // Тест хранения фото анализа в отдельном хранилище
+      await store.addBodyAnalysis({ bodyFatPercentage: 15, photo: 'data:image/jpeg;base64,AAAA' });
+      const analyses = await store.loadBodyAnalyses();
+      const withPhoto = analyses.find(a => a.photoId);
+      this.assert(withPhoto && !withPhoto.photo, 'Analysis photo moved to photos store');
+      const photo = await store.loadPhoto(withPhoto?.photoId);
+      this.assert(photo?.dataUrl === 'data:image/jpeg;base64,AAAA', 'Analysis photo loaded by id');
+      const exported = JSON.parse(await store.exportData()).bodyAnalyses.find(a => a.id === withPhoto?.id);
+      this.assert(exported?.photo === 'data:image/jpeg;base64,AAAA' && !exported.photoId, 'Analysis photo included in export');
+
+      // ID устройства общий со встроенным кодом index.html
+      this.assert(store.getDeviceId() === localStorage.getItem(STORAGE_KEYS.DEVICE_ID) && STORAGE_KEYS.DEVICE_ID === 'myfitness_device_id', 'Device id shared with page scripts');
+
       logger.success('Storage tests completed');
     } catch (error) {
       logger.error('Storage test failed:', error);
       this.testResults.push({ module: 'Storage', success: false, error: error.message });
+    } finally {
+      await store.backend.destroy();
+    }
+  }
+
+  /**
+   * Тест миграций схемы данных
+   */
+  async testSchemaMigrations() {
+    logger.info('Testing schema migrations...');
+    
+    try {
+      // Старая тренировка: без группы, с null весом, без cycle/week/session
+      const legacyWorkout = {
+        id: 'legacy-1',
+        date: '2024-01-01T10:00:00.000Z',
+        exercises: [{ exercise: 'Жим лежа', sets: [{ weight: null, reps: 8 }] }]
+      };
+      const migrated = schema.migrate(RECORD_TYPES.WORKOUT, legacyWorkout);
+      this.assert(migrated.schemaVersion === SCHEMA_VERSION, 'Workout stamped with current schema version');
+      this.assert(migrated.exercises[0].group === 'Грудь', 'Missing group restored from catalog');
+      this.assert(migrated.exercises[0].sets[0].weight === 0, 'Null weight migrated to 0');
+      this.assert('cycle' in migrated && migrated.week === null, 'Cycle/week/session fields added');
+      this.assert(migrated.exercises[0].exerciseId === 'bench-press', 'Exercise id added from catalog');
+      
+      // Старый формат файла синхронизации — массив тренировок
+      const doc = schema.migrateDocument([legacyWorkout]);
+      this.assert(doc.workouts.length === 1 && doc.schemaVersion === SCHEMA_VERSION, 'Legacy array document migrated');
+      const legacyExport = schema.migrateDocument({ programs: { templates: [{ id: 'legacy-program' }], active: { templateId: 'legacy-program', cycle: 1 } } });
+      this.assert(legacyExport.programs.length === 2 && legacyExport.programs[1].active.templateId === 'legacy-program', 'Legacy exported programs converted to records');
+      
+      // Данные более новой схемы отклоняются
+      let rejected = false;
+      try {
+        schema.migrateDocument({ schemaVersion: SCHEMA_VERSION + 1, workouts: [] });
+      } catch (error) {
+        rejected = error instanceof SchemaVersionError;
+      }
+      this.assert(rejected, 'Newer schema document rejected');
+      
+      logger.success('Schema migration tests completed');
+    } catch (error) {
+      logger.error('Schema migration test failed:', error);
+      this.testResults.push({ module: 'Schema', success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Тест редактирования, копирования и удаления тренировок
+   */
+  async testWorkoutCrud() {
+    logger.info('Testing workout CRUD...');
+    
+    const store = await this.createTestStorage('crud');
+    try {
+      await store.addWorkout({
+        date: '2024-02-01T10:00:00.000Z',
+        exercises: [{ exercise: 'CRUD Exercise', sets: [{ weight: 50, reps: 10 }] }]
+      });
+      const original = (await store.loadWorkouts()).find(w => w.exercises[0]?.exercise === 'CRUD Exercise');
+      this.assert(original?.date === '2024-02-01T10:00:00.000Z', 'Workout date from entry form kept');
+      this.assert(original.exercises[0].exerciseId && original.schemaVersion === SCHEMA_VERSION, 'New workout normalized by schema migrations');
+
+      // Новая запись проходит те же нормализаторы, что и старые данные
+      await store.addWorkout({ exercises: [{ exercise: 'Жим лежа', sets: [{ weight: null, reps: '8' }] }] });
+      const normalized = (await store.loadWorkouts()).find(w => w.exercises[0]?.sets[0]?.reps === 8 && w.exercises[0].sets[0].weight === 0);
+      this.assert(normalized?.exercises[0].group === 'Грудь' && normalized.exercises[0].exerciseId === 'bench-press', 'Missing group and exercise id filled on add');
+
+      // Исправляем опечатку в подходе
+      const updated = await store.updateWorkout(original.id, {
+        exercises: [{ exercise: 'CRUD Exercise', sets: [{ weight: 55, reps: 10 }] }]
+      });
+      this.assert(updated?.exercises[0].sets[0].weight === 55, 'Workout updated');
+      this.assert(new Date(updated.updatedAt) > new Date(original.updatedAt), 'updatedAt bumped on update');
+      
+      // Слияние с удаленной (старой) версией оставляет изменение
+      const merged = syncMerge.mergeWorkouts([updated], [original]);
+      this.assert(merged[0].exercises[0].sets[0].weight === 55, 'Merge keeps edited workout');
+      
+      const copy = await store.duplicateWorkout(original.id, '2024-03-01T10:00:00.000Z');
+      this.assert(copy && copy.id !== original.id && copy.date === '2024-03-01T10:00:00.000Z', 'Workout duplicated with new id and date');
+      
+      // Повтор: последняя тренировка с тем же циклом и номером тренировки на следующей неделе
+      const sessionWorkout = await store.addWorkout({ date: '2024-02-20T10:00:00.000Z', cycle: 7, week: 2, session: 3, exercises: [{ exercise: 'CRUD Exercise', sets: [{ weight: 50, reps: 10 }] }] });
+      const repeated = await store.repeatWorkout({ cycle: 7, session: 3 }, '2024-02-27T10:00:00.000Z');
+      this.assert(repeated && repeated.id !== sessionWorkout.id && repeated.week === 3 && repeated.cycle === 7, 'Workout repeated with next week');
+      this.assert(repeated.exercises[0].sets[0].weight === 50, 'Repeated workout keeps sets');
+      this.assert(await store.repeatWorkout({ cycle: 7, session: 2 }) === null, 'Nothing to repeat for another session');
+      
+      // После последней недели цикла повтор переходит на первую неделю следующего цикла
+      await store.addWorkout({ date: '2024-03-05T10:00:00.000Z', cycle: 7, week: 4, session: 1, exercises: [{ exercise: 'CRUD Exercise', sets: [{ weight: 50, reps: 10 }] }] });
+      const wrapped = await store.repeatWorkout({ cycle: 7, session: 1 }, '2024-03-12T10:00:00.000Z');
+      this.assert(wrapped && wrapped.week === 1 && wrapped.cycle === 8, 'Repeated workout after the last week starts the next cycle');
+      
+      const deleted = await store.deleteWorkout(original.id);
+      this.assert(deleted && !(await store.getWorkout(original.id)), 'Workout deleted');
+      this.assert(await store.getWorkout(copy.id), 'Duplicate survives original deletion');
+      
+      logger.success('Workout CRUD tests completed');
+    } catch (error) {
+      logger.error('Workout CRUD test failed:', error);
+      this.testResults.push({ module: 'WorkoutCrud', success: false, error: error.message });
+    } finally {
+      await store.backend.destroy();
+    }
+  }
+
+  /**
+   * Тест надгробий удаленных записей
+   */
+  async testTombstones() {
+    logger.info('Testing tombstones...');
+    
+    const store = await this.createTestStorage('tombstones');
+    try {
+      await store.addWorkout({
+        exercises: [{ exercise: 'Tombstone Exercise', sets: [{ weight: 40, reps: 12 }] }]
+      });
+      const workout = (await store.loadWorkouts()).find(w => w.exercises[0]?.exercise === 'Tombstone Exercise');
+      await store.deleteWorkout(workout.id);
+      
+      const all = await store.loadWorkouts({ includeDeleted: true });
+      const tombstone = all.find(w => w.id === workout.id);
+      this.assert(tombstones.isDeleted(tombstone) && !tombstone.exercises, 'Deleted workout stored as tombstone');
+      this.assert(!(await store.loadWorkouts()).some(w => w.id === workout.id), 'Tombstone hidden from workout list');
+      
+      // Другое устройство еще хранит тренировку — удаление не откатывается при слиянии
+      const merged = syncMerge.mergeWorkouts([tombstone], [workout]);
+      this.assert(tombstones.isDeleted(merged[0]), 'Merge keeps deletion over stale copy');
+      const reverseMerged = syncMerge.mergeWorkouts([workout], [tombstone]);
+      this.assert(tombstones.isDeleted(reverseMerged[0]), 'Remote deletion applied on merge');
+      
+      // Уплотнение: старое надгробие удаляется, только когда его видели все устройства
+      const now = new Date();
+      const oldDate = new Date(now.getTime() - (TOMBSTONE_CONFIG.RETENTION_DAYS + 1) * 86400000).toISOString();
+      const old = { id: 'old', deletedAt: oldDate, updatedAt: oldDate, seenBy: ['a'] };
+      const devices = { a: { lastSeenAt: now.toISOString() }, b: { lastSeenAt: now.toISOString() } };
+      this.assert(tombstones.compact([old], devices, now).length === 1, 'Tombstone kept until all devices saw it');
+      this.assert(tombstones.compact(tombstones.markSeen([old], 'b'), devices, now).length === 0, 'Tombstone purged after all devices saw it');
+      
+      const syncResult = syncMerge.mergeData(
+        { workouts: [tombstone], devices: {} },
+        { workouts: [workout], devices: { other: { lastSeenAt: now.toISOString() } } },
+        { deviceId: 'this-device', now }
+      );
+      this.assert(syncResult.devices['this-device'] && syncResult.devices.other, 'Device registry merged');
+      this.assert(syncResult.workouts[0].seenBy.includes('this-device'), 'Tombstone marked as seen by device');
+
+      // Устройство вернулось после DEVICE_EXPIRY_DAYS: надгробия уже уплотнены, пропавшие из полного документа записи удаляются
+      const lastSeenAt = new Date(now.getTime() - (TOMBSTONE_CONFIG.DEVICE_EXPIRY_DAYS + 1) * 86400000).toISOString();
+      const returning = {
+        workouts: [{ id: 'purged-elsewhere', date: lastSeenAt, updatedAt: lastSeenAt }, { id: 'added-offline', date: now.toISOString(), updatedAt: now.toISOString() }],
+        devices: { 'returning-device': { lastSeenAt } }
+      };
+      const remoteDoc = { workouts: [], devices: { other: { lastSeenAt: now.toISOString() } } };
+      const expiredResult = syncMerge.mergeData(returning, remoteDoc, { deviceId: 'returning-device', now, complete: true });
+      this.assert(tombstones.isDeleted(expiredResult.workouts.find(w => w.id === 'purged-elsewhere')), 'Expired device drops records purged on other devices');
+      this.assert(!tombstones.isDeleted(expiredResult.workouts.find(w => w.id === 'added-offline')), 'Expired device keeps records changed after its last sync');
+      const partialResult = syncMerge.mergeData(returning, remoteDoc, { deviceId: 'returning-device', now });
+      this.assert(!tombstones.isDeleted(partialResult.workouts.find(w => w.id === 'purged-elsewhere')), 'Partial remote document does not expire records');
+
+      // Результат синхронизации, собранный до локальных изменений, не затирает их
+      await store.addWorkout({ exercises: [{ exercise: 'Edited During Sync', sets: [{ weight: 10, reps: 10 }] }] });
+      const edited = (await store.loadWorkouts()).find(w => w.exercises[0]?.exercise === 'Edited During Sync');
+      const staleSnapshot = await store.loadWorkouts({ includeDeleted: true });
+      await store.addWorkout({ exercises: [{ exercise: 'Added During Sync', sets: [{ weight: 10, reps: 10 }] }] });
+      await store.updateWorkout(edited.id, { notes: 'Edited during sync' });
+      await store.addWorkout({ exercises: [{ exercise: 'Deleted During Sync', sets: [{ weight: 10, reps: 10 }] }] });
+      const deletedDuringSync = (await store.loadWorkouts()).find(w => w.exercises[0]?.exercise === 'Deleted During Sync');
+      await store.deleteWorkout(deletedDuringSync.id);
+      await store.applySyncData({
+        workouts: staleSnapshot.filter(w => w.id !== workout.id),
+        recentExercises: await store.loadRecentExercises(),
+        devices: await store.loadSyncDevices()
+      }, { local: { workouts: staleSnapshot } });
+      const afterApply = await store.loadWorkouts({ includeDeleted: true });
+      this.assert(afterApply.some(w => w.exercises?.[0]?.exercise === 'Added During Sync'), 'Record added during sync kept');
+      this.assert(afterApply.find(w => w.id === edited.id).notes === 'Edited during sync', 'Newer local edit kept over synced copy');
+      this.assert(!afterApply.some(w => w.id === workout.id), 'Compacted tombstone removed on apply');
+      this.assert(tombstones.isDeleted(afterApply.find(w => w.id === deletedDuringSync.id)), 'Tombstone written during sync kept on apply');
+
+      // Экспорт содержит надгробия, импорт старой копии не возвращает удаленную тренировку
+      const exportedBeforeDelete = await store.exportData();
+      await store.deleteWorkout(edited.id);
+      const exported = JSON.parse(await store.exportData());
+      this.assert(exported.workouts.some(w => w.id === deletedDuringSync.id && tombstones.isDeleted(w)), 'Export includes tombstones');
+      this.assert(await store.importData(exportedBeforeDelete), 'Older export imported');
+      this.assert(tombstones.isDeleted((await store.loadWorkouts({ includeDeleted: true })).find(w => w.id === edited.id)), 'Import keeps newer tombstone');
+
+      // Замена списка тренировок оставляет надгробия для отсутствующих в нем
+      const [kept] = await store.loadWorkouts();
+      await store.saveWorkouts([kept]);
+      const afterReplace = await store.loadWorkouts({ includeDeleted: true });
+      this.assert(afterReplace.filter(w => !tombstones.isDeleted(w)).length === 1, 'Replaced workouts become tombstones');
+      this.assert(afterReplace.some(w => w.id === deletedDuringSync.id && tombstones.isDeleted(w)), 'Existing tombstones kept on replace');
+
+      logger.success('Tombstone tests completed');
+    } catch (error) {
+      logger.error('Tombstone test failed:', error);
+      this.testResults.push({ module: 'Tombstones', success: false, error: error.message });
+    } finally {
+      await store.backend.destroy();
+    }
+  }
+
+  /**
+   * Тест движка синхронизации на тестовом провайдере в памяти
+   */
+  async testSyncEngine() {
+    logger.info('Testing sync engine...');
+    
+    // Настройки синхронизации, журнал и данные приложения не затрагиваются: движок работает с отдельным хранилищем
+    const store = await this.createTestStorage('sync');
+    const engine = new SyncEngine(syncProviders, store);
+    const backupPaths = [];
+    try {
+      await store.addWorkout({ exercises: [{ exercise: 'Sync Local', sets: [{ weight: 30, reps: 10 }] }] });
+      await store.addWorkout({ exercises: [{ exercise: 'Sync Deleted Remotely', sets: [{ weight: 30, reps: 10 }] }] });
+      const local = await store.loadWorkouts();
+      const deletedRemotely = local.find(w => w.exercises[0]?.exercise === 'Sync Deleted Remotely');
+      
+      // Удаленный файл: тренировка с другого устройства и удаление одной из локальных
+      const later = new Date(Date.now() + 1000).toISOString();
+      let remoteFile = {
+        schemaVersion: SCHEMA_VERSION,
+        workouts: [
+          { id: 'remote-sync-1', date: later, updatedAt: later, exercises: [{ exercise: 'Sync Remote', sets: [{ weight: 20, reps: 5 }] }] },
+          tombstones.create(deletedRemotely, { deviceId: 'other-device', updatedAt: later })
+        ],
+        bodyAnalyses: [],
+        recentExercises: []
+      };
+      let remoteRevision = 'test-revision';
+      let rejectSnapshot = false;
+      let entryTaken = false;
+      const journalEntries = [];
+      const journalPaths = [];
+      syncProviders.register(Object.assign(new SyncProvider('test', 'Test'), {
+        connect: async () => {},
+        revision: async () => remoteRevision,
+        list: async () => [],
+        read: async () => remoteFile,
+        write: async (path, data, options = {}) => {
+          if (path.startsWith('/MyFitness/backups/')) {
+            backupPaths.push(path);
+            return;
+          }
+          if (path.includes('/journal/')) {
+            // Тот же номер записи уже занял service worker
+            if (entryTaken && options.revision === null) {
+              entryTaken = false;
+              throw new RevisionMismatchError(path);
+            }
+            journalEntries.push(JSON.parse(JSON.stringify(data)));
+            journalPaths.push(path);
+            return;
+          }
+          if (rejectSnapshot) {
+            rejectSnapshot = false;
+            throw new RevisionMismatchError(path);
+          }
+          remoteFile = JSON.parse(JSON.stringify(data));
+        },
+        remove: async () => {}
+      }));
+      
+      const result = await engine.sync({ provider: 'test', token: 'test-token', path: '/MyFitness/test.json' });
+      this.assert(result.workouts.added === 1 && result.workouts.deleted === 1, 'Sync reports added and deleted workouts');
+      this.assert((await store.loadWorkouts()).some(w => w.id === 'remote-sync-1'), 'Remote workout written to storage');
+      this.assert(!(await store.getWorkout(deletedRemotely.id)), 'Remote deletion applied locally');
+      this.assert(remoteFile.workouts.some(w => w.exercises?.[0]?.exercise === 'Sync Local'), 'Local workout pushed to remote');
+      this.assert(remoteFile.devices[store.getDeviceId()], 'Device registered in remote file');
+      this.assert((await store.loadConfig()).yandexToken === 'test-token', 'Explicit token stored for background sync');
+      this.assert(result.backup && backupPaths.length === 1 && backupPaths[0].endsWith(result.backup), 'Backup created after first sync');
+      
+      const second = await engine.sync({ provider: 'test', token: 'test-token', path: '/MyFitness/test.json' });
+      this.assert(second.added === 0 && second.updated === 0 && second.deleted === 0, 'Repeated sync reports no changes');
+      this.assert(!second.journal.snapshot && second.pushed.workouts === 0, 'Unchanged remote file is not downloaded again');
+      this.assert(second.backup === null && backupPaths.length === 1, 'Backup is not repeated within the interval');
+      
+      // Снимок перезаписан другим устройством во время уплотнения: свои изменения уже в журнале
+      await store.addWorkout({ exercises: [{ exercise: 'Sync Journal First', sets: [{ weight: 30, reps: 10 }] }] });
+      remoteFile = { ...remoteFile, journal: undefined };
+      remoteRevision = 'test-revision-2';
+      rejectSnapshot = true;
+      const third = await engine.sync({ provider: 'test', token: 'test-token', path: '/MyFitness/test.json' });
+      const ownEntries = journalEntries.filter(entry => entry.workouts.some(w => w.exercises?.[0]?.exercise === 'Sync Journal First'));
+      this.assert(third.attempts === 2 && ownEntries.length === 1, 'Own changes written to the journal once when the snapshot write is rejected');
+      this.assert(remoteFile.workouts.some(w => w.exercises?.[0]?.exercise === 'Sync Journal First'), 'Snapshot written on retry');
+      
+      // Запись журнала с занятым номером не перезаписывается: синхронизация повторяется со следующим номером
+      await store.addWorkout({ exercises: [{ exercise: 'Sync Entry Taken', sets: [{ weight: 30, reps: 10 }] }] });
+      entryTaken = true;
+      const previousSeq = journalEntries[journalEntries.length - 1].seq;
+      const fourth = await engine.sync({ provider: 'test', token: 'test-token', path: '/MyFitness/test.json' });
+      const written = journalEntries[journalEntries.length - 1];
+      this.assert(fourth.attempts === 2 && !entryTaken, 'Taken journal entry number retried');
+      this.assert(written.seq === previousSeq + 2 && journalPaths[journalPaths.length - 1].endsWith(`${String(written.seq).padStart(8, '0')}.json`), 'Journal entry written with the next free number');
+      
+      // Вкладка и service worker синхронизируют по очереди (Web Locks API)
+      if (globalThis.navigator?.locks) {
+        const order = [];
+        const task = name => async () => {
+          order.push(`${name}:start`);
+          await new Promise(resolve => setTimeout(resolve, 10));
+          order.push(`${name}:end`);
+        };
+        await Promise.all([engine.withLock(task('page')), new SyncEngine(syncProviders, store).withLock(task('worker'))]);
+        this.assert(order.join() === 'page:start,page:end,worker:start,worker:end', 'Sync engines take turns under the lock');
+      }
+      
+      logger.success('Sync engine tests completed');
+    } catch (error) {
+      logger.error('Sync engine test failed:', error);
+      this.testResults.push({ module: 'SyncEngine', success: false, error: error.message });
+    } finally {
+      syncProviders.unregister('test');
+      await store.backend.destroy();
+    }
+  }
+
+  /**
+   * Тест провайдеров синхронизации: WebDAV на локальной заглушке сервера и локальная папка в памяти
+   */
+  async testSyncProviders() {
+    logger.info('Testing sync providers...');
+    
+    const originalFetch = webdavProvider.fetch;
+    const originalStore = localFolderProvider.store;
+    const path = '/MyFitness/workouts.json';
+    const data = { schemaVersion: SCHEMA_VERSION, workouts: [{ id: 'provider-1' }] };
+    try {
+      this.assert(syncProviders.get('unknown') === yandexAPI, 'Unknown provider falls back to Yandex.Disk');
+      this.assert(syncEngine.isConfigured({ syncProvider: 'webdav', webdavUrl: FakeWebDavServer.URL }), 'WebDAV configured by URL');
+      this.assert(!syncEngine.isConfigured({ syncProvider: 'local' }), 'Local folder requires a picked folder');
+      
+      // Провайдеры проходят один и тот же сценарий: нет файла -> запись -> чтение -> список -> новая ревизия
+      const server = new FakeWebDavServer();
+      webdavProvider.fetch = server.fetch;
+      await webdavProvider.connect({ webdavUrl: FakeWebDavServer.URL, webdavUser: 'user', webdavPassword: 'secret' });
+      
+      const root = new FakeDirectoryHandle();
+      localFolderProvider.store = { loadSyncFolder: async () => root };
+      await localFolderProvider.connect({ localFolderName: root.name });
+      
+      for (const provider of [webdavProvider, localFolderProvider]) {
+        this.assert(await provider.read(path) === null, `${provider.name}: missing file reads as null`);
+        this.assert(await provider.revision(path) === null, `${provider.name}: missing file has no revision`);
+        
+        await provider.write(path, data);
+        const revision = await provider.revision(path);
+        this.assert(revision, `${provider.name}: written file has a revision`);
+        this.assert((await provider.read(path)).workouts[0].id === 'provider-1', `${provider.name}: file read back`);
+        
+        const [entry] = await provider.list('/MyFitness');
+        this.assert(entry.path === path && !entry.isDirectory && entry.revision === revision, `${provider.name}: folder listed`);
+        
+        await provider.write(path, { ...data, workouts: [] }, { revision });
+        this.assert(await provider.revision(path) !== revision, `${provider.name}: revision changes on write`);
+        
+        const rejected = await provider.write(path, data, { revision }).then(() => null, error => error);
+        this.assert(rejected instanceof RevisionMismatchError, `${provider.name}: write with a stale revision rejected`);
+        const created = await provider.write(path, data, { revision: null }).then(() => null, error => error);
+        this.assert(created instanceof RevisionMismatchError, `${provider.name}: write of a new file rejected when the file exists`);
+        
+        await provider.remove(path);
+        await provider.remove(path);
+        this.assert(await provider.read(path) === null, `${provider.name}: file removed, missing file removal ignored`);
+        
+        // Фото и анализы тела загружаются к тому же провайдеру
+        await provider.writeBinary('/MyFitness/photos/photo.jpg', 'image-bytes', 'image/jpeg');
+        this.assert(await (await provider.readBinary('/MyFitness/photos/photo.jpg')).text() === 'image-bytes', `${provider.name}: binary file read back`);
+        this.assert(await provider.readBinary('/MyFitness/photos/missing.jpg') === null, `${provider.name}: missing binary file reads as null`);
+        await bodyAnalysisManager.saveAnalysisToCloud(provider, { muscle: 40 });
+        const [analysis] = await provider.list('/MyFitness/analyses');
+        this.assert((await provider.read(analysis.path)).muscle === 40, `${provider.name}: body analysis uploaded`);
+        await provider.remove(analysis.path);
+        await provider.remove('/MyFitness/photos/photo.jpg');
+      }
+      
+      this.assert(server.requests.every(request => request.headers.Authorization === `Basic ${btoa('user:secret')}`), 'WebDAV requests authorized');
+      
+      logger.success('Sync provider tests completed');
+    } catch (error) {
+      logger.error('Sync provider test failed:', error);
+      this.testResults.push({ module: 'SyncProviders', success: false, error: error.message });
+    } finally {
+      webdavProvider.fetch = originalFetch;
+      localFolderProvider.store = originalStore;
+      localFolderProvider.root = null;
+    }
+  }
+
+  /**
+   * Тест журнала дельта-синхронизации: курсоры, свои изменения и уплотнение
+   */
+  async testSyncJournal() {
+    logger.info('Testing sync journal...');
+    
+    const originalFetch = webdavProvider.fetch;
+    const path = '/MyFitness/workouts.json';
+    const workout = (id, updatedAt) => ({ id, date: updatedAt, updatedAt, exercises: [] });
+    try {
+      const server = new FakeWebDavServer();
+      webdavProvider.fetch = server.fetch;
+      await webdavProvider.connect({ webdavUrl: FakeWebDavServer.URL });
+      
+      this.assert(syncJournal.getEntryPath(path, 'phone', 7) === '/MyFitness/journal/phone/00000007.json', 'Entry path is zero-padded');
+      const otherTarget = syncJournal.resolveState({ target: 'webdav:/other.json', seq: 5, cursors: { phone: 3 } }, webdavProvider, path);
+      this.assert(otherTarget.seq === 5 && Object.keys(otherTarget.cursors).length === 0, 'State of another target is reset except entry numbers');
+      
+      // Записи двух устройств; курсоры из снимка отсекают уже вошедшие в него
+      for (const [deviceId, seq] of [['phone', 1], ['phone', 2], ['tablet', 1], ['laptop', 1]]) {
+        await webdavProvider.write(syncJournal.getEntryPath(path, deviceId, seq), { deviceId, seq, workouts: [] });
+      }
+      const entries = await syncJournal.listEntries(webdavProvider, path);
+      this.assert(entries.length === 4 && entries.every((entry, i) => i === 0 || entries[i - 1].seq <= entry.seq), 'Entries listed in seq order');
+      
+      const cursors = syncJournal.advanceCursors({ phone: 1 }, { journal: { tablet: 1 } });
+      const pending = syncJournal.getPending(entries, cursors, 'laptop');
+      this.assert(pending.length === 1 && pending[0].deviceId === 'phone' && pending[0].seq === 2, 'Only entries newer than cursors from other devices are pending');
+      
+      // Потерянное состояние: номер продолжается после своих записей и курсора в снимке
+      this.assert(syncJournal.resolveSeq(0, entries, cursors, 'phone') === 2, 'Entry number continues after own entries');
+      this.assert(syncJournal.resolveSeq(0, entries, { tablet: 4 }, 'tablet') === 4, 'Entry number continues after snapshot cursor');
+      
+      // Свои изменения — записи с версией, которой нет в облаке
+      const time = new Date().toISOString();
+      const later = new Date(Date.now() + 1000).toISOString();
+      const known = syncJournal.createKnown({ workouts: [workout('a', time), workout('b', time)] });
+      const ops = syncJournal.collectOps({ workouts: [workout('a', time), workout('b', later), workout('c', time)], bodyAnalyses: [] }, known);
+      this.assert(ops.count === 2 && ops.workouts.map(w => w.id).join() === 'b,c', 'Changed and new records are uploaded');
+      
+      this.assert(syncJournal.shouldCompact({ revision: null, snapshot: null, compactedAt: null, entryCount: 0 }), 'Missing snapshot is created');
+      this.assert(syncJournal.shouldCompact({ revision: 'r', snapshot: { workouts: [] }, compactedAt: null, entryCount: 0 }), 'Snapshot without journal is compacted');
+      this.assert(!syncJournal.shouldCompact({ revision: 'r', snapshot: null, compactedAt: time, entryCount: 3 }), 'Short fresh journal is not compacted');
+      this.assert(syncJournal.shouldCompact({ revision: 'r', snapshot: null, compactedAt: time, entryCount: JOURNAL_CONFIG.COMPACT_AFTER_ENTRIES }), 'Long journal is compacted');
+      
+      const removed = await syncJournal.removeCompacted(webdavProvider, path, { phone: 2, tablet: 1 });
+      const left = await syncJournal.listEntries(webdavProvider, path);
+      this.assert(removed === 3 && left.length === 1 && left[0].deviceId === 'laptop', 'Compacted entries removed');
+      
+      logger.success('Sync journal tests completed');
+    } catch (error) {
+      logger.error('Sync journal test failed:', error);
+      this.testResults.push({ module: 'SyncJournal', success: false, error: error.message });
+    } finally {
+      webdavProvider.fetch = originalFetch;
+    }
+  }
+
+  /**
+   * Тест очереди неотправленных изменений
+   */
+  async testOutbox() {
+    logger.info('Testing outbox...');
+    
+    const originalEngine = outbox.engine;
+    const originalState = outbox.state;
+    try {
+      // Экспоненциальная задержка: от половины до полной, не больше максимума
+      [1, 2, 3, 20].forEach(attempts => {
+        const exponential = Math.min(OUTBOX_CONFIG.MAX_DELAY_MS, OUTBOX_CONFIG.BASE_DELAY_MS * 2 ** (attempts - 1));
+        const delay = outbox.getBackoffDelay(attempts);
+        this.assert(delay >= exponential / 2 && delay <= exponential, `Backoff delay within bounds (attempt ${attempts})`);
+      });
+      
+      // Повторные изменения одной записи объединяются и сохраняются
+      outbox.state = { items: [], attempts: 0, lastError: null, nextAttemptAt: null, lastSuccessAt: null };
+      await outbox.enqueue({ type: RECORD_TYPES.WORKOUT, action: 'add', id: 'outbox-test' });
+      await outbox.enqueue({ type: RECORD_TYPES.WORKOUT, action: 'update', id: 'outbox-test' });
+      const saved = await storage.loadOutbox();
+      this.assert(saved.items.length === 1 && saved.items[0].action === 'update', 'Outbox coalesces and persists changes');
+      
+      // Неудачная отправка планирует повтор
+      outbox.engine = { sync: async () => { throw new Error('Network down'); } };
+      let failed = false;
+      await outbox.flush().catch(() => { failed = true; });
+      const status = outbox.getStatus();
+      this.assert(failed && status.attempts === 1 && status.lastError.message === 'Network down', 'Failed flush recorded');
+      this.assert(Date.parse(status.nextAttemptAt) > Date.now(), 'Next attempt scheduled');
+      
+      // Ошибка авторизации ставит очередь на паузу без повторов; изменения остаются до повторного входа
+      outbox.engine = { sync: async () => { throw new AuthError('yandex', 'unauthorized', 401); } };
+      await outbox.flush().catch(() => {});
+      const paused = outbox.getStatus();
+      this.assert(paused.paused === 'auth' && paused.pending === 1 && !paused.nextAttemptAt && !outbox.timer, 'Auth error pauses outbox and keeps changes');
+      await outbox.resume();
+      this.assert(!outbox.getStatus().paused && outbox.timer, 'Resume after login schedules flush');
+      outbox.clearTimer();
+      
+      // Успешная синхронизация очищает отправленные изменения
+      const now = new Date(Date.now() + 1).toISOString();
+      await outbox.handleSyncSuccess({ startedAt: now, syncedAt: now });
+      this.assert(outbox.getStatus().pending === 0 && outbox.getStatus().attempts === 0, 'Successful sync clears outbox');
+      
+      logger.success('Outbox tests completed');
+    } catch (error) {
+      logger.error('Outbox test failed:', error);
+      this.testResults.push({ module: 'Outbox', success: false, error: error.message });
+    } finally {
+      outbox.clearTimer();
+      outbox.engine = originalEngine;
+      outbox.state = originalState;
+      await storage.saveOutbox(originalState);
+    }
+  }
+
+  /**
+   * Тест конфликтов синхронизации
+   */
+  async testConflicts() {
+    logger.info('Testing sync conflicts...');
+    
+    const originalConflicts = await storage.loadConflicts();
+    try {
+      const baseTime = '2024-01-01T10:00:00.000Z';
+      const workout = (updatedAt, sets) => ({
+        id: 'conflict-test', date: baseTime, updatedAt,
+        exercises: [{ exercise: 'Жим лежа', sets }]
+      });
+      const mine = workout('2024-01-02T10:00:00.000Z', [{ weight: 60, reps: 10 }, { weight: 65, reps: 8 }]);
+      const theirs = workout('2024-01-03T10:00:00.000Z', [{ weight: 60, reps: 10 }, { weight: 70, reps: 6 }]);
+      const base = { 'conflict-test': baseTime };
+      
+      // Конфликт — только если запись изменена на обеих сторонах после общей синхронизации
+      let detected = [];
+      const merged = syncMerge.mergeData({ workouts: [mine] }, { workouts: [theirs] }, { base, conflicts: detected });
+      this.assert(detected.length === 1 && detected[0].local === mine && detected[0].remote === theirs, 'Conflict detected for record changed on both sides');
+      this.assert(merged.workouts[0].updatedAt === theirs.updatedAt, 'Merge still picks newer version');
+      
+      detected = [];
+      syncMerge.mergeData({ workouts: [workout(baseTime, [])] }, { workouts: [theirs] }, { base, conflicts: detected });
+      this.assert(detected.length === 0, 'No conflict when only one side changed');
+      
+      detected = [];
+      syncMerge.mergeData({ workouts: [mine] }, { workouts: [theirs] }, { base: null, conflicts: detected });
+      this.assert(detected.length === 0, 'No conflicts without sync base');
+      
+      // Объединение подходов: одинаковые подходы не дублируются
+      const mergedExercises = conflictManager.mergeExercises(mine.exercises, theirs.exercises);
+      this.assert(mergedExercises[0].sets.length === 3, 'Merge sets keeps unique sets of both versions');
+      
+      // Решение записывается в тренировку и сохраняется
+      await storage.addWorkout({ exercises: mine.exercises });
+      const local = (await storage.loadWorkouts()).find(w => w.exercises[0]?.sets[1]?.weight === 65);
+      const conflict = conflictManager.create(local, { ...theirs, id: local.id });
+      await storage.saveConflicts([conflict]);
+      
+      this.assert((await conflictManager.getPending()).length === 1, 'Pending conflict loaded');
+      this.assert(await conflictManager.resolve(conflict.id, RESOLUTIONS.MERGE), 'Conflict resolved');
+      this.assert((await storage.getWorkout(local.id)).exercises[0].sets.length === 3, 'Merged sets written to workout');
+      const saved = await storage.loadConflicts();
+      this.assert(saved[0].resolution === RESOLUTIONS.MERGE && saved[0].resolvedAt, 'Resolution persisted');
+      this.assert((await conflictManager.getPending()).length === 0, 'No pending conflicts after resolution');
+      
+      await storage.deleteWorkout(local.id);
+      logger.success('Sync conflict tests completed');
+    } catch (error) {
+      logger.error('Sync conflict test failed:', error);
+      this.testResults.push({ module: 'Conflicts', success: false, error: error.message });
+    } finally {
+      await storage.saveConflicts(originalConflicts);
+    }
+  }
+
+  /**
+   * Тест шифрования файлов в облаке (WebDAV на локальной заглушке сервера)
+   */
+  async testEncryption() {
+    logger.info('Testing encryption...');
+    
+    const originalFetch = webdavProvider.fetch;
+    const originalKeys = await storage.loadEncryptionKeys();
+    const path = '/MyFitness/workouts.json';
+    const data = { schemaVersion: SCHEMA_VERSION, workouts: [{ id: 'secret-1', exercises: [{ exercise: 'Секретный жим' }] }] };
+    const expectError = async (promise, ErrorClass) => {
+      try {
+        await promise;
+      } catch (error) {
+        return error instanceof ErrorClass;
+      }
+      return false;
+    };
+    try {
+      await storage.saveEncryptionKeys(null);
+      this.assert(await encryption.encryptDocument(data) === data, 'Without a key documents are not encrypted');
+      
+      const server = new FakeWebDavServer();
+      webdavProvider.fetch = server.fetch;
+      await webdavProvider.connect({ webdavUrl: FakeWebDavServer.URL });
+      server.folders.add('/MyFitness').add('/MyFitness/photos').add('/MyFitness/analyses');
+      server.writeFile(path, data);
+      server.writeFile('/MyFitness/analyses/analysis.json', { muscle: 40 });
+      server.writeFile('/MyFitness/photos/photo.jpg', 'not json');
+      
+      // Без ключа на этом устройстве файл загружается как есть, пока шифрование не включено
+      const plain = await encryption.prepareUpload(webdavProvider, '/MyFitness/photos/p.jpg', 'image-bytes', 'image/jpeg');
+      this.assert(plain.path === '/MyFitness/photos/p.jpg' && plain.data === 'image-bytes', 'Upload without encryption is unchanged');
+      
+      // Включение шифрует существующие файлы; фото заменяется зашифрованным '.enc'
+      const enabled = await encryption.enable(webdavProvider, 'correct horse', path);
+      this.assert(enabled.created && enabled.encrypted === 3 && enabled.skipped === 0, 'Existing remote files encrypted');
+      const photo = server.readFile('/MyFitness/photos/photo.jpg.enc');
+      this.assert(!server.files.has('/MyFitness/photos/photo.jpg') && encryption.isEnvelope(photo), 'Photo replaced by encrypted copy');
+      this.assert(new TextDecoder().decode(await encryption.decryptBytes(photo, (await storage.loadEncryptionKeys()).current)) === 'not json', 'Encrypted photo decrypts');
+      const remote = server.readFile(path);
+      this.assert(encryption.isEnvelope(remote) && !JSON.stringify(remote).includes('Секретный'), 'Remote file is ciphertext');
+      this.assert((await encryption.decryptDocument(remote)).workouts[0].id === 'secret-1', 'Remote file decrypts');
+      
+      // Новое устройство: без ключа данные не читаются, неверный пароль отклоняется
+      await storage.saveEncryptionKeys(null);
+      this.assert(await expectError(encryption.decryptDocument(remote), PassphraseRequiredError), 'Encrypted data requires a passphrase');
+      this.assert(await expectError(encryption.prepareUpload(webdavProvider, '/MyFitness/photos/p.jpg', 'image-bytes', 'image/jpeg'), PassphraseRequiredError), 'Plaintext upload refused without the key');
+      this.assert(await expectError(encryption.enable(webdavProvider, 'wrong passphrase', path), WrongPassphraseError), 'Wrong passphrase rejected');
+      this.assert(!(await encryption.enable(webdavProvider, 'correct horse', path)).created, 'Existing key unlocked by passphrase');
+      const oldKeys = await storage.loadEncryptionKeys();
+      
+      // Смена пароля перешифровывает файлы; устаревший ключ требует нового пароля
+      this.assert(await expectError(encryption.rotate(webdavProvider, 'wrong passphrase', 'battery staple', path), WrongPassphraseError), 'Rotation checks current passphrase');
+      const rotated = await encryption.rotate(webdavProvider, 'correct horse', 'battery staple', path);
+      this.assert(rotated.encrypted === 3 && server.readFile(path).keyId !== remote.keyId, 'Files re-encrypted with the new key');
+      this.assert((await encryption.decryptDocument(server.readFile(path))).workouts[0].id === 'secret-1', 'Re-encrypted file decrypts');
+      
+      await storage.saveEncryptionKeys(oldKeys);
+      let stale = null;
+      await encryption.decryptDocument(server.readFile(path)).catch(error => { stale = error; });
+      this.assert(stale instanceof PassphraseRequiredError && stale.reason === 'rotated', 'Stale key asks for the new passphrase');
+      
+      // Фото загружается зашифрованным конвертом
+      const upload = await encryption.prepareUpload(webdavProvider, '/MyFitness/photos/p.jpg', 'image-bytes', 'image/jpeg');
+      this.assert(upload.path.endsWith('.jpg.enc') && encryption.isEnvelope(JSON.parse(upload.data)), 'Photo upload encrypted');
+      
+      logger.success('Encryption tests completed');
+    } catch (error) {
+      logger.error('Encryption test failed:', error);
+      this.testResults.push({ module: 'Encryption', success: false, error: error.message });
+    } finally {
+      webdavProvider.fetch = originalFetch;
+      await storage.saveEncryptionKeys(originalKeys);
+    }
+  }
+
+  /**
+   * Тест резервных копий: политика хранения, сводка, сравнение и восстановление
+   */
+  async testBackups() {
+    logger.info('Testing backups...');
+    
+    const originalFetch = webdavProvider.fetch;
+    const path = '/MyFitness/workouts.json';
+    const backups = dates => dates.map(date => ({ name: backupManager.getName(new Date(`${date}T12:00:00Z`)), date }));
+    let restoredId = null;
+    try {
+      // Политика хранения: последние дни, недели (с понедельника) и месяцы
+      this.assert(backupManager.getWeekStart('2024-03-10') === '2024-03-04', 'Week starts on Monday');
+      const daily = backups(['2024-03-10', '2024-03-09', '2024-03-08', '2024-03-07']);
+      const removedDaily = backupManager.selectForRemoval(daily, { daily: 2, weekly: 0, monthly: 0 });
+      this.assert(removedDaily.map(b => b.date).join() === '2024-03-08,2024-03-07', 'Only the last N daily backups kept');
+      const spread = backups(['2024-03-10', '2024-03-04', '2024-03-03', '2024-02-15', '2024-01-31', '2024-01-02']);
+      const removedSpread = backupManager.selectForRemoval(spread, { daily: 1, weekly: 2, monthly: 3 });
+      this.assert(removedSpread.map(b => b.date).join() === '2024-03-04,2024-01-02', 'Latest backup of each week and month kept');
+      this.assert(backupManager.selectForRemoval(daily, { daily: 0, weekly: 0, monthly: 0 }).length === 3, 'Newest backup is always kept');
+      this.assert(backupManager.parseName('backup-2024-03-10.json') === '2024-03-10' && !backupManager.parseName('notes.json'), 'Backup names parsed');
+      
+      // Сводка: число записей и диапазон дат без удаленных записей
+      const summary = backupManager.summarize({
+        workouts: [{ id: 'w1', date: '2024-02-01' }, { id: 'w2', date: '2024-01-05' }, { id: 'w3', deletedAt: '2024-03-01' }],
+        bodyAnalyses: [{ id: 'a1', timestamp: '2024-02-10' }]
+      });
+      this.assert(summary.workouts === 2 && summary.bodyAnalyses === 1 && summary.from === '2024-01-05' && summary.to === '2024-02-10', 'Backup summarized');
+      
+      // Сравнение не учитывает служебные поля
+      const backup = {
+        workouts: [
+          { id: 'same', date: '2024-01-01', exercises: [], updatedAt: 'a', deviceId: 'x' },
+          { id: 'edited', date: '2024-01-02', exercises: [{ exercise: 'Жим', sets: [{ weight: 50, reps: 5 }] }] },
+          { id: 'lost', date: '2024-01-03', exercises: [] }
+        ],
+        bodyAnalyses: []
+      };
+      const local = {
+        workouts: [
+          { id: 'same', date: '2024-01-01', exercises: [], updatedAt: 'b', deviceId: 'y' },
+          { id: 'edited', date: '2024-01-02', exercises: [{ exercise: 'Жим', sets: [{ weight: 55, reps: 5 }] }] },
+          { id: 'new', date: '2024-01-04', exercises: [] }
+        ],
+        bodyAnalyses: []
+      };
+      const diff = backupManager.diff(backup, local);
+      this.assert(diff.unchanged === 1 && diff.localOnly === 1, 'Unchanged and local-only records counted');
+      this.assert(diff.items.map(item => `${item.key}=${item.status}`).join() === 'workout:edited=changed,workout:lost=missing', 'Changed and missing records listed');
+      
+      // Копия в облаке: запись, список со сводкой и удаление старых копий
+      const server = new FakeWebDavServer();
+      webdavProvider.fetch = server.fetch;
+      await webdavProvider.connect({ webdavUrl: FakeWebDavServer.URL });
+      for (const date of ['2024-03-10', '2024-03-09', '2024-03-08']) {
+        await backupManager.create(webdavProvider, path, backup, 'tester', new Date(`${date}T12:00:00Z`));
+      }
+      const listed = await backupManager.list(webdavProvider, path);
+      this.assert(listed.length === 3 && listed[0].path === '/MyFitness/backups/backup-2024-03-10.json' && listed[0].summary.workouts === 3, 'Backups listed newest first with summary');
+      this.assert(await backupManager.rotate(webdavProvider, path, { daily: 2, weekly: 0, monthly: 0 }) === 1, 'Old backup rotated out');
+      this.assert((await backupManager.listFiles(webdavProvider, path)).length === 2, 'Rotated backup removed from remote');
+      
+      // Восстановление выбранной записи: удаленная тренировка возвращается
+      await storage.addWorkout({ date: '2024-02-02T10:00:00.000Z', exercises: [{ exercise: 'Backup Exercise', sets: [{ weight: 40, reps: 8 }] }] });
+      const added = (await storage.loadWorkouts()).find(w => w.exercises[0]?.exercise === 'Backup Exercise');
+      restoredId = added.id;
+      const snapshot = await backupManager.read(webdavProvider, (await backupManager.create(webdavProvider, path, { workouts: await storage.loadWorkouts() }, 'tester')).path);
+      await storage.deleteWorkout(restoredId);
+      const restored = await backupManager.restore(snapshot, [`${RECORD_TYPES.WORKOUT}:${restoredId}`]);
+      const back = await storage.getWorkout(restoredId);
+      this.assert(restored.workouts === 1 && back?.exercises[0].sets[0].weight === 40, 'Deleted workout restored from backup');
+      this.assert(!back.deletedAt && new Date(back.updatedAt) > new Date(added.updatedAt), 'Restored workout is newer than its tombstone');
+      
+      logger.success('Backup tests completed');
+    } catch (error) {
+      logger.error('Backup test failed:', error);
+      this.testResults.push({ module: 'Backups', success: false, error: error.message });
+    } finally {
+      webdavProvider.fetch = originalFetch;
+      if (restoredId) await storage.deleteWorkout(restoredId);
     }
   }
 
@@ -102,6 +878,122 @@ class ModuleTester {
       };
       const validation = exerciseManager.validateExercise(testExercise);
       this.assert(validation.isValid, 'Exercise validation passed');
+      exerciseManager.clearSelected();
+      
+      // Лимит упражнений задается настройкой, порядок можно менять
+      exerciseManager.setMaxExercises(2);
+      ['Жим лежа', 'Подтягивания'].forEach(name => exerciseManager.selectExercise(name));
+      this.assert(!exerciseManager.selectExercise('Планка'), 'Configured exercise limit applied');
+      this.assert(exerciseManager.selectExercise('Планка', { ignoreLimit: true }), 'Loaded workout may exceed limit');
+      exerciseManager.moveExercise('Планка', 0);
+      this.assert(exerciseManager.getSelectedExercises().join() === 'Планка,Жим лежа,Подтягивания', 'Exercise moved to new position');
+      exerciseManager.setMaxExercises(100);
+      this.assert(exerciseManager.getMaxExercises() === 8, 'Out-of-range limit falls back to default');
+      exerciseManager.clearSelected();
+      
+      // Блоки: упражнения блока идут подряд, блок из одного упражнения удаляется
+      const superset = { id: 'b1', type: 'superset', rounds: 3 };
+      const single = { id: 'b2', type: 'circuit', rounds: 2 };
+      const normalized = exerciseManager.normalizeBlocks([
+        { exercise: 'A', blockId: 'b1' },
+        { exercise: 'B' },
+        { exercise: 'C', blockId: 'b1' },
+        { exercise: 'D', blockId: 'b2' }
+      ], [superset, single]);
+      this.assert(normalized.exercises.map(e => e.exercise).join() === 'A,C,B,D', 'Block members kept together');
+      this.assert(normalized.blocks.length === 1 && !('blockId' in normalized.exercises[3]), 'Single-exercise block removed');
+      const segments = exerciseManager.groupExercises(normalized.exercises, normalized.blocks);
+      this.assert(segments.length === 3 && segments[0].block === superset && segments[0].exercises.length === 2, 'Exercises grouped by block');
+      
+      // Разминка не входит в статистику, дроп-сет дает половину тяжелого подхода
+      const stats = exerciseManager.getExerciseStats({
+        sets: [
+          { weight: 40, reps: 10, type: 'warmup' },
+          { weight: 100, reps: 5, rpe: 8 },
+          { weight: 100, reps: 5, type: 'failure', rpe: 10 },
+          { weight: 70, reps: 8, type: 'drop' }
+        ]
+      });
+      this.assert(stats.workingSets === 3 && stats.warmupSets === 1 && stats.hardSets === 2.5, 'Warm-up excluded from working and hard sets');
+      this.assert(stats.minWeight === 70 && stats.totalVolume === 1560 && stats.avgRpe === 9, 'Stats calculated without warm-up');
+      this.assert(exerciseManager.createSet({ weight: 60, reps: 10, type: 'warmup' }).type === 'working', 'Set after warm-up defaults to working');
+      
+      // Собственный вес, время и кардио
+      this.assert(exerciseManager.getModality({ exercise: 'Подтягивания' }).id === 'bodyweight', 'Bodyweight exercise modality from catalog');
+      this.assert(exerciseManager.getModality({ exercise: 'Подтягивания', modality: 'weight' }).id === 'weight', 'Workout modality overrides catalog');
+      const pullUps = exerciseManager.getExerciseStats({ exercise: 'Подтягивания', sets: [{ weight: 10, reps: 6 }, { weight: 0, reps: 10 }] }, 80);
+      this.assert(pullUps.maxWeight === 90 && pullUps.maxReps === 10 && pullUps.totalVolume === 1340, 'Bodyweight load includes body weight');
+      const assisted = exerciseManager.getExerciseStats({ exercise: 'Подтягивания в гравитроне', sets: [{ weight: 30, reps: 8 }] }, 80);
+      this.assert(assisted.maxWeight === 50, 'Assistance subtracted from body weight');
+      const plank = exerciseManager.getExerciseStats({ exercise: 'Планка', sets: [{ duration: 60, weight: 0 }, { duration: 90, weight: 0 }] });
+      this.assert(plank.workingSets === 2 && plank.maxDuration === 90 && plank.totalDuration === 150, 'Timed sets counted by duration');
+      const run = exerciseManager.getExerciseStats({ exercise: 'Бег', sets: [{ distance: 5, duration: 1500 }] });
+      this.assert(run.totalDistance === 5 && run.pace === 300, 'Cardio pace in seconds per km');
+      this.assert(exerciseManager.parseDuration('1:30') === 90 && exerciseManager.parseDuration('1:02:03') === 3723 && exerciseManager.parseDuration('abc') === 0, 'Duration parsed');
+      this.assert(exerciseManager.formatSet({ distance: 5, duration: 1500 }, exerciseManager.getModality({ modality: 'distance' })) === '5 км за 25:00', 'Cardio set formatted');
+      this.assert(exerciseManager.getBodyWeight([
+        { date: '2024-01-01T10:00:00.000Z', bodyWeight: 82 },
+        { date: '2024-02-01T10:00:00.000Z', bodyWeight: 80 },
+        { date: '2024-03-01T10:00:00.000Z', bodyWeight: null }
+      ], '2024-01-15T10:00:00.000Z') === 82, 'Body weight taken from latest earlier workout');
+      
+      // Группы каталога совпадают с EXERCISE_GROUPS
+      const groupNames = EXERCISE_GROUPS.map(group => group.name);
+      this.assert(exerciseManager.getExerciseGroups().every(group => groupNames.includes(group)), 'Catalog groups listed in EXERCISE_GROUPS');
+      
+      // Метаданные: фильтры по оборудованию, паттерну, мышцам и односторонности
+      const dumbbellRows = exerciseManager.filterExercises({ equipment: 'dumbbell', pattern: 'horizontal-pull' });
+      this.assert(dumbbellRows.length === 1 && dumbbellRows[0].id === 'single-arm-dumbbell-row' && dumbbellRows[0].unilateral, 'Exercises filtered by equipment and pattern');
+      this.assert(exerciseManager.filterExercises({ muscle: 'Задние дельты' }).some(exercise => exercise.id === 'barbell-row'), 'Secondary muscle matches filter');
+      this.assert(exerciseManager.filterExercises({ unilateral: true }).every(exercise => exercise.unilateral), 'Unilateral filter applied');
+      this.assert(exerciseManager.searchExercises('штанга', 'Ноги').some(exercise => exercise.id === 'squat'), 'Search matches equipment within group');
+      
+      // Объем по мышцам: вспомогательные мышцы получают часть подхода
+      const volume = exerciseManager.getMuscleVolume([{
+        exercises: [
+          { exerciseId: 'bench-press', exercise: 'Жим лежа', sets: [{ weight: 60, reps: 5, type: 'warmup' }, { weight: 100, reps: 5 }, { weight: 100, reps: 5 }, { weight: 0, reps: 0 }] },
+          { exercise: 'Unknown Exercise', group: 'Спина', sets: [{ weight: 20, reps: 10 }] }
+        ]
+      }]);
+      this.assert(volume['Грудь'].sets === 2 && volume['Грудь'].volume === 1000, 'Primary muscle volume counted without warm-up');
+      this.assert(volume['Трицепс'].sets === 2 * MUSCLE_WEIGHTS.SECONDARY && volume['Трицепс'].volume === 1000 * MUSCLE_WEIGHTS.SECONDARY, 'Secondary muscle volume weighted');
+      this.assert(volume['Спина'].sets === 1 && volume['Спина'].volume === 200, 'Exercise outside catalog counted for its group');
+      
+      // Прошлый раз: последняя тренировка с выполненными подходами упражнения
+      const history = [
+        { id: 'h1', date: '2024-03-01T10:00:00.000Z', exercises: [{ exercise: 'Жим лежа', sets: [{ weight: 80, reps: 8 }, { weight: 80, reps: 7 }] }] },
+        { id: 'h2', date: '2024-03-08T10:00:00.000Z', exercises: [{ exerciseId: 'bench-press', exercise: 'Жим лежа', sets: [{ weight: 60, reps: 5, type: 'warmup' }, { weight: 82.5, reps: 8 }, { weight: 0, reps: 0 }] }] },
+        { id: 'h3', date: '2024-03-15T10:00:00.000Z', exercises: [{ exercise: 'Жим лежа', sets: [{ weight: 0, reps: 0 }] }] }
+      ];
+      const previous = exerciseManager.getPreviousExercise(history, 'Жим лежа');
+      this.assert(previous.workoutId === 'h2' && previous.exercise.sets.length === 2, 'Previous occurrence found without empty sets');
+      this.assert(exerciseManager.getPreviousExercise(history, 'Жим лежа', { excludeId: 'h2' }).workoutId === 'h1', 'Open workout excluded from history');
+      this.assert(exerciseManager.getPreviousExercise(history, 'Становая тяга') === null, 'No previous occurrence');
+
+      // Оценка e1RM по формулам и таблице RPE
+      this.assert(exerciseManager.estimateOneRepMax(100, 5) === 116.7, 'Epley e1RM is the default');
+      this.assert(exerciseManager.estimateOneRepMax(100, 5, { formula: 'brzycki' }) === 112.5, 'Brzycki e1RM');
+      this.assert(exerciseManager.estimateOneRepMax(100, 5, { formula: 'lombardi' }) === 117.5, 'Lombardi e1RM');
+      this.assert(exerciseManager.estimateOneRepMax(100, 5, { formula: 'rpe', rpe: 8 }) === 123.3, 'RPE table e1RM');
+      this.assert(exerciseManager.estimateOneRepMax(100, 5, { formula: 'rpe', rir: 2 }) === 123.3, 'RPE derived from RIR');
+      this.assert(exerciseManager.estimateOneRepMax(100, 1, { formula: 'rpe' }) === 100, 'Single at RPE 10 is the max');
+      this.assert(exerciseManager.estimateOneRepMax(100, 5, { formula: 'rpe', rpe: 5 }) === null, 'RPE below the table is not estimated');
+      this.assert(exerciseManager.estimateOneRepMax(100, 13) === null, 'High-rep sets are not estimated');
+      let formulaError = null;
+      try {
+        exerciseManager.estimateOneRepMax(100, 5, { formula: 'unknown' });
+      } catch (error) {
+        formulaError = error;
+      }
+      this.assert(formulaError !== null, 'Unknown e1RM formula rejected');
+
+      // Лучший подход по e1RM учитывает повторения, а не только вес
+      const bestSet = exerciseManager.getBestSet({
+        exercise: 'Жим лежа',
+        sets: [{ weight: 100, reps: 3 }, { weight: 90, reps: 8, rpe: 9 }, { weight: 110, reps: 1, type: 'warmup' }]
+      });
+      this.assert(bestSet.weight === 90 && bestSet.reps === 8 && bestSet.rpe === 9 && bestSet.e1rm === 114, 'Best set chosen by e1RM');
+      this.assert(exerciseManager.getBestSet({ exercise: 'Жим лежа', sets: [{ weight: 0, reps: 0 }] }) === null, 'No best set without working sets');
       
       logger.success('Exercise manager tests completed');
     } catch (error) {
@@ -110,6 +1002,271 @@ class ModuleTester {
     }
   }
 
+  /**
+   * Тест каталога упражнений: id, пользовательские упражнения, переименование и объединение
+   */
+  async testExerciseCatalog() {
+    logger.info('Testing exercise catalog...');
+    
+    // Новый каталог на отдельном хранилище: упражнения и тренировки приложения не затрагиваются
+    const store = await this.createTestStorage('catalog');
+    const catalog = new ExerciseCatalog(store);
+    try {
+      await catalog.load();
+      
+      // id встроенных упражнений постоянны, прежние названия находят то же упражнение
+      this.assert(exerciseManager.getExerciseId('Жим лежа') === 'bench-press', 'Seed exercise has a stable id');
+      this.assert(exerciseManager.getExerciseId('  подтягивание ') === 'pull-ups', 'Alias resolves to seed exercise');
+      
+      // id упражнения вне каталога не зависит от устройства и регистра
+      const customId = exerciseManager.getExerciseId('Catalog Test Press');
+      this.assert(customId.startsWith('custom-') && customId === exerciseManager.getExerciseId('catalog  test press'), 'Custom id is derived from the name');
+      
+      // Старые тренировки получают exerciseId при миграции
+      const legacy = schema.migrate(RECORD_TYPES.WORKOUT, {
+        id: 'legacy-catalog', schemaVersion: 2, date: '2024-01-01T10:00:00.000Z',
+        exercises: [{ exercise: 'Catalog Test Press', group: 'Грудь', sets: [] }]
+      });
+      this.assert(legacy.exercises[0].exerciseId === customId, 'v2 workout migrated with exercise id');
+      
+      // Создание: повторное создание возвращает то же упражнение
+      const created = await catalog.create({ name: 'Catalog Test Press', group: 'Грудь' });
+      this.assert(created.id === customId && created.custom, 'Custom exercise created');
+      this.assert((await catalog.create({ name: 'catalog test press', group: 'Спина' })).id === customId, 'Duplicate create returns existing exercise');
+      this.assert((await store.loadExercises()).some(record => record.id === customId && record.deviceId), 'Custom exercise stored for sync');
+      
+      // Метаданные пользовательского упражнения
+      const updated = await catalog.update(customId, { equipment: 'machine', pattern: 'horizontal-push', secondaryMuscles: ['Трицепс'] });
+      this.assert(updated.equipment === 'machine' && updated.primaryMuscles.join() === 'Грудь' && updated.secondaryMuscles.join() === 'Трицепс', 'Exercise metadata updated');
+      let unknownRejected = false;
+      try {
+        await catalog.update(customId, { equipment: 'kettlebell' });
+      } catch (error) {
+        unknownRejected = /Unknown equipment/.test(error.message);
+      }
+      this.assert(unknownRejected, 'Unknown equipment rejected');
+      
+      // Переименование переписывает тренировки и оставляет прежнее название
+      await store.addWorkout({ date: '2024-02-01T10:00:00.000Z', exercises: [{ exercise: 'Catalog Test Press', group: 'Грудь', sets: [{ weight: 30, reps: 10 }] }] });
+      await store.addWorkout({ date: '2024-02-02T10:00:00.000Z', exercises: [{ exercise: 'Catalog Duplicate', group: 'Грудь', sets: [{ weight: 32, reps: 8 }] }] });
+      const findWorkout = exerciseId => store.loadWorkouts().then(workouts => workouts.find(w => w.exercises.some(e => catalog.getWorkoutExerciseId(e) === exerciseId)));
+      const first = await findWorkout(customId);
+      await catalog.rename(customId, 'Catalog Renamed Press');
+      const renamed = await store.getWorkout(first.id);
+      this.assert(renamed.exercises[0].exercise === 'Catalog Renamed Press' && renamed.exercises[0].exerciseId === customId, 'Rename rewrites past workouts');
+      this.assert(new Date(renamed.updatedAt) > new Date(first.updatedAt), 'Rewritten workout stamped for sync');
+      this.assert(exerciseManager.getExerciseId('Catalog Test Press') === customId, 'Old name kept as alias');
+      
+      let duplicateRejected = false;
+      try {
+        await catalog.rename(customId, 'Жим лежа');
+      } catch (error) {
+        duplicateRejected = error instanceof DuplicateExerciseError && error.existingId === 'bench-press';
+      }
+      this.assert(duplicateRejected, 'Rename to an existing name rejected');
+      
+      // Объединение: тренировки дубликата переходят к цели
+      const duplicateId = exerciseManager.getExerciseId('Catalog Duplicate');
+      const second = await findWorkout(duplicateId);
+      await catalog.create({ name: 'Catalog Duplicate', group: 'Грудь' });
+      await catalog.merge(duplicateId, customId);
+      const merged = await store.getWorkout(second.id);
+      this.assert(merged.exercises[0].exerciseId === customId && merged.exercises[0].exercise === 'Catalog Renamed Press', 'Merge moves workouts to target');
+      this.assert(catalog.resolve(duplicateId).id === customId && !catalog.getAll().some(e => e.id === duplicateId), 'Merged exercise resolves to target');
+      this.assert(exerciseManager.getExerciseId('Catalog Duplicate') === customId, 'Merged name found as alias');
+      
+      // Синхронизация: побеждает более поздняя версия записи каталога
+      const older = { id: customId, name: 'Old', group: 'Грудь', updatedAt: '2024-01-01T00:00:00.000Z' };
+      const newer = { id: customId, name: 'New', group: 'Грудь', updatedAt: '2024-06-01T00:00:00.000Z' };
+      const mergedData = syncMerge.mergeData({ workouts: [], exercises: [older] }, { workouts: [], exercises: [newer] });
+      this.assert(mergedData.exercises.length === 1 && mergedData.exercises[0].name === 'New', 'Catalog records merged by updatedAt');
+      
+      logger.success('Exercise catalog tests completed');
+    } catch (error) {
+      logger.error('Exercise catalog test failed:', error);
+      this.testResults.push({ module: 'ExerciseCatalog', success: false, error: error.message });
+    } finally {
+      await store.backend.destroy();
+      // exerciseManager снова получает каталог приложения
+      await exerciseCatalog.load();
+    }
+  }
+
+  /**
+   * Тест программ тренировок: план по неделям, запуск цикла и выполнение плана
+   */
+  async testPrograms() {
+    logger.info('Testing programs...');
+    
+    const saved = await storage.loadPrograms();
+    try {
+      await programManager.load();
+      
+      // План первой недели копируется на остальные с прибавкой веса
+      let template = programManager.createTemplate({ name: 'Test Program', weeks: 3, sessionsPerWeek: 2 });
+      template = programManager.setSession(template, 1, 1, [{ exercise: 'Жим лежа', sets: 3, repsMin: 5, repsMax: 8, load: 80 }]);
+      template = programManager.copySession(template, 1, 1, 2.5);
+      this.assert(programManager.getSession(template, 3, 1).exercises[0].load === 85, 'Session copied with weekly load step');
+      this.assert(programManager.getSession(template, 1, 1).exercises[0].exerciseId === 'bench-press', 'Planned exercise has catalog id');
+      this.assert(programManager.formatPlanned(template.sessions[0].exercises[0]) === '3×5–8 · 80 кг', 'Planned target formatted');
+      
+      let invalidRejected = false;
+      try {
+        await programManager.saveTemplate({ ...template, weeks: 0 });
+      } catch (error) {
+        invalidRejected = /Invalid program/.test(error.message);
+      }
+      this.assert(invalidRejected, 'Invalid program rejected');
+      await programManager.saveTemplate(template);
+      this.assert((await storage.loadPrograms()).templates.some(item => item.id === template.id), 'Program stored');
+      const [stored] = (await storage.loadProgramRecords()).filter(item => item.id === template.id);
+      this.assert(stored.updatedAt && stored.deviceId === storage.getDeviceId(), 'Program stored as synced record');
+      
+      // Новый цикл следует за последним записанным
+      const active = await programManager.start(template.id, [{ cycle: 2 }, { cycle: null }]);
+      this.assert(active.cycle === 3 && active.template.id === template.id, 'Program started as next cycle');
+      
+      // Заполнение по плану и выполнение: засчитываются подходы не легче цели и не короче нижней границы
+      const planned = programManager.createPlannedExercises(programManager.getSession(template, 1, 1));
+      this.assert(planned[0].sets.length === 3 && planned[0].sets[0].weight === 80 && planned[0].sets[0].reps === 5, 'Planned sets prefilled');
+      const workout = {
+        id: 'program-w1', date: '2024-03-01T10:00:00.000Z', programId: template.id, cycle: 3, week: 1, session: 1,
+        exercises: [{ exercise: 'Жим лежа', sets: [{ weight: 80, reps: 6 }, { weight: 80, reps: 4 }, { weight: 40, reps: 10, type: 'warmup' }] }]
+      };
+      const completion = programManager.getCompletion([workout, { ...workout, id: 'other-cycle', cycle: 2 }]);
+      const first = completion.sessions[0];
+      this.assert(first.status === 'partial' && first.completedSets === 1 && first.plannedSets === 3, 'Session completion tracked against plan');
+      this.assert(completion.sessions.length === 6 && completion.next.week === 2 && completion.next.session === 1, 'Next planned session found');
+      this.assert(!completion.complete, 'Cycle not complete until every planned session is logged');
+
+      // Тренировка, заполненная по плану в форме, сохраняется с programId и засчитывается в план
+      workoutForm.loadPlan({ templateId: template.id, cycle: 3 }, programManager.getSession(template, 1, 1));
+      const collected = workoutForm.collect();
+      this.assert(collected.programId === template.id && collected.exercises[0].exerciseId === 'bench-press', 'Planned workout form carries program id');
+      const formCompletion = programManager.getCompletion([{ ...collected, id: 'program-form', cycle: 3, week: 1, session: 1 }]);
+      this.assert(formCompletion.sessions[0].status === 'done', 'Planned session from form marked complete');
+      workoutForm.reset();
+      
+      await programManager.deleteTemplate(template.id);
+      this.assert(!programManager.getActive(), 'Deleting active program stops it');
+      const programRecords = await storage.loadProgramRecords({ includeDeleted: true });
+      this.assert(tombstones.isDeleted(programRecords.find(item => item.id === template.id)), 'Deleted program kept as tombstone');
+
+      // Программы другого устройства приходят при слиянии, более поздняя версия побеждает
+      const remoteProgram = { ...stored, name: 'Remote Program', updatedAt: new Date(Date.now() + 60000).toISOString(), deviceId: 'other-device' };
+      const programSync = syncMerge.mergeData({ programs: programRecords }, { programs: [remoteProgram] });
+      this.assert(programSync.programs.find(item => item.id === template.id).name === 'Remote Program', 'Newer program edit wins on merge');
+      this.assert(backupManager.createDocument(programSync, 'this-device').programs.some(item => item.id === template.id), 'Programs included in backup');
+
+      // Программы библиотеки: план рассчитывается от тренировочных максимумов
+      let maxRejected = false;
+      try {
+        programLibrary.createTemplate('wendler-531', { squat: 100 });
+      } catch (error) {
+        maxRejected = /Training max required/.test(error.message);
+      }
+      this.assert(maxRejected, 'Library program requires every training max');
+      const wendler = programLibrary.createTemplate('wendler-531', { squat: 100, 'bench-press': 80, deadlift: 140, 'overhead-press': 50 }, { id: 'test-wendler-531' });
+      const topSet = programManager.getSession(wendler, 1, 1).exercises[0].setTargets[2];
+      this.assert(topSet.load === 85 && topSet.reps === 5 && topSet.type === 'amrap', '5/3/1 top set is 85% AMRAP');
+      this.assert(programManager.formatPlanned(programManager.getSession(wendler, 1, 2).exercises[0]) === '5×52.5 · 5×60 · 5+×67.5 кг', '5/3/1 sets formatted');
+      this.assert(validator.validateProgram({ ...wendler, sessions: [{ week: 1, session: 1, exercises: [{ ...wendler.sessions[0].exercises[0], sets: 2 }] }] }).errors.length === 1, 'Set targets must match set count');
+
+      const dup = programLibrary.createTemplate('dup', { squat: 100, 'bench-press': 80, deadlift: 140 });
+      const heavy = programManager.getSession(dup, 2, 1).exercises[0];
+      const deload = programManager.getSession(dup, 4, 1).exercises[0];
+      this.assert(heavy.setTargets.length === 5 && heavy.load === 87.5, 'DUP intensity rises weekly');
+      this.assert(deload.setTargets.length === 4 && deload.load === 75, 'DUP last week is a deload');
+
+      // Линейная прогрессия: все тренировки выполнены — вес растет, неудачи повторяют вес, затем сброс
+      const linear = programLibrary.createTemplate('linear', { squat: 100, 'bench-press': 60, 'barbell-row': 50, 'overhead-press': 40, deadlift: 120 });
+      this.assert(programManager.getSession(linear, 1, 3).exercises[0].load === 110, 'Linear squat increases each session');
+      const results = programManager.getSession(linear, 1, 3).exercises.map(item => ({ exerciseId: item.exerciseId, load: item.load, plannedSets: item.sets, completedSets: item.sets }));
+      const progressed = programLibrary.advance(linear, results, 2);
+      this.assert(progressed.trainingMaxes.squat === 115 && progressed.trainingMaxes['bench-press'] === 65, 'Linear progression adds increment after success');
+      this.assert(programManager.getSession(progressed, 1, 1).exercises[1].exerciseId === 'overhead-press', 'Even cycle starts with workout B');
+      const failedBench = [{ exerciseId: 'bench-press', load: 60, plannedSets: 3, completedSets: 2 }];
+      let stalled = { ...linear, progression: { 'bench-press': { stalls: 2 } } };
+      stalled = programLibrary.advance(stalled, failedBench, 2);
+      this.assert(stalled.trainingMaxes['bench-press'] === 55 && stalled.progression['bench-press'].stalls === 0, 'Third stall resets training max to 90%');
+      this.assert(programLibrary.advance(linear, failedBench, 2).progression['bench-press'].stalls === 1, 'Stall counted');
+
+      // Записанный цикл 5/3/1 начинает следующий с новыми максимумами
+      await programManager.saveTemplate(wendler);
+      const started = await programManager.start(wendler.id, [], { firstCycle: 5 });
+      this.assert(started.cycle === 5, 'First cycle taken from settings');
+      this.assert(!(await programManager.advanceIfComplete([])), 'Incomplete cycle not advanced');
+      const cycleWorkouts = wendler.sessions.map(planned => ({
+        id: `wendler-${planned.week}-${planned.session}`, date: '2024-03-01T10:00:00.000Z',
+        programId: wendler.id, cycle: 5, week: planned.week, session: planned.session,
+        exercises: programManager.createPlannedExercises(planned)
+      }));
+      // Жим на неделе 3 не выполнен
+      cycleWorkouts[9].exercises[0].sets[2].reps = 0;
+      const next = await programManager.advanceIfComplete(cycleWorkouts);
+      this.assert(next?.cycle === 6, 'Completed cycle advances');
+      this.assert(next.template.trainingMaxes.squat === 105 && next.template.trainingMaxes['overhead-press'] === 52.5, 'Training maxes increased after cycle');
+      this.assert(next.template.trainingMaxes['bench-press'] === 72.5, 'Failed lift reset to 90%');
+      await programManager.deleteTemplate(wendler.id);
+
+      logger.success('Program tests completed');
+    } catch (error) {
+      logger.error('Program test failed:', error);
+      this.testResults.push({ module: 'Programs', success: false, error: error.message });
+    } finally {
+      await storage.savePrograms(saved);
+      await programManager.load();
+    }
+  }
+
+  /**
+   * Тест рекомендаций прогрессии нагрузки
+   */
+  async testRecommendations() {
+    logger.info('Testing recommendations...');
+    
+    try {
+      const session = (id, date, exercise, weight, reps, extra = {}) => ({
+        id, date, exercises: [{ exercise, sets: [{ weight: 20, reps: 10, type: 'warmup' }, ...reps.map(count => ({ weight, reps: count, ...extra }))] }]
+      });
+      
+      // Верхняя граница диапазона выполнена — прибавка по оборудованию
+      const bench = [session('r1', '2024-03-01', 'Жим лежа', 80, [12, 12, 12])];
+      const increase = recommendationEngine.recommend(bench, 'Жим лежа');
+      this.assert(increase.action === 'increase' && increase.weight === 82.5 && increase.reps === 8 && increase.sets === 3, 'Weight increased after top of rep range');
+      const dumbbell = recommendationEngine.recommend([session('r2', '2024-03-01', 'Жим гантелей лежа', 30, [12, 12])], 'Жим гантелей лежа');
+      this.assert(dumbbell.weight === 32, 'Dumbbell increment used');
+      recommendationEngine.setIncrements({ barbell: 5, dumbbell: 0 });
+      this.assert(recommendationEngine.getIncrement('Жим лежа') === 5 && recommendationEngine.getIncrement('Жим гантелей лежа') === 2, 'Configured increment applied, invalid one ignored');
+      recommendationEngine.setIncrements();
+      
+      // Внутри диапазона — повторение, высокий RPE — тот же вес, план задает диапазон
+      this.assert(recommendationEngine.recommend([session('r3', '2024-03-01', 'Жим лежа', 80, [10, 9, 9])], 'Жим лежа').action === 'reps', 'Rep added within range');
+      const hard = recommendationEngine.recommend([session('r4', '2024-03-01', 'Жим лежа', 80, [12, 12], { rpe: 9.5 })], 'Жим лежа');
+      this.assert(hard.action === 'hold' && hard.weight === 80, 'High RPE holds weight');
+      this.assert(recommendationEngine.recommend([session('r5', '2024-03-01', 'Жим лежа', 80, [5, 5])], 'Жим лежа', { repsMin: 5, repsMax: 5 }).weight === 82.5, 'Planned rep range used');
+      
+      // Неудача — повтор веса, две подряд — разгрузка; открытая тренировка не учитывается
+      const failed = [
+        session('r6', '2024-03-01', 'Жим лежа', 80, [12, 12, 12]),
+        session('r7', '2024-03-08', 'Жим лежа', 82.5, [8, 7, 6]),
+        session('r8', '2024-03-15', 'Жим лежа', 82.5, [7, 6, 6])
+      ];
+      const deload = recommendationEngine.recommend(failed, 'Жим лежа');
+      this.assert(deload.action === 'deload' && deload.weight === 75 && deload.reps === 8, 'Deload after repeated failures');
+      this.assert(recommendationEngine.recommend(failed, 'Жим лежа', { excludeId: 'r8' }).action === 'hold', 'Single failure holds weight');
+      this.assert(recommendationEngine.getSessions(failed, 'Жим лежа')[0].reps === 12, 'Warm-up sets ignored');
+      
+      this.assert(recommendationEngine.recommend([], 'Жим лежа') === null, 'No recommendation without history');
+      this.assert(recommendationEngine.recommend([session('r9', '2024-03-01', 'Подтягивания в гравитроне', 20, [8])], 'Подтягивания в гравитроне') === null, 'No recommendation for assisted exercise');
+      
+      logger.success('Recommendation tests completed');
+    } catch (error) {
+      logger.error('Recommendation test failed:', error);
+      this.testResults.push({ module: 'Recommendations', success: false, error: error.message });
+    }
+  }
+
   /**
    * Тест валидатора
    */
@@ -135,6 +1292,33 @@ class ModuleTester {
       const dateValidation = validator.validateDate(new Date().toISOString());
       this.assert(dateValidation.isValid, 'Date validation passed');
       
+      // Тип подхода и интенсивность
+      const detailedSet = { weight: 80, reps: 8, type: 'failure', rpe: 9.5, rir: 0, tempo: '3-1-X-0', note: 'Последний повтор с помощью' };
+      this.assert(validator.validateSet(detailedSet).length === 0, 'Set with type, RPE/RIR, tempo and note is valid');
+      this.assert(validator.validateSet({ weight: 80, reps: 8, type: 'cluster' }).length === 1, 'Unknown set type rejected');
+      this.assert(validator.validateSet({ weight: 80, reps: 8, rpe: 7.3 }).length === 1, 'RPE outside 0.5 steps rejected');
+      this.assert(validator.validateSet({ weight: 80, reps: 8, rir: -1, tempo: 'slow' }).length === 2, 'Invalid RIR and tempo rejected');
+      
+      // Поля подхода зависят от способа учета
+      this.assert(validator.validateSet({ duration: 60, weight: 0 }, 'duration').length === 0, 'Timed set without reps is valid');
+      this.assert(validator.validateSet({ distance: 5, duration: 1500 }, 'distance').length === 0, 'Cardio set is valid');
+      this.assert(validator.validateSet({ distance: 5 }, 'distance').length === 1, 'Cardio set requires duration');
+      const blockWorkout = {
+        blocks: [{ id: 'b1', type: 'superset', rounds: 3 }],
+        exercises: [
+          { exercise: 'Жим лежа', blockId: 'b1', sets: [{ weight: 80, reps: 8 }] },
+          { exercise: 'Тяга штанги к поясу', blockId: 'b1', sets: [{ weight: 70, reps: 10 }] },
+          { exercise: 'Приседания со штангой', sets: [{ weight: 100, reps: 5 }] }
+        ]
+      };
+      this.assert(validator.validateWorkout(blockWorkout).isValid, 'Superset workout valid');
+      this.assert(!validator.validateWorkout(blockWorkout, { maxExercises: 2 }).isValid, 'Configured exercise limit validated');
+      const splitBlock = { ...blockWorkout, exercises: [blockWorkout.exercises[0], blockWorkout.exercises[2], blockWorkout.exercises[1]] };
+      this.assert(validator.validateWorkout(splitBlock).errors.length === 1, 'Non-adjacent block exercises rejected');
+      const giantSuperset = { ...blockWorkout, exercises: blockWorkout.exercises.map(e => ({ ...e, blockId: 'b1' })) };
+      this.assert(validator.validateWorkout(giantSuperset).errors.length === 1, 'Superset of three exercises rejected');
+      this.assert(validator.validateWorkout({ bodyWeight: 5, exercises: [{ exercise: 'Планка', modality: 'duration', sets: [{ duration: 60, weight: 0 }] }] }).errors.length === 1, 'Body weight out of range rejected');
+      
       logger.success('Validator tests completed');
     } catch (error) {
       logger.error('Validator test failed:', error);
@@ -172,6 +1356,11 @@ class ModuleTester {
       // Очищаем тестовый элемент
       document.body.removeChild(testElement);
       
+      // Название упражнения экранируется в разметке формы тренировки
+      const unsafeName = '<img src=x onerror="alert(1)">';
+      const markup = workoutForm.renderExercise(unsafeName, [unsafeName]);
+      this.assert(!markup.includes('<img') && markup.includes(`data-exercise="${dom.escapeHTML(unsafeName)}"`), 'Exercise name escaped in workout form');
+      
       logger.success('DOM utils tests completed');
     } catch (error) {
       logger.error('DOM utils test failed:', error);
@@ -179,12 +1368,141 @@ class ModuleTester {
     }
   }
 
+  /**
+   * Тест страницы настроек: лимит упражнений загружается и сохраняется после подгрузки разметки
+   */
+  async testSettings() {
+    logger.info('Testing settings...');
+    
+    // Отдельное хранилище: конфигурация приложения не меняется
+    const store = await this.createTestStorage('settings');
+    const manager = new SettingsManager(store);
+    const input = dom.createElement('input', { type: 'number', min: '1', max: '30' });
+    input.id = 'maxExercisesPerWorkout';
+    try {
+      await store.saveConfig({ maxExercisesPerWorkout: 12 });
+      manager.config = await store.loadConfig();
+      
+      // Разметка страницы настроек появляется после init: поле подключается отдельно
+      document.body.appendChild(input);
+      manager.setupExerciseLimitSettings();
+      this.assert(input.value === '12', 'Exercise limit is loaded into the settings field');
+      
+      input.value = '10';
+      this.assert(await manager.saveExerciseLimit(), 'Valid exercise limit is saved');
+      this.assert((await store.loadConfig()).maxExercisesPerWorkout === 10, 'Exercise limit is stored');
+      this.assert(exerciseManager.maxExercises === 10, 'Exercise limit is applied');
+      
+      input.value = '99';
+      this.assert(!(await manager.saveExerciseLimit()), 'Out of range exercise limit is rejected');
+      this.assert((await store.loadConfig()).maxExercisesPerWorkout === 10 && input.value === '10', 'Rejected limit keeps the saved value');
+      
+      logger.success('Settings tests completed');
+    } catch (error) {
+      logger.error('Settings test failed:', error);
+      this.testResults.push({ module: 'Settings', success: false, error: error.message });
+    } finally {
+      input.remove();
+      exerciseManager.setMaxExercises((await storage.loadConfig()).maxExercisesPerWorkout);
+      await store.backend.destroy();
+    }
+  }
+
+  /**
+   * Тест общего HTTP-клиента
+   */
+  async testHttpClient() {
+    logger.info('Testing HTTP client...');
+    
+    const reply = (status, headers = {}) => ({ ok: status >= 200 && status < 300, status, statusText: String(status), headers: new Headers(headers), json: async () => ({}) });
+    const request = (transport, options = {}) => httpClient.request('https://service.test/resource', { service: 'test', transport, ...options });
+    const never = () => new Promise(() => {});
+    const calls = [];
+    const detach = httpClient.use({
+      onRequest: info => calls.push(['request', info.service, info.attempt]),
+      onResponse: info => calls.push(['response', info.status]),
+      onError: info => calls.push(['error', info.error.name])
+    });
+    try {
+      // Статусы превращаются в типизированные ошибки; ожидаемый статус возвращается как ответ
+      const failed = async status => request(async () => reply(status)).catch(error => error);
+      this.assert((await failed(401)) instanceof AuthError && (await failed(403)).reason === 'forbidden', '401/403 become AuthError');
+      this.assert((await failed(404)) instanceof NotFoundError && (await failed(507)) instanceof QuotaError, '404 and 507 typed');
+      this.assert((await failed(500)).status === 500 && !((await failed(500)) instanceof NetworkError), 'Other statuses become HttpError');
+      this.assert((await request(async () => reply(404), { accept: [404] })).status === 404, 'Accepted status returned as response');
+      
+      const offline = await request(async () => { throw new TypeError('Failed to fetch'); }).catch(error => error);
+      this.assert(offline instanceof NetworkError && offline.reason === 'offline', 'Transport failure becomes NetworkError');
+      
+      // Время ожидания и отмена работают, даже если транспорт не поддерживает signal
+      const timedOut = await request(never, { timeout: 20 }).catch(error => error);
+      this.assert(timedOut instanceof NetworkError && timedOut.reason === 'timeout', 'Request times out');
+      
+      // Время ожидания действует и при чтении тела: заголовки пришли, а тело зависло
+      const stalled = await request(async () => ({ ...reply(200), json: never }), { timeout: 20 });
+      const bodyTimedOut = await stalled.json().catch(error => error);
+      this.assert(bodyTimedOut instanceof NetworkError && bodyTimedOut.reason === 'timeout' && httpClient.pending.size === 0, 'Stalled response body times out');
+      
+      const pending = request(never).catch(error => error);
+      this.assert(httpClient.cancel('test') === 1 && (await pending).name === 'AbortError', 'Service requests cancelled');
+      
+      const controller = new AbortController();
+      const aborted = request(never, { signal: controller.signal }).catch(error => error);
+      controller.abort();
+      this.assert((await aborted).name === 'AbortError' && httpClient.pending.size === 0, 'Caller signal cancels request');
+      
+      // 429: повтор после Retry-After, после исчерпания повторов — QuotaError с паузой
+      let attempts = 0;
+      const limited = await request(async () => (++attempts === 1 ? reply(429, { 'Retry-After': '0' }) : reply(200)));
+      this.assert(limited.ok && attempts === 2, 'Rate-limited request retried after Retry-After');
+      
+      const quota = await request(async () => reply(429, { 'Retry-After': '120' }), { retries: 0 }).catch(error => error);
+      this.assert(quota instanceof QuotaError && quota.retryAfter === 120000, 'Rate limit reported with retry delay');
+      this.assert(httpClient.getRetryAfter(reply(429, { 'Retry-After': new Date(Date.now() + 5000).toUTCString() })) > 3000, 'Retry-After date parsed');
+      this.assert(httpClient.getRetryAfter(reply(429)) === HTTP_CONFIG.DEFAULT_RETRY_AFTER_MS, 'Default delay without Retry-After');
+      
+      // Пауза без отмены снимает свой обработчик с сигнала
+      const waitSignal = new AbortController().signal;
+      let listeners = 0;
+      const addListener = waitSignal.addEventListener.bind(waitSignal);
+      const removeListener = waitSignal.removeEventListener.bind(waitSignal);
+      waitSignal.addEventListener = (...args) => { listeners++; addListener(...args); };
+      waitSignal.removeEventListener = (...args) => { listeners--; removeListener(...args); };
+      await httpClient.wait(0, waitSignal);
+      this.assert(listeners === 0, 'Retry pause removes its abort listener');
+      
+      // Хуки видят каждую попытку без подмены fetch
+      calls.length = 0;
+      attempts = 0;
+      await request(async () => (++attempts === 1 ? reply(429, { 'Retry-After': '0' }) : reply(200)));
+      await request(never, { timeout: 10 }).catch(() => {});
+      this.assert(JSON.stringify(calls) === JSON.stringify([
+        ['request', 'test', 1], ['response', 429], ['request', 'test', 2], ['response', 200], ['request', 'test', 1], ['error', 'NetworkError']
+      ]), 'Instrumentation hooks called for every attempt');
+      
+      detach();
+      calls.length = 0;
+      await request(async () => reply(200));
+      this.assert(calls.length === 0, 'Hooks detached');
+      
+      logger.success('HTTP client tests completed');
+    } catch (error) {
+      logger.error('HTTP client test failed:', error);
+      this.testResults.push({ module: 'HttpClient', success: false, error: error.message });
+    } finally {
+      detach();
+    }
+  }
+
   /**
    * Тест Yandex API
    */
   async testYandexAPI() {
     logger.info('Testing Yandex API...');
     
+    const originalFetch = yandexAPI.fetch;
+    const originalToken = yandexAPI.token;
+    const originalListeners = syncProviders.authListeners;
     try {
       // Тест получения OAuth URL
       const oauthUrl = yandexAPI.getOAuthUrl();
@@ -194,10 +1512,41 @@ class ModuleTester {
       const callbackResult = yandexAPI.handleOAuthCallback();
       this.assert(!callbackResult.success, 'OAuth callback handled correctly');
       
+      // Ответ с чужим state отклоняется (CSRF), с выданным — принимается вместе со сроком действия
+      const state = new URL(yandexAPI.getOAuthUrl()).searchParams.get('state');
+      this.assert(state && sessionStorage.getItem(AUTH_CONFIG.STATE_KEY) === state, 'OAuth state stored before redirect');
+      history.replaceState(null, '', '#access_token=forged-token&state=forged');
+      this.assert(yandexAPI.handleOAuthCallback().error === 'Invalid OAuth state', 'Callback with foreign state rejected');
+      
+      const issued = new URL(yandexAPI.getOAuthUrl()).searchParams.get('state');
+      history.replaceState(null, '', `#access_token=test-token&token_type=bearer&expires_in=3600&state=${issued}`);
+      const login = yandexAPI.handleOAuthCallback();
+      this.assert(login.success && login.token === 'test-token' && Date.parse(login.expiresAt) > Date.now(), 'Token and expiry accepted');
+      this.assert(!window.location.hash && !sessionStorage.getItem(AUTH_CONFIG.STATE_KEY), 'Token removed from URL, state used once');
+      
+      const inDays = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+      const tokenState = expiresAt => yandexAPI.getTokenStatus({ yandexToken: 'test-token', yandexTokenExpiresAt: expiresAt }).state;
+      this.assert(tokenState(inDays(30)) === 'valid' && tokenState(inDays(AUTH_CONFIG.EXPIRY_WARNING_DAYS - 1)) === 'expiring', 'Expiry warning before token expires');
+      this.assert(tokenState(inDays(-1)) === 'expired' && tokenState(null) === 'unknown', 'Expired and unknown expiry detected');
+      
+      // 401 из любого запроса — AuthError, о котором узнают подписчики реестра провайдеров
+      const reported = [];
+      syncProviders.authListeners = new Set([error => reported.push(error)]);
+      yandexAPI.fetch = async () => ({ ok: false, status: 401, statusText: 'Unauthorized', json: async () => ({}) });
+      const unauthorized = await yandexAPI.revision('/MyFitness/workouts.json').catch(error => error);
+      this.assert(unauthorized instanceof AuthError && unauthorized.status === 401 && reported[0] === unauthorized, '401 reported centrally as AuthError');
+      
+      const expired = await yandexAPI.connect({ yandexToken: 'test-token', yandexTokenExpiresAt: inDays(-1) }).catch(error => error);
+      this.assert(expired instanceof AuthError && expired.reason === 'expired' && reported.length === 2, 'Expired token rejected without request');
+      
       logger.success('Yandex API tests completed');
     } catch (error) {
       logger.error('Yandex API test failed:', error);
       this.testResults.push({ module: 'YandexAPI', success: false, error: error.message });
+    } finally {
+      yandexAPI.fetch = originalFetch;
+      yandexAPI.init(originalToken);
+      syncProviders.authListeners = originalListeners;
     }
   }
 
@@ -224,6 +1573,16 @@ class ModuleTester {
     }
   }
 
+  /**
+   * Отдельное хранилище для тестов, которые пишут данные: своя база IndexedDB, данные приложения не затрагиваются
+   * После теста база удаляется: store.backend.destroy()
+   */
+  async createTestStorage(name) {
+    const backend = new IndexedDBBackend(`${IDB_CONFIG.NAME}-test-${name}`);
+    await backend.destroy();
+    return new StorageManager(backend, { legacyStorage: false });
+  }
+
   /**
    * Проверка условия
    */
@@ -265,7 +1624,7 @@ const moduleTester = new ModuleTester();
 window.moduleTester = moduleTester;
 
 // Автоматический запуск тестов в режиме разработки
-if (window.location.hostname === 'localhost' || window.location.hostname.includes('github.io')) {
+if (window.location.hostname === 'localhost') {
   document.addEventListener('DOMContentLoaded', () => {
     setTimeout(() => {
       moduleTester.runAllTests();
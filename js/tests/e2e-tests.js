@@ -90,13 +90,13 @@ class E2ETester {
     logger.info('🎬 Подготовка к E2E тестированию...');
     
     // Очищаем все данные
-    storage.clearAll();
+    await storage.clearAll();
     
     // Инициализируем все менеджеры
-    historyManager.init();
-    settingsManager.init();
-    bodyAnalysisManager.init();
-    progressManager.init();
+    await historyManager.init();
+    await settingsManager.init();
+    await bodyAnalysisManager.init();
+    await progressManager.init();
     
     logger.success('Подготовка завершена');
   }
@@ -109,7 +109,7 @@ class E2ETester {
     
     try {
       // 1. Первый запуск приложения
-      const config = storage.loadConfig();
+      const config = await storage.loadConfig();
       this.assert(Object.keys(config).length > 0, 'Конфигурация должна быть загружена');
       
       // 2. Проверка доступности упражнений
@@ -117,7 +117,7 @@ class E2ETester {
       this.assert(exercises.length > 0, 'Должны быть доступны упражнения');
       
       // 3. Проверка пустой истории
-      const workouts = storage.loadWorkouts();
+      const workouts = await storage.loadWorkouts();
       this.assert(workouts.length === 0, 'История должна быть пустой');
       
       // 4. Проверка настроек по умолчанию
@@ -189,11 +189,11 @@ class E2ETester {
       this.assert(validation.isValid, 'Тренировка должна пройти валидацию');
       
       // 4. Сохранение тренировки
-      const saveResult = storage.addWorkout(workout);
+      const saveResult = await storage.addWorkout(workout);
       this.assert(saveResult, 'Тренировка должна быть сохранена');
       
       // 5. Проверка в истории
-      const savedWorkouts = storage.loadWorkouts();
+      const savedWorkouts = await storage.loadWorkouts();
       this.assert(savedWorkouts.length === 1, 'Тренировка должна появиться в истории');
       
       // 6. Проверка данных тренировки
@@ -249,13 +249,13 @@ class E2ETester {
         }
       ];
       
-      workouts.forEach(workout => storage.addWorkout(workout));
+      await Promise.all(workouts.map(workout => storage.addWorkout(workout)));
       
       // 2. Инициализация менеджера прогресса
-      progressManager.init();
+      await progressManager.init();
       
       // 3. Получение данных прогресса
-      const progressData = progressManager.getExerciseData('Жим лежа', 'month');
+      const progressData = await progressManager.getExerciseData('Жим лежа', 'month');
       this.assert(progressData.length === 3, 'Должны быть данные за 3 тренировки');
       
       // 4. Проверка прогресса
@@ -269,7 +269,7 @@ class E2ETester {
       
       // 6. Обновление отображения
       progressManager.currentExercise = 'Жим лежа';
-      progressManager.updateProgressDisplay();
+      await progressManager.updateProgressDisplay();
       this.assert(true, 'Отображение прогресса должно обновиться');
       
       this.passTest();
@@ -303,23 +303,23 @@ class E2ETester {
         ]
       };
       
-      storage.addWorkout(testWorkout);
+      await storage.addWorkout(testWorkout);
       
       // 3. Экспорт данных
-      const exportData = storage.exportData();
+      const exportData = await storage.exportData();
       this.assert(exportData.workouts.length === 1, 'Должна быть 1 тренировка для экспорта');
       this.assert(exportData.config, 'Должна быть конфигурация');
       
       // 4. Импорт данных
-      const importResult = storage.importData(exportData);
+      const importResult = await storage.importData(exportData);
       this.assert(importResult, 'Импорт должен быть успешным');
       
       // 5. Проверка целостности
-      const importedWorkouts = storage.loadWorkouts();
+      const importedWorkouts = await storage.loadWorkouts();
       this.assert(importedWorkouts.length === 1, 'Должна быть 1 импортированная тренировка');
       
       // 6. Проверка настроек синхронизации
-      const config = storage.loadConfig();
+      const config = await storage.loadConfig();
       this.assert(config.yandexPath, 'Должен быть путь к файлам на диске');
       
       this.passTest();
@@ -337,7 +337,7 @@ class E2ETester {
     
     try {
       // 1. Инициализация менеджера
-      bodyAnalysisManager.init();
+      await bodyAnalysisManager.init();
       this.assert(bodyAnalysisManager.isInitialized, 'Менеджер должен быть инициализирован');
       
       // 2. Создание тестового фото
@@ -358,10 +358,10 @@ class E2ETester {
       
       // 5. Сохранение анализа
       bodyAnalysisManager.currentAnalysis = analysis;
-      bodyAnalysisManager.saveAnalysisToLocal(analysis);
+      await bodyAnalysisManager.saveAnalysisToLocal(analysis);
       
       // 6. Проверка сохранения
-      const savedAnalyses = storage.loadBodyAnalyses();
+      const savedAnalyses = await storage.loadBodyAnalyses();
       this.assert(savedAnalyses.length === 1, 'Должен быть 1 сохраненный анализ');
       
       // 7. Проверка истории анализов
@@ -385,7 +385,7 @@ class E2ETester {
     
     try {
       // 1. Инициализация менеджера настроек
-      settingsManager.init();
+      await settingsManager.init();
       this.assert(settingsManager.isInitialized, 'Менеджер должен быть инициализирован');
       
       // 2. Загрузка текущих настроек
@@ -400,7 +400,7 @@ class E2ETester {
         syncInterval: 10
       };
       
-      const saveResult = settingsManager.saveSettings(newSettings);
+      const saveResult = await settingsManager.saveSettings(newSettings);
       this.assert(saveResult, 'Настройки должны быть сохранены');
       
       // 4. Проверка изменений
@@ -410,12 +410,12 @@ class E2ETester {
       this.assert(updatedConfig.syncInterval === 10, 'Интервал синхронизации должен быть 10 минут');
       
       // 5. Настройка AI
-      settingsManager.updateConfig({ huggingFaceApiKey: 'test-ai-key' });
+      await settingsManager.updateConfig({ huggingFaceApiKey: 'test-ai-key' });
       const aiConfig = settingsManager.getConfig();
       this.assert(aiConfig.huggingFaceApiKey === 'test-ai-key', 'AI ключ должен быть сохранен');
       
       // 6. Тест экспорта/импорта настроек
-      const exportData = storage.exportData();
+      const exportData = await storage.exportData();
       this.assert(exportData.config.theme === 'dark', 'Экспорт должен содержать новые настройки');
       
       this.passTest();
@@ -0,0 +1,104 @@
+/**
+ * Заглушка File System Access API для тестов провайдера "локальная папка"
+ *
+ * @fileoverview Папка в памяти с методами FileSystemDirectoryHandle, которые использует
+ * LocalFolderProvider: getDirectoryHandle, getFileHandle, entries, removeEntry, queryPermission.
+ * Отсутствующие файлы и папки дают ошибку NotFoundError, как в браузере.
+ */
+
+let clock = 0;
+
+function notFound(name) {
+  const error = new Error(`${name} not found`);
+  error.name = 'NotFoundError';
+  return error;
+}
+
+export class FakeFileHandle {
+  constructor(name) {
+    this.kind = 'file';
+    this.name = name;
+    this.content = '';
+    this.lastModified = 0;
+  }
+
+  async getFile() {
+    const content = this.content;
+    return {
+      name: this.name,
+      lastModified: this.lastModified,
+      size: content.length,
+      type: '',
+      text: async () => content,
+      arrayBuffer: async () => new TextEncoder().encode(content).buffer
+    };
+  }
+
+  async createWritable() {
+    let buffer = '';
+    return {
+      write: async data => {
+        buffer += typeof data === 'string' ? data : await data.text();
+      },
+      close: async () => {
+        this.content = buffer;
+        // Время изменения растет даже при записи в ту же миллисекунду
+        clock = Math.max(Date.now(), clock + 1);
+        this.lastModified = clock;
+      }
+    };
+  }
+}
+
+export class FakeDirectoryHandle {
+  constructor(name = 'MyFitness') {
+    this.kind = 'directory';
+    this.name = name;
+    this.children = new Map();
+  }
+
+  async getDirectoryHandle(name, { create = false } = {}) {
+    return this.getChild(name, 'directory', create, () => new FakeDirectoryHandle(name));
+  }
+
+  async getFileHandle(name, { create = false } = {}) {
+    return this.getChild(name, 'file', create, () => new FakeFileHandle(name));
+  }
+
+  async *entries() {
+    yield* this.children.entries();
+  }
+
+  async removeEntry(name) {
+    if (!this.children.delete(name)) {
+      throw notFound(name);
+    }
+  }
+
+  async queryPermission() {
+    return 'granted';
+  }
+
+  async requestPermission() {
+    return 'granted';
+  }
+
+  getChild(name, kind, create, factory) {
+    const child = this.children.get(name);
+    if (child) {
+      if (child.kind !== kind) {
+        const error = new Error(`${name} is not a ${kind}`);
+        error.name = 'TypeMismatchError';
+        throw error;
+      }
+      return child;
+    }
+    if (!create) {
+      throw notFound(name);
+    }
+
+    const created = factory();
+    this.children.set(name, created);
+    return created;
+  }
+}
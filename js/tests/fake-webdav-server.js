@@ -0,0 +1,132 @@
+/**
+ * Локальная заглушка сервера WebDAV для тестов синхронизации
+ *
+ * @fileoverview Реализует методы, используемые WebDavProvider: PROPFIND (Depth 0/1),
+ * GET, PUT (с условиями If-Match / If-None-Match), MKCOL и DELETE с ETag, который меняется при каждой записи. Подключается через
+ * webdavProvider.fetch = server.fetch; адрес сервера — FakeWebDavServer.URL.
+ */
+
+const BASE_URL = 'https://fake-webdav.local/dav';
+
+export class FakeWebDavServer {
+  static URL = BASE_URL;
+
+  constructor() {
+    this.files = new Map();
+    this.folders = new Set(['/']);
+    this.etag = 0;
+    this.requests = [];
+    // Вызывается после каждого скачивания файла: имитация записи с другого устройства
+    this.onDownload = null;
+    this.fetch = (url, options = {}) => this.handle(url, options);
+  }
+
+  /**
+   * Записать файл (как это сделало бы другое устройство)
+   */
+  writeFile(path, data) {
+    const content = typeof data === 'string' ? data : JSON.stringify(data);
+    this.files.set(path, {
+      content,
+      etag: `"${++this.etag}"`,
+      modified: new Date().toUTCString()
+    });
+  }
+
+  /**
+   * Прочитать файл как JSON
+   */
+  readFile(path) {
+    const file = this.files.get(path);
+    return file ? JSON.parse(file.content) : null;
+  }
+
+  /**
+   * Обработка запроса к серверу
+   */
+  async handle(url, options) {
+    const method = (options.method || 'GET').toUpperCase();
+    const headers = options.headers || {};
+    this.requests.push({ method, url, headers });
+
+    if (!url.startsWith(BASE_URL)) {
+      return this.response(404);
+    }
+    const path = decodeURIComponent(url.slice(BASE_URL.length)).replace(/\/+$/, '') || '/';
+    const parent = path.split('/').slice(0, -1).join('/') || '/';
+
+    switch (method) {
+      case 'PROPFIND':
+        return this.propfind(path, headers.Depth || '1');
+      case 'GET': {
+        const file = this.files.get(path);
+        if (!file) return this.response(404);
+
+        const result = this.response(200, file.content);
+        if (this.onDownload) {
+          this.onDownload(path);
+        }
+        return result;
+      }
+      case 'PUT': {
+        if (!this.folders.has(parent)) return this.response(409);
+        const file = this.files.get(path);
+        if (headers['If-Match'] && headers['If-Match'] !== file?.etag) return this.response(412);
+        if (headers['If-None-Match'] === '*' && file) return this.response(412);
+        this.writeFile(path, options.body);
+        return this.response(201);
+      }
+      case 'DELETE':
+        return this.files.delete(path) ? this.response(204) : this.response(404);
+      case 'MKCOL':
+        if (this.folders.has(path) || this.files.has(path)) return this.response(405);
+        if (!this.folders.has(parent)) return this.response(409);
+        this.folders.add(path);
+        return this.response(201);
+      default:
+        return this.response(405);
+    }
+  }
+
+  /**
+   * Ответ PROPFIND (207 Multi-Status)
+   */
+  propfind(path, depth) {
+    const isFolder = this.folders.has(path);
+    if (!isFolder && !this.files.has(path)) {
+      return this.response(404);
+    }
+
+    const paths = [path];
+    if (isFolder && depth !== '0') {
+      const prefix = path === '/' ? '/' : `${path}/`;
+      const isChild = item => item !== path && item.startsWith(prefix) && !item.slice(prefix.length).includes('/');
+      paths.push(...[...this.folders].filter(isChild), ...[...this.files.keys()].filter(isChild));
+    }
+
+    const responses = paths.map(item => {
+      const file = this.files.get(item);
+      const href = `/dav${item.split('/').map(encodeURIComponent).join('/')}${file ? '' : '/'}`;
+      const props = file
+        ? `<d:getetag>${file.etag.replace(/"/g, '&quot;')}</d:getetag><d:getlastmodified>${file.modified}</d:getlastmodified><d:resourcetype/>`
+        : '<d:resourcetype><d:collection/></d:resourcetype>';
+      return `<d:response><d:href>${href}</d:href><d:propstat><d:prop>${props}</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>`;
+    });
+
+    return this.response(207, `<?xml version="1.0"?><d:multistatus xmlns:d="DAV:">${responses.join('')}</d:multistatus>`);
+  }
+
+  /**
+   * Объект, совместимый с Response в той части, что использует WebDavProvider
+   */
+  response(status, body = '') {
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: String(status),
+      text: async () => body,
+      json: async () => JSON.parse(body),
+      blob: async () => new Blob([body])
+    };
+  }
+}
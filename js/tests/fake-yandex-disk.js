@@ -0,0 +1,183 @@
+/**
+ * Локальная заглушка Yandex.Disk REST API для тестов синхронизации
+ *
+ * @fileoverview Реализует ресурсы, используемые YandexAPI: метаданные и содержимое папок
+ * (/resources), создание папки, удаление, ссылки на скачивание/загрузку и сами файлы. Подключается через
+ * yandexAPI.fetch = disk.fetch.
+ */
+
+import { API_CONFIG } from '../modules/config.js';
+
+const FILES_ORIGIN = 'https://fake-disk.local';
+
+export class FakeYandexDisk {
+  constructor() {
+    this.files = new Map();
+    this.folders = new Set(['/', 'disk:/']);
+    this.revision = 0;
+    this.requests = [];
+    // Если задан, запросы к API с другим токеном получают 401 (истекший или отозванный токен)
+    this.validToken = null;
+    // Вызывается после каждого скачивания файла: имитация записи с другого устройства
+    this.onDownload = null;
+    this.fetch = (url, options = {}) => this.handle(url, options);
+  }
+
+  /**
+   * Записать файл (как это сделало бы другое устройство)
+   */
+  writeFile(path, data) {
+    const content = typeof data === 'string' ? data : JSON.stringify(data);
+    this.files.set(path, {
+      content,
+      md5: this.hash(content),
+      modified: new Date().toISOString(),
+      revision: ++this.revision
+    });
+  }
+
+  /**
+   * Прочитать файл как JSON
+   */
+  readFile(path) {
+    const file = this.files.get(path);
+    return file ? JSON.parse(file.content) : null;
+  }
+
+  /**
+   * Обработка запроса к API
+   */
+  async handle(url, options) {
+    const method = (options.method || 'GET').toUpperCase();
+    const parsed = new URL(url);
+    const path = parsed.searchParams.get('path');
+    this.requests.push({ method, url });
+
+    if (url.startsWith(FILES_ORIGIN)) {
+      return this.handleFile(method, parsed.pathname, path, options.body);
+    }
+    if (this.validToken && options.headers?.Authorization !== `OAuth ${this.validToken}`) {
+      return this.response(401, { error: 'UnauthorizedError' });
+    }
+
+    const resource = parsed.href.replace(API_CONFIG.YANDEX_DISK_API, '').split('?')[0];
+    switch (`${method} ${resource}`) {
+      case 'GET /resources': {
+        const file = this.files.get(path);
+        if (file) {
+          return this.response(200, { path, md5: file.md5, modified: file.modified, revision: file.revision, size: file.content.length });
+        }
+        return this.isFolder(path)
+          ? this.response(200, { path, type: 'dir', _embedded: { items: this.listFolder(path) } })
+          : this.response(404, { error: 'DiskNotFoundError' });
+      }
+      case 'DELETE /resources':
+        return this.files.delete(path) ? this.response(204, {}) : this.response(404, { error: 'DiskNotFoundError' });
+      case 'PUT /resources':
+        if (this.folders.has(path)) {
+          return this.response(409, { error: 'DiskPathPointsToExistentDirectoryError' });
+        }
+        this.folders.add(path);
+        return this.response(201, { href: url });
+      case 'GET /resources/download':
+        return this.files.has(path)
+          ? this.response(200, { href: `${FILES_ORIGIN}/download?path=${encodeURIComponent(path)}` })
+          : this.response(404, { error: 'DiskNotFoundError' });
+      case 'GET /resources/upload':
+        if (this.files.has(path) && parsed.searchParams.get('overwrite') !== 'true') {
+          return this.response(409, { error: 'DiskResourceAlreadyExistsError' });
+        }
+        return this.response(200, { href: `${FILES_ORIGIN}/upload?path=${encodeURIComponent(path)}` });
+      default:
+        return this.response(400, { error: `Unsupported request: ${method} ${resource}` });
+    }
+  }
+
+  /**
+   * Существует ли папка (созданная явно или содержащая файлы)
+   */
+  isFolder(path) {
+    const prefix = `${path.replace(/\/+$/, '')}/`;
+    return this.folders.has(path) || [...this.files.keys()].some(file => file.startsWith(prefix));
+  }
+
+  /**
+   * Содержимое папки в формате _embedded.items
+   */
+  listFolder(path) {
+    const prefix = `${path.replace(/\/+$/, '')}/`;
+    const items = new Map();
+    [...this.folders, ...this.files.keys()]
+      .filter(item => item.startsWith(prefix) && item.length > prefix.length)
+      .forEach(item => {
+        const name = item.slice(prefix.length).split('/')[0];
+        const itemPath = prefix + name;
+        const file = this.files.get(itemPath);
+        items.set(name, file
+          ? { name, path: `disk:${itemPath}`, type: 'file', revision: file.revision, md5: file.md5, modified: file.modified }
+          : { name, path: `disk:${itemPath}`, type: 'dir' });
+      });
+    return [...items.values()];
+  }
+
+  /**
+   * Скачивание и загрузка содержимого файла
+   */
+  async handleFile(method, pathname, path, body) {
+    if (method === 'GET' && pathname === '/download') {
+      const file = this.files.get(path);
+      if (!file) return this.response(404, { error: 'DiskNotFoundError' });
+
+      const result = this.fileResponse(file.content);
+      if (this.onDownload) {
+        this.onDownload(path);
+      }
+      return result;
+    }
+
+    if (method === 'PUT' && pathname === '/upload') {
+      this.writeFile(path, body);
+      return this.response(201, {});
+    }
+
+    return this.response(400, { error: 'Unsupported file request' });
+  }
+
+  /**
+   * Объект, совместимый с Response в той части, что использует YandexAPI
+   */
+  response(status, data) {
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: String(status),
+      json: async () => data,
+      text: async () => JSON.stringify(data)
+    };
+  }
+
+  /**
+   * Ответ со скачиваемым содержимым файла (JSON или любые другие данные)
+   */
+  fileResponse(content) {
+    return {
+      ok: true,
+      status: 200,
+      statusText: '200',
+      json: async () => JSON.parse(content),
+      text: async () => content,
+      blob: async () => new Blob([content])
+    };
+  }
+
+  /**
+   * Хэш содержимого вместо MD5: для заглушки важно лишь, что он меняется вместе с файлом
+   */
+  hash(content) {
+    let hash = 5381;
+    for (let i = 0; i < content.length; i++) {
+      hash = ((hash << 5) + hash + content.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+}
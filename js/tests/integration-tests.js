@@ -10,6 +10,15 @@
 import { storage } from '../modules/storage.js';
 import { exerciseManager } from '../modules/exercises.js';
 import { yandexAPI } from '../modules/yandex-api.js';
+import { syncEngine, SyncConflictError } from '../modules/sync-engine.js';
+import { FakeYandexDisk } from './fake-yandex-disk.js';
+import { webdavProvider } from '../modules/webdav-provider.js';
+import { FakeWebDavServer } from './fake-webdav-server.js';
+import { WrongPassphraseError, PassphraseRequiredError } from '../modules/encryption.js';
+import { syncProviders } from '../modules/sync-provider.js';
+import { AuthError } from '../modules/http-client.js';
+import { backupManager } from '../modules/backups.js';
+import { outbox } from '../modules/outbox.js';
 import { aiService } from '../modules/ai-service.js';
 import { historyManager } from '../modules/history-manager.js';
 import { settingsManager } from '../modules/settings-manager.js';
@@ -45,6 +54,12 @@ class IntegrationTester {
       await this.testWorkoutCreationFlow();
       await this.testExerciseSelectionFlow();
       await this.testDataSynchronizationFlow();
+      await this.testConcurrentSyncFlow();
+      await this.testSyncConflictFlow();
+      await this.testWebDavSyncFlow();
+      await this.testEncryptedSyncFlow();
+      await this.testReauthFlow();
+      await this.testBackupRestoreFlow();
       await this.testBodyAnalysisFlow();
       await this.testProgressTrackingFlow();
       await this.testSettingsManagementFlow();
@@ -56,7 +71,7 @@ class IntegrationTester {
       await this.testPerformance();
       
       // Вывод результатов
-      this.printResults();
+      await this.printResults();
       
     } catch (error) {
       logger.error('Ошибка выполнения интеграционных тестов:', error);
@@ -70,11 +85,11 @@ class IntegrationTester {
     logger.info('📋 Подготовка тестовых данных...');
     
     // Сохраняем текущие данные
-    this.testData.workouts = storage.loadWorkouts();
-    this.testData.config = storage.loadConfig();
+    this.testData.workouts = await storage.loadWorkouts();
+    this.testData.config = await storage.loadConfig();
     
     // Очищаем данные для тестов
-    storage.clearAll();
+    await storage.clearAll();
     
     // Создаем тестовую конфигурацию
     const testConfig = {
@@ -86,7 +101,7 @@ class IntegrationTester {
       huggingFaceApiKey: 'test-api-key'
     };
     
-    storage.saveConfig(testConfig);
+    await storage.saveConfig(testConfig);
     
     logger.success('Тестовые данные подготовлены');
   }
@@ -124,15 +139,15 @@ class IntegrationTester {
       this.assert(validation.isValid, 'Тренировка должна пройти валидацию');
       
       // 4. Сохранение
-      const saveResult = storage.addWorkout(workout);
+      const saveResult = await storage.addWorkout(workout);
       this.assert(saveResult, 'Тренировка должна быть сохранена');
       
       // 5. Проверка сохранения
-      const savedWorkouts = storage.loadWorkouts();
+      const savedWorkouts = await storage.loadWorkouts();
       this.assert(savedWorkouts.length === 1, 'Должна быть 1 сохраненная тренировка');
       
       // 6. Обновление истории
-      historyManager.loadHistoryData();
+      await historyManager.loadHistoryData();
       this.assert(true, 'История должна загрузиться без ошибок');
       
       this.passTest();
@@ -204,18 +219,18 @@ class IntegrationTester {
         ]
       };
       
-      storage.addWorkout(testWorkout);
+      await storage.addWorkout(testWorkout);
       
       // 3. Экспорт данных
-      const exportData = storage.exportData();
+      const exportData = await storage.exportData();
       this.assert(exportData.workouts.length === 1, 'Должна быть 1 тренировка для экспорта');
       
       // 4. Импорт данных
-      const importResult = storage.importData(exportData);
+      const importResult = await storage.importData(exportData);
       this.assert(importResult, 'Импорт должен быть успешным');
       
       // 5. Проверка целостности данных
-      const importedWorkouts = storage.loadWorkouts();
+      const importedWorkouts = await storage.loadWorkouts();
       this.assert(importedWorkouts.length === 1, 'Должна быть 1 импортированная тренировка');
       
       this.passTest();
@@ -225,6 +240,369 @@ class IntegrationTester {
     }
   }
 
+  /**
+   * Тест 3.1: Одновременная синхронизация двух устройств (локальная заглушка Disk API)
+   */
+  async testConcurrentSyncFlow() {
+    this.startTest('Одновременная синхронизация');
+    
+    const originalFetch = yandexAPI.fetch;
+    const originalConfig = await storage.loadConfig();
+    const path = '/MyFitness/workouts.json';
+    const remoteWorkout = (id, exercise) => ({
+      id,
+      date: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      exercises: [{ exercise, sets: [{ weight: 40, reps: 8 }] }]
+    });
+    
+    try {
+      const disk = new FakeYandexDisk();
+      disk.writeFile(path, { schemaVersion: 2, workouts: [remoteWorkout('phone-a-1', 'Жим лежа')] });
+      yandexAPI.fetch = disk.fetch;
+      
+      await storage.addWorkout({ exercises: [{ exercise: 'Присед со штангой', sets: [{ weight: 80, reps: 5 }] }] });
+      
+      // 1. Второй телефон записывает файл, пока мы объединяем данные
+      let concurrentWrites = 0;
+      disk.onDownload = () => {
+        if (concurrentWrites++ > 0) return;
+        const current = disk.readFile(path);
+        disk.writeFile(path, { ...current, workouts: [...current.workouts, remoteWorkout('phone-b-1', 'Становая тяга')] });
+      };
+      
+      const result = await syncEngine.sync({ provider: 'yandex', token: 'test-token', path });
+      this.assert(result.attempts === 2, 'Изменение файла должно привести к повторному слиянию');
+      
+      const remoteIds = disk.readFile(path).workouts.map(w => w.id);
+      this.assert(remoteIds.includes('phone-a-1') && remoteIds.includes('phone-b-1'), 'Запись второго телефона не должна потеряться');
+      this.assert(disk.readFile(path).workouts.some(w => w.exercises?.[0]?.exercise === 'Присед со штангой'), 'Локальная тренировка должна быть загружена');
+      
+      const localIds = (await storage.loadWorkouts()).map(w => w.id);
+      this.assert(localIds.includes('phone-b-1'), 'Тренировка второго телефона должна появиться локально');
+      
+      // 2. Старая версия приложения перезаписывает весь файл при каждой попытке — число повторов ограничено
+      const { journal, compactedAt, ...legacy } = disk.readFile(path);
+      disk.writeFile(path, legacy);
+      disk.onDownload = () => disk.writeFile(path, legacy);
+      let conflict = null;
+      try {
+        await syncEngine.sync({ provider: 'yandex', token: 'test-token', path });
+      } catch (error) {
+        conflict = error;
+      }
+      this.assert(conflict instanceof SyncConflictError, 'Должна быть ошибка SyncConflictError после исчерпания попыток');
+      
+      this.passTest();
+      
+    } catch (error) {
+      this.failTest(error);
+    } finally {
+      yandexAPI.fetch = originalFetch;
+      await storage.saveConfig(originalConfig);
+    }
+  }
+
+  /**
+   * Тест 3.2: Одна тренировка изменена на двух устройствах — конфликт вместо тихой потери данных
+   */
+  async testSyncConflictFlow() {
+    this.startTest('Конфликт синхронизации');
+    
+    const originalFetch = yandexAPI.fetch;
+    const originalConfig = await storage.loadConfig();
+    const originalConflicts = await storage.loadConflicts();
+    const path = '/MyFitness/conflict.json';
+    
+    try {
+      const disk = new FakeYandexDisk();
+      yandexAPI.fetch = disk.fetch;
+      
+      // 1. Общая синхронизация
+      await storage.addWorkout({ exercises: [{ exercise: 'Жим лежа', sets: [{ weight: 60, reps: 10 }] }] });
+      const workout = (await storage.loadWorkouts()).find(w => w.exercises[0]?.sets[0]?.weight === 60);
+      await syncEngine.sync({ provider: 'yandex', token: 'test-token', path });
+      
+      // 2. Правка здесь и более поздняя правка на другом устройстве
+      await storage.updateWorkout(workout.id, { exercises: [{ exercise: 'Жим лежа', sets: [{ weight: 60, reps: 10 }, { weight: 62.5, reps: 8 }] }] });
+      const remote = disk.readFile(path);
+      const later = new Date(Date.now() + 60000).toISOString();
+      remote.workouts = remote.workouts.map(w => w.id === workout.id
+        ? { ...w, updatedAt: later, exercises: [{ exercise: 'Жим лежа', sets: [{ weight: 60, reps: 10 }, { weight: 65, reps: 6 }] }] }
+        : w);
+      disk.writeFile(path, remote);
+      
+      const result = await syncEngine.sync({ provider: 'yandex', token: 'test-token', path });
+      this.assert(result.conflicts === 1, 'Синхронизация должна сообщить о конфликте');
+      
+      const [conflict] = (await storage.loadConflicts()).filter(c => c.recordId === workout.id && !c.resolution);
+      this.assert(conflict.local.exercises[0].sets[1].weight === 62.5, 'Проигравшая локальная версия должна сохраниться');
+      this.assert(conflict.remote.exercises[0].sets[1].weight === 65, 'Удаленная версия должна сохраниться');
+      
+      // 3. Повторная синхронизация без изменений конфликтов не создает
+      const repeated = await syncEngine.sync({ provider: 'yandex', token: 'test-token', path });
+      this.assert(repeated.conflicts === 0, 'Повторная синхронизация не должна создавать конфликт');
+      
+      await storage.deleteWorkout(workout.id);
+      this.passTest();
+      
+    } catch (error) {
+      this.failTest(error);
+    } finally {
+      yandexAPI.fetch = originalFetch;
+      await storage.saveConfig(originalConfig);
+      await storage.saveConflicts(originalConflicts);
+    }
+  }
+
+  /**
+   * Тест 3.3: Синхронизация через WebDAV (локальная заглушка сервера)
+   */
+  async testWebDavSyncFlow() {
+    this.startTest('Синхронизация через WebDAV');
+    
+    const originalFetch = webdavProvider.fetch;
+    const originalConfig = await storage.loadConfig();
+    const path = '/MyFitness/webdav.json';
+    const remoteWorkout = (id, exercise) => ({
+      id,
+      date: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      exercises: [{ exercise, sets: [{ weight: 50, reps: 5 }] }]
+    });
+    
+    try {
+      const server = new FakeWebDavServer();
+      webdavProvider.fetch = server.fetch;
+      await storage.saveConfig({ ...originalConfig, syncProvider: 'webdav', webdavUrl: FakeWebDavServer.URL, webdavUser: 'user', webdavPassword: 'secret' });
+      this.assert(syncEngine.isConfigured(await storage.loadConfig()), 'WebDAV должен считаться настроенным');
+      
+      // 1. Первая синхронизация создает папку и файл
+      await storage.addWorkout({ exercises: [{ exercise: 'Тяга в наклоне', sets: [{ weight: 60, reps: 8 }] }] });
+      await syncEngine.sync({ path });
+      this.assert(server.folders.has('/MyFitness'), 'Папка должна быть создана через MKCOL');
+      this.assert(server.readFile(path).workouts.some(w => w.exercises?.[0]?.exercise === 'Тяга в наклоне'), 'Локальная тренировка должна быть загружена');
+      
+      // 2. Другое устройство загружает запись журнала — скачивается только она, снимок не перезаписывается
+      const snapshotEtag = server.files.get(path).etag;
+      server.folders.add('/MyFitness/journal');
+      server.folders.add('/MyFitness/journal/other-device');
+      server.writeFile('/MyFitness/journal/other-device/00000001.json', {
+        schemaVersion: 2,
+        deviceId: 'other-device',
+        seq: 1,
+        workouts: [remoteWorkout('webdav-a-1', 'Жим стоя')],
+        bodyAnalyses: []
+      });
+      await storage.addWorkout({ exercises: [{ exercise: 'Подтягивания', sets: [{ weight: 0, reps: 10 }] }] });
+      
+      const result = await syncEngine.sync({ path });
+      this.assert(result.journal.downloaded === 1 && !result.journal.snapshot, 'Должна скачаться только новая запись журнала');
+      this.assert(server.files.get(path).etag === snapshotEtag, 'Снимок не должен перезаписываться');
+      this.assert((await storage.loadWorkouts()).some(w => w.id === 'webdav-a-1'), 'Тренировка другого устройства должна появиться локально');
+      
+      const ownFolder = `/MyFitness/journal/${storage.getDeviceId()}/`;
+      const ownEntries = [...server.files.keys()].filter(file => file.startsWith(ownFolder)).map(file => server.readFile(file));
+      this.assert(
+        ownEntries.length === 1 && ownEntries[0].workouts.length === 1 && ownEntries[0].workouts[0].exercises[0].exercise === 'Подтягивания',
+        'Загружаться должны только свои новые изменения'
+      );
+      
+      await storage.deleteWorkout('webdav-a-1');
+      this.passTest();
+      
+    } catch (error) {
+      this.failTest(error);
+    } finally {
+      webdavProvider.fetch = originalFetch;
+      await storage.saveConfig(originalConfig);
+    }
+  }
+
+  /**
+   * Тест 3.4: Синхронизация с шифрованием и ввод пароля на втором устройстве
+   */
+  async testEncryptedSyncFlow() {
+    this.startTest('Синхронизация с шифрованием');
+    
+    const originalFetch = webdavProvider.fetch;
+    const originalConfig = await storage.loadConfig();
+    const originalKeys = await storage.loadEncryptionKeys();
+    const originalJournal = await storage.loadSyncJournal();
+    const path = '/MyFitness/encrypted.json';
+    const syncError = async () => {
+      try {
+        await syncEngine.sync({ path });
+        return null;
+      } catch (error) {
+        return error;
+      }
+    };
+    
+    try {
+      const server = new FakeWebDavServer();
+      webdavProvider.fetch = server.fetch;
+      await storage.saveConfig({ ...originalConfig, syncProvider: 'webdav', webdavUrl: FakeWebDavServer.URL });
+      await storage.saveEncryptionKeys(null);
+      
+      // 1. Первое устройство включает шифрование и синхронизируется
+      await storage.addWorkout({ exercises: [{ exercise: 'Зашифрованный присед', sets: [{ weight: 90, reps: 3 }] }] });
+      await syncEngine.sync({ path });
+      await syncEngine.enableEncryption('correct horse', { path });
+      await syncEngine.sync({ path });
+      const remote = server.readFile(path);
+      this.assert(remote.format === 'myfitness-encrypted' && !JSON.stringify(remote).includes('присед'), 'Файл в облаке должен быть зашифрован');
+      
+      // 2. Второе устройство без пароля не синхронизируется и не перезаписывает файл
+      const keys = await storage.loadEncryptionKeys();
+      const journal = await storage.loadSyncJournal();
+      await storage.saveEncryptionKeys(null);
+      await storage.saveSyncJournal(null);
+      this.assert(await syncError() instanceof PassphraseRequiredError, 'Без пароля синхронизация должна требовать пароль');
+      this.assert(server.readFile(path).data === remote.data, 'Без ключа файл не должен перезаписываться');
+      
+      let wrong = null;
+      await syncEngine.enableEncryption('wrong passphrase', { path }).catch(error => { wrong = error; });
+      this.assert(wrong instanceof WrongPassphraseError, 'Неверный пароль должен отклоняться');
+      
+      await syncEngine.enableEncryption('correct horse', { path });
+      this.assert(await syncError() === null, 'После ввода пароля синхронизация должна пройти');
+      
+      await storage.addWorkout({ exercises: [{ exercise: 'Зашифрованная тяга', sets: [{ weight: 100, reps: 3 }] }] });
+      this.assert(await syncError() === null, 'Изменение второго устройства должно уйти в журнал');
+      const entryPaths = () => [...server.files.keys()].filter(file => file.startsWith('/MyFitness/journal/'));
+      this.assert(entryPaths().length === 1 && !server.files.get(entryPaths()[0]).content.includes('тяга'), 'Запись журнала должна быть зашифрована');
+      
+      // 3. Смена пароля на первом устройстве перешифровывает и снимок, и журнал
+      await storage.saveEncryptionKeys(keys);
+      await storage.saveSyncJournal(journal);
+      await syncEngine.rotateEncryptionPassphrase('correct horse', 'battery staple', { path });
+      const { keyId } = server.readFile('/MyFitness/encryption.json');
+      this.assert(entryPaths().every(file => server.readFile(file).keyId === keyId), 'Записи журнала должны быть перешифрованы');
+      this.assert(await syncError() === null, 'Синхронизация с новым ключом должна пройти');
+      
+      this.passTest();
+      
+    } catch (error) {
+      this.failTest(error);
+    } finally {
+      webdavProvider.fetch = originalFetch;
+      await storage.saveConfig(originalConfig);
+      await storage.saveEncryptionKeys(originalKeys);
+      await storage.saveSyncJournal(originalJournal);
+    }
+  }
+
+  /**
+   * Тест 3.5: Токен Яндекс.Диска отозван или истек — очередь ждет повторного входа, изменения не теряются
+   */
+  async testReauthFlow() {
+    this.startTest('Повторный вход в Яндекс');
+    
+    const originalFetch = yandexAPI.fetch;
+    const originalConfig = await storage.loadConfig();
+    const originalOutbox = { ...outbox.state };
+    const originalListeners = syncProviders.authListeners;
+    const path = '/MyFitness/reauth.json';
+    const inDays = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    
+    try {
+      const disk = new FakeYandexDisk();
+      disk.validToken = 'fresh-token';
+      yandexAPI.fetch = disk.fetch;
+      await outbox.init();
+      // Вместо диалога повторного входа запоминаем оповещения
+      const reported = [];
+      syncProviders.authListeners = new Set([error => reported.push(error)]);
+      await storage.saveConfig({ ...originalConfig, syncProvider: 'yandex', yandexToken: 'revoked-token', yandexTokenExpiresAt: null, yandexPath: path });
+      
+      // 1. Отозванный токен: 401 -> AuthError, очередь на паузе, изменения в очереди
+      await storage.addWorkout({ exercises: [{ exercise: 'Жим после входа', sets: [{ weight: 70, reps: 6 }] }] });
+      const revoked = await outbox.flush().catch(error => error);
+      this.assert(revoked instanceof AuthError && revoked.status === 401 && reported.length === 1, 'Ответ 401 должен стать AuthError');
+      this.assert(outbox.getStatus().paused === 'auth' && outbox.getStatus().pending > 0 && !outbox.timer, 'Очередь должна встать на паузу, сохранив изменения');
+      
+      // 2. Истекший по сроку токен не отправляется на диск
+      await storage.saveConfig({ yandexTokenExpiresAt: inDays(-1) });
+      const requests = disk.requests.length;
+      const expired = await outbox.flush().catch(error => error);
+      this.assert(expired instanceof AuthError && expired.reason === 'expired' && disk.requests.length === requests, 'Истекший токен не должен отправляться');
+      
+      // 3. Повторный вход: новый токен, очередь возобновляется, изменения уходят на диск
+      await storage.saveConfig({ yandexToken: 'fresh-token', yandexTokenExpiresAt: inDays(365) });
+      await outbox.resume();
+      outbox.clearTimer();
+      await outbox.flush();
+      this.assert(disk.readFile(path).workouts.some(w => w.exercises?.[0]?.exercise === 'Жим после входа'), 'После входа изменения должны попасть на диск');
+      this.assert(!outbox.getStatus().paused && outbox.getStatus().pending === 0, 'Очередь должна опустеть после отправки');
+      
+      this.passTest();
+      
+    } catch (error) {
+      this.failTest(error);
+    } finally {
+      outbox.clearTimer();
+      yandexAPI.fetch = originalFetch;
+      syncProviders.authListeners = originalListeners;
+      outbox.state = originalOutbox;
+      await storage.saveOutbox(originalOutbox);
+      await storage.saveConfig(originalConfig);
+    }
+  }
+
+  /**
+   * Тест 3.6: Резервная копия после синхронизации и восстановление удаленной тренировки
+   */
+  async testBackupRestoreFlow() {
+    this.startTest('Резервные копии');
+    
+    const originalFetch = yandexAPI.fetch;
+    const originalConfig = await storage.loadConfig();
+    const originalBackupState = await storage.loadBackupState();
+    const path = '/MyFitness/workouts.json';
+    const options = { provider: 'yandex', token: 'test-token', path };
+    
+    try {
+      const disk = new FakeYandexDisk();
+      yandexAPI.fetch = disk.fetch;
+      await storage.saveBackupState(null);
+      
+      // 1. Синхронизация создает копию за сегодня в /MyFitness/backups
+      await storage.addWorkout({ exercises: [{ exercise: 'Тяга из копии', sets: [{ weight: 90, reps: 3 }] }] });
+      const workout = (await storage.loadWorkouts()).find(w => w.exercises[0]?.exercise === 'Тяга из копии');
+      const result = await syncEngine.sync(options);
+      this.assert(result.backup && disk.readFile(`/MyFitness/backups/${result.backup}`), 'Синхронизация должна создать резервную копию');
+      
+      // 2. Тренировка случайно удалена; копия в списке со сводкой
+      await storage.deleteWorkout(workout.id);
+      const [backup] = await syncEngine.listBackups(options);
+      this.assert(backup.summary.workouts > 0 && backup.summary.from && backup.summary.to, 'Копия должна показывать число тренировок и диапазон дат');
+      
+      // 3. Сравнение показывает удаленную тренировку; восстанавливаем только ее
+      const copy = await syncEngine.readBackup(backup.path, options);
+      const key = `workout:${workout.id}`;
+      const diff = backupManager.diff(copy, { workouts: await storage.loadWorkouts(), bodyAnalyses: await storage.loadBodyAnalyses() });
+      this.assert(diff.items.some(item => item.key === key && item.status === 'missing'), 'Удаленная тренировка должна быть в списке отличий');
+      await backupManager.restore(copy, [key]);
+      this.assert((await storage.getWorkout(workout.id))?.exercises[0].sets[0].weight === 90, 'Тренировка должна восстановиться');
+      
+      // 4. Восстановленная тренировка побеждает удаление при синхронизации
+      await syncEngine.sync(options);
+      const remote = disk.readFile(path).workouts.find(w => w.id === workout.id);
+      this.assert(remote && !remote.deletedAt, 'Восстановленная тренировка должна попасть на диск');
+      
+      await storage.deleteWorkout(workout.id);
+      this.passTest();
+      
+    } catch (error) {
+      this.failTest(error);
+    } finally {
+      yandexAPI.fetch = originalFetch;
+      await storage.saveConfig(originalConfig);
+      await storage.saveBackupState(originalBackupState);
+    }
+  }
+
   /**
    * Тест 4: Сценарий анализа тела
    */
@@ -233,7 +611,7 @@ class IntegrationTester {
     
     try {
       // 1. Инициализация менеджера
-      bodyAnalysisManager.init();
+      await bodyAnalysisManager.init();
       this.assert(bodyAnalysisManager.isInitialized, 'Менеджер должен быть инициализирован');
       
       // 2. Создание тестового фото
@@ -250,10 +628,10 @@ class IntegrationTester {
       
       // 5. Сохранение анализа
       bodyAnalysisManager.currentAnalysis = analysis;
-      bodyAnalysisManager.saveAnalysisToLocal(analysis);
+      await bodyAnalysisManager.saveAnalysisToLocal(analysis);
       
       // 6. Проверка сохранения
-      const savedAnalyses = storage.loadBodyAnalyses();
+      const savedAnalyses = await storage.loadBodyAnalyses();
       this.assert(savedAnalyses.length === 1, 'Должен быть 1 сохраненный анализ');
       
       this.passTest();
@@ -271,7 +649,7 @@ class IntegrationTester {
     
     try {
       // 1. Инициализация менеджера
-      progressManager.init();
+      await progressManager.init();
       this.assert(progressManager.isInitialized, 'Менеджер должен быть инициализирован');
       
       // 2. Создание тестовых тренировок
@@ -298,10 +676,10 @@ class IntegrationTester {
         }
       ];
       
-      testWorkouts.forEach(workout => storage.addWorkout(workout));
+      await Promise.all(testWorkouts.map(workout => storage.addWorkout(workout)));
       
       // 3. Получение данных прогресса
-      const progressData = progressManager.getExerciseData('Жим лежа', 'month');
+      const progressData = await progressManager.getExerciseData('Жим лежа', 'month');
       this.assert(progressData.length === 2, 'Должны быть данные за 2 тренировки');
       
       // 4. Проверка расчета прогресса
@@ -311,7 +689,7 @@ class IntegrationTester {
       
       // 5. Обновление отображения
       progressManager.currentExercise = 'Жим лежа';
-      progressManager.updateProgressDisplay();
+      await progressManager.updateProgressDisplay();
       this.assert(true, 'Отображение прогресса должно обновиться');
       
       this.passTest();
@@ -329,7 +707,7 @@ class IntegrationTester {
     
     try {
       // 1. Инициализация менеджера
-      settingsManager.init();
+      await settingsManager.init();
       this.assert(settingsManager.isInitialized, 'Менеджер должен быть инициализирован');
       
       // 2. Загрузка текущих настроек
@@ -344,7 +722,7 @@ class IntegrationTester {
         syncInterval: 10
       };
       
-      const saveResult = settingsManager.saveSettings(newSettings);
+      const saveResult = await settingsManager.saveSettings(newSettings);
       this.assert(saveResult, 'Настройки должны быть сохранены');
       
       // 4. Проверка сохранения
@@ -353,7 +731,7 @@ class IntegrationTester {
       this.assert(updatedConfig.autoSync === true, 'Автосинхронизация должна быть включена');
       
       // 5. Тест AI подключения
-      settingsManager.updateConfig({ huggingFaceApiKey: 'test-key' });
+      await settingsManager.updateConfig({ huggingFaceApiKey: 'test-key' });
       this.assert(true, 'AI настройки должны обновиться');
       
       this.passTest();
@@ -418,7 +796,7 @@ class IntegrationTester {
     try {
       // 1. Тест скорости загрузки данных
       const startTime = performance.now();
-      const workouts = storage.loadWorkouts();
+      const workouts = await storage.loadWorkouts();
       const loadTime = performance.now() - startTime;
       
       this.assert(loadTime < 100, `Загрузка данных должна быть быстрой (${loadTime.toFixed(2)}ms)`);
@@ -445,7 +823,7 @@ class IntegrationTester {
             }
           ]
         };
-        storage.addWorkout(workout);
+        await storage.addWorkout(workout);
       }
       
       const finalMemory = performance.memory?.usedJSHeapSize || 0;
@@ -507,7 +885,7 @@ class IntegrationTester {
     }
   }
 
-  printResults() {
+  async printResults() {
     logger.info('📊 Результаты интеграционных тестов:');
     logger.info('=====================================');
     
@@ -530,19 +908,19 @@ class IntegrationTester {
     logger.info('=====================================');
     
     // Восстанавливаем исходные данные
-    this.restoreOriginalData();
+    await this.restoreOriginalData();
   }
 
-  restoreOriginalData() {
+  async restoreOriginalData() {
     logger.info('🔄 Восстановление исходных данных...');
-    storage.clearAll();
+    await storage.clearAll();
     
     if (this.testData.workouts.length > 0) {
-      storage.saveWorkouts(this.testData.workouts);
+      await storage.saveWorkouts(this.testData.workouts);
     }
     
     if (Object.keys(this.testData.config).length > 0) {
-      storage.saveConfig(this.testData.config);
+      await storage.saveConfig(this.testData.config);
     }
     
     logger.success('Исходные данные восстановлены');
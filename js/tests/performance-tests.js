@@ -71,13 +71,13 @@ class PerformanceTester {
     logger.info('⚡ Подготовка к тестированию производительности...');
     
     // Очищаем данные
-    storage.clearAll();
+    await storage.clearAll();
     
     // Инициализируем менеджеры
-    historyManager.init();
-    settingsManager.init();
-    bodyAnalysisManager.init();
-    progressManager.init();
+    await historyManager.init();
+    await settingsManager.init();
+    await bodyAnalysisManager.init();
+    await progressManager.init();
     
     logger.success('Подготовка завершена');
   }
@@ -91,7 +91,7 @@ class PerformanceTester {
     try {
       // 1. Тест загрузки данных
       const loadStart = performance.now();
-      const workouts = storage.loadWorkouts();
+      const workouts = await storage.loadWorkouts();
       const loadTime = performance.now() - loadStart;
       
       this.assert(loadTime < this.performanceThresholds.storageLoad, 
@@ -110,7 +110,7 @@ class PerformanceTester {
       };
       
       const saveStart = performance.now();
-      storage.addWorkout(testWorkout);
+      await storage.addWorkout(testWorkout);
       const saveTime = performance.now() - saveStart;
       
       this.assert(saveTime < this.performanceThresholds.storageSave, 
@@ -132,7 +132,7 @@ class PerformanceTester {
       }
       
       const bulkSaveStart = performance.now();
-      storage.saveWorkouts(bulkWorkouts);
+      await storage.saveWorkouts(bulkWorkouts);
       const bulkSaveTime = performance.now() - bulkSaveStart;
       
       this.assert(bulkSaveTime < 500, 
@@ -140,14 +140,14 @@ class PerformanceTester {
       
       // 4. Тест экспорта/импорта
       const exportStart = performance.now();
-      const exportData = storage.exportData();
+      const exportData = await storage.exportData();
       const exportTime = performance.now() - exportStart;
       
       this.assert(exportTime < 200, 
                  `Экспорт данных должен быть быстрым (${exportTime.toFixed(2)}ms)`);
       
       const importStart = performance.now();
-      storage.importData(exportData);
+      await storage.importData(exportData);
       const importTime = performance.now() - importStart;
       
       this.assert(importTime < 300, 
@@ -353,7 +353,7 @@ class PerformanceTester {
         });
       }
       
-      storage.saveWorkouts(largeWorkouts);
+      await storage.saveWorkouts(largeWorkouts);
       
       const afterWorkoutsMemory = performance.memory?.usedJSHeapSize || 0;
       const workoutsMemoryIncrease = (afterWorkoutsMemory - initialMemory) / 1024 / 1024;
@@ -383,7 +383,7 @@ class PerformanceTester {
                  `Увеличение памяти от упражнений должно быть небольшим (${exercisesMemoryIncrease.toFixed(2)}MB)`);
       
       // 3. Очистка памяти
-      storage.clearAll();
+      await storage.clearAll();
       exerciseManager.clearSelected();
       
       const afterCleanupMemory = performance.memory?.usedJSHeapSize || 0;
@@ -411,7 +411,7 @@ class PerformanceTester {
       
       const promises = Array.from({ length: 10 }, (_, i) => {
         return new Promise(resolve => {
-          setTimeout(() => {
+          setTimeout(async () => {
             const workout = {
               id: `concurrent-${i}`,
               date: new Date().toISOString(),
@@ -422,7 +422,7 @@ class PerformanceTester {
                 }
               ]
             };
-            storage.addWorkout(workout);
+            await storage.addWorkout(workout);
             resolve();
           }, Math.random() * 100);
         });
@@ -484,7 +484,7 @@ class PerformanceTester {
       }
       
       const largeSaveStart = performance.now();
-      storage.saveWorkouts(largeDataSet);
+      await storage.saveWorkouts(largeDataSet);
       const largeSaveTime = performance.now() - largeSaveStart;
       
       this.assert(largeSaveTime < 2000, 
@@ -492,7 +492,7 @@ class PerformanceTester {
       
       // 2. Загрузка большого набора данных
       const largeLoadStart = performance.now();
-      const loadedData = storage.loadWorkouts();
+      const loadedData = await storage.loadWorkouts();
       const largeLoadTime = performance.now() - largeLoadStart;
       
       this.assert(largeLoadTime < 1000, 
@@ -565,10 +565,10 @@ class PerformanceTester {
       const initStart = performance.now();
       
       // Инициализируем менеджеры по очереди
-      historyManager.init();
-      settingsManager.init();
-      bodyAnalysisManager.init();
-      progressManager.init();
+      await historyManager.init();
+      await settingsManager.init();
+      await bodyAnalysisManager.init();
+      await progressManager.init();
       
       const initTime = performance.now() - initStart;
       
@@ -579,9 +579,9 @@ class PerformanceTester {
       const lazyLoadStart = performance.now();
       
       // Загружаем данные только при необходимости
-      const workouts = storage.loadWorkouts();
+      const workouts = await storage.loadWorkouts();
       const exercises = exerciseManager.getAllExercises();
-      const config = storage.loadConfig();
+      const config = await storage.loadConfig();
       
       const lazyLoadTime = performance.now() - lazyLoadStart;
       
@@ -64,6 +64,18 @@ class DOMUtils {
     }
   }
 
+  /**
+   * Экранирует текст пользователя для вставки в HTML (в том числе в значения атрибутов)
+   */
+  escapeHTML(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * Создает элемент с атрибутами
    */
@@ -4,9 +4,11 @@
 
 class Logger {
   constructor() {
-    this.isDevelopment = window.location.hostname === 'localhost' || 
-                        window.location.hostname === '127.0.0.1' ||
-                        window.location.hostname.includes('github.io');
+    // globalThis: логгер используется и в service worker, где нет window
+    const { hostname = '' } = globalThis.location || {};
+    this.isDevelopment = hostname === 'localhost' || 
+                        hostname === '127.0.0.1' ||
+                        hostname.includes('github.io');
   }
 
   /**
@@ -3,12 +3,30 @@
  */
 
 import { logger } from './logger.js';
+import {
+  BLOCK_MAX_ROUNDS,
+  BLOCK_TYPES,
+  E1RM_FORMULAS,
+  EXERCISE_LIMIT_RANGE,
+  EXERCISE_MODALITIES,
+  INCREMENT_RANGE,
+  MAX_EXERCISES_PER_WORKOUT,
+  PROGRAM_LIMITS,
+  SET_TYPES,
+  SET_LIMITS
+} from '../modules/config.js';
+
+// Темп: эксцентрика-пауза-концентрика[-пауза] в секундах, X — взрывное движение ("3-1-2-0", "31X0")
+const TEMPO_PATTERN = /^[0-9X](-?[0-9X]){2,3}$/i;
 
 class Validator {
   /**
    * Валидирует тренировку
+   * @param {Object} workout
+   * @param {Object} [options]
+   * @param {number} [options.maxExercises] - Наибольшее число упражнений (config.maxExercisesPerWorkout)
    */
-  validateWorkout(workout) {
+  validateWorkout(workout, { maxExercises = MAX_EXERCISES_PER_WORKOUT } = {}) {
     const errors = [];
 
     if (!workout) {
@@ -24,8 +42,18 @@ class Validator {
       errors.push('Тренировка должна содержать хотя бы одно упражнение');
     }
 
-    if (workout.exercises && workout.exercises.length > 8) {
-      errors.push('Максимальное количество упражнений в тренировке: 8');
+    if (workout.exercises && workout.exercises.length > maxExercises) {
+      errors.push(`Максимальное количество упражнений в тренировке: ${maxExercises}`);
+    }
+
+    if (Array.isArray(workout.exercises)) {
+      errors.push(...this.validateBlocks(workout.blocks, workout.exercises));
+    }
+
+    // Вес тела необязателен: по нему считается нагрузка упражнений с собственным весом
+    if (workout.bodyWeight !== undefined && workout.bodyWeight !== null &&
+      (typeof workout.bodyWeight !== 'number' || workout.bodyWeight < SET_LIMITS.BODY_WEIGHT_MIN || workout.bodyWeight > SET_LIMITS.BODY_WEIGHT_MAX)) {
+      errors.push(`Вес тела должен быть от ${SET_LIMITS.BODY_WEIGHT_MIN} до ${SET_LIMITS.BODY_WEIGHT_MAX} кг`);
     }
 
     if (workout.exercises) {
@@ -43,6 +71,126 @@ class Validator {
     };
   }
 
+  /**
+   * Валидирует блоки упражнений (суперсеты, гигантские сеты, круговые)
+   * Упражнения блока должны идти подряд, число упражнений — соответствовать типу блока
+   * @returns {string[]} Ошибки
+   */
+  validateBlocks(blocks, exercises) {
+    const errors = [];
+    if (blocks === undefined || blocks === null) return errors;
+    if (!Array.isArray(blocks)) {
+      return ['Блоки упражнений должны быть массивом'];
+    }
+
+    blocks.forEach((block, index) => {
+      const type = BLOCK_TYPES.find(item => item.id === block?.type);
+      const members = exercises.filter(exercise => exercise?.blockId === block?.id);
+      const label = `Блок ${index + 1}`;
+
+      if (!type) {
+        errors.push(`${label}: неизвестный тип блока`);
+        return;
+      }
+      if (!Number.isInteger(block.rounds) || block.rounds < 1 || block.rounds > BLOCK_MAX_ROUNDS) {
+        errors.push(`${label}: число кругов должно быть от 1 до ${BLOCK_MAX_ROUNDS}`);
+      }
+      if (members.length < type.minExercises || (type.maxExercises && members.length > type.maxExercises)) {
+        const range = type.maxExercises === type.minExercises ? type.minExercises : `от ${type.minExercises}`;
+        errors.push(`${label} (${type.name.toLowerCase()}): число упражнений должно быть ${range}`);
+      }
+      const first = exercises.indexOf(members[0]);
+      if (members.some((member, offset) => exercises[first + offset] !== member)) {
+        errors.push(`${label}: упражнения блока должны идти подряд`);
+      }
+    });
+
+    exercises.forEach((exercise, index) => {
+      if (exercise?.blockId && !blocks.some(block => block?.id === exercise.blockId)) {
+        errors.push(`Упражнение ${index + 1}: блок не найден`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Валидирует шаблон программы: число недель и тренировок, план каждой тренировки
+   * (упражнение, подходы, диапазон повторений и целевой вес)
+   */
+  validateProgram(program) {
+    const errors = [];
+
+    if (!program) {
+      errors.push('Программа не может быть пустой');
+      return { isValid: false, errors };
+    }
+
+    // Шаблон — синхронизируемая запись, слияние идет по id
+    if (!program.id || typeof program.id !== 'string') {
+      errors.push('Программа должна иметь id');
+    }
+    if (!program.name || typeof program.name !== 'string' || !program.name.trim()) {
+      errors.push('Название программы обязательно');
+    }
+    const inRange = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+    if (!inRange(program.weeks, PROGRAM_LIMITS.WEEKS_MAX)) {
+      errors.push(`Число недель должно быть от 1 до ${PROGRAM_LIMITS.WEEKS_MAX}`);
+    }
+    if (!inRange(program.sessionsPerWeek, PROGRAM_LIMITS.SESSIONS_MAX)) {
+      errors.push(`Число тренировок в неделе должно быть от 1 до ${PROGRAM_LIMITS.SESSIONS_MAX}`);
+    }
+    if (!Array.isArray(program.sessions)) {
+      errors.push('План программы должен быть массивом тренировок');
+      return { isValid: false, errors };
+    }
+
+    program.sessions.forEach(session => {
+      const label = `Неделя ${session?.week}, тренировка ${session?.session}`;
+      if (!inRange(session?.week, program.weeks) || !inRange(session?.session, program.sessionsPerWeek)) {
+        errors.push(`${label}: вне программы`);
+        return;
+      }
+
+      (session.exercises || []).forEach((planned, index) => {
+        const prefix = `${label}, упражнение ${index + 1}`;
+        if (!planned?.exercise || typeof planned.exercise !== 'string') {
+          errors.push(`${prefix}: название упражнения обязательно`);
+        }
+        if (!inRange(planned?.sets, PROGRAM_LIMITS.SETS_MAX)) {
+          errors.push(`${prefix}: число подходов должно быть от 1 до ${PROGRAM_LIMITS.SETS_MAX}`);
+        }
+        const { repsMin, repsMax, load } = planned || {};
+        if ((repsMin !== null && repsMin !== undefined && !inRange(repsMin, PROGRAM_LIMITS.REPS_MAX)) ||
+          (repsMax !== null && repsMax !== undefined && !inRange(repsMax, PROGRAM_LIMITS.REPS_MAX)) ||
+          (repsMin && repsMax && repsMin > repsMax)) {
+          errors.push(`${prefix}: неверный диапазон повторений`);
+        }
+        if (load !== null && load !== undefined && (typeof load !== 'number' || load < 0 || load > 1000)) {
+          errors.push(`${prefix}: целевой вес должен быть от 0 до 1000 кг`);
+        }
+        // Вес и повторения каждого подхода (программы библиотеки)
+        if (planned?.setTargets !== undefined && (!Array.isArray(planned.setTargets) || planned.setTargets.length !== planned.sets ||
+          planned.setTargets.some(target => !inRange(target?.reps, PROGRAM_LIMITS.REPS_MAX) ||
+            typeof target.load !== 'number' || target.load < 0 || target.load > 1000))) {
+          errors.push(`${prefix}: неверные цели подходов`);
+        }
+      });
+    });
+
+    // Тренировочные максимумы программы библиотеки
+    Object.entries(program.trainingMaxes || {}).forEach(([exerciseId, max]) => {
+      if (typeof max !== 'number' || max <= 0 || max > 1000) {
+        errors.push(`Тренировочный максимум ${exerciseId} должен быть от 0 до 1000 кг`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
   /**
    * Валидирует упражнение
    */
@@ -68,7 +216,7 @@ class Validator {
 
     if (exercise.sets) {
       exercise.sets.forEach((set, index) => {
-        const setErrors = this.validateSet(set);
+        const setErrors = this.validateSet(set, exercise.modality);
         if (setErrors.length > 0) {
           errors.push(`Подход ${index + 1}: ${setErrors.join(', ')}`);
         }
@@ -80,8 +228,11 @@ class Validator {
 
   /**
    * Валидирует подход
+   * Обязательны поля способа учета (EXERCISE_MODALITIES.fields), остальные проверяются, если заданы
+   * @param {Object} set
+   * @param {string} [modality] - Способ учета упражнения (по умолчанию вес × повторы)
    */
-  validateSet(set) {
+  validateSet(set, modality = 'weight') {
     const errors = [];
 
     if (!set) {
@@ -89,14 +240,27 @@ class Validator {
       return errors;
     }
 
-    if (typeof set.weight !== 'number' || set.weight < 0) {
+    const fields = (EXERCISE_MODALITIES.find(item => item.id === modality) || EXERCISE_MODALITIES[0]).fields;
+    const isChecked = field => fields.includes(field) || (set[field] !== undefined && set[field] !== null);
+
+    if (isChecked('weight') && (typeof set.weight !== 'number' || set.weight < 0)) {
       errors.push('Вес должен быть положительным числом');
     }
 
-    if (typeof set.reps !== 'number' || set.reps < 0) {
+    if (isChecked('reps') && (typeof set.reps !== 'number' || set.reps < 0)) {
       errors.push('Количество повторений должно быть положительным числом');
     }
 
+    if (isChecked('duration') &&
+      (typeof set.duration !== 'number' || set.duration < 0 || set.duration > SET_LIMITS.DURATION_MAX_SECONDS)) {
+      errors.push('Время подхода должно быть от 0 до 24 часов');
+    }
+
+    if (isChecked('distance') &&
+      (typeof set.distance !== 'number' || set.distance < 0 || set.distance > SET_LIMITS.DISTANCE_MAX_KM)) {
+      errors.push(`Дистанция должна быть от 0 до ${SET_LIMITS.DISTANCE_MAX_KM} км`);
+    }
+
     if (set.weight > 1000) {
       errors.push('Вес не может превышать 1000 кг');
     }
@@ -105,6 +269,29 @@ class Validator {
       errors.push('Количество повторений не может превышать 100');
     }
 
+    // Тип и интенсивность необязательны
+    if (set.type !== undefined && !SET_TYPES.some(type => type.id === set.type)) {
+      errors.push('Неизвестный тип подхода');
+    }
+
+    if (set.rpe !== undefined && set.rpe !== null &&
+      (typeof set.rpe !== 'number' || set.rpe < SET_LIMITS.RPE_MIN || set.rpe > SET_LIMITS.RPE_MAX || set.rpe * 2 !== Math.round(set.rpe * 2))) {
+      errors.push(`RPE должен быть от ${SET_LIMITS.RPE_MIN} до ${SET_LIMITS.RPE_MAX} с шагом 0.5`);
+    }
+
+    if (set.rir !== undefined && set.rir !== null &&
+      (!Number.isInteger(set.rir) || set.rir < 0 || set.rir > SET_LIMITS.RIR_MAX)) {
+      errors.push(`RIR должен быть целым числом от 0 до ${SET_LIMITS.RIR_MAX}`);
+    }
+
+    if (set.tempo && (typeof set.tempo !== 'string' || !TEMPO_PATTERN.test(set.tempo))) {
+      errors.push('Темп задается цифрами фаз, например 3-1-2-0 или 31X0');
+    }
+
+    if (set.note && (typeof set.note !== 'string' || set.note.length > SET_LIMITS.NOTE_MAX_LENGTH)) {
+      errors.push(`Заметка к подходу не может быть длиннее ${SET_LIMITS.NOTE_MAX_LENGTH} символов`);
+    }
+
     return errors;
   }
 
@@ -131,6 +318,21 @@ class Validator {
       errors.push('defaultCycle должен быть положительным числом');
     }
 
+    if (config.maxExercisesPerWorkout !== undefined &&
+      (!Number.isInteger(config.maxExercisesPerWorkout) ||
+        config.maxExercisesPerWorkout < EXERCISE_LIMIT_RANGE.MIN || config.maxExercisesPerWorkout > EXERCISE_LIMIT_RANGE.MAX)) {
+      errors.push(`maxExercisesPerWorkout должен быть от ${EXERCISE_LIMIT_RANGE.MIN} до ${EXERCISE_LIMIT_RANGE.MAX}`);
+    }
+
+    if (config.equipmentIncrements !== undefined && (typeof config.equipmentIncrements !== 'object' || config.equipmentIncrements === null ||
+      Object.values(config.equipmentIncrements).some(value => typeof value !== 'number' || value < INCREMENT_RANGE.MIN || value > INCREMENT_RANGE.MAX))) {
+      errors.push(`equipmentIncrements: шаг веса должен быть от ${INCREMENT_RANGE.MIN} до ${INCREMENT_RANGE.MAX} кг`);
+    }
+
+    if (config.e1rmFormula !== undefined && !E1RM_FORMULAS.some(formula => formula.id === config.e1rmFormula)) {
+      errors.push('e1rmFormula: неизвестная формула e1RM');
+    }
+
     if (config.yandexPath && typeof config.yandexPath !== 'string') {
       errors.push('yandexPath должен быть строкой');
     }
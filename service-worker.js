@@ -1,11 +1,53 @@
-const CACHE_NAME = 'myfitness-v5';
+// Кэширование страниц и ресурсов. Импортируется также модульным sync-service-worker.js,
+// поэтому файл должен оставаться корректным и как классический скрипт, и как ES-модуль.
+// Версия кэша меняется вместе с составом модулей приложения: старый кэш удаляется при активации
+const CACHE_NAME = 'myfitness-v6';
 const ASSETS = [
   './',
   './index.html',
   './history.html',
   './settings.html',
   './manifest.json',
-  './icons/icon.svg'
+  './icons/icon.svg',
+  // Модули приложения (js/app.js и все его импорты): приложение открывается без сети
+  './js/app.js',
+  './js/components/backup-dialog.js',
+  './js/components/conflict-dialog.js',
+  './js/components/program-dialog.js',
+  './js/components/program-panel.js',
+  './js/components/ui-manager.js',
+  './js/components/workout-form.js',
+  './js/modules/ai-service.js',
+  './js/modules/background-sync.js',
+  './js/modules/backups.js',
+  './js/modules/body-analysis-manager.js',
+  './js/modules/config.js',
+  './js/modules/conflicts.js',
+  './js/modules/encryption.js',
+  './js/modules/exercise-catalog.js',
+  './js/modules/exercises.js',
+  './js/modules/history-manager.js',
+  './js/modules/http-client.js',
+  './js/modules/idb-backend.js',
+  './js/modules/local-folder-provider.js',
+  './js/modules/outbox.js',
+  './js/modules/program-library.js',
+  './js/modules/programs.js',
+  './js/modules/progress-manager.js',
+  './js/modules/recommendations.js',
+  './js/modules/schema.js',
+  './js/modules/settings-manager.js',
+  './js/modules/storage.js',
+  './js/modules/sync-engine.js',
+  './js/modules/sync-journal.js',
+  './js/modules/sync-merge.js',
+  './js/modules/sync-provider.js',
+  './js/modules/tombstones.js',
+  './js/modules/webdav-provider.js',
+  './js/modules/yandex-api.js',
+  './js/utils/dom.js',
+  './js/utils/logger.js',
+  './js/utils/validator.js'
 ];
 
 self.addEventListener('install', event => {
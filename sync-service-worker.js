@@ -0,0 +1,42 @@
+// Service worker с фоновой синхронизацией (модульный, регистрируется с { type: 'module' }).
+// Кэширование — из service-worker.js; синхронизация — тот же syncEngine, что и на странице.
+import './service-worker.js';
+import { syncEngine } from './js/modules/sync-engine.js';
+import { BACKGROUND_SYNC_CONFIG } from './js/modules/config.js';
+
+// Отправить сообщение всем открытым вкладкам приложения
+async function postToClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach(client => client.postMessage(message));
+}
+
+// pull -> merge -> push с сохраненным токеном, результат — во вкладки
+async function runBackgroundSync(trigger) {
+  const message = { type: BACKGROUND_SYNC_CONFIG.MESSAGE_TYPE, trigger };
+  try {
+    const result = await syncEngine.sync();
+    await postToClients({ ...message, result });
+  } catch (error) {
+    if (error.name === 'AuthError') {
+      // Без нового токена повтор бессмыслен: вкладка приостановит очередь и попросит войти
+      const { provider, reason, status } = error;
+      await postToClients({ ...message, error: error.message, authError: { provider, reason, status } });
+      return;
+    }
+    await postToClients({ ...message, error: error.message });
+    // Для разовой задачи браузер повторит попытку позже
+    if (trigger === 'sync') throw error;
+  }
+}
+
+self.addEventListener('sync', event => {
+  if (event.tag === BACKGROUND_SYNC_CONFIG.SYNC_TAG) {
+    event.waitUntil(runBackgroundSync('sync'));
+  }
+});
+
+self.addEventListener('periodicsync', event => {
+  if (event.tag === BACKGROUND_SYNC_CONFIG.PERIODIC_SYNC_TAG) {
+    event.waitUntil(runBackgroundSync('periodicsync'));
+  }
+});